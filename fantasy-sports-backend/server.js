@@ -17,6 +17,9 @@ const playerRoutes = require('./src/api/routes/players');
 const walletRoutes = require('./src/api/routes/wallet');
 const adminRoutes = require('./src/api/routes/admin');
 const notificationRoutes = require('./src/api/routes/notifications');
+const paymentRoutes = require('./src/api/routes/payments');
+const kycRoutes = require('./src/api/routes/kyc');
+const headToHeadRoutes = require('./src/api/routes/headToHead');
 
 // Import middleware
 const { authenticateToken } = require('./src/middleware/auth');
@@ -27,6 +30,8 @@ const { validateRequest } = require('./src/middleware/validation');
 const { initializeWebSocket } = require('./src/services/websocket');
 const { initializeRedis } = require('./src/services/redis');
 const { initializeLogger } = require('./src/services/logger');
+const ContestLifecycleService = require('./src/services/contestLifecycleService');
+const TransactionRetryService = require('./src/services/transactionRetryService');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -56,6 +61,9 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Payment webhooks read their own raw body, so they go before the body parsers
+app.use('/api/payments', paymentRoutes);
+
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
@@ -71,10 +79,13 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 // Static files
+// KYC documents live under uploads/ but are only readable through the admin API
+app.use('/uploads/kyc', (req, res) => res.status(404).json({ success: false, message: 'Route not found' }));
 app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
 
 // Health check endpoint
@@ -96,9 +107,11 @@ app.use('/api/players', playerRoutes);
 app.use('/api/wallet', authenticateToken, walletRoutes);
 app.use('/api/admin', authenticateToken, adminRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
+app.use('/api/kyc', authenticateToken, kycRoutes);
+app.use('/api/h2h', authenticateToken, headToHeadRoutes);
 
 // 404 handler
-app.use('*', (req, res) => {
+app.use((req, res) => {
   res.status(404).json({
     success: false,
     message: 'Route not found',
@@ -109,66 +122,79 @@ app.use('*', (req, res) => {
 // Error handling middleware
 app.use(errorHandler);
 
-// Database connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tactics-turf', {
-  useNewUrlParser: true,
-  useUnifiedTopology: true,
-})
-.then(() => {
-  logger.info('Connected to MongoDB');
-})
-.catch((error) => {
-  logger.error('MongoDB connection error:', error);
-  process.exit(1);
-});
-
-// Initialize Redis
-initializeRedis()
+// Connect and listen only when run directly; tests mount the app on their own database
+if (require.main === module) {
+  // Database connection
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tactics-turf', {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  })
   .then(() => {
-    logger.info('Redis initialized successfully');
+    logger.info('Connected to MongoDB');
+
+    // Start background workers
+    if (process.env.NODE_ENV !== 'test') {
+      ContestLifecycleService.start();
+      TransactionRetryService.start();
+    }
   })
   .catch((error) => {
-    logger.error('Redis initialization failed:', error);
+    logger.error('MongoDB connection error:', error);
+    process.exit(1);
   });
 
-// Start server
-const server = app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
-});
-
-// Initialize WebSocket
-initializeWebSocket(server);
+  // Initialize Redis
+  initializeRedis()
+    .then(() => {
+      logger.info('Redis initialized successfully');
+    })
+    .catch((error) => {
+      logger.error('Redis initialization failed:', error);
+    });
+
+  // Start server
+  const server = app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    logger.info(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    mongoose.connection.close();
-    process.exit(0);
+  // Initialize WebSocket
+  initializeWebSocket(server);
+
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received, shutting down gracefully');
+    ContestLifecycleService.stop();
+    TransactionRetryService.stop();
+    server.close(() => {
+      logger.info('Process terminated');
+      mongoose.connection.close();
+      process.exit(0);
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    logger.info('Process terminated');
-    mongoose.connection.close();
-    process.exit(0);
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received, shutting down gracefully');
+    ContestLifecycleService.stop();
+    TransactionRetryService.stop();
+    server.close(() => {
+      logger.info('Process terminated');
+      mongoose.connection.close();
+      process.exit(0);
+    });
   });
-});
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    logger.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  logger.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    logger.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
+}
 
 module.exports = app;
\ No newline at end of file
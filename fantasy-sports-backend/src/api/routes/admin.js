@@ -3,14 +3,31 @@ const User = require('../../models/User');
 const Match = require('../../models/Match');
 const Contest = require('../../models/Contest');
 const Transaction = require('../../models/Transaction');
+const KycSubmission = require('../../models/KycSubmission');
+const Beneficiary = require('../../models/Beneficiary');
 const { authenticateAdmin, authenticateSuperAdmin } = require('../../middleware/auth');
-const { validateRequest, adminSchemas } = require('../../middleware/validation');
+const { validateRequest, adminSchemas, kycSchemas } = require('../../middleware/validation');
+const { payoutResponseUpload } = require('../../middleware/upload');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { cache } = require('../../services/redis');
+const SettlementService = require('../../services/settlementService');
+const LedgerService = require('../../services/ledgerService');
+const PaymentService = require('../../services/paymentService');
+const KycService = require('../../services/kycService');
+const BeneficiaryService = require('../../services/beneficiaryService');
+const PayoutService = require('../../services/payoutService');
+const TransactionRetryService = require('../../services/transactionRetryService');
+const WalletLimitService = require('../../services/walletLimitService');
+const ResponsibleGamingService = require('../../services/responsibleGamingService');
+const ContestTemplateService = require('../../services/contestTemplateService');
 const logger = require('../../services/logger');
 
 const router = express.Router();
 
+// Pending transactions an admin may approve or reject; the services that create the
+// others (winnings, refunds, tax, transfers) settle them with their ledger postings
+const ADMIN_SETTLED_TYPES = ['deposit', 'withdrawal'];
+
 // All admin routes require admin authentication
 router.use(authenticateAdmin);
 
@@ -315,6 +332,171 @@ router.post('/users/:id/activate', asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   GET /api/admin/users/:id/limits
+// @desc    Get a user's wallet limit override and the limits that apply to them (Admin only)
+// @access  Private (Admin)
+router.get('/users/:id/limits', asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const [limits, headroom] = await Promise.all([
+      WalletLimitService.getUserLimits(user._id),
+      WalletLimitService.getHeadroom(user._id)
+    ]);
+
+    res.json({
+      success: true,
+      data: { ...limits, headroom }
+    });
+  } catch (error) {
+    logger.error(`Get wallet limits for user ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   PUT /api/admin/users/:id/limits
+// @desc    Set a user's wallet limit override, e.g. higher caps for a VIP or a restriction (Admin only)
+// @access  Private (Admin)
+router.put('/users/:id/limits', validateRequest(adminSchemas.userWalletLimits), asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const override = await WalletLimitService.setUserLimits(user._id, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Wallet limits updated successfully',
+      data: {
+        override,
+        effective: await WalletLimitService.getLimits(user._id)
+      }
+    });
+  } catch (error) {
+    logger.error(`Set wallet limits for user ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   DELETE /api/admin/users/:id/limits
+// @desc    Remove a user's wallet limit override (Admin only)
+// @access  Private (Admin)
+router.delete('/users/:id/limits', asyncHandler(async (req, res) => {
+  try {
+    await WalletLimitService.removeUserLimits(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Wallet limit override removed'
+    });
+  } catch (error) {
+    logger.error(`Remove wallet limits for user ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/users/:id/responsible-gaming
+// @desc    Get a user's own limits, usage and breaks (Admin only)
+// @access  Private (Admin)
+router.get('/users/:id/responsible-gaming', asyncHandler(async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const settings = await ResponsibleGamingService.getSettings(user);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error(`Get responsible gaming for user ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/responsible-gaming
+// @desc    Users on a break, self-excluded or with their own limits (Admin only)
+// @access  Private (Admin)
+router.get('/responsible-gaming', asyncHandler(async (req, res) => {
+  const { status = 'restricted', page = 1, limit = 20 } = req.query;
+
+  try {
+    const { users, total } = await ResponsibleGamingService.listUsers({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get responsible gaming users error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/wallet-limits
+// @desc    Get the default, stored and effective platform wallet limits (Admin only)
+// @access  Private (Admin)
+router.get('/wallet-limits', asyncHandler(async (req, res) => {
+  try {
+    const config = await WalletLimitService.getPlatformConfig();
+
+    res.json({
+      success: true,
+      data: config
+    });
+  } catch (error) {
+    logger.error('Get platform wallet limits error:', error);
+    throw error;
+  }
+}));
+
+// @route   PUT /api/admin/wallet-limits
+// @desc    Replace the stored platform wallet limits (Admin only)
+// @access  Private (Admin)
+router.put('/wallet-limits', validateRequest(adminSchemas.platformWalletLimits), asyncHandler(async (req, res) => {
+  try {
+    const platform = await WalletLimitService.setPlatformLimits(req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Platform wallet limits updated successfully',
+      data: platform
+    });
+  } catch (error) {
+    logger.error('Set platform wallet limits error:', error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/admin/matches
 // @desc    Get all matches with admin filters
 // @access  Private (Admin)
@@ -379,11 +561,22 @@ router.post('/matches', validateRequest(adminSchemas.createMatch), asyncHandler(
     const match = new Match(matchData);
     await match.save();
 
+    // Open the match's standard lobby from its template set while teams can still be entered.
+    // The match stands either way; a failed lobby can be spawned again via POST /matches/:id/lobby.
+    let contests = [];
+    if (match.status === 'upcoming' && match.isFantasyEnabled && !match.isFantasyDeadlinePassed()) {
+      try {
+        ({ contests } = await ContestTemplateService.spawnLobby(match));
+      } catch (error) {
+        logger.error(`Spawn lobby for new match ${match._id} error:`, error);
+      }
+    }
+
     // Clear match cache
     await cache.del(`matches:${JSON.stringify({ sport: matchData.sport })}`);
 
     // Log match creation
-    logger.info(`Admin ${req.user.username} created new match: ${match.title}`);
+    logger.info(`Admin ${req.user.username} created new match: ${match.title} with ${contests.length} contest(s)`);
 
     res.status(201).json({
       success: true,
@@ -413,7 +606,7 @@ router.put('/matches/:id', asyncHandler(async (req, res) => {
       });
     }
 
-    // Update match
+    // Update match; once it completes, the contest lifecycle worker settles its contests
     Object.assign(match, updateData);
     await match.save();
 
@@ -435,6 +628,118 @@ router.put('/matches/:id', asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   POST /api/admin/matches/:id/lobby
+// @desc    Spawn a match's lobby from a template set, e.g. for imported matches (safe to re-run)
+// @access  Private (Admin)
+router.post('/matches/:id/lobby', validateRequest(adminSchemas.spawnLobby), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const match = await Match.findById(id);
+
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    const { contests, skipped } = await ContestTemplateService.spawnLobby(match, req.body.set || match.contestTemplateSet || 'standard');
+
+    // Clear related caches
+    await cache.del(`match:${id}`);
+    await cache.del(`match:${id}:contests`);
+    await cache.del(`contests:${JSON.stringify({ sport: match.sport })}`);
+
+    logger.info(`Admin ${req.user.username} spawned ${contests.length} contest(s) for match: ${match.title}`);
+
+    res.status(201).json({
+      success: true,
+      message: `${contests.length} contest(s) created`,
+      data: {
+        contests,
+        skipped,
+        currentContests: match.currentContests,
+        maxContests: match.maxContests,
+        totalPrizePool: match.totalPrizePool
+      }
+    });
+  } catch (error) {
+    logger.error(`Spawn lobby for match ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/contest-templates
+// @desc    Get contest templates, optionally by set, sport and status
+// @access  Private (Admin)
+router.get('/contest-templates', asyncHandler(async (req, res) => {
+  try {
+    const result = await ContestTemplateService.list(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Get contest templates error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/contest-templates
+// @desc    Create a contest template
+// @access  Private (Admin)
+router.post('/contest-templates', validateRequest(adminSchemas.contestTemplate), asyncHandler(async (req, res) => {
+  try {
+    const template = await ContestTemplateService.create(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Contest template created successfully',
+      data: template
+    });
+  } catch (error) {
+    logger.error('Create contest template error:', error);
+    throw error;
+  }
+}));
+
+// @route   PUT /api/admin/contest-templates/:id
+// @desc    Update a contest template; contests already spawned from it are unchanged
+// @access  Private (Admin)
+router.put('/contest-templates/:id', validateRequest(adminSchemas.contestTemplateUpdate), asyncHandler(async (req, res) => {
+  try {
+    const template = await ContestTemplateService.update(req.params.id, req.body, req.user);
+
+    res.json({
+      success: true,
+      message: 'Contest template updated successfully',
+      data: template
+    });
+  } catch (error) {
+    logger.error(`Update contest template ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   DELETE /api/admin/contest-templates/:id
+// @desc    Delete a contest template
+// @access  Private (Admin)
+router.delete('/contest-templates/:id', asyncHandler(async (req, res) => {
+  try {
+    await ContestTemplateService.remove(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Contest template deleted successfully'
+    });
+  } catch (error) {
+    logger.error(`Delete contest template ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/admin/contests
 // @desc    Get all contests with admin filters
 // @access  Private (Admin)
@@ -482,6 +787,48 @@ router.get('/contests', asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   POST /api/admin/contests/:id/settle
+// @desc    Settle a contest and pay out winners (safe to re-run)
+// @access  Private (Admin)
+router.post('/contests/:id/settle', asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const contest = await Contest.findById(id).populate('matchId', 'status');
+    
+    if (!contest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contest not found'
+      });
+    }
+
+    if (contest.matchId?.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Contest can only be settled after the match completes'
+      });
+    }
+
+    const result = await SettlementService.settleContest(contest._id);
+
+    // Clear related caches
+    await cache.del(`contest:${id}`);
+
+    // Log contest settlement
+    logger.info(`Admin ${req.user.username} ran settlement for contest: ${contest.name}`);
+
+    res.json({
+      success: true,
+      message: result.settled ? 'Contest settled successfully' : result.reason,
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Settle admin contest ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/admin/transactions
 // @desc    Get all transactions with admin filters
 // @access  Private (Admin)
@@ -557,18 +904,38 @@ router.post('/transactions/:id/approve', asyncHandler(async (req, res) => {
       });
     }
 
-    // Process transaction
-    await transaction.process();
-
-    // Update user wallet if needed
-    if (transaction.type === 'withdrawal') {
-      const user = await User.findById(transaction.userId);
-      if (user) {
-        // Withdrawal already deducted when requested
-        // Just mark as completed
-        transaction.balanceAfter = user.wallet.balance;
-        await transaction.save();
-      }
+    if (!ADMIN_SETTLED_TYPES.includes(transaction.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `${transaction.type} transactions are settled by the platform, not by hand`
+      });
+    }
+
+    // The bank's response file settles withdrawals that were sent out in a payout batch
+    if (transaction.payoutBatchId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawal is in a payout batch; settle it by importing the bank response'
+      });
+    }
+
+    let approved = null;
+    if (transaction.type === 'deposit') {
+      // Credit the wallet exactly as a gateway confirmation would
+      const { transaction: deposit, credited } = await PaymentService.completeDeposit(transaction, {
+        message: `Approved by admin ${req.user.username}`
+      });
+      if (credited) approved = deposit;
+    } else {
+      // Withdrawals were already deducted and recorded in the ledger when requested
+      approved = await PayoutService.completeWithdrawal(transaction, { utr: req.body.utr });
+    }
+
+    if (!approved) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction is not pending'
+      });
     }
 
     // Log transaction approval
@@ -577,7 +944,7 @@ router.post('/transactions/:id/approve', asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: 'Transaction approved successfully',
-      data: transaction
+      data: approved
     });
   } catch (error) {
     logger.error(`Approve admin transaction ${req.params.id} error:`, error);
@@ -616,19 +983,32 @@ router.post('/transactions/:id/reject', asyncHandler(async (req, res) => {
       });
     }
 
-    // Reject transaction
-    transaction.status = 'failed';
-    transaction.failureReason = reason;
-    await transaction.save();
-
-    // Reverse wallet changes if needed
-    if (transaction.type === 'withdrawal') {
-      const user = await User.findById(transaction.userId);
-      if (user) {
-        user.wallet.balance += Math.abs(transaction.amount);
-        user.wallet.totalWithdrawn -= Math.abs(transaction.amount);
-        await user.save();
-      }
+    if (!ADMIN_SETTLED_TYPES.includes(transaction.type)) {
+      return res.status(400).json({
+        success: false,
+        message: `${transaction.type} transactions are settled by the platform, not by hand`
+      });
+    }
+
+    // The bank's response file settles withdrawals that were sent out in a payout batch
+    if (transaction.payoutBatchId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Withdrawal is in a payout batch; settle it by importing the bank response'
+      });
+    }
+
+    // A rejected withdrawal goes back to the wallet with its own reversal entry; a
+    // rejected deposit was never credited
+    const rejected = transaction.type === 'deposit'
+      ? await PaymentService.failDeposit(transaction, { message: reason }) && await Transaction.findById(id)
+      : await PayoutService.failWithdrawal(transaction, reason);
+
+    if (!rejected) {
+      return res.status(400).json({
+        success: false,
+        message: 'Transaction is not pending'
+      });
     }
 
     // Log transaction rejection
@@ -637,7 +1017,7 @@ router.post('/transactions/:id/reject', asyncHandler(async (req, res) => {
     res.json({
       success: true,
       message: 'Transaction rejected successfully',
-      data: transaction
+      data: rejected
     });
   } catch (error) {
     logger.error(`Reject admin transaction ${req.params.id} error:`, error);
@@ -645,6 +1025,435 @@ router.post('/transactions/:id/reject', asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   POST /api/admin/transactions/:id/refund
+// @desc    Refund a completed deposit to its payment source (Admin only)
+// @access  Private (Admin)
+router.post('/transactions/:id/refund', asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Refund reason is required'
+    });
+  }
+
+  try {
+    const { refund } = await PaymentService.refundDeposit(req.params.id, {
+      reason,
+      adminId: req.user._id
+    });
+
+    logger.info(`Admin ${req.user.username} refunded deposit ${req.params.id}: ${refund.reference} (${refund.status})`);
+
+    res.json({
+      success: true,
+      message: refund.status === 'completed' ? 'Deposit refunded successfully' : 'Refund initiated with the payment gateway',
+      data: refund
+    });
+  } catch (error) {
+    logger.error(`Refund admin transaction ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/transactions/escalated
+// @desc    Failed transactions the retry worker gave up on, oldest first (Admin only)
+// @access  Private (Admin)
+router.get('/transactions/escalated', asyncHandler(async (req, res) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  try {
+    const { transactions, total } = await TransactionRetryService.listEscalated({
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        transactions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get escalated transactions error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/transactions/:id/retry
+// @desc    Send an escalated transaction back to the retry worker (Admin only)
+// @access  Private (Admin)
+router.post('/transactions/:id/retry', asyncHandler(async (req, res) => {
+  try {
+    const transaction = await TransactionRetryService.requeue(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'Transaction queued for retry',
+      data: transaction
+    });
+  } catch (error) {
+    logger.error(`Retry admin transaction ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/transactions/:id/resolve
+// @desc    Close an escalated transaction that was handled by hand (Admin only)
+// @access  Private (Admin)
+router.post('/transactions/:id/resolve', validateRequest(adminSchemas.resolveEscalation), asyncHandler(async (req, res) => {
+  try {
+    const transaction = await TransactionRetryService.resolve(req.params.id, req.user, req.body.note);
+
+    res.json({
+      success: true,
+      message: 'Escalation resolved',
+      data: transaction
+    });
+  } catch (error) {
+    logger.error(`Resolve admin transaction ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/payouts/batches
+// @desc    Get withdrawal payout batches (Admin only)
+// @access  Private (Admin)
+router.get('/payouts/batches', asyncHandler(async (req, res) => {
+  const { status, page = 1, limit = 20 } = req.query;
+
+  try {
+    const { batches, total } = await PayoutService.list({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        batches,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get payout batches error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/payouts/batches
+// @desc    Put pending withdrawals into a payout batch, all of them or the given transactionIds (Admin only)
+// @access  Private (Admin)
+router.post('/payouts/batches', validateRequest(adminSchemas.createPayoutBatch), asyncHandler(async (req, res) => {
+  try {
+    const batch = await PayoutService.createBatch(req.user, {
+      transactionIds: req.body.transactionIds,
+      limit: req.body.limit
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Payout batch created with ${batch.count} withdrawals`,
+      data: batch.getSummary()
+    });
+  } catch (error) {
+    logger.error('Create payout batch error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/payouts/batches/:id
+// @desc    Get a payout batch with its withdrawals and import history (Admin only)
+// @access  Private (Admin)
+router.get('/payouts/batches/:id', asyncHandler(async (req, res) => {
+  try {
+    const batch = await PayoutService.getBatch(req.params.id);
+    const transactions = await Transaction.find({ payoutBatchId: batch._id })
+      .select('userId amount status reference externalReference failureReason processedAt createdAt')
+      .populate('userId', 'username email')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        batch: batch.getSummary(),
+        imports: batch.imports,
+        transactions
+      }
+    });
+  } catch (error) {
+    logger.error(`Get payout batch ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/payouts/batches/:id/file
+// @desc    Download the NEFT bulk transfer CSV for a batch's unsettled withdrawals (Admin only)
+// @access  Private (Admin)
+router.get('/payouts/batches/:id/file', asyncHandler(async (req, res) => {
+  try {
+    const { batch, fileName, content } = await PayoutService.generateFile(req.params.id);
+
+    logger.info(`Admin ${req.user.username} downloaded payout file for ${batch.reference}`);
+
+    res.attachment(fileName);
+    res.type('text/csv');
+    res.send(content);
+  } catch (error) {
+    logger.error(`Get payout file ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/payouts/batches/:id/response
+// @desc    Import the bank's response CSV (multipart: file) to complete or reverse each withdrawal (Admin only)
+// @access  Private (Admin)
+router.post('/payouts/batches/:id/response', payoutResponseUpload, asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Bank response file is required'
+    });
+  }
+
+  try {
+    const { batch, result } = await PayoutService.importResponse(
+      req.params.id,
+      req.file.buffer.toString('utf8'),
+      req.user,
+      req.file.originalname
+    );
+
+    res.json({
+      success: true,
+      message: `${result.completed} withdrawals paid, ${result.failed} failed and returned to wallets`,
+      data: {
+        batch: batch.getSummary(),
+        completed: result.completed,
+        failed: result.failed,
+        skipped: result.skipped
+      }
+    });
+  } catch (error) {
+    logger.error(`Import payout response ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/kyc
+// @desc    Get the KYC review queue (Admin only)
+// @access  Private (Admin)
+router.get('/kyc', asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  try {
+    const { submissions, total } = await KycService.getQueue({
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        submissions,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get KYC queue error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/kyc/:id/documents/:documentId
+// @desc    Download a KYC document for review (Admin only)
+// @access  Private (Admin)
+router.get('/kyc/:id/documents/:documentId', asyncHandler(async (req, res) => {
+  try {
+    const submission = await KycSubmission.findById(req.params.id);
+    const document = submission?.getDocument(req.params.documentId);
+
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    res.type(document.mimeType);
+    res.sendFile(KycService.getDocumentPath(document));
+  } catch (error) {
+    logger.error(`Get KYC document ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/kyc/:id/approve
+// @desc    Approve a KYC submission (Admin only)
+// @access  Private (Admin)
+router.post('/kyc/:id/approve', asyncHandler(async (req, res) => {
+  try {
+    const submission = await KycService.approve(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      message: 'KYC approved successfully',
+      data: submission
+    });
+  } catch (error) {
+    logger.error(`Approve KYC ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/kyc/:id/reject
+// @desc    Reject a KYC submission (Admin only)
+// @access  Private (Admin)
+router.post('/kyc/:id/reject', validateRequest(kycSchemas.reject), asyncHandler(async (req, res) => {
+  try {
+    const submission = await KycService.reject(req.params.id, req.user, req.body.reason);
+
+    res.json({
+      success: true,
+      message: 'KYC rejected successfully',
+      data: submission
+    });
+  } catch (error) {
+    logger.error(`Reject KYC ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/beneficiaries
+// @desc    Get bank accounts by verification status, pending first (Admin only)
+// @access  Private (Admin)
+router.get('/beneficiaries', asyncHandler(async (req, res) => {
+  const { status = 'pending', page = 1, limit = 20 } = req.query;
+
+  try {
+    const filter = { isActive: true };
+    if (status !== 'all') filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [beneficiaries, total] = await Promise.all([
+      Beneficiary.find(filter)
+        .populate('userId', 'username email fullName kyc.status')
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      Beneficiary.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        beneficiaries: beneficiaries.map(beneficiary => ({
+          ...beneficiary.getSummary(),
+          user: beneficiary.userId,
+          verification: beneficiary.verification
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Get beneficiaries error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/beneficiaries/:id/approve
+// @desc    Verify a bank account awaiting manual review (Admin only)
+// @access  Private (Admin)
+router.post('/beneficiaries/:id/approve', asyncHandler(async (req, res) => {
+  try {
+    const beneficiary = await BeneficiaryService.review(req.params.id, req.user, { approved: true });
+
+    res.json({
+      success: true,
+      message: 'Bank account verified successfully',
+      data: beneficiary.getSummary()
+    });
+  } catch (error) {
+    logger.error(`Approve beneficiary ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/admin/beneficiaries/:id/reject
+// @desc    Reject a bank account awaiting manual review (Admin only)
+// @access  Private (Admin)
+router.post('/beneficiaries/:id/reject', asyncHandler(async (req, res) => {
+  const { reason } = req.body;
+
+  if (!reason) {
+    return res.status(400).json({
+      success: false,
+      message: 'Rejection reason is required'
+    });
+  }
+
+  try {
+    const beneficiary = await BeneficiaryService.review(req.params.id, req.user, { approved: false, reason });
+
+    res.json({
+      success: true,
+      message: 'Bank account rejected successfully',
+      data: beneficiary.getSummary()
+    });
+  } catch (error) {
+    logger.error(`Reject beneficiary ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/admin/wallets/reconciliation
+// @desc    Report wallets whose balance disagrees with the ledger (Admin only)
+// @access  Private (Admin)
+router.get('/wallets/reconciliation', asyncHandler(async (req, res) => {
+  const { limit = 100 } = req.query;
+
+  try {
+    const report = await LedgerService.reconcile({ limit: parseInt(limit) });
+
+    if (report.totalMismatches > 0 || report.unbalancedJournals.length > 0 || report.unmatchedJournals.length > 0) {
+      logger.warn(`Wallet reconciliation found ${report.totalMismatches} mismatched wallets, ${report.unbalancedJournals.length} unbalanced journals and ${report.unmatchedJournals.length} journals disagreeing with their transaction`);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    logger.error('Wallet reconciliation error:', error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/admin/analytics
 // @desc    Get platform analytics
 // @access  Private (Admin)
@@ -2,9 +2,11 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../../models/User');
+const Transaction = require('../../models/Transaction');
 const { authenticateToken } = require('../../middleware/auth');
 const { validateRequest, authSchemas } = require('../../middleware/validation');
 const { asyncHandler } = require('../../middleware/errorHandler');
+const LedgerService = require('../../services/ledgerService');
 const logger = require('../../services/logger');
 
 const router = express.Router();
@@ -78,9 +80,27 @@ router.post('/register', validateRequest(authSchemas.register), asyncHandler(asy
     // Update referral earnings if applicable
     if (referredBy) {
       const referralBonus = 100; // ₹100 bonus for referral
-      referredBy.referralEarnings += referralBonus;
-      referredBy.wallet.balance += referralBonus;
-      await referredBy.save();
+      const bonusTransaction = new Transaction({
+        userId: referredBy._id,
+        type: 'referral_bonus',
+        amount: referralBonus,
+        status: 'completed',
+        description: `Referral bonus for inviting ${username}`,
+        reference: `RFB-${user._id}`,
+        paymentMethod: 'bonus',
+        paymentGateway: 'internal',
+        metadata: { referralCode },
+        netAmount: referralBonus,
+        balanceBefore: 0,
+        balanceAfter: 0,
+        processedAt: new Date()
+      });
+
+      await LedgerService.credit(bonusTransaction, {
+        amount: referralBonus,
+        account: 'platform_bonus',
+        inc: { referralEarnings: referralBonus }
+      });
     }
 
     // Log successful registration
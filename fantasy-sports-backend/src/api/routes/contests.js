@@ -1,8 +1,12 @@
 const express = require('express');
 const Contest = require('../../models/Contest');
+const ContestEntry = require('../../models/ContestEntry');
+const ContestEntryService = require('../../services/contestEntryService');
+const PrivateContestService = require('../../services/privateContestService');
 const Match = require('../../models/Match');
 const { authenticateToken, optionalAuth } = require('../../middleware/auth');
 const { validateRequest, contestSchemas } = require('../../middleware/validation');
+const { idempotency } = require('../../middleware/idempotency');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { cache } = require('../../services/redis');
 const { events } = require('../../services/websocket');
@@ -10,6 +14,9 @@ const logger = require('../../services/logger');
 
 const router = express.Router();
 
+// Most entries a contest may allow one user
+const getMaxEntriesPerUser = () => parseInt(process.env.MAX_CONTEST_ENTRIES_PER_USER) || 10;
+
 // @route   GET /api/contests
 // @desc    Get all contests with filters
 // @access  Public
@@ -27,11 +34,10 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
   } = req.query;
 
   try {
-    // Build filter object
-    const filter = { isActive: true, isVisible: true };
+    // Build filter object; private contests never appear in the lobby
+    const filter = Contest.lobbyFilter({ contestType });
     
     if (sport) filter.sport = sport;
-    if (contestType) filter.contestType = contestType;
     if (status) filter.status = status;
     if (entryFee) filter.entryFee = { $lte: parseInt(entryFee) };
     if (prizePool) filter.prizePool = { $gte: parseInt(prizePool) };
@@ -91,11 +97,7 @@ router.get('/', optionalAuth, asyncHandler(async (req, res) => {
 // @access  Public
 router.get('/featured', optionalAuth, asyncHandler(async (req, res) => {
   try {
-    const contests = await Contest.find({
-      featured: true,
-      isActive: true,
-      isVisible: true
-    })
+    const contests = await Contest.find(Contest.lobbyFilter({ featured: true }))
     .sort({ priority: -1, startTime: 1 })
     .limit(10)
     .populate('matchId', 'title sport startTime team1 team2');
@@ -110,6 +112,23 @@ router.get('/featured', optionalAuth, asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   GET /api/contests/invite/:code
+// @desc    Get the private contest an invite code belongs to
+// @access  Private
+router.get('/invite/:code', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const contest = await PrivateContestService.findByInviteCode(req.params.code);
+
+    res.json({
+      success: true,
+      data: contest
+    });
+  } catch (error) {
+    logger.error('Get contest by invite code error:', error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/contests/:id
 // @desc    Get contest by ID
 // @access  Public
@@ -122,6 +141,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     const cachedContest = await cache.get(cacheKey);
     
     if (cachedContest) {
+      // Private contests are only shown to those who may join them
+      await PrivateContestService.assertCanView(cachedContest, req.user, req.query);
       return res.json({
         success: true,
         data: cachedContest
@@ -129,8 +150,7 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
     }
 
     const contest = await Contest.findById(id)
-      .populate('matchId', 'title sport startTime team1 team2 venue')
-      .populate('participants.userId', 'username fullName avatar');
+      .populate('matchId', 'title sport startTime team1 team2 venue');
     
     if (!contest) {
       return res.status(404).json({
@@ -139,6 +159,8 @@ router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
       });
     }
 
+    await PrivateContestService.assertCanView(contest, req.user, req.query);
+
     // Cache the contest for 2 minutes
     await cache.set(cacheKey, contest, 120);
 
@@ -169,6 +191,8 @@ router.get('/:id/leaderboard', optionalAuth, asyncHandler(async (req, res) => {
       });
     }
 
+    await PrivateContestService.assertCanView(contest, req.user, req.query);
+
     // Check cache first
     const cacheKey = `contest:${id}:leaderboard:${page}:${limit}`;
     const cachedLeaderboard = await cache.get(cacheKey);
@@ -183,9 +207,10 @@ router.get('/:id/leaderboard', optionalAuth, asyncHandler(async (req, res) => {
     // Calculate pagination
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    // Get leaderboard from contest
-    const leaderboard = contest.leaderboard.slice(skip, skip + parseInt(limit));
-    const total = contest.leaderboard.length;
+    // Page straight from the entries collection
+    const entries = await contest.getLeaderboard(skip, parseInt(limit));
+    const leaderboard = entries.map(entry => entry.getLeaderboardRow());
+    const total = contest.filledSpots;
 
     const result = {
       contestId: contest._id,
@@ -227,6 +252,13 @@ router.post('/', authenticateToken, validateRequest(contestSchemas.create), asyn
       });
     }
 
+    if (contestData.maxEntriesPerUser > getMaxEntriesPerUser()) {
+      return res.status(400).json({
+        success: false,
+        message: `A contest can allow up to ${getMaxEntriesPerUser()} entries per user`
+      });
+    }
+
     // Verify match exists
     const match = await Match.findById(contestData.matchId);
     if (!match) {
@@ -236,6 +268,16 @@ router.post('/', authenticateToken, validateRequest(contestSchemas.create), asyn
       });
     }
 
+    if (Contest.isListedType(contestData.contestType)) {
+      const { currentContests } = await Match.syncContestTotals(match._id);
+      if (currentContests >= match.maxContests) {
+        return res.status(400).json({
+          success: false,
+          message: `This match already has its maximum of ${match.maxContests} contests`
+        });
+      }
+    }
+
     // Create contest
     const contest = new Contest({
       ...contestData,
@@ -244,6 +286,7 @@ router.post('/', authenticateToken, validateRequest(contestSchemas.create), asyn
     });
 
     await contest.save();
+    await Match.syncContestTotals(match._id);
 
     // Clear related caches
     await cache.del(`contests:${JSON.stringify({ sport: match.sport })}`);
@@ -263,6 +306,44 @@ router.post('/', authenticateToken, validateRequest(contestSchemas.create), asyn
   }
 }));
 
+// @route   POST /api/contests/private
+// @desc    Create a private contest for friends, within the platform limits
+// @access  Private
+router.post('/private', authenticateToken, validateRequest(contestSchemas.createPrivate), asyncHandler(async (req, res) => {
+  try {
+    const { contest, invite } = await PrivateContestService.create(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Private contest created successfully',
+      data: {
+        contest,
+        invite
+      }
+    });
+  } catch (error) {
+    logger.error('Create private contest error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/contests/:id/invite
+// @desc    Get the invite code and share link of a private contest
+// @access  Private (Contest creator)
+router.get('/:id/invite', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const invite = await PrivateContestService.getInviteFor(req.params.id, req.user);
+
+    res.json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    logger.error(`Get contest ${req.params.id} invite error:`, error);
+    throw error;
+  }
+}));
+
 // @route   PUT /api/contests/:id
 // @desc    Update contest
 // @access  Private (Admin/Moderator)
@@ -279,6 +360,13 @@ router.put('/:id', authenticateToken, validateRequest(contestSchemas.update), as
       });
     }
 
+    if (updateData.maxEntriesPerUser > getMaxEntriesPerUser()) {
+      return res.status(400).json({
+        success: false,
+        message: `A contest can allow up to ${getMaxEntriesPerUser()} entries per user`
+      });
+    }
+
     const contest = await Contest.findById(id);
     
     if (!contest) {
@@ -291,6 +379,7 @@ router.put('/:id', authenticateToken, validateRequest(contestSchemas.update), as
     // Update contest
     Object.assign(contest, updateData);
     await contest.save();
+    await Match.syncContestTotals(contest.matchId);
 
     // Clear related caches
     await cache.del(`contest:${id}`);
@@ -342,7 +431,7 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
     }
 
     // Check if contest has participants
-    if (contest.participants.length > 0) {
+    if (contest.filledSpots > 0 || await ContestEntry.exists({ contestId: contest._id })) {
       return res.status(400).json({
         success: false,
         message: 'Cannot delete contest with participants'
@@ -350,6 +439,7 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
     }
 
     await Contest.findByIdAndDelete(id);
+    await Match.syncContestTotals(contest.matchId);
 
     // Clear related caches
     await cache.del(`contest:${id}`);
@@ -372,9 +462,9 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
 // @route   POST /api/contests/:id/join
 // @desc    Join a contest
 // @access  Private
-router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/:id/join', authenticateToken, idempotency, asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { teamId } = req.body;
+  const { teamId, inviteCode, token } = req.body;
 
   if (!teamId) {
     return res.status(400).json({
@@ -384,69 +474,9 @@ router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
   }
 
   try {
-    const contest = await Contest.findById(id);
-    
-    if (!contest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contest not found'
-      });
-    }
-
-    // Check if contest is active and registration is open
-    if (!contest.isActive || !contest.isVisible) {
-      return res.status(400).json({
-        success: false,
-        message: 'Contest is not available for registration'
-      });
-    }
-
-    if (!contest.isRegistrationOpen) {
-      return res.status(400).json({
-        success: false,
-        message: 'Contest registration is closed'
-      });
-    }
-
-    // Check if user has sufficient balance
-    const user = await require('../../models/User').findById(req.user._id);
-    if (user.wallet.balance < contest.entryFee) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient wallet balance'
-      });
-    }
-
-    // Check if user already joined (for single entry contests)
-    if (contest.entryType === 'single') {
-      const existingParticipant = contest.participants.find(
-        p => p.userId.toString() === req.user._id.toString()
-      );
-      
-      if (existingParticipant) {
-        return res.status(400).json({
-          success: false,
-          message: 'You have already joined this contest'
-        });
-      }
-    }
-
-    // Add participant to contest
-    await contest.addParticipant(req.user._id, teamId);
-
-    // Deduct entry fee from user wallet
-    user.wallet.balance -= contest.entryFee;
-    await user.save();
-
-    // Create transaction record
-    const Transaction = require('../../models/Transaction');
-    await Transaction.createContestEntry(
-      req.user._id,
-      contest.entryFee,
-      contest._id,
-      contest.matchId,
-      teamId
-    );
+    // Checks the invite for private contests and the user's own spend limits and breaks,
+    // then reserves the spot, debits the wallet and records the entry fee atomically
+    const { contest, entry, transaction, balance } = await ContestEntryService.join(id, req.user, teamId, { inviteCode, token });
 
     // Clear related caches
     await cache.del(`contest:${id}`);
@@ -457,11 +487,31 @@ router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
       type: 'participant_joined',
       participant: {
         userId: req.user._id,
-        username: req.user.username
+        username: req.user.username,
+        entryId: entry._id,
+        entryNumber: entry.entryNumber
       },
-      totalParticipants: contest.participants.length
+      totalParticipants: contest.filledSpots
     });
 
+    // The last spot is gone; send everyone still looking to the copy opened in its place
+    if (contest.isFull && contest.nextContestId) {
+      await cache.del(`match:${contest.matchId}:contests`);
+      events.contestUpdate(id, {
+        type: 'contest_full',
+        nextContestId: contest.nextContestId
+      });
+    }
+
+    if (balance !== null) {
+      events.walletUpdate(req.user._id, {
+        type: 'contest_entry',
+        amount: contest.entryFee,
+        newBalance: balance,
+        transactionId: transaction.reference
+      });
+    }
+
     // Log contest join
     logger.info(`User ${req.user.username} joined contest: ${contest.name}`);
 
@@ -471,8 +521,10 @@ router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
       data: {
         contestId: contest._id,
         contestName: contest.name,
+        entryId: entry._id,
+        entryNumber: entry.entryNumber,
         entryFee: contest.entryFee,
-        totalParticipants: contest.participants.length
+        totalParticipants: contest.filledSpots
       }
     });
   } catch (error) {
@@ -486,54 +538,11 @@ router.post('/:id/join', authenticateToken, asyncHandler(async (req, res) => {
 // @access  Private
 router.post('/:id/leave', authenticateToken, asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { entryId } = req.body;
 
   try {
-    const contest = await Contest.findById(id);
-    
-    if (!contest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contest not found'
-      });
-    }
-
-    // Check if contest allows leaving
-    if (contest.status !== 'upcoming') {
-      return res.status(400).json({
-        success: false,
-        message: 'Cannot leave contest after it has started'
-      });
-    }
-
-    // Check if user is a participant
-    const participant = contest.participants.find(
-      p => p.userId.toString() === req.user._id.toString()
-    );
-    
-    if (!participant) {
-      return res.status(400).json({
-        success: false,
-        message: 'You are not a participant in this contest'
-      });
-    }
-
-    // Remove participant from contest
-    await contest.removeParticipant(req.user._id);
-
-    // Refund entry fee to user wallet
-    const user = await require('../../models/User').findById(req.user._id);
-    user.wallet.balance += contest.entryFee;
-    await user.save();
-
-    // Create refund transaction
-    const Transaction = require('../../models/Transaction');
-    await Transaction.createRefund(
-      req.user._id,
-      contest.entryFee,
-      contest._id,
-      contest.matchId,
-      participant.teamId
-    );
+    // Without an entryId the user's latest entry is withdrawn
+    const { contest, entry, transaction, balance } = await ContestEntryService.leave(id, req.user._id, entryId);
 
     // Clear related caches
     await cache.del(`contest:${id}`);
@@ -544,11 +553,21 @@ router.post('/:id/leave', authenticateToken, asyncHandler(async (req, res) => {
       type: 'participant_left',
       participant: {
         userId: req.user._id,
-        username: req.user.username
+        username: req.user.username,
+        entryId: entry._id
       },
-      totalParticipants: contest.participants.length
+      totalParticipants: contest.filledSpots
     });
 
+    if (transaction) {
+      events.walletUpdate(req.user._id, {
+        type: 'refund',
+        amount: contest.entryFee,
+        newBalance: balance,
+        transactionId: transaction.reference
+      });
+    }
+
     // Log contest leave
     logger.info(`User ${req.user.username} left contest: ${contest.name}`);
 
@@ -558,8 +577,9 @@ router.post('/:id/leave', authenticateToken, asyncHandler(async (req, res) => {
       data: {
         contestId: contest._id,
         contestName: contest.name,
+        entryId: entry._id,
         refundAmount: contest.entryFee,
-        totalParticipants: contest.participants.length
+        totalParticipants: contest.filledSpots
       }
     });
   } catch (error) {
@@ -575,7 +595,8 @@ router.get('/user/joined', authenticateToken, asyncHandler(async (req, res) => {
   const { page = 1, limit = 20, status } = req.query;
 
   try {
-    const filter = { 'participants.userId': req.user._id };
+    const contestIds = await ContestEntry.distinct('contestId', { userId: req.user._id });
+    const filter = { _id: { $in: contestIds } };
     if (status) filter.status = status;
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
@@ -585,21 +606,29 @@ router.get('/user/joined', authenticateToken, asyncHandler(async (req, res) => {
       .skip(skip)
       .limit(parseInt(limit))
       .populate('matchId', 'title sport startTime team1 team2')
-      .select('name contestType entryFee prizePool status startTime participants');
+      .select('name contestType entryFee prizePool status startTime entryType maxEntriesPerUser');
 
     const total = await Contest.countDocuments(filter);
 
-    // Add user's rank and points to each contest
+    const entries = await ContestEntry.find({
+      userId: req.user._id,
+      contestId: { $in: contests.map(c => c._id) }
+    }).sort({ points: -1 });
+
+    // Add the user's entries to each contest with the rank and points of the best one and the prize of all.
+    // Entries are unranked until scoring, so the best is the lowest rank if any, else the most points.
     const contestsWithUserData = contests.map(contest => {
-      const participant = contest.participants.find(
-        p => p.userId.toString() === req.user._id.toString()
-      );
+      const userEntries = entries.filter(e => e.contestId.toString() === contest._id.toString());
+      const best = userEntries
+        .filter(e => e.rank != null)
+        .reduce((top, e) => (!top || e.rank < top.rank ? e : top), null) || userEntries[0];
       
       return {
         ...contest.toObject(),
-        userRank: participant?.rank || null,
-        userPoints: participant?.points || 0,
-        userPrize: participant?.prize || 0
+        userRank: best?.rank || null,
+        userPoints: best?.points || 0,
+        userPrize: userEntries.reduce((sum, e) => sum + (e.prize || 0), 0),
+        userEntries: userEntries.map(e => e.getLeaderboardRow())
       };
     });
 
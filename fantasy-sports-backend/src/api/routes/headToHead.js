@@ -0,0 +1,165 @@
+const express = require('express');
+const { authenticateToken } = require('../../middleware/auth');
+const { validateRequest, headToHeadSchemas } = require('../../middleware/validation');
+const { idempotency } = require('../../middleware/idempotency');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const ContestEntryService = require('../../services/contestEntryService');
+const HeadToHeadService = require('../../services/headToHeadService');
+const { cache } = require('../../services/redis');
+const { events } = require('../../services/websocket');
+const logger = require('../../services/logger');
+
+const router = express.Router();
+
+// Publish a new head-to-head entry to the contest room and the user's wallet
+const publishEntry = async (user, { contest, entry, transaction, balance }) => {
+  await cache.del(`contest:${contest._id}`);
+
+  events.contestUpdate(contest._id, {
+    type: 'participant_joined',
+    participant: {
+      userId: user._id,
+      username: user.username,
+      entryId: entry._id,
+      entryNumber: entry.entryNumber
+    },
+    totalParticipants: contest.filledSpots
+  });
+
+  if (balance !== null) {
+    events.walletUpdate(user._id, {
+      type: 'contest_entry',
+      amount: contest.entryFee,
+      newBalance: balance,
+      transactionId: transaction.reference
+    });
+  }
+};
+
+// @route   GET /api/h2h/tiers
+// @desc    Get the entry fees head-to-head can be played for
+// @access  Private
+router.get('/tiers', authenticateToken, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      tiers: HeadToHeadService.getFeeTiers()
+    }
+  });
+}));
+
+// @route   POST /api/h2h/queue
+// @desc    Find an opponent of similar skill for a match and fee, or wait for one
+// @access  Private
+router.post('/queue', authenticateToken, idempotency, validateRequest(headToHeadSchemas.queue), asyncHandler(async (req, res) => {
+  try {
+    const result = await HeadToHeadService.queue(req.user, req.body);
+    await publishEntry(req.user, result);
+
+    logger.info(`User ${req.user.username} ${result.status === 'matched' ? 'was paired in' : 'is waiting in'} head-to-head contest ${result.contest._id}`);
+
+    res.status(result.status === 'matched' ? 200 : 202).json({
+      success: true,
+      message: result.status === 'matched' ? 'Opponent found' : 'Waiting for an opponent',
+      data: {
+        status: result.status,
+        contestId: result.contest._id,
+        entryId: result.entry._id,
+        entryFee: result.contest.entryFee,
+        prizePool: result.contest.prizePool
+      }
+    });
+  } catch (error) {
+    logger.error('Head-to-head queue error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/h2h/challenges
+// @desc    Get challenges waiting for the user to accept
+// @access  Private
+router.get('/challenges', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const challenges = await HeadToHeadService.listChallenges(req.user);
+
+    res.json({
+      success: true,
+      data: challenges
+    });
+  } catch (error) {
+    logger.error('Get head-to-head challenges error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/h2h/challenges
+// @desc    Challenge a friend to a head-to-head contest
+// @access  Private
+router.post('/challenges', authenticateToken, idempotency, validateRequest(headToHeadSchemas.challenge), asyncHandler(async (req, res) => {
+  try {
+    const result = await HeadToHeadService.challenge(req.user, req.body);
+    await publishEntry(req.user, result);
+
+    logger.info(`User ${req.user.username} challenged ${req.body.opponent} in contest ${result.contest._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Challenge sent',
+      data: {
+        contestId: result.contest._id,
+        entryId: result.entry._id,
+        entryFee: result.contest.entryFee,
+        prizePool: result.contest.prizePool
+      }
+    });
+  } catch (error) {
+    logger.error('Head-to-head challenge error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/h2h/challenges/:id/accept
+// @desc    Accept a challenge with one of the user's teams
+// @access  Private
+router.post('/challenges/:id/accept', authenticateToken, idempotency, validateRequest(headToHeadSchemas.accept), asyncHandler(async (req, res) => {
+  try {
+    // Only the challenged user may take the open spot
+    const result = await ContestEntryService.join(req.params.id, req.user, req.body.teamId);
+    await publishEntry(req.user, result);
+
+    logger.info(`User ${req.user.username} accepted head-to-head challenge ${req.params.id}`);
+
+    res.json({
+      success: true,
+      message: 'Challenge accepted',
+      data: {
+        contestId: result.contest._id,
+        entryId: result.entry._id,
+        entryFee: result.contest.entryFee
+      }
+    });
+  } catch (error) {
+    logger.error(`Accept head-to-head challenge ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   DELETE /api/h2h/:id
+// @desc    Withdraw a request still waiting for an opponent, or decline a challenge
+// @access  Private
+router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const contest = await HeadToHeadService.withdraw(req.params.id, req.user);
+    await cache.del(`contest:${contest._id}`);
+
+    res.json({
+      success: true,
+      message: 'Head-to-head contest cancelled and entry fee refunded'
+    });
+  } catch (error) {
+    logger.error(`Withdraw head-to-head contest ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+module.exports = router;
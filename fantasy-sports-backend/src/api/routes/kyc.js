@@ -0,0 +1,59 @@
+const express = require('express');
+const KycSubmission = require('../../models/KycSubmission');
+const { authenticateToken } = require('../../middleware/auth');
+const { validateRequest, kycSchemas } = require('../../middleware/validation');
+const { kycUpload } = require('../../middleware/upload');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const KycService = require('../../services/kycService');
+const logger = require('../../services/logger');
+
+const router = express.Router();
+
+// @route   GET /api/kyc/status
+// @desc    Get the user's KYC status and the limits that apply without KYC
+// @access  Private
+router.get('/status', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const submission = req.user.kyc?.submissionId
+      ? await KycSubmission.findById(req.user.kyc.submissionId).select('status documents.category documents.documentType createdAt reviewedAt rejectionReason')
+      : null;
+
+    res.json({
+      success: true,
+      data: {
+        status: req.user.kyc?.status || 'not_submitted',
+        verifiedAt: req.user.kyc?.verifiedAt,
+        rejectionReason: req.user.kyc?.rejectionReason,
+        submission,
+        withdrawalLimits: KycService.getWithdrawalLimits()
+      }
+    });
+  } catch (error) {
+    logger.error('Get KYC status error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/kyc/submit
+// @desc    Submit identity and bank proof documents (multipart: identityDocument, bankProof)
+// @access  Private
+router.post('/submit', authenticateToken, kycUpload, validateRequest(kycSchemas.submit), asyncHandler(async (req, res) => {
+  try {
+    const submission = await KycService.submit(req.user, req.body, req.files);
+
+    res.status(201).json({
+      success: true,
+      message: 'KYC documents submitted for review',
+      data: {
+        submissionId: submission._id,
+        status: submission.status,
+        documents: submission.documents.map(({ category, documentType }) => ({ category, documentType }))
+      }
+    });
+  } catch (error) {
+    logger.error('Submit KYC error:', error);
+    throw error;
+  }
+}));
+
+module.exports = router;
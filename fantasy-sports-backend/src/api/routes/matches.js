@@ -1,8 +1,10 @@
 const express = require('express');
 const Match = require('../../models/Match');
-const { authenticateToken, optionalAuth } = require('../../middleware/auth');
+const { authenticateToken, authenticateAdmin, optionalAuth } = require('../../middleware/auth');
+const { validateRequest, matchEventSchemas } = require('../../middleware/validation');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { cache } = require('../../services/redis');
+const MatchEventService = require('../../services/matchEventService');
 const logger = require('../../services/logger');
 
 const router = express.Router();
@@ -203,9 +205,8 @@ router.get('/:id/contests', optionalAuth, asyncHandler(async (req, res) => {
     // Import Contest model here to avoid circular dependency
     const Contest = require('../../models/Contest');
     
-    // Build filter
-    const filter = { matchId: id, isActive: true, isVisible: true };
-    if (contestType) filter.contestType = contestType;
+    // Build filter; private contests never appear in the lobby
+    const filter = Contest.lobbyFilter({ matchId: id, contestType });
     if (entryFee) filter.entryFee = { $lte: parseInt(entryFee) };
 
     // Calculate pagination
@@ -349,6 +350,84 @@ router.get('/:id/scorecard', optionalAuth, asyncHandler(async (req, res) => {
   }
 }));
 
+// @route   GET /api/matches/:id/events
+// @desc    Get ball-by-ball / live events for a match
+// @access  Public
+router.get('/:id/events', optionalAuth, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { since = 0, limit = 100 } = req.query;
+
+  try {
+    const match = await Match.findById(id);
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    // Non-numeric or out-of-range values fall back to the defaults
+    const matchEvents = await MatchEventService.getEvents(
+      match._id,
+      Math.max(parseInt(since) || 0, 0),
+      Math.min(Math.max(parseInt(limit) || 100, 1), 500)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        matchId: match._id,
+        lastSequence: match.lastEventSequence,
+        events: matchEvents.map(event => event.getSummary())
+      }
+    });
+  } catch (error) {
+    logger.error(`Get events for match ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/matches/:id/events
+// @desc    Ingest live match events and update fantasy points
+// @access  Private (Admin/Moderator)
+router.post('/:id/events', authenticateAdmin, validateRequest(matchEventSchemas.ingest), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { events: eventList } = req.body;
+
+  try {
+    const match = await Match.findById(id);
+    
+    if (!match) {
+      return res.status(404).json({
+        success: false,
+        message: 'Match not found'
+      });
+    }
+
+    if (['completed', 'cancelled'].includes(match.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Match is not accepting events'
+      });
+    }
+
+    const result = await MatchEventService.ingestEvents(match._id, eventList, 'admin');
+
+    // Clear related caches
+    await cache.del(`match:${id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Events ingested successfully',
+      data: result
+    });
+  } catch (error) {
+    logger.error(`Ingest events for match ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/matches/:id/highlights
 // @desc    Get match highlights
 // @access  Public
@@ -0,0 +1,33 @@
+const express = require('express');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const PaymentService = require('../../services/paymentService');
+const logger = require('../../services/logger');
+
+const router = express.Router();
+
+// @route   POST /api/payments/webhook/:gateway
+// @desc    Receive a signed payment gateway webhook
+// @access  Public (signature verified)
+// Mounted before the JSON body parser: signatures are computed over the raw body
+router.post('/webhook/:gateway', express.raw({ type: '*/*', limit: '1mb' }), asyncHandler(async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+
+  try {
+    const { handled } = await PaymentService.handleWebhook(req.params.gateway, rawBody, req.headers);
+
+    res.json({
+      success: true,
+      message: handled ? 'Webhook processed' : 'Webhook ignored'
+    });
+  } catch (error) {
+    // Webhooks rejected for a bad signature or payload are expected; only failures are errors
+    if (error.statusCode) {
+      logger.warn(`Rejected ${req.params.gateway} webhook: ${error.message}`);
+    } else {
+      logger.error(`${req.params.gateway} webhook error:`, error);
+    }
+    throw error;
+  }
+}));
+
+module.exports = router;
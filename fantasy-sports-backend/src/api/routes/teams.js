@@ -1,4 +1,5 @@
 const express = require('express');
+const ContestEntry = require('../../models/ContestEntry');
 const FantasyTeam = require('../../models/FantasyTeam');
 const Match = require('../../models/Match');
 const Player = require('../../models/Player');
@@ -132,38 +133,35 @@ router.post('/', authenticateToken, validateRequest(teamSchemas.create), asyncHa
       });
     }
 
-    // Check if user already has a team for this match
-    const existingTeam = await FantasyTeam.findOne({
-      userId: req.user._id,
-      matchId
-    });
+    // Users may build several teams per match, e.g. for multi-entry contests
+    const maxTeams = parseInt(process.env.MAX_TEAMS_PER_MATCH) || 6;
 
-    if (existingTeam) {
+    // Create team
+    let team;
+    try {
+      team = await FantasyTeam.createWithinLimit({
+        name,
+        userId: req.user._id,
+        matchId,
+        sport: match.sport,
+        players: validPlayers.map(player => ({
+          playerId: player._id,
+          name: player.name,
+          role: player.role,
+          team: player.team.name,
+          price: player.price
+        })),
+        captain,
+        viceCaptain
+      }, maxTeams);
+    } catch (error) {
+      if (error.message !== 'Maximum teams reached for this match') throw error;
       return res.status(400).json({
         success: false,
-        message: 'You already have a team for this match'
+        message: `You can create up to ${maxTeams} teams for this match`
       });
     }
 
-    // Create team
-    const team = new FantasyTeam({
-      name,
-      userId: req.user._id,
-      matchId,
-      sport: match.sport,
-      players: validPlayers.map(player => ({
-        playerId: player._id,
-        name: player.name,
-        role: player.role,
-        team: player.team.name,
-        price: player.price
-      })),
-      captain,
-      viceCaptain
-    });
-
-    await team.save();
-
     // Clear related caches
     await cache.del(`teams:${req.user._id}:${matchId}`);
 
@@ -321,6 +319,14 @@ router.delete('/:id', authenticateToken, asyncHandler(async (req, res) => {
       });
     }
 
+    // Each contest entry keeps its own team, so entered teams stay
+    if (await ContestEntry.exists({ teamId: team._id })) {
+      return res.status(400).json({
+        success: false,
+        message: 'Team is entered in a contest; withdraw the entry first'
+      });
+    }
+
     await FantasyTeam.findByIdAndDelete(id);
 
     // Clear related caches
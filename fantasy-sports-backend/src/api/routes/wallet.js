@@ -1,9 +1,26 @@
 const express = require('express');
 const User = require('../../models/User');
 const Transaction = require('../../models/Transaction');
+const Beneficiary = require('../../models/Beneficiary');
 const { authenticateToken } = require('../../middleware/auth');
 const { validateRequest, walletSchemas } = require('../../middleware/validation');
+const { idempotency } = require('../../middleware/idempotency');
 const { asyncHandler } = require('../../middleware/errorHandler');
+const LedgerService = require('../../services/ledgerService');
+const PaymentService = require('../../services/paymentService');
+const KycService = require('../../services/kycService');
+const BeneficiaryService = require('../../services/beneficiaryService');
+const PayoutService = require('../../services/payoutService');
+const TaxService = require('../../services/taxService');
+const StatementService = require('../../services/statementService');
+const WalletLimitService = require('../../services/walletLimitService');
+const ResponsibleGamingService = require('../../services/responsibleGamingService');
+const {
+  WITHDRAWABLE_BALANCES,
+  TRANSFER_SPEND_ORDER,
+  invertSplit,
+  getWithdrawableBalance
+} = require('../../services/walletBalances');
 const { events } = require('../../services/websocket');
 const logger = require('../../services/logger');
 
@@ -20,6 +37,10 @@ router.get('/balance', authenticateToken, asyncHandler(async (req, res) => {
       success: true,
       data: {
         balance: user.wallet.balance,
+        deposit: user.wallet.deposit,
+        winnings: user.wallet.winnings,
+        bonus: user.wallet.bonus,
+        withdrawable: getWithdrawableBalance(user.wallet),
         totalDeposited: user.wallet.totalDeposited,
         totalWithdrawn: user.wallet.totalWithdrawn,
         totalWon: user.wallet.totalWon,
@@ -76,96 +97,213 @@ router.get('/transactions', authenticateToken, asyncHandler(async (req, res) =>
   }
 }));
 
+// @route   GET /api/wallet/statement
+// @desc    Download an account statement (?from&to as dates, format=csv|pdf)
+// @access  Private
+router.get('/statement', authenticateToken, asyncHandler(async (req, res) => {
+  const { from, to, format = 'csv' } = req.query;
+
+  if (!['csv', 'pdf'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be csv or pdf'
+    });
+  }
+
+  try {
+    const statement = await StatementService.getStatement(req.user, { from, to });
+    res.attachment(StatementService.getFileName(statement, format));
+    if (format === 'pdf') {
+      res.type('application/pdf');
+      return res.send(StatementService.toPdf(statement));
+    }
+
+    res.type('text/csv');
+    res.send(StatementService.toCsv(statement));
+  } catch (error) {
+    logger.error('Get statement error:', error);
+    throw error;
+  }
+}));
+
+// @route   GET /api/wallet/tax-statement
+// @desc    Get the tax statement for a financial year (?year=2026 for FY 2026-27, format=json|csv)
+// @access  Private
+router.get('/tax-statement', authenticateToken, asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  const year = req.query.year ? parseInt(req.query.year) : TaxService.getFinancialYearOf().startYear;
+
+  if (Number.isNaN(year) || year < 2000 || !['json', 'csv'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'year must be the year the financial year starts in and format must be json or csv'
+    });
+  }
+
+  try {
+    const statement = await TaxService.getStatement(req.user, year);
+
+    if (format === 'csv') {
+      res.attachment(`tax-statement-FY${statement.financialYear}.csv`);
+      res.type('text/csv');
+      return res.send(TaxService.statementToCsv(statement));
+    }
+
+    res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    logger.error('Get tax statement error:', error);
+    throw error;
+  }
+}));
+
 // @route   POST /api/wallet/deposit
-// @desc    Deposit money to wallet
+// @desc    Start a deposit; the wallet is credited once the gateway confirms payment
 // @access  Private
-router.post('/deposit', authenticateToken, validateRequest(walletSchemas.deposit), asyncHandler(async (req, res) => {
+router.post('/deposit', authenticateToken, idempotency, validateRequest(walletSchemas.deposit), asyncHandler(async (req, res) => {
   const { amount, paymentMethod, upiId } = req.body;
 
   try {
-    // Validate amount
-    if (amount < 10 || amount > 100000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Amount must be between ₹10 and ₹1,00,000'
-      });
-    }
+    // The user's own limits and breaks come before the platform's
+    await ResponsibleGamingService.assertWithinLimits(req.user, 'deposit', amount);
+    await WalletLimitService.assertWithinLimits(req.user._id, 'deposit', amount);
 
-    // Create transaction record
-    const transaction = await Transaction.createDeposit(
-      req.user._id,
+    const { transaction, order } = await PaymentService.createDeposit(req.user, {
       amount,
       paymentMethod,
-      'razorpay' // Default to Razorpay for now
-    );
+      upiId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
-    // Set metadata
-    if (upiId) {
-      transaction.metadata.upiId = upiId;
-    }
-    transaction.metadata.ipAddress = req.ip;
-    transaction.metadata.userAgent = req.get('User-Agent');
+    res.status(201).json({
+      success: true,
+      message: 'Deposit initiated. Complete the payment to credit your wallet.',
+      data: {
+        transactionId: transaction.reference,
+        status: transaction.status,
+        amount,
+        gateway: transaction.paymentGateway,
+        order
+      }
+    });
+  } catch (error) {
+    logger.error('Deposit error:', error);
+    throw error;
+  }
+}));
 
-    await transaction.save();
+// @route   POST /api/wallet/deposit/:reference/verify
+// @desc    Confirm a deposit payment with the gateway and credit the wallet
+// @access  Private
+router.post('/deposit/:reference/verify', authenticateToken, validateRequest(walletSchemas.verifyDeposit), asyncHandler(async (req, res) => {
+  const { paymentId, signature } = req.body;
 
-    // TODO: Integrate with actual payment gateway (Razorpay/Stripe)
-    // For now, we'll simulate a successful payment
-    const paymentResult = {
+  try {
+    const { transaction, user } = await PaymentService.confirmDeposit(req.user._id, req.params.reference, {
+      paymentId,
+      signature
+    });
+
+    const completed = transaction.status === 'completed';
+
+    res.json({
       success: true,
-      transactionId: `PAY_${Date.now()}`,
-      amount: amount,
-      status: 'success'
-    };
+      message: completed ? 'Deposit successful' : 'Payment is being processed',
+      data: {
+        transactionId: transaction.reference,
+        status: transaction.status,
+        amount: transaction.amount,
+        newBalance: user ? user.wallet.balance : transaction.balanceAfter
+      }
+    });
+  } catch (error) {
+    logger.error(`Verify deposit ${req.params.reference} error:`, error);
+    throw error;
+  }
+}));
 
-    if (paymentResult.success) {
-      // Update transaction status
-      transaction.status = 'completed';
-      transaction.externalReference = paymentResult.transactionId;
-      transaction.processedAt = new Date();
-      await transaction.save();
-
-      // Update user wallet
-      const user = await User.findById(req.user._id);
-      transaction.balanceBefore = user.wallet.balance;
-      user.wallet.balance += amount;
-      user.wallet.totalDeposited += amount;
-      transaction.balanceAfter = user.wallet.balance;
-      await user.save();
-      await transaction.save();
-
-      // Emit wallet update event
-      events.walletUpdate(req.user._id, {
-        type: 'deposit',
-        amount,
-        newBalance: user.wallet.balance,
-        transactionId: transaction.reference
-      });
+// @route   GET /api/wallet/beneficiaries
+// @desc    Get the user's saved bank accounts
+// @access  Private
+router.get('/beneficiaries', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const beneficiaries = await BeneficiaryService.list(req.user._id);
+
+    res.json({
+      success: true,
+      data: beneficiaries.map(beneficiary => beneficiary.getSummary())
+    });
+  } catch (error) {
+    logger.error('Get beneficiaries error:', error);
+    throw error;
+  }
+}));
 
-      // Log successful deposit
-      logger.info(`User ${req.user.username} deposited ₹${amount} to wallet`);
+// @route   POST /api/wallet/beneficiaries
+// @desc    Save a bank account and verify it with a penny drop
+// @access  Private
+router.post('/beneficiaries', authenticateToken, validateRequest(walletSchemas.addBeneficiary), asyncHandler(async (req, res) => {
+  try {
+    const beneficiary = await BeneficiaryService.add(req.user, req.body);
 
-      res.json({
-        success: true,
-        message: 'Deposit successful',
-        data: {
-          transactionId: transaction.reference,
-          amount,
-          newBalance: user.wallet.balance
-        }
-      });
-    } else {
-      // Payment failed
-      transaction.status = 'failed';
-      transaction.failureReason = 'Payment gateway error';
-      await transaction.save();
+    res.status(201).json({
+      success: true,
+      message: beneficiary.status === 'verified'
+        ? 'Bank account verified'
+        : beneficiary.status === 'pending'
+          ? 'Bank account saved and awaiting verification'
+          : 'Bank account could not be verified',
+      data: beneficiary.getSummary()
+    });
+  } catch (error) {
+    logger.error('Add beneficiary error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/wallet/beneficiaries/:id/verify
+// @desc    Retry verification of a saved bank account
+// @access  Private
+router.post('/beneficiaries/:id/verify', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const beneficiary = await Beneficiary.findOne({ _id: req.params.id, userId: req.user._id, isActive: true });
 
-      res.status(400).json({
+    if (!beneficiary) {
+      return res.status(404).json({
         success: false,
-        message: 'Payment failed. Please try again.'
+        message: 'Beneficiary not found'
       });
     }
+
+    const verified = await BeneficiaryService.verify(beneficiary, req.user);
+
+    res.json({
+      success: true,
+      message: `Bank account verification ${verified.status}`,
+      data: verified.getSummary()
+    });
   } catch (error) {
-    logger.error('Deposit error:', error);
+    logger.error(`Verify beneficiary ${req.params.id} error:`, error);
+    throw error;
+  }
+}));
+
+// @route   DELETE /api/wallet/beneficiaries/:id
+// @desc    Remove a saved bank account
+// @access  Private
+router.delete('/beneficiaries/:id', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    await BeneficiaryService.remove(req.user._id, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Bank account removed'
+    });
+  } catch (error) {
+    logger.error(`Remove beneficiary ${req.params.id} error:`, error);
     throw error;
   }
 }));
@@ -173,62 +311,74 @@ router.post('/deposit', authenticateToken, validateRequest(walletSchemas.deposit
 // @route   POST /api/wallet/withdraw
 // @desc    Withdraw money from wallet
 // @access  Private
-router.post('/withdraw', authenticateToken, validateRequest(walletSchemas.withdraw), asyncHandler(async (req, res) => {
-  const { amount, bankDetails } = req.body;
+router.post('/withdraw', authenticateToken, idempotency, validateRequest(walletSchemas.withdraw), asyncHandler(async (req, res) => {
+  const { amount, beneficiaryId } = req.body;
 
   try {
-    // Validate amount
-    if (amount < 100 || amount > 50000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Withdrawal amount must be between ₹100 and ₹50,000'
-      });
-    }
+    await WalletLimitService.assertWithinLimits(req.user._id, 'withdrawal', amount);
 
-    // Check user balance
-    const user = await User.findById(req.user._id);
-    if (user.wallet.balance < amount) {
-      return res.status(400).json({
+    // Larger withdrawals need verified identity
+    if (KycService.requiresKyc(req.user, amount)) {
+      const limits = KycService.getWithdrawalLimits();
+      return res.status(403).json({
         success: false,
-        message: 'Insufficient balance'
+        message: `KYC verification is required for withdrawals above ₹${limits.perWithdrawal} or more than ₹${limits.total} in total`,
+        data: {
+          kycStatus: req.user.kyc?.status || 'not_submitted',
+          withdrawalLimits: limits
+        }
       });
     }
 
-    // Check minimum withdrawal
-    if (amount < 100) {
-      return res.status(400).json({
-        success: false,
-        message: 'Minimum withdrawal amount is ₹100'
-      });
-    }
+    const beneficiary = await BeneficiaryService.getForWithdrawal(req.user._id, beneficiaryId);
+
+    // Tax deducted at source comes out of the requested amount
+    const tds = await TaxService.computeWithdrawalTds(req.user._id, amount);
+    const payout = Math.round((amount - (tds?.amount || 0)) * 100) / 100;
 
     // Create withdrawal transaction
     const transaction = new Transaction({
       userId: req.user._id,
       type: 'withdrawal',
-      amount: -amount,
+      amount: -payout,
       status: 'pending',
-      description: 'Withdrawal request',
+      description: `Withdrawal to ${beneficiary.maskedAccountNumber} (${beneficiary.ifscCode})`,
       reference: Transaction.generateReference(),
       paymentMethod: 'bank_transfer',
       paymentGateway: 'internal',
       metadata: {
-        bankDetails,
+        beneficiaryId: beneficiary._id,
         ipAddress: req.ip,
         userAgent: req.get('User-Agent')
       },
-      netAmount: -amount,
-      balanceBefore: user.wallet.balance,
-      balanceAfter: user.wallet.balance - amount,
+      netAmount: -payout,
+      balanceBefore: 0,
+      balanceAfter: 0,
       isReversible: true
     });
 
-    await transaction.save();
+    // Deduct from winnings, the only withdrawable balance, until it is paid out
+    let user = await LedgerService.debit(transaction, {
+      amount: payout,
+      account: 'platform_gateway',
+      order: WITHDRAWABLE_BALANCES,
+      inc: { 'wallet.totalWithdrawn': payout }
+    });
+
+    if (user && tds) {
+      user = await TaxService.withholdOnWithdrawal(transaction, tds);
+      if (!user) {
+        // The winnings changed underneath us; give the payout part back
+        await PayoutService.failWithdrawal(transaction, 'Insufficient withdrawable balance for TDS');
+      }
+    }
 
-    // Deduct amount from wallet
-    user.wallet.balance -= amount;
-    user.wallet.totalWithdrawn += amount;
-    await user.save();
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient withdrawable balance. Only winnings can be withdrawn.'
+      });
+    }
 
     // Emit wallet update event
     events.walletUpdate(req.user._id, {
@@ -247,7 +397,10 @@ router.post('/withdraw', authenticateToken, validateRequest(walletSchemas.withdr
       data: {
         transactionId: transaction.reference,
         amount,
+        payoutAmount: payout,
+        tds: tds ? { amount: tds.amount, ...tds.tax } : null,
         newBalance: user.wallet.balance,
+        beneficiary: beneficiary.getSummary(),
         status: 'pending'
       }
     });
@@ -260,7 +413,7 @@ router.post('/withdraw', authenticateToken, validateRequest(walletSchemas.withdr
 // @route   POST /api/wallet/transfer
 // @desc    Transfer money to another user
 // @access  Private
-router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
+router.post('/transfer', authenticateToken, idempotency, asyncHandler(async (req, res) => {
   const { recipientUsername, amount, note } = req.body;
 
   if (!recipientUsername || !amount) {
@@ -270,13 +423,6 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
     });
   }
 
-  if (amount < 10 || amount > 10000) {
-    return res.status(400).json({
-      success: false,
-      message: 'Transfer amount must be between ₹10 and ₹10,000'
-    });
-  }
-
   try {
     // Check if user is trying to transfer to themselves
     if (recipientUsername === req.user.username) {
@@ -286,6 +432,9 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
       });
     }
 
+    ResponsibleGamingService.assertCanPlay(req.user);
+    await WalletLimitService.assertWithinLimits(req.user._id, 'transfer', amount);
+
     // Find recipient
     const recipient = await User.findOne({ username: recipientUsername });
     if (!recipient) {
@@ -295,15 +444,6 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
       });
     }
 
-    // Check sender balance
-    const sender = await User.findById(req.user._id);
-    if (sender.wallet.balance < amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Insufficient balance'
-      });
-    }
-
     // Create transfer transaction for sender
     const senderTransaction = new Transaction({
       userId: req.user._id,
@@ -322,8 +462,8 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
         userAgent: req.get('User-Agent')
       },
       netAmount: -amount,
-      balanceBefore: sender.wallet.balance,
-      balanceAfter: sender.wallet.balance - amount,
+      balanceBefore: 0,
+      balanceAfter: 0,
       processedAt: new Date()
     });
 
@@ -345,22 +485,42 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
         userAgent: req.get('User-Agent')
       },
       netAmount: amount,
-      balanceBefore: recipient.wallet.balance,
-      balanceAfter: recipient.wallet.balance + amount,
+      balanceBefore: 0,
+      balanceAfter: 0,
       processedAt: new Date()
     });
 
-    // Update balances
-    sender.wallet.balance -= amount;
-    recipient.wallet.balance += amount;
+    // Debit the sender, then credit the recipient, both through the transfer clearing account
+    const sender = await LedgerService.debit(senderTransaction, {
+      amount,
+      account: 'platform_transfers',
+      order: TRANSFER_SPEND_ORDER
+    });
 
-    // Save all changes
-    await Promise.all([
-      senderTransaction.save(),
-      recipientTransaction.save(),
-      sender.save(),
-      recipient.save()
-    ]);
+    if (!sender) {
+      return res.status(400).json({
+        success: false,
+        message: 'Insufficient balance'
+      });
+    }
+
+    let updatedRecipient;
+    try {
+      updatedRecipient = await LedgerService.credit(recipientTransaction, {
+        amount,
+        account: 'platform_transfers'
+      });
+    } catch (error) {
+      // Return the money to the sender with a visible reversal
+      const reversal = Transaction.createRefund(req.user._id, amount);
+      reversal.description = `Reversal of transfer to ${recipientUsername}`;
+      reversal.metadata.originalTransactionId = senderTransaction._id;
+      await LedgerService.moveFunds(reversal, {
+        split: invertSplit(senderTransaction.balanceSplit),
+        account: 'platform_transfers'
+      });
+      throw error;
+    }
 
     // Emit wallet update events
     events.walletUpdate(req.user._id, {
@@ -374,7 +534,7 @@ router.post('/transfer', authenticateToken, asyncHandler(async (req, res) => {
     events.walletUpdate(recipient._id, {
       type: 'transfer_received',
       amount,
-      newBalance: recipient.wallet.balance,
+      newBalance: updatedRecipient.wallet.balance,
       sender: req.user.username,
       transactionId: recipientTransaction.reference
     });
@@ -568,28 +728,85 @@ router.post('/request-refund', authenticateToken, asyncHandler(async (req, res)
   }
 }));
 
+// @route   GET /api/wallet/responsible-gaming
+// @desc    Get the user's own deposit and spend limits, pending changes and breaks
+// @access  Private
+router.get('/responsible-gaming', authenticateToken, asyncHandler(async (req, res) => {
+  try {
+    const settings = await ResponsibleGamingService.getSettings(req.user);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Get responsible gaming settings error:', error);
+    throw error;
+  }
+}));
+
+// @route   PUT /api/wallet/responsible-gaming/limits
+// @desc    Set deposit and spend limits; increases and removals apply after a delay
+// @access  Private
+router.put('/responsible-gaming/limits', authenticateToken, validateRequest(walletSchemas.responsibleGamingLimits), asyncHandler(async (req, res) => {
+  try {
+    const settings = await ResponsibleGamingService.setLimits(req.user, req.body);
+
+    res.json({
+      success: true,
+      message: settings.pendingChanges.length > 0
+        ? 'Limits updated. Increases and removals take effect after the waiting period.'
+        : 'Limits updated',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Set responsible gaming limits error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/wallet/responsible-gaming/cool-off
+// @desc    Take a break from deposits, transfers and contests for a number of days
+// @access  Private
+router.post('/responsible-gaming/cool-off', authenticateToken, validateRequest(walletSchemas.coolOff), asyncHandler(async (req, res) => {
+  try {
+    const settings = await ResponsibleGamingService.startCoolOff(req.user, req.body.days);
+
+    res.json({
+      success: true,
+      message: 'Your break has started',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Start cool-off error:', error);
+    throw error;
+  }
+}));
+
+// @route   POST /api/wallet/responsible-gaming/self-exclusion
+// @desc    Exclude yourself for a number of months or permanently
+// @access  Private
+router.post('/responsible-gaming/self-exclusion', authenticateToken, validateRequest(walletSchemas.selfExclusion), asyncHandler(async (req, res) => {
+  try {
+    const settings = await ResponsibleGamingService.selfExclude(req.user, req.body);
+
+    res.json({
+      success: true,
+      message: 'Self-exclusion is in effect',
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Self-exclusion error:', error);
+    throw error;
+  }
+}));
+
 // @route   GET /api/wallet/limits
-// @desc    Get wallet transaction limits
+// @desc    Get wallet transaction limits with what is left of each 24-hour cap
 // @access  Private
 router.get('/limits', authenticateToken, asyncHandler(async (req, res) => {
   try {
-    const limits = {
-      deposit: {
-        min: 10,
-        max: 100000,
-        daily: 500000
-      },
-      withdrawal: {
-        min: 100,
-        max: 50000,
-        daily: 100000
-      },
-      transfer: {
-        min: 10,
-        max: 10000,
-        daily: 50000
-      }
-    };
+    const limits = await WalletLimitService.getHeadroom(req.user._id);
 
     res.json({
       success: true,
@@ -1,20 +1,17 @@
 const logger = require('../services/logger');
 
+// Errors carrying a statusCode are reported to the client as-is, with their data if any
+const createError = (message, statusCode = 400, data) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (data) error.data = data;
+  return error;
+};
+
 const errorHandler = (err, req, res, next) => {
   let error = { ...err };
   error.message = err.message;
 
-  // Log error
-  logger.error({
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    userId: req.user?.id
-  });
-
   // Mongoose bad ObjectId
   if (err.name === 'CastError') {
     const message = 'Resource not found';
@@ -66,10 +63,22 @@ const errorHandler = (err, req, res, next) => {
   const statusCode = error.statusCode || err.statusCode || 500;
   const message = error.message || err.message || 'Server Error';
 
+  // Log error; client errors are expected and only warned about
+  logger.log(statusCode >= 500 ? 'error' : 'warn', {
+    message: err.message,
+    stack: err.stack,
+    url: req.url,
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    userId: req.user?.id
+  });
+
   // Don't leak error details in production
   const response = {
     success: false,
     message,
+    ...(error.data && { data: error.data }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   };
 
@@ -89,6 +98,7 @@ const notFound = (req, res, next) => {
 };
 
 module.exports = {
+  createError,
   errorHandler,
   asyncHandler,
   notFound
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { cache } = require('../services/redis');
+const logger = require('../services/logger');
+
+// How long a completed response is replayed for a repeated key
+const IDEMPOTENCY_KEY_TTL = parseInt(process.env.IDEMPOTENCY_KEY_TTL_SECONDS) || 24 * 60 * 60;
+
+// How long a key stays locked while its first request runs, in case that request never finishes
+const IDEMPOTENCY_LOCK_TTL = 5 * 60;
+
+const MAX_KEY_LENGTH = 255;
+
+// Fingerprint of what the request asks for, so a key cannot be reused for something else
+const fingerprintRequest = (req) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body || {}]))
+  .digest('hex');
+
+// Honour an Idempotency-Key header per user: the first request runs and its response is
+// stored in Redis; repeats with the same key get that response back instead of running
+// again. Must come after authenticateToken. Requests without the header run as usual.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`
+    });
+  }
+
+  try {
+    const cacheKey = `idempotency:${req.user._id}:${key}`;
+    const fingerprint = fingerprintRequest(req);
+
+    const claimed = await cache.setNX(cacheKey, { status: 'processing', fingerprint }, IDEMPOTENCY_LOCK_TTL);
+
+    // Redis is down; the money routes are still safe against overdraw, so do not block them
+    if (claimed === null) {
+      logger.warn(`Idempotency-Key ignored for ${req.originalUrl}: Redis unavailable`);
+      return next();
+    }
+
+    if (!claimed) {
+      const stored = await cache.get(cacheKey);
+
+      if (stored && stored.fingerprint !== fingerprint) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used for a different request'
+        });
+      }
+
+      if (!stored || stored.status === 'processing') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.statusCode).json(stored.body);
+    }
+
+    // Store the response before sending it, so a retry never sees the key still processing
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const statusCode = res.statusCode;
+
+      // Server errors are not final; free the key so the client can retry
+      const store = statusCode >= 500
+        ? cache.del(cacheKey)
+        : cache.set(cacheKey, { status: 'completed', fingerprint, statusCode, body }, IDEMPOTENCY_KEY_TTL);
+
+      store.finally(() => json(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  idempotency,
+  fingerprintRequest
+};
@@ -0,0 +1,47 @@
+const multer = require('multer');
+
+const KYC_MIME_TYPES = ['image/jpeg', 'image/png', 'application/pdf'];
+
+// KYC documents are held in memory until the submission is validated, then written
+// under uploads/kyc by KycService, so rejected requests leave nothing on disk
+const kycUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+    files: 2
+  },
+  fileFilter: (req, file, cb) => {
+    if (!KYC_MIME_TYPES.includes(file.mimetype)) {
+      const error = new Error('KYC documents must be JPEG, PNG or PDF files');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).fields([
+  { name: 'identityDocument', maxCount: 1 },
+  { name: 'bankProof', maxCount: 1 }
+]);
+
+// Bank payout response files are small CSVs parsed straight from memory
+const payoutResponseUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!/\.csv$/i.test(file.originalname)) {
+      const error = new Error('Payout response must be a CSV file');
+      error.statusCode = 400;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('file');
+
+module.exports = {
+  kycUpload,
+  payoutResponseUpload,
+  KYC_MIME_TYPES
+};
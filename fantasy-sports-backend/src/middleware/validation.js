@@ -108,6 +108,20 @@ const authSchemas = {
   })
 };
 
+// A prize tier covers a rank range (rankFrom..rankTo) or a single rank
+const prizeTierSchema = Joi.object({
+  rankFrom: Joi.number().integer().min(1),
+  rankTo: Joi.number().integer().min(Joi.ref('rankFrom')),
+  rank: Joi.number().integer().min(1),
+  prize: Joi.number().min(0).required(),
+  percentage: Joi.number().min(0).max(100)
+})
+  .xor('rank', 'rankFrom')
+  .with('rankTo', 'rankFrom');
+
+// Contest templates are newer than the legacy single-rank tiers and take rank ranges only
+const templatePrizeTierSchema = prizeTierSchema.keys({ rank: Joi.forbidden() });
+
 const contestSchemas = {
   create: Joi.object({
     name: Joi.string()
@@ -140,13 +154,45 @@ const contestSchemas = {
       .less(Joi.ref('startTime'))
       .required(),
     prizeDistribution: Joi.array()
+      .items(prizeTierSchema)
+      .min(1)
+      .required(),
+    entryType: Joi.string()
+      .valid('single', 'multiple'),
+    maxEntriesPerUser: Joi.number()
+      .integer()
+      .min(1),
+    // Entries needed for a non-guaranteed contest to run; defaults to 2
+    minEntries: Joi.number()
+      .integer()
+      .min(2)
+      .max(Joi.ref('totalSpots')),
+    guaranteedPrize: Joi.boolean()
+  }),
+
+  // Contests users create for their friends; the service checks the platform limits
+  createPrivate: Joi.object({
+    name: Joi.string()
+      .min(3)
+      .max(100)
+      .required(),
+    matchId: Joi.string()
+      .required(),
+    entryFee: Joi.number()
+      .min(0)
+      .required(),
+    totalSpots: Joi.number()
+      .integer()
+      .min(2)
+      .required(),
+    // Percentage of the prize pool each rank in the tier wins
+    prizeSplit: Joi.array()
       .items(Joi.object({
-        rank: Joi.number().required(),
-        prize: Joi.number().required(),
-        percentage: Joi.number().required()
+        rankFrom: Joi.number().integer().min(1).required(),
+        rankTo: Joi.number().integer().min(Joi.ref('rankFrom')),
+        percentage: Joi.number().greater(0).max(100).required()
       }))
       .min(1)
-      .required()
   }),
 
   update: Joi.object({
@@ -156,8 +202,45 @@ const contestSchemas = {
     entryFee: Joi.number().min(0),
     totalSpots: Joi.number().min(2).max(100000),
     prizePool: Joi.number().min(0),
+    prizeDistribution: Joi.array().items(prizeTierSchema).min(1),
+    entryType: Joi.string().valid('single', 'multiple'),
+    maxEntriesPerUser: Joi.number().integer().min(1),
+    minEntries: Joi.number().integer().min(2),
+    guaranteedPrize: Joi.boolean(),
     isActive: Joi.boolean(),
-    isVisible: Joi.boolean()
+    isVisible: Joi.boolean(),
+    // Switched off to stop a templated contest opening further copies
+    autoReplicate: Joi.boolean()
+  })
+};
+
+const headToHeadSchemas = {
+  // The service checks the fee against the configured tiers
+  queue: Joi.object({
+    matchId: Joi.string()
+      .required(),
+    teamId: Joi.string()
+      .required(),
+    entryFee: Joi.number()
+      .positive()
+      .required()
+  }),
+
+  challenge: Joi.object({
+    matchId: Joi.string()
+      .required(),
+    teamId: Joi.string()
+      .required(),
+    entryFee: Joi.number()
+      .positive()
+      .required(),
+    opponent: Joi.string()
+      .required()
+  }),
+
+  accept: Joi.object({
+    teamId: Joi.string()
+      .required()
   })
 };
 
@@ -187,11 +270,18 @@ const teamSchemas = {
   })
 };
 
+// A user's own limit for each rolling period; null removes it
+const gamingLimitSchema = Joi.object({
+  daily: Joi.number().positive().allow(null),
+  weekly: Joi.number().positive().allow(null),
+  monthly: Joi.number().positive().allow(null)
+}).min(1);
+
 const walletSchemas = {
   deposit: Joi.object({
+    // Minimum, maximum and daily caps are enforced by WalletLimitService
     amount: Joi.number()
-      .min(10)
-      .max(100000)
+      .positive()
       .required(),
     paymentMethod: Joi.string()
       .valid('upi', 'card', 'netbanking', 'wallet')
@@ -203,19 +293,125 @@ const walletSchemas = {
     })
   }),
 
+  responsibleGamingLimits: Joi.object({
+    deposit: gamingLimitSchema,
+    spend: gamingLimitSchema
+  }).or('deposit', 'spend'),
+
+  coolOff: Joi.object({
+    days: Joi.number().integer().min(1).max(42).required()
+  }),
+
+  selfExclusion: Joi.object({
+    months: Joi.number().integer().min(6).max(60),
+    permanent: Joi.boolean().valid(true)
+  }).xor('months', 'permanent'),
+
+  verifyDeposit: Joi.object({
+    paymentId: Joi.string().required(),
+    signature: Joi.string()
+  }),
+
   withdraw: Joi.object({
     amount: Joi.number()
-      .min(100)
-      .max(50000)
+      .positive()
       .required(),
-    bankDetails: Joi.object({
-      accountNumber: Joi.string().required(),
-      ifscCode: Joi.string().required(),
-      accountHolderName: Joi.string().required()
-    }).required()
+    beneficiaryId: Joi.string()
+      .hex()
+      .length(24)
+      .required()
+  }),
+
+  addBeneficiary: Joi.object({
+    accountHolderName: Joi.string()
+      .min(2)
+      .max(100)
+      .required(),
+    accountNumber: Joi.string()
+      .pattern(/^[0-9]{9,18}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Account number must be 9 to 18 digits'
+      }),
+    ifscCode: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{4}0[A-Z0-9]{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'IFSC must be 4 letters, a zero and 6 letters or digits'
+      }),
+    nickname: Joi.string()
+      .max(50)
+  })
+};
+
+const kycSchemas = {
+  submit: Joi.object({
+    fullName: Joi.string()
+      .min(2)
+      .max(100)
+      .required(),
+    panNumber: Joi.string()
+      .uppercase()
+      .pattern(/^[A-Z]{5}[0-9]{4}[A-Z]$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'PAN must be in the format ABCDE1234F'
+      }),
+    identityType: Joi.string()
+      .valid('pan', 'aadhaar', 'passport', 'voter_id', 'driving_license')
+      .required(),
+    bankProofType: Joi.string()
+      .valid('cancelled_cheque', 'bank_statement', 'passbook')
+      .required()
+  }),
+
+  reject: Joi.object({
+    reason: Joi.string()
+      .min(3)
+      .max(500)
+      .required()
   })
 };
 
+const matchEventSchemas = {
+  ingest: Joi.object({
+    events: Joi.array()
+      .items(Joi.object({
+        externalId: Joi.string(),
+        type: Joi.string()
+          .valid(
+            'delivery', 'wicket', 'catch', 'stumping', 'run_out', 'maiden',
+            'goal', 'assist', 'clean_sheet', 'yellow_card', 'red_card'
+          )
+          .required(),
+        playerId: Joi.string().hex().length(24),
+        team: Joi.string().valid('team1', 'team2'),
+        data: Joi.object({
+          runs: Joi.number().min(0),
+          extras: Joi.number().min(0),
+          isBoundary: Joi.boolean(),
+          over: Joi.number().min(0),
+          ball: Joi.number().min(0).max(9),
+          minute: Joi.number().min(0),
+          dismissal: Joi.string(),
+          description: Joi.string().max(200)
+        }),
+        occurredAt: Joi.date()
+      }))
+      .min(1)
+      .max(500)
+      .required()
+  })
+};
+
+// Per-transaction and rolling 24-hour limits for one kind of money movement
+const walletLimitSchema = Joi.object({
+  min: Joi.number().min(0),
+  max: Joi.number().positive(),
+  daily: Joi.number().positive()
+}).min(1);
+
 const adminSchemas = {
   createUser: Joi.object({
     username: Joi.string().min(3).max(30).required(),
@@ -253,7 +449,91 @@ const adminSchemas = {
     }).required(),
     startTime: Joi.date().required(),
     matchFormat: Joi.string().required(),
-    fantasyDeadline: Joi.date().less(Joi.ref('startTime')).required()
+    fantasyDeadline: Joi.date().less(Joi.ref('startTime')).required(),
+    maxContests: Joi.number().integer().min(0),
+    // Template set the match's lobby is spawned from; null leaves the lobby empty
+    contestTemplateSet: Joi.string().trim().max(50).allow(null)
+  }),
+
+  contestTemplate: Joi.object({
+    name: Joi.string().min(3).max(100).required(),
+    set: Joi.string().trim().max(50),
+    sport: Joi.string().valid('cricket', 'football', 'basketball', 'tennis').allow(null),
+    contestType: Joi.string().valid('public', 'multi-entry'),
+    entryFee: Joi.number().min(0).required(),
+    totalSpots: Joi.number().integer().min(2).max(100000).required(),
+    prizePool: Joi.number().min(0).required(),
+    prizeDistribution: Joi.array().items(templatePrizeTierSchema).min(1).required(),
+    guaranteedPrize: Joi.boolean(),
+    minEntries: Joi.number().integer().min(2),
+    entryType: Joi.string().valid('single', 'multiple'),
+    maxEntriesPerUser: Joi.number().integer().min(1),
+    teamSize: Joi.number().integer().min(1).max(25),
+    playerSelectionRules: Joi.object(),
+    scoringRules: Joi.object(),
+    terms: Joi.array().items(Joi.string()),
+    tags: Joi.array().items(Joi.string().trim()),
+    featured: Joi.boolean(),
+    priority: Joi.number().integer(),
+    autoReplicate: Joi.boolean(),
+    maxReplicas: Joi.number().integer().min(1).max(100),
+    isActive: Joi.boolean()
+  }),
+
+  contestTemplateUpdate: Joi.object({
+    name: Joi.string().min(3).max(100),
+    set: Joi.string().trim().max(50),
+    sport: Joi.string().valid('cricket', 'football', 'basketball', 'tennis').allow(null),
+    contestType: Joi.string().valid('public', 'multi-entry'),
+    entryFee: Joi.number().min(0),
+    totalSpots: Joi.number().integer().min(2).max(100000),
+    prizePool: Joi.number().min(0),
+    prizeDistribution: Joi.array().items(templatePrizeTierSchema).min(1),
+    guaranteedPrize: Joi.boolean(),
+    minEntries: Joi.number().integer().min(2),
+    entryType: Joi.string().valid('single', 'multiple'),
+    maxEntriesPerUser: Joi.number().integer().min(1),
+    teamSize: Joi.number().integer().min(1).max(25),
+    playerSelectionRules: Joi.object(),
+    scoringRules: Joi.object(),
+    terms: Joi.array().items(Joi.string()),
+    tags: Joi.array().items(Joi.string().trim()),
+    featured: Joi.boolean(),
+    priority: Joi.number().integer(),
+    autoReplicate: Joi.boolean(),
+    maxReplicas: Joi.number().integer().min(1).max(100),
+    isActive: Joi.boolean()
+  }).min(1),
+
+  spawnLobby: Joi.object({
+    set: Joi.string().trim().max(50)
+  }),
+
+  createPayoutBatch: Joi.object({
+    transactionIds: Joi.array()
+      .items(Joi.string().hex().length(24))
+      .min(1)
+      .max(500)
+      .unique(),
+    limit: Joi.number().integer().min(1).max(500)
+  }),
+
+  platformWalletLimits: Joi.object({
+    deposit: walletLimitSchema,
+    withdrawal: walletLimitSchema,
+    transfer: walletLimitSchema,
+    reason: Joi.string().trim().max(500)
+  }),
+
+  userWalletLimits: Joi.object({
+    deposit: walletLimitSchema,
+    withdrawal: walletLimitSchema,
+    transfer: walletLimitSchema,
+    reason: Joi.string().trim().min(3).max(500).required()
+  }).or('deposit', 'withdrawal', 'transfer'),
+
+  resolveEscalation: Joi.object({
+    note: Joi.string().trim().min(3).max(500).required()
   })
 };
 
@@ -261,7 +541,10 @@ module.exports = {
   validateRequest,
   authSchemas,
   contestSchemas,
+  headToHeadSchemas,
   teamSchemas,
   walletSchemas,
+  kycSchemas,
+  matchEventSchemas,
   adminSchemas
 };
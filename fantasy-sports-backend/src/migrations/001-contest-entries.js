@@ -0,0 +1,93 @@
+// Move embedded Contest.participants into the ContestEntry collection and drop the
+// embedded participants/leaderboard arrays. Safe to re-run: entries are upserted by
+// contest and team, and contests are only unset once their entries are written.
+//
+// Usage: node src/migrations/001-contest-entries.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Contest = require('../models/Contest');
+const ContestEntry = require('../models/ContestEntry');
+const FantasyTeam = require('../models/FantasyTeam');
+const User = require('../models/User');
+
+const up = async () => {
+  let migratedContests = 0;
+  let migratedEntries = 0;
+
+  // The fields are gone from the schema, so read the raw documents
+  const cursor = Contest.collection.find(
+    { $or: [{ 'participants.0': { $exists: true } }, { leaderboard: { $exists: true } }] },
+    { projection: { matchId: 1, participants: 1, leaderboard: 1 } }
+  );
+
+  for await (const contest of cursor) {
+    const participants = contest.participants || [];
+    const teams = await FantasyTeam.find({ _id: { $in: participants.map(p => p.teamId) } }).select('name');
+    const users = await User.find({ _id: { $in: participants.map(p => p.userId) } }).select('username');
+    const teamNames = new Map(teams.map(t => [t._id.toString(), t.name]));
+    const usernames = new Map(users.map(u => [u._id.toString(), u.username]));
+
+    // Number each user's entries in the order they joined
+    const entryCounts = new Map();
+    const entryNumbers = participants.map(p => {
+      const key = p.userId?.toString();
+      entryCounts.set(key, (entryCounts.get(key) || 0) + 1);
+      return entryCounts.get(key);
+    });
+
+    if (participants.length > 0) {
+      await ContestEntry.bulkWrite(participants.map((p, i) => ({
+        updateOne: {
+          filter: { contestId: contest._id, teamId: p.teamId },
+          update: {
+            $setOnInsert: {
+              _id: p._id,
+              contestId: contest._id,
+              matchId: contest.matchId,
+              userId: p.userId,
+              teamId: p.teamId,
+              entryNumber: entryNumbers[i],
+              username: usernames.get(p.userId?.toString()),
+              teamName: teamNames.get(p.teamId?.toString()),
+              entryTime: p.entryTime,
+              points: p.points || 0,
+              rank: p.rank,
+              prize: p.prize || 0,
+              isWinner: p.isWinner || false,
+              settledAt: p.settledAt
+            }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+    }
+
+    await Contest.collection.updateOne(
+      { _id: contest._id },
+      { $unset: { participants: '', leaderboard: '' } }
+    );
+
+    migratedContests++;
+    migratedEntries += participants.length;
+  }
+
+  return { migratedContests, migratedEntries };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tactics-turf')
+    .then(async () => {
+      await ContestEntry.syncIndexes();
+      const result = await up();
+      console.log(`Moved ${result.migratedEntries} entries out of ${result.migratedContests} contests`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('Contest entry migration failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,65 @@
+// Post an opening-balance journal for every wallet that predates the ledger, so that
+// reconciliation starts from agreeing balances. Wallets that only have a single balance
+// are first split into sub-balances: unwithdrawn winnings stay withdrawable and the
+// rest becomes deposit. Safe to re-run: only the difference between a wallet and its
+// ledger balance is posted, once per user.
+//
+// Usage: node src/migrations/002-ledger-opening-balances.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const LedgerService = require('../services/ledgerService');
+
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// Split a legacy single balance into deposit and winnings
+const splitLegacyWallet = async (user) => {
+  const { wallet } = user;
+  const parts = (wallet.deposit || 0) + (wallet.winnings || 0) + (wallet.bonus || 0);
+  if (parts > 0 || !(wallet.balance > 0)) return;
+
+  const winnings = roundToPaisa(Math.min(wallet.balance, Math.max((wallet.totalWon || 0) - (wallet.totalWithdrawn || 0), 0)));
+  wallet.winnings = winnings;
+  wallet.deposit = roundToPaisa(wallet.balance - winnings);
+  wallet.bonus = 0;
+
+  await User.collection.updateOne(
+    { _id: user._id },
+    { $set: { 'wallet.deposit': wallet.deposit, 'wallet.winnings': wallet.winnings, 'wallet.bonus': 0 } }
+  );
+};
+
+const up = async () => {
+  let posted = 0;
+
+  const users = User.find({}).select('wallet').cursor();
+  for await (const user of users) {
+    await splitLegacyWallet(user);
+
+    const alreadyOpened = await LedgerEntry.exists({ journalId: `OPEN-${user._id}` });
+    if (!alreadyOpened && await LedgerService.postOpeningBalance(user)) {
+      posted++;
+    }
+  }
+
+  return { posted };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tactics-turf')
+    .then(async () => {
+      await LedgerEntry.syncIndexes();
+      const result = await up();
+      console.log(`Posted opening balances for ${result.posted} wallets`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('Ledger opening balance migration failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
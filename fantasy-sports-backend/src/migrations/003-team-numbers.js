@@ -0,0 +1,58 @@
+// Number the fantasy teams created before teams were numbered, so that they count
+// towards the per-match team cap. Each user's teams for a match take the lowest free
+// numbers in the order they were created. Safe to re-run: only teams without a number
+// are updated, and the unique index rejects a number that is already taken.
+//
+// Usage: node src/migrations/003-team-numbers.js
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const FantasyTeam = require('../models/FantasyTeam');
+
+const up = async () => {
+  let numberedTeams = 0;
+
+  const groups = FantasyTeam.aggregate([
+    { $match: { teamNumber: { $exists: false } } },
+    { $group: { _id: { userId: '$userId', matchId: '$matchId' } } }
+  ]).cursor();
+
+  for await (const { _id: { userId, matchId } } of groups) {
+    const taken = new Set(await FantasyTeam.distinct('teamNumber', { userId, matchId }));
+    const teams = await FantasyTeam.find({ userId, matchId, teamNumber: { $exists: false } })
+      .sort({ createdAt: 1, _id: 1 })
+      .select('_id');
+
+    let teamNumber = 1;
+    for (const team of teams) {
+      while (taken.has(teamNumber)) teamNumber++;
+      taken.add(teamNumber);
+
+      // Users past the cap keep their teams but cannot create more
+      const result = await FantasyTeam.updateOne(
+        { _id: team._id, teamNumber: { $exists: false } },
+        { $set: { teamNumber } }
+      );
+      numberedTeams += result.modifiedCount;
+    }
+  }
+
+  return { numberedTeams };
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/tactics-turf')
+    .then(async () => {
+      await FantasyTeam.syncIndexes();
+      const result = await up();
+      console.log(`Numbered ${result.numberedTeams} fantasy teams`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('Team number migration failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { up };
@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// IFSC: 4 letters for the bank, a zero, then 6 letters or digits for the branch
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// A bank account a user can withdraw to. Accounts are soft-deleted so withdrawals
+// that were paid to them can still be traced.
+const beneficiarySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  nickname: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  accountHolderName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  accountNumber: {
+    type: String,
+    required: true,
+    trim: true,
+    match: [/^[0-9]{9,18}$/, 'Account number must be 9 to 18 digits']
+  },
+  ifscCode: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [IFSC_PATTERN, 'IFSC must be 4 letters, a zero and 6 letters or digits']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'failed'],
+    default: 'pending'
+  },
+  verification: {
+    verifier: String,
+    reference: String,
+    // Holder name reported by the bank during the penny drop
+    nameAtBank: String,
+    nameMatches: Boolean,
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: Date,
+    verifiedAt: Date,
+    failureReason: String,
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deletedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+beneficiarySchema.index({ userId: 1, isActive: 1 });
+beneficiarySchema.index({ status: 1, createdAt: 1 });
+// The same account can only be saved once per user
+beneficiarySchema.index(
+  { userId: 1, accountNumber: 1, ifscCode: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Virtual for the account number with all but the last 4 digits hidden
+beneficiarySchema.virtual('maskedAccountNumber').get(function() {
+  return `${'X'.repeat(Math.max(this.accountNumber.length - 4, 0))}${this.accountNumber.slice(-4)}`;
+});
+
+// Method to get beneficiary summary without the full account number
+beneficiarySchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    nickname: this.nickname,
+    accountHolderName: this.accountHolderName,
+    accountNumber: this.maskedAccountNumber,
+    ifscCode: this.ifscCode,
+    status: this.status,
+    nameAtBank: this.verification?.nameAtBank,
+    verifiedAt: this.verification?.verifiedAt,
+    failureReason: this.verification?.failureReason,
+    createdAt: this.createdAt
+  };
+};
+
+beneficiarySchema.statics.IFSC_PATTERN = IFSC_PATTERN;
+
+module.exports = mongoose.model('Beneficiary', beneficiarySchema);
@@ -1,4 +1,32 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const ContestEntry = require('./ContestEntry');
+const { scoreTeam } = require('../services/scoringEngine');
+const { normalizeTiers, validateDistribution, rankAndAward } = require('../services/prizeDistribution');
+const logger = require('../services/logger');
+
+// Leaderboard updates are written in batches so huge contests stay within driver limits
+const LEADERBOARD_WRITE_BATCH = 1000;
+
+// Invite codes avoid characters that are easy to misread (0/O, 1/I/L)
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+// Contest types kept out of the lobby: private contests are reached through their invite
+// and head-to-head contests through matchmaking
+const UNLISTED_CONTEST_TYPES = ['private', 'head-to-head'];
+
+// A contest needs at least two entries to have a winner
+const DEFAULT_MIN_ENTRIES = 2;
+
+// What a replica copies from the contest that filled; spots, statistics and settlement start afresh
+const REPLICATED_FIELDS = [
+  'name', 'matchId', 'sport', 'contestType', 'entryFee', 'totalSpots', 'prizePool',
+  'guaranteedPrize', 'minEntries', 'isGuaranteed', 'entryType', 'maxEntriesPerUser', 'teamSize',
+  'captainRequired', 'viceCaptainRequired', 'playerSelectionRules', 'scoringRules',
+  'cancellationPolicy', 'terms', 'tags', 'featured', 'priority', 'startTime', 'endTime',
+  'registrationDeadline', 'isVisible', 'createdBy', 'templateId', 'autoReplicate', 'maxReplicas'
+];
 
 const contestSchema = new mongoose.Schema({
   name: {
@@ -40,15 +68,25 @@ const contestSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // Rank-range tiers; every rank in rankFrom..rankTo wins `prize`
   prizeDistribution: [{
-    rank: { type: Number, required: true },
-    prize: { type: Number, required: true },
-    percentage: { type: Number, required: true }
+    rankFrom: { type: Number, required: true, min: 1 },
+    rankTo: { type: Number, required: true, min: 1 },
+    prize: { type: Number, required: true, min: 0 },
+    percentage: Number,
+    // Legacy single-rank entries, converted to rankFrom/rankTo on validate
+    rank: Number
   }],
   guaranteedPrize: {
     type: Boolean,
     default: false
   },
+  // Entries needed for a non-guaranteed contest to run at the deadline
+  minEntries: {
+    type: Number,
+    min: 2,
+    default: DEFAULT_MIN_ENTRIES
+  },
   isGuaranteed: {
     type: Boolean,
     default: false
@@ -62,8 +100,10 @@ const contestSchema = new mongoose.Schema({
     enum: ['single', 'multiple'],
     default: 'single'
   },
+  // Entries, each with its own team, one user may hold when entryType is 'multiple'
   maxEntriesPerUser: {
     type: Number,
+    min: 1,
     default: 1
   },
   teamSize: {
@@ -142,23 +182,51 @@ const contestSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
-  participants: [{
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'FantasyTeam' },
-    entryTime: { type: Date, default: Date.now },
-    rank: Number,
-    points: { type: Number, default: 0 },
-    prize: { type: Number, default: 0 },
-    isWinner: { type: Boolean, default: false }
-  }],
-  leaderboard: [{
-    rank: Number,
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    username: String,
-    teamName: String,
-    points: Number,
-    prize: Number
-  }],
+  // Set on contests spawned from a template into a match's lobby
+  templateId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ContestTemplate'
+  },
+  // Templated contests that open an identical copy when their last spot fills
+  autoReplicate: {
+    type: Boolean,
+    default: false
+  },
+  // Copies that may follow the original contest
+  maxReplicas: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // The original contest of a copy, and which copy this is
+  replicaOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest'
+  },
+  replicaNumber: {
+    type: Number,
+    default: 0
+  },
+  // The copy opened when this contest filled; late joiners are pointed to it
+  nextContestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest'
+  },
+  // Private contests only; left out of queries so it never leaks through listings or caches
+  inviteCode: {
+    type: String,
+    select: false
+  },
+  // Set on head-to-head contests opened by matchmaking or a direct challenge
+  headToHead: {
+    // Skill of the user who opened it, for pairing them with a similar opponent
+    skill: Number,
+    // Only this user may take the open spot of a direct challenge
+    challengedUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
   statistics: {
     totalEntries: { type: Number, default: 0 },
     uniqueParticipants: { type: Number, default: 0 },
@@ -166,6 +234,20 @@ const contestSchema = new mongoose.Schema({
     highestPoints: { type: Number, default: 0 },
     lowestPoints: { type: Number, default: 0 }
   },
+  cancelledAt: Date,
+  cancellationReason: String,
+  refundsProcessedAt: Date,
+  settlement: {
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'settled'],
+      default: 'pending'
+    },
+    startedAt: Date,
+    settledAt: Date,
+    winnersPaid: { type: Number, default: 0 },
+    totalPaid: { type: Number, default: 0 }
+  },
   cancellationPolicy: {
     isRefundable: { type: Boolean, default: true },
     refundPercentage: { type: Number, default: 100 },
@@ -191,6 +273,47 @@ contestSchema.index({ sport: 1, status: 1 });
 contestSchema.index({ contestType: 1, isActive: 1 });
 contestSchema.index({ startTime: 1 });
 contestSchema.index({ entryFee: 1, totalSpots: 1 });
+contestSchema.index({ inviteCode: 1 }, { unique: true, sparse: true });
+contestSchema.index({ matchId: 1, contestType: 1, entryFee: 1, filledSpots: 1, status: 1 });
+contestSchema.index({ 'headToHead.challengedUserId': 1, status: 1 });
+contestSchema.index({ matchId: 1, templateId: 1 });
+
+// Private contests get their invite code when they are created, and multi-entry
+// contests always take multiple entries
+contestSchema.pre('validate', function(next) {
+  if (this.isNew && this.contestType === 'private' && !this.inviteCode) {
+    this.inviteCode = this.constructor.generateInviteCode();
+  }
+  if (this.contestType === 'multi-entry') {
+    this.entryType = 'multiple';
+  }
+  if (this.minEntries > this.totalSpots) {
+    this.invalidate('minEntries', 'Minimum entries cannot exceed the contest spots');
+  }
+  next();
+});
+
+// Normalize legacy prize entries and keep the distribution within the prize pool
+contestSchema.pre('validate', function(next) {
+  this.prizeDistribution.forEach(tier => {
+    if (tier.rankFrom === undefined && tier.rank !== undefined) {
+      tier.rankFrom = tier.rank;
+    }
+    if (tier.rankTo === undefined && tier.rankFrom !== undefined) {
+      tier.rankTo = tier.rankFrom;
+    }
+  });
+
+  if (this.isModified('prizeDistribution') || this.isModified('prizePool') || this.isModified('totalSpots')) {
+    const errors = validateDistribution(this.prizeDistribution, this.prizePool, this.totalSpots);
+    errors.forEach(message => this.invalidate('prizeDistribution', message));
+
+    const tiers = normalizeTiers(this.prizeDistribution);
+    this.maxWinners = tiers.length > 0 ? tiers[tiers.length - 1].rankTo : 0;
+  }
+
+  next();
+});
 
 // Virtual for available spots
 contestSchema.virtual('availableSpots').get(function() {
@@ -207,87 +330,295 @@ contestSchema.virtual('isRegistrationOpen').get(function() {
   return new Date() < this.registrationDeadline && !this.isFull;
 });
 
-// Method to add participant
-contestSchema.methods.addParticipant = function(userId, teamId) {
-  if (this.isFull) {
-    throw new Error('Contest is full');
+// Virtual for the number of entries one user may hold
+contestSchema.virtual('entryLimit').get(function() {
+  return this.entryType === 'multiple' ? this.maxEntriesPerUser : 1;
+});
+
+// Virtual for whether the contest runs regardless of how many spots fill
+contestSchema.virtual('isUnderFilled').get(function() {
+  if (this.guaranteedPrize || this.isGuaranteed) {
+    return false;
   }
-  
-  if (!this.isRegistrationOpen) {
-    throw new Error('Registration is closed');
+  return this.filledSpots < (this.minEntries || DEFAULT_MIN_ENTRIES);
+});
+
+// Random invite code, e.g. 'K7QX2MHP'
+contestSchema.statics.generateInviteCode = function() {
+  let code = '';
+  for (let i = 0; i < INVITE_CODE_LENGTH; i++) {
+    code += INVITE_CODE_ALPHABET[crypto.randomInt(INVITE_CODE_ALPHABET.length)];
   }
-  
-  const existingParticipant = this.participants.find(p => p.userId.toString() === userId.toString());
-  if (existingParticipant && this.entryType === 'single') {
-    throw new Error('User already registered for this contest');
+  return code;
+};
+
+// Filter for contests listed in the lobby
+contestSchema.statics.lobbyFilter = function(filter = {}) {
+  const { contestType, ...rest } = filter;
+  return {
+    ...rest,
+    isActive: true,
+    isVisible: true,
+    contestType: contestType
+      ? { $eq: contestType, $nin: UNLISTED_CONTEST_TYPES }
+      : { $nin: UNLISTED_CONTEST_TYPES }
+  };
+};
+
+// Whether contests of a type are listed in the lobby and count towards Match.maxContests
+contestSchema.statics.isListedType = function(contestType) {
+  return !UNLISTED_CONTEST_TYPES.includes(contestType);
+};
+
+// Reserve one spot with a conditional update so concurrent joins can never overfill the contest.
+// Returns the updated contest, or null when the contest is full, closed or missing.
+contestSchema.statics.reserveSpot = function(contestId, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: contestId,
+      status: 'upcoming',
+      isActive: true,
+      registrationDeadline: { $gt: now },
+      $expr: { $lt: ['$filledSpots', '$totalSpots'] }
+    },
+    { $inc: { filledSpots: 1, 'statistics.totalEntries': 1 } },
+    { new: true }
+  );
+};
+
+// Give back a spot taken by reserveSpot or by a removed entry
+contestSchema.statics.releaseSpot = function(contestId, lastUserEntry = false) {
+  return this.updateOne(
+    { _id: contestId, filledSpots: { $gt: 0 } },
+    {
+      $inc: {
+        filledSpots: -1,
+        'statistics.totalEntries': -1,
+        ...(lastUserEntry && { 'statistics.uniqueParticipants': -1 })
+      }
+    }
+  );
+};
+
+// Method to add participant; entries live in the ContestEntry collection.
+// Each entry takes the user's lowest free entry number, and the unique index on it caps
+// the user's entries at entryLimit even when they join in parallel. The spot is reserved
+// atomically and released again if the entry cannot be written.
+contestSchema.methods.addParticipant = async function(userId, teamId, details = {}) {
+  const Contest = this.constructor;
+
+  for (;;) {
+    const taken = new Set(await ContestEntry.distinct('entryNumber', { contestId: this._id, userId }));
+    let entryNumber = 1;
+    while (taken.has(entryNumber)) entryNumber++;
+
+    if (entryNumber > this.entryLimit) {
+      throw new Error(this.entryLimit === 1
+        ? 'User already registered for this contest'
+        : 'Maximum entries reached for this contest');
+    }
+
+    const reserved = await Contest.reserveSpot(this._id);
+    if (!reserved) {
+      const current = await Contest.findById(this._id);
+      if (current) {
+        this.filledSpots = current.filledSpots;
+        this.nextContestId = current.nextContestId;
+      }
+      const error = new Error(current && current.isFull ? 'Contest is full' : 'Registration is closed');
+      error.code = 'SPOT_GONE';
+      throw error;
+    }
+
+    let entry;
+    try {
+      entry = await ContestEntry.create({
+        contestId: this._id,
+        matchId: this.matchId,
+        userId,
+        teamId,
+        entryNumber,
+        username: details.username,
+        teamName: details.teamName,
+        entryTime: new Date()
+      });
+    } catch (error) {
+      await Contest.releaseSpot(this._id);
+      if (error.code !== 11000) throw error;
+      if (error.keyPattern?.teamId) {
+        throw new Error('Team already entered in this contest');
+      }
+      // A parallel join took the same entry number; look again
+      continue;
+    }
+
+    if (taken.size === 0) {
+      await Contest.updateOne({ _id: this._id }, { $inc: { 'statistics.uniqueParticipants': 1 } });
+    }
+
+    this.filledSpots = reserved.filledSpots;
+    this.statistics.totalEntries = reserved.statistics.totalEntries;
+
+    return entry;
   }
-  
-  this.participants.push({
-    userId,
-    teamId,
-    entryTime: new Date()
+};
+
+// Method to open an identical copy of a full auto-replicating contest, while the copies stay
+// within maxReplicas and the match within its contest limit. nextContestId is claimed before
+// the copy is saved, so a contest that fills again after a leave is never copied twice.
+// Resolves to the copy, or null when none was opened.
+contestSchema.methods.replicate = async function(now = new Date()) {
+  const Contest = this.constructor;
+  const Match = this.model('Match');
+
+  if (!this.autoReplicate || this.replicaNumber >= this.maxReplicas || this.nextContestId) return null;
+  if (this.status !== 'upcoming' || this.registrationDeadline <= now) return null;
+
+  const match = await Match.findById(this.matchId).select('maxContests currentContests');
+  if (!match || match.currentContests >= match.maxContests) return null;
+
+  const replicaId = new mongoose.Types.ObjectId();
+  const { modifiedCount } = await Contest.updateOne(
+    { _id: this._id, nextContestId: null },
+    { $set: { nextContestId: replicaId } }
+  );
+  if (!modifiedCount) return null;
+
+  const source = this.toObject();
+  const replica = new Contest({
+    _id: replicaId,
+    ...Object.fromEntries(REPLICATED_FIELDS.map(field => [field, source[field]])),
+    prizeDistribution: source.prizeDistribution.map(({ rankFrom, rankTo, prize, percentage }) => ({
+      rankFrom,
+      rankTo,
+      prize,
+      percentage
+    })),
+    replicaOf: this.replicaOf || this._id,
+    replicaNumber: this.replicaNumber + 1
   });
-  
-  this.filledSpots++;
-  this.statistics.totalEntries++;
-  this.statistics.uniqueParticipants = new Set(this.participants.map(p => p.userId.toString())).size;
-  
-  return this.save();
+
+  try {
+    await replica.save();
+  } catch (error) {
+    await Contest.updateOne({ _id: this._id, nextContestId: replicaId }, { $unset: { nextContestId: 1 } });
+    throw error;
+  }
+
+  this.nextContestId = replicaId;
+  await Match.syncContestTotals(this.matchId);
+
+  logger.info(`Contest ${this._id} is full; opened copy ${replica.replicaNumber} as ${replica._id}`);
+  return replica;
 };
 
-// Method to remove participant
-contestSchema.methods.removeParticipant = function(userId) {
-  const participantIndex = this.participants.findIndex(p => p.userId.toString() === userId.toString());
-  if (participantIndex === -1) {
+// Method to remove one of a participant's entries, the latest unless entryId is given
+contestSchema.methods.removeParticipant = async function(userId, entryId = null) {
+  const filter = { contestId: this._id, userId };
+  if (entryId) filter._id = entryId;
+
+  const entry = await ContestEntry
+    .findOne(filter)
+    .sort({ entryNumber: -1 });
+  if (!entry) {
     throw new Error('Participant not found');
   }
-  
-  this.participants.splice(participantIndex, 1);
-  this.filledSpots--;
-  this.statistics.totalEntries--;
-  this.statistics.uniqueParticipants = new Set(this.participants.map(p => p.userId.toString())).size;
-  
-  return this.save();
+
+  await this.removeEntry(entry);
+  return entry;
 };
 
-// Method to update leaderboard
-contestSchema.methods.updateLeaderboard = function() {
-  // Sort participants by points (descending)
-  const sortedParticipants = [...this.participants].sort((a, b) => b.points - a.points);
-  
-  // Update ranks and prizes
-  sortedParticipants.forEach((participant, index) => {
-    const rank = index + 1;
-    participant.rank = rank;
-    
-    // Find prize for this rank
-    const prizeInfo = this.prizeDistribution.find(p => p.rank === rank);
-    if (prizeInfo) {
-      participant.prize = prizeInfo.prize;
-      participant.isWinner = true;
+// Method to delete one entry and give its spot back
+contestSchema.methods.removeEntry = async function(entry) {
+  const { deletedCount } = await ContestEntry.deleteOne({ _id: entry._id });
+  if (!deletedCount) return false;
+
+  const lastUserEntry = !await ContestEntry.exists({ contestId: this._id, userId: entry.userId });
+  await this.constructor.releaseSpot(this._id, lastUserEntry);
+  this.filledSpots = Math.max(this.filledSpots - 1, 0);
+
+  return true;
+};
+
+// Method to put back an entry deleted by removeEntry, e.g. when its refund failed. The entry
+// takes its spot back even if a join filled the contest meanwhile, as its fee was never returned.
+contestSchema.methods.restoreEntry = async function(entry) {
+  const firstUserEntry = !await ContestEntry.exists({ contestId: this._id, userId: entry.userId });
+  await ContestEntry.create(entry.toObject());
+
+  await this.constructor.updateOne({ _id: this._id }, {
+    $inc: {
+      filledSpots: 1,
+      'statistics.totalEntries': 1,
+      ...(firstUserEntry && { 'statistics.uniqueParticipants': 1 })
     }
   });
-  
-  // Update leaderboard
-  this.leaderboard = sortedParticipants.map(p => ({
-    rank: p.rank,
-    userId: p.userId,
-    username: p.username || 'Unknown',
-    teamName: p.teamName || 'Team',
-    points: p.points,
-    prize: p.prize
+  this.filledSpots += 1;
+};
+
+// Method to get one page of the leaderboard, best rank first
+contestSchema.methods.getLeaderboard = function(skip = 0, limit = 50) {
+  return ContestEntry
+    .find({ contestId: this._id })
+    .sort({ rank: 1, points: -1, entryTime: 1 })
+    .skip(skip)
+    .limit(limit);
+};
+
+// Method to update leaderboard; entries are { _id, points } and default to every stored entry
+contestSchema.methods.updateLeaderboard = async function(entries) {
+  if (!entries) {
+    entries = await ContestEntry.find({ contestId: this._id }).select('points').lean();
+  }
+
+  // Rank by points with shared ranks for ties; tied entries split the prizes of the ranks they occupy
+  const ranked = rankAndAward(entries, this.prizeDistribution);
+  const operations = ranked.map(({ entry, rank, prize }) => ({
+    updateOne: {
+      filter: { _id: entry._id },
+      update: { $set: { points: entry.points || 0, rank, prize, isWinner: prize > 0 } }
+    }
   }));
+
+  for (let i = 0; i < operations.length; i += LEADERBOARD_WRITE_BATCH) {
+    await ContestEntry.bulkWrite(operations.slice(i, i + LEADERBOARD_WRITE_BATCH), { ordered: false });
+  }
   
   // Update statistics
-  if (this.participants.length > 0) {
-    this.statistics.averagePoints = this.participants.reduce((sum, p) => sum + p.points, 0) / this.participants.length;
-    this.statistics.highestPoints = Math.max(...this.participants.map(p => p.points));
-    this.statistics.lowestPoints = Math.min(...this.participants.map(p => p.points));
+  if (entries.length > 0) {
+    const points = entries.map(e => e.points || 0);
+    this.statistics.averagePoints = points.reduce((sum, p) => sum + p, 0) / points.length;
+    this.statistics.highestPoints = points.reduce((max, p) => Math.max(max, p), -Infinity);
+    this.statistics.lowestPoints = points.reduce((min, p) => Math.min(min, p), Infinity);
   }
   
   return this.save();
 };
 
+// Method to score every participant's team with this contest's rules, then rebuild the leaderboard
+contestSchema.methods.scoreParticipants = async function() {
+  const FantasyTeam = this.model('FantasyTeam');
+  const Player = this.model('Player');
+
+  const entries = await ContestEntry.find({ contestId: this._id }).select('teamId points').lean();
+  const teams = await FantasyTeam.find({ _id: { $in: [...new Set(entries.map(e => e.teamId.toString()))] } });
+  const bonuses = await Player.getMultiplierBonuses(
+    teams.flatMap(team => [team.captain, team.viceCaptain]).filter(Boolean)
+  );
+
+  // Each team is scored once even when it backs several entries
+  const pointsByTeam = new Map(teams.map(team => [
+    team._id.toString(),
+    scoreTeam(team, this.scoringRules, bonuses).totalPoints
+  ]));
+
+  entries.forEach(entry => {
+    entry.points = pointsByTeam.get(entry.teamId.toString()) || 0;
+  });
+
+  return this.updateLeaderboard(entries);
+};
+
 // Method to get contest summary
 contestSchema.methods.getSummary = function() {
   return {
@@ -306,7 +637,9 @@ contestSchema.methods.getSummary = function() {
     isRegistrationOpen: this.isRegistrationOpen,
     isFull: this.isFull,
     teamSize: this.teamSize,
-    featured: this.featured
+    entryLimit: this.entryLimit,
+    featured: this.featured,
+    nextContestId: this.nextContestId
   };
 };
 
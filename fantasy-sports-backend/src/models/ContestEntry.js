@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+const contestEntrySchema = new mongoose.Schema({
+  contestId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Contest',
+    required: true
+  },
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  teamId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FantasyTeam',
+    required: true
+  },
+  // Position of this entry among the user's entries; unique per user and contest
+  entryNumber: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Denormalized for leaderboard reads
+  username: String,
+  teamName: String,
+  entryTime: {
+    type: Date,
+    default: Date.now
+  },
+  points: {
+    type: Number,
+    default: 0
+  },
+  rank: Number,
+  prize: {
+    type: Number,
+    default: 0
+  },
+  isWinner: {
+    type: Boolean,
+    default: false
+  },
+  settledAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+contestEntrySchema.index({ contestId: 1, rank: 1, points: -1 });
+contestEntrySchema.index({ contestId: 1, userId: 1 });
+contestEntrySchema.index({ contestId: 1, teamId: 1 }, { unique: true });
+contestEntrySchema.index(
+  { contestId: 1, userId: 1, entryNumber: 1 },
+  { unique: true, partialFilterExpression: { entryNumber: { $exists: true } } }
+);
+contestEntrySchema.index({ userId: 1, entryTime: -1 });
+contestEntrySchema.index({ matchId: 1 });
+
+// Method to get leaderboard row
+contestEntrySchema.methods.getLeaderboardRow = function() {
+  return {
+    entryId: this._id,
+    entryNumber: this.entryNumber,
+    rank: this.rank,
+    userId: this.userId,
+    username: this.username || 'Unknown',
+    teamId: this.teamId,
+    teamName: this.teamName || 'Team',
+    points: this.points,
+    prize: this.prize
+  };
+};
+
+module.exports = mongoose.model('ContestEntry', contestEntrySchema);
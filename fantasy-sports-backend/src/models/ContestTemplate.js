@@ -0,0 +1,170 @@
+const mongoose = require('mongoose');
+const { validateDistribution } = require('../services/prizeDistribution');
+
+// A reusable contest definition. Templates are grouped into sets, and a match spawns one
+// contest per active template of its set when it is created or imported.
+const contestTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  set: {
+    type: String,
+    default: 'standard',
+    trim: true
+  },
+  // Templates without a sport apply to matches of every sport
+  sport: {
+    type: String,
+    enum: ['cricket', 'football', 'basketball', 'tennis', null],
+    default: null
+  },
+  // Private and head-to-head contests come from invites and matchmaking instead
+  contestType: {
+    type: String,
+    enum: ['public', 'multi-entry'],
+    default: 'public'
+  },
+  entryFee: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  totalSpots: {
+    type: Number,
+    required: true,
+    min: 2,
+    max: 100000
+  },
+  prizePool: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  prizeDistribution: [{
+    rankFrom: { type: Number, required: true, min: 1 },
+    rankTo: { type: Number, required: true, min: 1 },
+    prize: { type: Number, required: true, min: 0 },
+    percentage: Number
+  }],
+  guaranteedPrize: {
+    type: Boolean,
+    default: false
+  },
+  minEntries: {
+    type: Number,
+    min: 2
+  },
+  entryType: {
+    type: String,
+    enum: ['single', 'multiple'],
+    default: 'single'
+  },
+  maxEntriesPerUser: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  teamSize: {
+    type: Number,
+    min: 1,
+    max: 25,
+    default: 11
+  },
+  // Copied onto each contest; unset rules fall back to the contest defaults
+  playerSelectionRules: mongoose.Schema.Types.Mixed,
+  scoringRules: mongoose.Schema.Types.Mixed,
+  terms: [String],
+  tags: [String],
+  featured: {
+    type: Boolean,
+    default: false
+  },
+  // Open an identical contest when one from this template fills, up to maxReplicas copies
+  autoReplicate: {
+    type: Boolean,
+    default: false
+  },
+  maxReplicas: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 5
+  },
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+contestTemplateSchema.index({ set: 1, isActive: 1, priority: -1 });
+
+// Keep the distribution within the prize pool, as on contests
+contestTemplateSchema.pre('validate', function(next) {
+  if (this.contestType === 'multi-entry') {
+    this.entryType = 'multiple';
+  }
+
+  if (this.isModified('prizeDistribution') || this.isModified('prizePool') || this.isModified('totalSpots')) {
+    const errors = validateDistribution(this.prizeDistribution, this.prizePool, this.totalSpots);
+    errors.forEach(message => this.invalidate('prizeDistribution', message));
+  }
+
+  next();
+});
+
+// Method to build an unsaved contest from this template for a match
+contestTemplateSchema.methods.buildContest = function(match) {
+  const Contest = this.model('Contest');
+
+  return new Contest({
+    name: this.name,
+    matchId: match._id,
+    sport: match.sport,
+    contestType: this.contestType,
+    entryFee: this.entryFee,
+    totalSpots: this.totalSpots,
+    prizePool: this.prizePool,
+    prizeDistribution: this.prizeDistribution.map(({ rankFrom, rankTo, prize, percentage }) => ({
+      rankFrom,
+      rankTo,
+      prize,
+      percentage
+    })),
+    guaranteedPrize: this.guaranteedPrize,
+    minEntries: this.minEntries,
+    entryType: this.entryType,
+    maxEntriesPerUser: this.maxEntriesPerUser,
+    teamSize: this.teamSize,
+    ...(this.playerSelectionRules && { playerSelectionRules: this.playerSelectionRules }),
+    ...(this.scoringRules && { scoringRules: this.scoringRules }),
+    terms: this.terms,
+    tags: this.tags,
+    featured: this.featured,
+    priority: this.priority,
+    autoReplicate: this.autoReplicate,
+    maxReplicas: this.autoReplicate ? this.maxReplicas : 0,
+    startTime: match.startTime,
+    registrationDeadline: match.fantasyDeadline,
+    templateId: this._id,
+    createdBy: this.createdBy
+  });
+};
+
+module.exports = mongoose.model('ContestTemplate', contestTemplateSchema);
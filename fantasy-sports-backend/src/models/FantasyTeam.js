@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { scoreTeam } = require('../services/scoringEngine');
 
 const fantasyTeamSchema = new mongoose.Schema({
   name: {
@@ -17,6 +18,11 @@ const fantasyTeamSchema = new mongoose.Schema({
     ref: 'Match',
     required: true
   },
+  // Position of this team among the user's teams for the match; unique per user and match
+  teamNumber: {
+    type: Number,
+    min: 1
+  },
   sport: {
     type: String,
     required: true,
@@ -31,9 +37,20 @@ const fantasyTeamSchema = new mongoose.Schema({
     isCaptain: { type: Boolean, default: false },
     isViceCaptain: { type: Boolean, default: false },
     points: { type: Number, default: 0 },
+    multiplier: { type: Number, default: 1 },
+    pointsBreakdown: [{
+      _id: false,
+      rule: String,
+      count: Number,
+      value: Number,
+      points: Number
+    }],
     performance: {
       runs: { type: Number, default: 0 },
+      fours: { type: Number, default: 0 },
+      sixes: { type: Number, default: 0 },
       wickets: { type: Number, default: 0 },
+      maidens: { type: Number, default: 0 },
       catches: { type: Number, default: 0 },
       stumping: { type: Number, default: 0 },
       runOut: { type: Number, default: 0 },
@@ -135,6 +152,10 @@ const fantasyTeamSchema = new mongoose.Schema({
 
 // Indexes
 fantasyTeamSchema.index({ userId: 1, matchId: 1 });
+fantasyTeamSchema.index(
+  { userId: 1, matchId: 1, teamNumber: 1 },
+  { unique: true, partialFilterExpression: { teamNumber: { $exists: true } } }
+);
 fantasyTeamSchema.index({ matchId: 1, status: 1 });
 fantasyTeamSchema.index({ sport: 1, status: 1 });
 fantasyTeamSchema.index({ totalPoints: -1 });
@@ -291,44 +312,30 @@ fantasyTeamSchema.methods.lockTeam = function() {
   return this.save();
 };
 
-// Method to calculate points
-fantasyTeamSchema.methods.calculatePoints = function() {
-  let totalPoints = 0;
-  
-  this.players.forEach(player => {
-    let playerPoints = 0;
-    
-    // Calculate points based on sport and performance
-    if (this.sport === 'cricket') {
-      playerPoints += (player.performance.runs || 0) * 1;
-      playerPoints += (player.performance.wickets || 0) * 10;
-      playerPoints += (player.performance.catches || 0) * 10;
-      playerPoints += (player.performance.stumping || 0) * 10;
-      playerPoints += (player.performance.runOut || 0) * 6;
-    } else if (this.sport === 'football') {
-      playerPoints += (player.performance.goals || 0) * 10;
-      playerPoints += (player.performance.assists || 0) * 6;
-      playerPoints += (player.performance.cleanSheets || 0) * 4;
-      playerPoints += (player.performance.yellowCards || 0) * -1;
-      playerPoints += (player.performance.redCards || 0) * -3;
-    }
-    
-    // Apply captain/vice-captain bonus
-    if (player.isCaptain) {
-      playerPoints *= 2;
-    } else if (player.isViceCaptain) {
-      playerPoints *= 1.5;
-    }
-    
-    player.points = playerPoints;
-    totalPoints += playerPoints;
+// Method to recompute points from current performance without changing team status
+fantasyTeamSchema.methods.refreshPoints = async function(scoringRules) {
+  const Player = this.model('Player');
+  const bonuses = await Player.getMultiplierBonuses([this.captain, this.viceCaptain].filter(Boolean));
+  const result = scoreTeam(this, scoringRules, bonuses);
+
+  result.players.forEach((scored, index) => {
+    const player = this.players[index];
+    player.points = scored.points;
+    player.multiplier = scored.multiplier;
+    player.pointsBreakdown = scored.breakdown;
   });
+
+  this.totalPoints = result.totalPoints;
   
-  this.totalPoints = totalPoints;
+  return this.save();
+};
+
+// Method to calculate final points using a contest's scoring rules (defaults when omitted)
+fantasyTeamSchema.methods.calculatePoints = function(scoringRules) {
   this.status = 'scored';
   this.scoredAt = new Date();
   
-  return this.save();
+  return this.refreshPoints(scoringRules);
 };
 
 // Method to get team summary
@@ -364,10 +371,37 @@ fantasyTeamSchema.methods.getDetailedTeam = function() {
     isCaptain: player.isCaptain,
     isViceCaptain: player.isViceCaptain,
     points: player.points,
+    multiplier: player.multiplier,
+    pointsBreakdown: player.pointsBreakdown,
     performance: player.performance
   }));
   
   return summary;
 };
 
+// Static method to save a new team within the user's team limit for its match. Each team
+// takes the user's lowest free team number, and the unique index on it caps the teams at
+// maxTeams even when they are created in parallel. Teams from before team numbers existed
+// are not counted.
+fantasyTeamSchema.statics.createWithinLimit = async function(fields, maxTeams) {
+  for (;;) {
+    const taken = new Set(await this.distinct('teamNumber', { userId: fields.userId, matchId: fields.matchId }));
+    let teamNumber = 1;
+    while (taken.has(teamNumber)) teamNumber++;
+
+    if (teamNumber > maxTeams) {
+      throw new Error('Maximum teams reached for this match');
+    }
+
+    const team = new this({ ...fields, teamNumber });
+    try {
+      return await team.save();
+    } catch (error) {
+      // A parallel create took the same team number; look again
+      if (error.code === 11000 && error.keyPattern?.teamNumber) continue;
+      throw error;
+    }
+  }
+};
+
 module.exports = mongoose.model('FantasyTeam', fantasyTeamSchema);
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Documents accepted as proof of identity and of the bank account
+const IDENTITY_DOCUMENT_TYPES = ['pan', 'aadhaar', 'passport', 'voter_id', 'driving_license'];
+const BANK_PROOF_TYPES = ['cancelled_cheque', 'bank_statement', 'passbook'];
+
+const kycDocumentSchema = new mongoose.Schema({
+  category: {
+    type: String,
+    enum: ['identity', 'bank_proof'],
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: [...IDENTITY_DOCUMENT_TYPES, ...BANK_PROOF_TYPES],
+    required: true
+  },
+  // Path relative to the upload directory, under kyc/; never served publicly
+  filePath: {
+    type: String,
+    required: true
+  },
+  originalName: String,
+  mimeType: String,
+  size: Number
+});
+
+// One KYC attempt by a user. A rejected user submits again, so history is kept.
+const kycSubmissionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  fullName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  panNumber: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{5}[0-9]{4}[A-Z]$/
+  },
+  documents: [kycDocumentSchema],
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+kycSubmissionSchema.index({ status: 1, createdAt: 1 });
+kycSubmissionSchema.index({ userId: 1, createdAt: -1 });
+// A user can only have one submission under review at a time
+kycSubmissionSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { status: 'pending' } });
+
+// Method to find one of the submission's documents
+kycSubmissionSchema.methods.getDocument = function(documentId) {
+  return this.documents.id(documentId);
+};
+
+kycSubmissionSchema.statics.IDENTITY_DOCUMENT_TYPES = IDENTITY_DOCUMENT_TYPES;
+kycSubmissionSchema.statics.BANK_PROOF_TYPES = BANK_PROOF_TYPES;
+
+module.exports = mongoose.model('KycSubmission', kycSubmissionSchema);
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+
+// Accounts money can sit in. User accounts (one per wallet sub-balance) carry a userId;
+// platform accounts are shared.
+const USER_ACCOUNTS = ['user_deposit', 'user_winnings', 'user_bonus'];
+const PLATFORM_ACCOUNTS = [
+  'platform_gateway',      // Money held with / paid out through payment gateways and banks
+  'platform_contests',     // Entry fees collected and prizes or refunds paid out
+  'platform_bonus',        // Referral and promotional credit
+  'platform_transfers',    // Clearing account for user-to-user transfers
+  'platform_tax',          // Tax deducted at source from winnings, payable to the tax authority
+  'platform_adjustments'   // Opening balances and manual corrections
+];
+
+// One posting of a double-entry journal. Every journal (identified by the reference
+// of the transaction that caused it) has postings that sum to zero.
+const ledgerEntrySchema = new mongoose.Schema({
+  journalId: {
+    type: String,
+    required: true
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  account: {
+    type: String,
+    required: true,
+    enum: [...USER_ACCOUNTS, ...PLATFORM_ACCOUNTS]
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() {
+      return USER_ACCOUNTS.includes(this.account);
+    }
+  },
+  // Positive amounts increase the account, negative amounts decrease it
+  amount: {
+    type: Number,
+    required: true
+  },
+  // Account balance after this posting; kept for user accounts only
+  balanceAfter: Number,
+  type: {
+    type: String,
+    required: true
+  },
+  description: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerEntrySchema.index({ journalId: 1, account: 1, userId: 1 }, { unique: true });
+ledgerEntrySchema.index({ userId: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ account: 1, createdAt: -1 });
+
+// Static method to get the balance of one or more accounts, optionally for one user
+// and as it stood before a moment
+ledgerEntrySchema.statics.getBalance = async function(account, userId = null, before = null) {
+  const match = { account: Array.isArray(account) ? { $in: account } : account };
+  if (userId) match.userId = new mongoose.Types.ObjectId(userId);
+  if (before) match.createdAt = { $lt: before };
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    { $group: { _id: null, balance: { $sum: '$amount' } } }
+  ]);
+
+  return Math.round((result?.balance || 0) * 100) / 100;
+};
+
+// Static method to find journals whose postings do not sum to zero
+ledgerEntrySchema.statics.findUnbalancedJournals = function(limit = 100) {
+  return this.aggregate([
+    { $group: { _id: '$journalId', total: { $sum: '$amount' }, postings: { $sum: 1 } } },
+    { $match: { $or: [{ total: { $gt: 0.005 } }, { total: { $lt: -0.005 } }] } },
+    { $limit: limit }
+  ]);
+};
+
+// Static method to find journals that disagree with the transaction they are keyed by:
+// the transaction is missing, or moved a different amount in or out of the wallet.
+// Opening balances have no transaction.
+ledgerEntrySchema.statics.findUnmatchedJournals = function(limit = 100) {
+  return this.aggregate([
+    { $match: { account: { $in: USER_ACCOUNTS }, type: { $ne: 'opening_balance' } } },
+    { $group: { _id: '$journalId', amount: { $sum: '$amount' } } },
+    { $lookup: { from: 'transactions', localField: '_id', foreignField: 'reference', as: 'transaction' } },
+    { $set: { transaction: { $arrayElemAt: ['$transaction', 0] } } },
+    {
+      $match: {
+        $or: [
+          { transaction: null },
+          { $expr: { $gt: [{ $abs: { $subtract: [{ $abs: '$amount' }, { $abs: '$transaction.amount' }] } }, 0.005] } }
+        ]
+      }
+    },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        journalId: '$_id',
+        ledgerAmount: '$amount',
+        transactionId: '$transaction._id',
+        transactionAmount: '$transaction.amount',
+        transactionStatus: '$transaction.status'
+      }
+    }
+  ]);
+};
+
+ledgerEntrySchema.statics.USER_ACCOUNTS = USER_ACCOUNTS;
+ledgerEntrySchema.statics.PLATFORM_ACCOUNTS = PLATFORM_ACCOUNTS;
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -75,6 +75,11 @@ const matchSchema = new mongoose.Schema({
     type: Number,
     default: 100
   },
+  // Contest template set the match's standard lobby is spawned from; null for none
+  contestTemplateSet: {
+    type: String,
+    default: 'standard'
+  },
   currentContests: {
     type: Number,
     default: 0
@@ -105,6 +110,13 @@ const matchSchema = new mongoose.Schema({
     event: String,
     description: String
   }],
+  teamsLockedAt: {
+    type: Date
+  },
+  lastEventSequence: {
+    type: Number,
+    default: 0
+  },
   streamingUrl: String,
   isHighlightsEnabled: {
     type: Boolean,
@@ -117,7 +129,6 @@ const matchSchema = new mongoose.Schema({
 // Indexes
 matchSchema.index({ sport: 1, status: 1 });
 matchSchema.index({ startTime: 1 });
-matchSchema.index({ externalId: 1 });
 matchSchema.index({ 'team1.name': 1, 'team2.name': 1 });
 
 // Virtual for match duration
@@ -147,6 +158,23 @@ matchSchema.methods.isLive = function() {
   return this.startTime <= now && this.endTime >= now;
 };
 
+// Recount the lobby contests of a match and the prize money they offer.
+// Private and head-to-head contests are left out, as are cancelled ones.
+matchSchema.statics.syncContestTotals = async function(matchId) {
+  const Contest = this.model('Contest');
+
+  const [totals] = await Contest.aggregate([
+    { $match: Contest.lobbyFilter({ matchId: new mongoose.Types.ObjectId(String(matchId)), status: { $ne: 'cancelled' } }) },
+    { $group: { _id: null, count: { $sum: 1 }, prizePool: { $sum: '$prizePool' } } }
+  ]);
+
+  const currentContests = totals ? totals.count : 0;
+  const totalPrizePool = totals ? totals.prizePool : 0;
+  await this.updateOne({ _id: matchId }, { $set: { currentContests, totalPrizePool } });
+
+  return { currentContests, totalPrizePool };
+};
+
 // Method to get match summary
 matchSchema.methods.getSummary = function() {
   return {
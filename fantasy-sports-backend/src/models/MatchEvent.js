@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const matchEventSchema = new mongoose.Schema({
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    required: true
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  externalId: {
+    type: String
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      // Cricket events
+      'delivery', 'wicket', 'catch', 'stumping', 'run_out', 'maiden',
+      // Football events
+      'goal', 'assist', 'clean_sheet', 'yellow_card', 'red_card'
+    ]
+  },
+  // Player credited with the event (batsman for a delivery, bowler for a wicket, scorer for a goal...)
+  playerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Player'
+  },
+  // Side whose score the event moves (batting side for deliveries and wickets, scoring side for goals)
+  team: {
+    type: String,
+    enum: ['team1', 'team2']
+  },
+  data: {
+    runs: { type: Number, default: 0 },
+    extras: { type: Number, default: 0 },
+    isBoundary: { type: Boolean, default: false },
+    over: Number,
+    ball: Number,
+    minute: Number,
+    dismissal: String,
+    description: String
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  },
+  source: {
+    type: String,
+    enum: ['feed', 'admin'],
+    default: 'feed'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+matchEventSchema.index({ matchId: 1, sequence: 1 }, { unique: true });
+matchEventSchema.index({ matchId: 1, externalId: 1 }, { unique: true, partialFilterExpression: { externalId: { $type: 'string' } } });
+matchEventSchema.index({ matchId: 1, playerId: 1 });
+
+// Method to get the performance counters this event adds to its player
+matchEventSchema.methods.getPerformanceDelta = function() {
+  const runs = this.data?.runs || 0;
+
+  switch (this.type) {
+    case 'delivery':
+      return {
+        runs,
+        fours: this.data?.isBoundary && runs === 4 ? 1 : 0,
+        sixes: this.data?.isBoundary && runs === 6 ? 1 : 0
+      };
+    case 'wicket':
+      // Run outs are credited to the fielder, not the bowler
+      return this.data?.dismissal === 'run_out' ? {} : { wickets: 1 };
+    case 'catch':
+      return { catches: 1 };
+    case 'stumping':
+      return { stumping: 1 };
+    case 'run_out':
+      return { runOut: 1 };
+    case 'maiden':
+      return { maidens: 1 };
+    case 'goal':
+      return { goals: 1 };
+    case 'assist':
+      return { assists: 1 };
+    case 'clean_sheet':
+      return { cleanSheets: 1 };
+    case 'yellow_card':
+      return { yellowCards: 1 };
+    case 'red_card':
+      return { redCards: 1 };
+    default:
+      return {};
+  }
+};
+
+// Method to get event summary
+matchEventSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    sequence: this.sequence,
+    type: this.type,
+    playerId: this.playerId,
+    team: this.team,
+    data: this.data,
+    occurredAt: this.occurredAt
+  };
+};
+
+module.exports = mongoose.model('MatchEvent', matchEventSchema);
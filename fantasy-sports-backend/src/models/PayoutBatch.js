@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// One bank response file applied to a batch
+const payoutImportSchema = new mongoose.Schema({
+  fileName: String,
+  importedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  importedAt: {
+    type: Date,
+    default: Date.now
+  },
+  completed: { type: Number, default: 0 },
+  failed: { type: Number, default: 0 },
+  // Rows that changed nothing: unknown references, already settled or still pending at the bank
+  skipped: [{
+    reference: String,
+    reason: String
+  }]
+}, { _id: false });
+
+// A set of pending withdrawals paid out together through one bank bulk transfer file.
+// Withdrawals stay pending until the bank's response file settles them.
+const payoutBatchSchema = new mongoose.Schema({
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'reconciled'],
+    default: 'open'
+  },
+  transactionIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  }],
+  count: {
+    type: Number,
+    default: 0
+  },
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+  completedCount: {
+    type: Number,
+    default: 0
+  },
+  failedCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  downloadedAt: Date,
+  reconciledAt: Date,
+  imports: [payoutImportSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual for withdrawals the bank has not reported on yet
+payoutBatchSchema.virtual('pendingCount').get(function() {
+  return this.count - this.completedCount - this.failedCount;
+});
+
+// Method to get batch summary without the import history
+payoutBatchSchema.methods.getSummary = function() {
+  return {
+    id: this._id,
+    reference: this.reference,
+    status: this.status,
+    count: this.count,
+    totalAmount: this.totalAmount,
+    completedCount: this.completedCount,
+    failedCount: this.failedCount,
+    pendingCount: this.pendingCount,
+    downloadedAt: this.downloadedAt,
+    reconciledAt: this.reconciledAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('PayoutBatch', payoutBatchSchema);
@@ -141,7 +141,6 @@ const playerSchema = new mongoose.Schema({
 // Indexes
 playerSchema.index({ sport: 1, role: 1 });
 playerSchema.index({ 'team.name': 1 });
-playerSchema.index({ externalId: 1 });
 playerSchema.index({ name: 1 });
 playerSchema.index({ isActive: 1, isPlaying: 1 });
 
@@ -206,4 +205,15 @@ playerSchema.methods.updateFantasyPoints = function(matchPoints) {
   return this.save();
 };
 
+// Static method to look up captain/vice-captain multipliers, keyed by player id
+playerSchema.statics.getMultiplierBonuses = async function(playerIds) {
+  const players = await this.find({ _id: { $in: playerIds } })
+    .select('captainBonus viceCaptainBonus');
+
+  return new Map(players.map(player => [
+    player._id.toString(),
+    { captainBonus: player.captainBonus, viceCaptainBonus: player.viceCaptainBonus }
+  ]));
+};
+
 module.exports = mongoose.model('Player', playerSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// First retry of a failed transaction; each later one waits twice as long
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+
 const transactionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -9,7 +12,7 @@ const transactionSchema = new mongoose.Schema({
   type: {
     type: String,
     required: true,
-    enum: ['deposit', 'withdrawal', 'contest_entry', 'contest_winnings', 'bonus', 'refund', 'referral_bonus', 'admin_adjustment']
+    enum: ['deposit', 'withdrawal', 'contest_entry', 'contest_winnings', 'bonus', 'refund', 'referral_bonus', 'admin_adjustment', 'transfer', 'tds']
   },
   amount: {
     type: Number,
@@ -36,11 +39,11 @@ const transactionSchema = new mongoose.Schema({
   externalReference: String,
   paymentMethod: {
     type: String,
-    enum: ['upi', 'card', 'netbanking', 'wallet', 'razorpay', 'stripe', 'internal', 'bonus']
+    enum: ['upi', 'card', 'netbanking', 'wallet', 'razorpay', 'stripe', 'internal', 'bonus', 'bank_transfer']
   },
   paymentGateway: {
     type: String,
-    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'internal']
+    enum: ['razorpay', 'stripe', 'paytm', 'phonepe', 'fake', 'internal']
   },
   gatewayResponse: {
     success: Boolean,
@@ -54,11 +57,20 @@ const transactionSchema = new mongoose.Schema({
     contestId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contest' },
     matchId: { type: mongoose.Schema.Types.ObjectId, ref: 'Match' },
     teamId: { type: mongoose.Schema.Types.ObjectId, ref: 'FantasyTeam' },
+    originalTransactionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' },
+    beneficiaryId: { type: mongoose.Schema.Types.ObjectId, ref: 'Beneficiary' },
     referralCode: String,
     adminNote: String,
     ipAddress: String,
     userAgent: String
   },
+  // Tax deducted at source; set on tds transactions
+  tax: {
+    financialYear: String,
+    stage: { type: String, enum: ['withdrawal', 'settlement'] },
+    rate: Number, // Percent
+    taxableAmount: Number
+  },
   fees: {
     amount: { type: Number, default: 0 },
     percentage: { type: Number, default: 0 },
@@ -76,6 +88,12 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Signed change to each wallet sub-balance, e.g. an entry fee paid as { bonus: -5, deposit: -45 }
+  balanceSplit: {
+    deposit: Number,
+    winnings: Number,
+    bonus: Number
+  },
   processedAt: Date,
   failureReason: String,
   retryCount: {
@@ -86,7 +104,19 @@ const transactionSchema = new mongoose.Schema({
     type: Number,
     default: 3
   },
+  // When the retry worker next looks at a failed transaction
   nextRetryAt: Date,
+  // Set when the retry worker gives up on a failed transaction and hands it to an admin
+  escalation: {
+    at: Date,
+    reason: String,
+    resolvedAt: Date,
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String
+  },
   isReversible: {
     type: Boolean,
     default: false
@@ -108,7 +138,12 @@ const transactionSchema = new mongoose.Schema({
     default: false
   },
   settledAt: Date,
-  settlementReference: String
+  settlementReference: String,
+  // Bank payout batch a pending withdrawal has been exported in
+  payoutBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutBatch'
+  }
 }, {
   timestamps: true
 });
@@ -116,9 +151,11 @@ const transactionSchema = new mongoose.Schema({
 // Indexes
 transactionSchema.index({ userId: 1, createdAt: -1 });
 transactionSchema.index({ type: 1, status: 1 });
-transactionSchema.index({ reference: 1 });
 transactionSchema.index({ externalReference: 1 });
 transactionSchema.index({ status: 1, processedAt: 1 });
+transactionSchema.index({ payoutBatchId: 1 });
+transactionSchema.index({ status: 1, nextRetryAt: 1 });
+transactionSchema.index({ 'escalation.at': 1, 'escalation.resolvedAt': 1 });
 
 // Virtual for isPending
 transactionSchema.virtual('isPending').get(function() {
@@ -165,12 +202,7 @@ transactionSchema.methods.fail = function(reason) {
   this.status = 'failed';
   this.failureReason = reason;
   this.retryCount++;
-  
-  if (this.retryCount < this.maxRetries) {
-    // Schedule retry after exponential backoff
-    const delay = Math.pow(2, this.retryCount) * 1000; // 2^retryCount seconds
-    this.nextRetryAt = new Date(Date.now() + delay);
-  }
+  this.nextRetryAt = this.constructor.getNextRetryAt(this.retryCount, this.maxRetries);
   
   return this.save();
 };
@@ -224,6 +256,40 @@ transactionSchema.methods.getSummary = function() {
   };
 };
 
+// When the retry worker should look at a transaction that has failed retryCount times:
+// after an exponential backoff while retries remain, straight away once they are used
+// up so it is escalated
+transactionSchema.statics.getNextRetryAt = function(retryCount, maxRetries, now = new Date()) {
+  if (retryCount >= maxRetries) return now;
+  return new Date(now.getTime() + Math.pow(2, retryCount - 1) * RETRY_BASE_DELAY_MS);
+};
+
+// Move a pending transaction to failed and schedule its retry. Resolves to whether
+// this call made the change.
+transactionSchema.statics.failPending = async function(transaction, reason, set = {}) {
+  const retryCount = (transaction.retryCount || 0) + 1;
+  const result = await this.updateOne(
+    { _id: transaction._id, status: 'pending' },
+    {
+      $set: {
+        ...set,
+        status: 'failed',
+        failureReason: reason,
+        retryCount,
+        nextRetryAt: this.getNextRetryAt(retryCount, transaction.maxRetries ?? 3)
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Static method to generate reference
+transactionSchema.statics.generateReference = function(type = 'TXN') {
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).substr(2, 5);
+  return `${type.substr(0, 3).toUpperCase()}${timestamp}${random}`.toUpperCase();
+};
+
 // Static method to create deposit transaction
 transactionSchema.statics.createDeposit = function(userId, amount, paymentMethod, paymentGateway, metadata = {}) {
   const transaction = new this({
@@ -232,13 +298,13 @@ transactionSchema.statics.createDeposit = function(userId, amount, paymentMethod
     amount,
     status: 'pending',
     description: `Deposit of ${amount} ${this.currency || 'INR'}`,
-    reference: this.generateReference(),
+    reference: this.generateReference('deposit'),
     paymentMethod,
     paymentGateway,
     metadata,
     netAmount: amount,
-    balanceBefore: 0, // Will be updated when processing
-    balanceAfter: 0    // Will be updated when processing
+    balanceBefore: 0, // Set by LedgerService.moveFunds when the money moves
+    balanceAfter: 0    // Set by LedgerService.moveFunds when the money moves
   });
   
   return transaction;
@@ -252,13 +318,13 @@ transactionSchema.statics.createContestEntry = function(userId, amount, contestI
     amount: -amount, // Negative amount for debits
     status: 'completed',
     description: `Contest entry fee`,
-    reference: this.generateReference(),
+    reference: this.generateReference('contest_entry'),
     paymentMethod: 'internal',
     paymentGateway: 'internal',
     metadata: { contestId, matchId, teamId, ...metadata },
     netAmount: -amount,
-    balanceBefore: 0, // Will be updated when processing
-    balanceAfter: 0    // Will be updated when processing
+    balanceBefore: 0, // Set by LedgerService.moveFunds when the money moves
+    balanceAfter: 0    // Set by LedgerService.moveFunds when the money moves
   });
   
   return transaction;
@@ -272,13 +338,54 @@ transactionSchema.statics.createContestWinnings = function(userId, amount, conte
     amount,
     status: 'completed',
     description: `Contest winnings`,
-    reference: this.generateReference(),
+    reference: this.generateReference('contest_winnings'),
     paymentMethod: 'bonus',
     paymentGateway: 'internal',
     metadata: { contestId, matchId, teamId, ...metadata },
     netAmount: amount,
-    balanceBefore: 0, // Will be updated when processing
-    balanceAfter: 0    // Will be updated when processing
+    balanceBefore: 0, // Set by LedgerService.moveFunds when the money moves
+    balanceAfter: 0    // Set by LedgerService.moveFunds when the money moves
+  });
+  
+  return transaction;
+};
+
+// Static method to create refund transaction
+transactionSchema.statics.createRefund = function(userId, amount, contestId, matchId, teamId, metadata = {}) {
+  const transaction = new this({
+    userId,
+    type: 'refund',
+    amount,
+    status: 'completed',
+    description: `Contest entry refund`,
+    reference: this.generateReference('refund'),
+    paymentMethod: 'internal',
+    paymentGateway: 'internal',
+    metadata: { contestId, matchId, teamId, ...metadata },
+    netAmount: amount,
+    balanceBefore: 0, // Set by LedgerService.moveFunds when the money moves
+    balanceAfter: 0    // Set by LedgerService.moveFunds when the money moves
+  });
+  
+  return transaction;
+};
+
+// Static method to create tax deducted at source transaction
+transactionSchema.statics.createTds = function(userId, amount, tax, metadata = {}) {
+  const transaction = new this({
+    userId,
+    type: 'tds',
+    amount: -amount, // Negative amount for debits
+    status: 'completed',
+    description: `TDS at ${tax.rate}% on winnings of ₹${tax.taxableAmount} (FY ${tax.financialYear})`,
+    reference: this.generateReference('tds'),
+    paymentMethod: 'internal',
+    paymentGateway: 'internal',
+    metadata,
+    tax,
+    netAmount: -amount,
+    balanceBefore: 0, // Set by LedgerService.moveFunds when the money moves
+    balanceAfter: 0    // Set by LedgerService.moveFunds when the money moves
   });
   
   return transaction;
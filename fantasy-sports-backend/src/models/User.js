@@ -48,17 +48,48 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Identity verification, required for withdrawals above the KYC limits
+  kyc: {
+    status: {
+      type: String,
+      enum: ['not_submitted', 'pending', 'approved', 'rejected'],
+      default: 'not_submitted'
+    },
+    submissionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'KycSubmission'
+    },
+    panNumber: String,
+    verifiedAt: Date,
+    rejectionReason: String
+  },
   role: {
     type: String,
     enum: ['user', 'admin', 'moderator'],
     default: 'user'
   },
   wallet: {
+    // Total of the deposit, winnings and bonus sub-balances
     balance: {
       type: Number,
       default: 0,
       min: 0
     },
+    deposit: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    winnings: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    bonus: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     totalDeposited: {
       type: Number,
       default: 0
@@ -84,6 +115,36 @@ const userSchema = new mongoose.Schema({
       push: { type: Boolean, default: true }
     }
   },
+  // Limits and breaks the user sets on themselves; see ResponsibleGamingService
+  responsibleGaming: {
+    // Most the user may deposit, or spend on contest entries, in a rolling day, week or month
+    depositLimits: {
+      daily: Number,
+      weekly: Number,
+      monthly: Number
+    },
+    spendLimits: {
+      daily: Number,
+      weekly: Number,
+      monthly: Number
+    },
+    // Raised or removed limits only apply once effectiveAt has passed
+    pendingChanges: [{
+      kind: { type: String, enum: ['deposit', 'spend'], required: true },
+      period: { type: String, enum: ['daily', 'weekly', 'monthly'], required: true },
+      // null removes the limit
+      value: Number,
+      requestedAt: { type: Date, default: Date.now },
+      effectiveAt: { type: Date, required: true }
+    }],
+    coolOffUntil: Date,
+    selfExclusion: {
+      startedAt: Date,
+      // Unset for a permanent exclusion
+      until: Date,
+      permanent: { type: Boolean, default: false }
+    }
+  },
   stats: {
     totalContests: { type: Number, default: 0 },
     contestsWon: { type: Number, default: 0 },
@@ -116,12 +177,6 @@ const userSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Indexes for better query performance
-userSchema.index({ email: 1 });
-userSchema.index({ username: 1 });
-userSchema.index({ phone: 1 });
-userSchema.index({ referralCode: 1 });
-
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
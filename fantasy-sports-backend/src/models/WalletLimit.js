@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Limits for one kind of money movement; unset fields fall back to the level below
+const limitSchema = new mongoose.Schema({
+  min: { type: Number, min: 0 },
+  max: { type: Number, min: 0 },
+  // Most that can move in any rolling 24 hours
+  daily: { type: Number, min: 0 }
+}, { _id: false });
+
+// Stored wallet limits. The document without a userId is the platform configuration;
+// the others override it for one user, e.g. higher caps for a VIP or lower ones as a
+// restriction.
+const walletLimitSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  deposit: limitSchema,
+  withdrawal: limitSchema,
+  transfer: limitSchema,
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// One platform configuration and at most one override per user
+walletLimitSchema.index({ userId: 1 }, { unique: true });
+
+walletLimitSchema.statics.LIMIT_TYPES = ['deposit', 'withdrawal', 'transfer'];
+
+module.exports = mongoose.model('WalletLimit', walletLimitSchema);
@@ -0,0 +1,18 @@
+// Interface every bank account verifier implements. A "penny drop" sends a small
+// credit to the account and reports the holder name the bank returns.
+class BankVerifier {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check that an account exists and can receive money.
+   * Resolves to { status, nameAtBank, reference, message } where status is
+   * 'verified', 'failed' or 'pending' (decided later, e.g. by an admin).
+   */
+  async verify({ accountNumber, ifscCode, accountHolderName, reference }) {
+    throw new Error(`${this.name} verifier does not implement verify`);
+  }
+}
+
+module.exports = BankVerifier;
@@ -0,0 +1,43 @@
+const StubVerifier = require('./stubVerifier');
+const ManualVerifier = require('./manualVerifier');
+
+const factories = {
+  stub: () => new StubVerifier(),
+  manual: () => new ManualVerifier()
+};
+
+const instances = new Map();
+
+// Verifier used for new accounts: BANK_VERIFIER, or the stub outside production
+const getDefaultVerifierName = () => process.env.BANK_VERIFIER ||
+  (process.env.NODE_ENV === 'production' ? 'manual' : 'stub');
+
+// Get a verifier by name; verifiers are created once and reused
+const getVerifier = (name = getDefaultVerifierName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown bank verifier: ${name}`);
+  }
+
+  // The stub verifies any account, so never trust it with real payouts
+  if (name === 'stub' && process.env.NODE_ENV === 'production') {
+    throw new Error('The stub bank verifier cannot be used in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+// Register or replace a verifier, e.g. a penny drop provider
+const registerVerifier = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+module.exports = {
+  getVerifier,
+  getDefaultVerifierName,
+  registerVerifier
+};
@@ -0,0 +1,175 @@
+const Beneficiary = require('../models/Beneficiary');
+const { getVerifier, getDefaultVerifierName } = require('./bankVerifiers');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+const MAX_BENEFICIARIES = 5;
+const MAX_VERIFICATION_ATTEMPTS = 3;
+
+const nameTokens = (name = '') => name
+  .toUpperCase()
+  .replace(/[^A-Z ]/g, ' ')
+  .split(/\s+/)
+  .filter(token => token.length > 1);
+
+class BeneficiaryService {
+  /**
+   * Names match when every word of the shorter name appears in the longer one, so
+   * "RAHUL SHARMA" matches "Rahul Kumar Sharma" but not "Rohit Sharma"
+   */
+  static namesMatch(first, second) {
+    const [shorter, longer] = [nameTokens(first), nameTokens(second)].sort((a, b) => a.length - b.length);
+    return shorter.length > 0 && shorter.every(token => longer.includes(token));
+  }
+
+  /**
+   * A user's saved accounts, newest first
+   */
+  static async list(userId) {
+    return Beneficiary.find({ userId, isActive: true }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Save a bank account and run the penny drop verification straight away
+   */
+  static async add(user, { accountHolderName, accountNumber, ifscCode, nickname }) {
+    const saved = await Beneficiary.countDocuments({ userId: user._id, isActive: true });
+    if (saved >= MAX_BENEFICIARIES) {
+      throw createError(`You can save at most ${MAX_BENEFICIARIES} bank accounts`);
+    }
+
+    let beneficiary;
+    try {
+      beneficiary = await Beneficiary.create({
+        userId: user._id,
+        accountHolderName,
+        accountNumber,
+        ifscCode,
+        nickname
+      });
+    } catch (error) {
+      if (error.code === 11000) throw createError('This bank account is already saved');
+      throw error;
+    }
+
+    logger.info(`User ${user.username} added beneficiary ${beneficiary._id}`);
+
+    return this.verify(beneficiary, user);
+  }
+
+  /**
+   * Verify an account with the configured verifier. The account is only verified when
+   * the bank's holder name matches the user's registered name.
+   */
+  static async verify(beneficiary, user) {
+    if (beneficiary.status === 'verified') {
+      return beneficiary;
+    }
+
+    if (beneficiary.verification.attempts >= MAX_VERIFICATION_ATTEMPTS) {
+      throw createError('Verification attempts exhausted. Please add the account again or contact support.');
+    }
+
+    const verifier = getVerifier(getDefaultVerifierName());
+    beneficiary.verification.verifier = verifier.name;
+    beneficiary.verification.attempts += 1;
+    beneficiary.verification.lastAttemptAt = new Date();
+
+    let result;
+    try {
+      result = await verifier.verify({
+        accountNumber: beneficiary.accountNumber,
+        ifscCode: beneficiary.ifscCode,
+        accountHolderName: beneficiary.accountHolderName,
+        reference: `BEN-${beneficiary._id}-${beneficiary.verification.attempts}`
+      });
+    } catch (error) {
+      logger.error(`Verify beneficiary ${beneficiary._id} with ${verifier.name} error:`, error);
+      result = { status: 'failed', message: 'Bank verification is unavailable. Please try again later.' };
+    }
+
+    beneficiary.verification.reference = result.reference;
+
+    if (result.status === 'verified') {
+      beneficiary.verification.nameAtBank = result.nameAtBank;
+      beneficiary.verification.nameMatches = this.namesMatch(result.nameAtBank, user.fullName);
+
+      if (beneficiary.verification.nameMatches) {
+        beneficiary.status = 'verified';
+        beneficiary.verification.verifiedAt = new Date();
+        beneficiary.verification.failureReason = undefined;
+      } else {
+        beneficiary.status = 'failed';
+        beneficiary.verification.failureReason = 'Account holder name at the bank does not match your registered name';
+      }
+    } else {
+      beneficiary.status = result.status === 'pending' ? 'pending' : 'failed';
+      beneficiary.verification.failureReason = result.status === 'pending' ? undefined : result.message;
+    }
+
+    await beneficiary.save();
+
+    logger.info(`Beneficiary ${beneficiary._id} verification by ${verifier.name}: ${beneficiary.status}`);
+
+    return beneficiary;
+  }
+
+  /**
+   * Settle an account left pending for manual review
+   */
+  static async review(beneficiaryId, admin, { approved, reason }) {
+    const update = approved
+      ? { status: 'verified', 'verification.verifiedAt': new Date(), 'verification.failureReason': null }
+      : { status: 'failed', 'verification.failureReason': reason || 'Rejected on review' };
+
+    const beneficiary = await Beneficiary.findOneAndUpdate(
+      { _id: beneficiaryId, status: 'pending', isActive: true },
+      { $set: { ...update, 'verification.reviewedBy': admin._id } },
+      { new: true }
+    );
+
+    if (!beneficiary) {
+      throw createError('Beneficiary not found or not awaiting review', 404);
+    }
+
+    logger.info(`Admin ${admin.username} ${approved ? 'verified' : 'rejected'} beneficiary ${beneficiary._id}`);
+
+    return beneficiary;
+  }
+
+  /**
+   * Stop offering a saved account; past withdrawals keep pointing at it
+   */
+  static async remove(userId, beneficiaryId) {
+    const beneficiary = await Beneficiary.findOneAndUpdate(
+      { _id: beneficiaryId, userId, isActive: true },
+      { $set: { isActive: false, deletedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!beneficiary) {
+      throw createError('Beneficiary not found', 404);
+    }
+
+    return beneficiary;
+  }
+
+  /**
+   * The user's saved account a withdrawal may be paid to; it must be verified
+   */
+  static async getForWithdrawal(userId, beneficiaryId) {
+    const beneficiary = await Beneficiary.findOne({ _id: beneficiaryId, userId, isActive: true });
+
+    if (!beneficiary) {
+      throw createError('Beneficiary not found', 404);
+    }
+
+    if (beneficiary.status !== 'verified') {
+      throw createError('Withdrawals can only be made to a verified bank account');
+    }
+
+    return beneficiary;
+  }
+}
+
+module.exports = BeneficiaryService;
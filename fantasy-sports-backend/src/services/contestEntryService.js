@@ -0,0 +1,225 @@
+const Contest = require('../models/Contest');
+const ContestEntry = require('../models/ContestEntry');
+const FantasyTeam = require('../models/FantasyTeam');
+const Transaction = require('../models/Transaction');
+const LedgerService = require('./ledgerService');
+const PrivateContestService = require('./privateContestService');
+const ResponsibleGamingService = require('./responsibleGamingService');
+const { invertSplit, creditSplit, splitTotal } = require('./walletBalances');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Marks failures that only mean someone else took or closed the open spot first
+const spotGoneError = (message, data) => {
+  const error = createError(message, 400, data);
+  error.code = 'SPOT_GONE';
+  return error;
+};
+
+// Late joiners of a full contest are pointed to the copy opened when it filled
+const fullError = (contest) => spotGoneError('Contest is full',
+  contest.nextContestId && { nextContestId: contest.nextContestId });
+
+class ContestEntryService {
+  /**
+   * Join a contest within the user's own spend limits: reserve a spot, then debit the
+   * entry fee and record the contest_entry transaction. Both steps are conditional
+   * updates and the spot is given back when the fee cannot be collected, so concurrent
+   * joins can neither overfill the contest nor overdraw the wallet. Private contests
+   * also need an invite: { inviteCode } or the { token } of a share link.
+   */
+  static async join(contestId, user, teamId, invite = {}) {
+    const contest = await Contest.findById(contestId).select('+inviteCode');
+    if (!contest) {
+      throw createError('Contest not found', 404);
+    }
+
+    if (!contest.isActive || !contest.isVisible) {
+      throw spotGoneError('Contest is not available for registration');
+    }
+
+    await PrivateContestService.assertAccess(contest, user, invite);
+
+    // Only the challenged friend may take the open spot of a direct challenge
+    const challengedUserId = contest.headToHead?.challengedUserId;
+    if (challengedUserId && !challengedUserId.equals(user._id) && !contest.createdBy?.equals(user._id)) {
+      throw createError('This challenge is for another player', 403);
+    }
+
+    if (!contest.isRegistrationOpen) {
+      throw contest.isFull ? fullError(contest) : spotGoneError('Contest registration is closed');
+    }
+
+    // Breaks and the user's own spend limits
+    await ResponsibleGamingService.assertWithinLimits(user, 'spend', contest.entryFee);
+
+    const team = await FantasyTeam.findOne({ _id: teamId, userId: user._id, matchId: contest.matchId }).select('name');
+    if (!team) {
+      throw createError('Team not found for this match');
+    }
+
+    let entry;
+    try {
+      entry = await contest.addParticipant(user._id, team._id, {
+        username: user.username,
+        teamName: team.name
+      });
+    } catch (error) {
+      if (error.statusCode) throw error;
+      if (error.message === 'User already registered for this contest') {
+        throw createError('You have already joined this contest');
+      }
+      if (error.message === 'Maximum entries reached for this contest') {
+        throw createError(`You can join this contest with up to ${contest.entryLimit} teams`);
+      }
+      if (error.message === 'Contest is full') {
+        throw fullError(contest);
+      }
+      throw error.code === 'SPOT_GONE' ? spotGoneError(error.message) : createError(error.message);
+    }
+
+    const transaction = Transaction.createContestEntry(
+      user._id,
+      contest.entryFee,
+      contest._id,
+      contest.matchId,
+      team._id
+    );
+    transaction.reference = `ENT-${entry._id}`;
+    transaction.description = `Entry fee for ${contest.name}`;
+    transaction.processedAt = new Date();
+
+    // Free contests move no money; paid ones draw bonus, then deposit, then winnings
+    if (contest.entryFee <= 0) {
+      await transaction.save();
+      await this.replicateIfFull(contest);
+      return { contest, entry, transaction, balance: null };
+    }
+
+    let payer;
+    try {
+      payer = await LedgerService.debit(transaction, {
+        amount: contest.entryFee,
+        account: 'platform_contests'
+      });
+    } catch (error) {
+      await this.rollbackJoin(contest, entry);
+      throw error;
+    }
+
+    if (!payer) {
+      await this.rollbackJoin(contest, entry);
+      throw createError('Insufficient wallet balance');
+    }
+
+    await this.replicateIfFull(contest);
+
+    return { contest, entry, transaction, balance: payer.wallet.balance };
+  }
+
+  /**
+   * Open the next copy of an auto-replicating contest once a paid-up join takes its
+   * last spot; the entry stands even if the copy cannot be opened
+   */
+  static async replicateIfFull(contest) {
+    if (!contest.autoReplicate || contest.filledSpots < contest.totalSpots) return;
+
+    try {
+      await contest.replicate();
+    } catch (error) {
+      logger.error(`Replicating full contest ${contest._id} error:`, error);
+    }
+  }
+
+  /**
+   * Give back the spot of a join whose entry fee could not be collected
+   */
+  static async rollbackJoin(contest, entry) {
+    try {
+      await contest.removeEntry(entry);
+    } catch (error) {
+      logger.error(`Rollback of contest ${contest._id} entry ${entry._id} error:`, error);
+    }
+  }
+
+  /**
+   * Withdraw one entry from an upcoming contest, the latest unless entryId is given,
+   * and refund its entry fee. The entry is put back when the refund fails.
+   */
+  static async leave(contestId, userId, entryId = null) {
+    const contest = await Contest.findById(contestId);
+    if (!contest) {
+      throw createError('Contest not found', 404);
+    }
+
+    if (contest.status !== 'upcoming') {
+      throw createError('Cannot leave contest after it has started');
+    }
+
+    let entry;
+    try {
+      entry = await contest.removeParticipant(userId, entryId);
+    } catch (error) {
+      throw createError(entryId
+        ? 'Entry not found in this contest'
+        : 'You are not a participant in this contest');
+    }
+
+    if (contest.entryFee <= 0) {
+      return { contest, entry, transaction: null };
+    }
+
+    const transaction = Transaction.createRefund(
+      userId,
+      contest.entryFee,
+      contest._id,
+      contest.matchId,
+      entry.teamId
+    );
+    transaction.reference = `LEAVE-${entry._id}`;
+    transaction.processedAt = new Date();
+
+    let user;
+    try {
+      user = await LedgerService.moveFunds(transaction, {
+        split: await this.getRefundSplit(entry, contest.entryFee),
+        account: 'platform_contests'
+      });
+    } catch (error) {
+      await this.rollbackLeave(contest, entry);
+      throw error;
+    }
+
+    if (!user) {
+      await this.rollbackLeave(contest, entry);
+      throw createError('User not found', 404);
+    }
+
+    return { contest, entry, transaction, balance: user.wallet.balance };
+  }
+
+  /**
+   * Put back the entry of a leave whose refund could not be paid, so the user keeps
+   * either their spot or their fee
+   */
+  static async rollbackLeave(contest, entry) {
+    try {
+      await contest.restoreEntry(entry);
+    } catch (error) {
+      logger.error(`Restore of contest ${contest._id} entry ${entry._id} after a failed refund error:`, error);
+    }
+  }
+
+  /**
+   * Sub-balances an entry fee is refunded to: the ones it was paid from
+   */
+  static async getRefundSplit(entry, entryFee) {
+    const payment = await Transaction.findOne({ reference: `ENT-${entry._id}` }).select('balanceSplit');
+    const split = invertSplit(payment?.balanceSplit);
+
+    // Entries paid before sub-balances existed go back to deposit
+    return splitTotal(split) === entryFee ? split : creditSplit(entryFee, 'deposit');
+  }
+}
+
+module.exports = ContestEntryService;
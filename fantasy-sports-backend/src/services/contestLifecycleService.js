@@ -0,0 +1,283 @@
+const cron = require('node-cron');
+const Match = require('../models/Match');
+const Contest = require('../models/Contest');
+const ContestEntry = require('../models/ContestEntry');
+const FantasyTeam = require('../models/FantasyTeam');
+const Transaction = require('../models/Transaction');
+const ContestEntryService = require('./contestEntryService');
+const LedgerService = require('./ledgerService');
+const SettlementService = require('./settlementService');
+const { events } = require('./websocket');
+const logger = require('./logger');
+
+let task = null;
+let isRunning = false;
+
+class ContestLifecycleService {
+  /**
+   * Start the background lifecycle worker
+   */
+  static start(schedule = process.env.CONTEST_LIFECYCLE_CRON || '* * * * *') {
+    if (task) return task;
+
+    task = cron.schedule(schedule, () => {
+      this.runOnce().catch(error => logger.error('Contest lifecycle run error:', error));
+    });
+
+    logger.info(`Contest lifecycle worker started (${schedule})`);
+    return task;
+  }
+
+  /**
+   * Stop the background lifecycle worker
+   */
+  static stop() {
+    if (task) {
+      task.stop();
+      task = null;
+      logger.info('Contest lifecycle worker stopped');
+    }
+  }
+
+  /**
+   * Run every lifecycle step once; overlapping runs are skipped
+   */
+  static async runOnce(now = new Date()) {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      await this.lockDueMatches(now);
+      await this.startLiveContests(now);
+      await this.closeCancelledMatches();
+      await this.settleCompletedMatches();
+      await this.processCancelledContests();
+    } finally {
+      isRunning = false;
+    }
+  }
+
+  /**
+   * At the fantasy deadline: lock every team and cancel contests that did not fill
+   */
+  static async lockDueMatches(now) {
+    const matches = await Match.find({
+      fantasyDeadline: { $lte: now },
+      status: { $in: ['upcoming', 'live'] },
+      teamsLockedAt: null
+    });
+
+    for (const match of matches) {
+      const teams = await FantasyTeam.find({ matchId: match._id, status: { $in: ['draft', 'submitted'] } });
+      for (const team of teams) {
+        await team.lockTeam();
+      }
+
+      const contests = await Contest.find({ matchId: match._id, status: 'upcoming' });
+      for (const contest of contests) {
+        if (contest.isUnderFilled) {
+          // Head-to-head requests nobody took are refunded the same way
+          await this.cancelContest(contest, contest.contestType === 'head-to-head'
+            ? 'No opponent was found before the deadline'
+            : `Contest did not reach its minimum entries (${contest.filledSpots}/${contest.minEntries})`);
+        }
+      }
+
+      match.teamsLockedAt = now;
+      await match.save();
+
+      logger.info(`Locked ${teams.length} teams for match: ${match.title}`);
+    }
+  }
+
+  /**
+   * Move upcoming contests to live once their match is underway
+   */
+  static async startLiveContests(now) {
+    const matches = await Match.find({
+      teamsLockedAt: { $ne: null },
+      $or: [{ status: 'live' }, { status: 'upcoming', startTime: { $lte: now } }]
+    }).select('_id');
+
+    for (const match of matches) {
+      const contests = await Contest.find({ matchId: match._id, status: 'upcoming' });
+
+      for (const contest of contests) {
+        const { modifiedCount } = await Contest.updateOne(
+          { _id: contest._id, status: 'upcoming' },
+          { $set: { status: 'live' } }
+        );
+
+        if (modifiedCount) {
+          events.contestUpdate(contest._id, { type: 'status', status: 'live' });
+        }
+      }
+    }
+  }
+
+  /**
+   * Cancel every open contest on a cancelled match, guaranteed or not. Only matches
+   * that still have open contests are loaded, so handled ones drop out of the sweep.
+   */
+  static async closeCancelledMatches() {
+    const matchIds = await Contest.distinct('matchId', { status: { $in: ['upcoming', 'live'] } });
+
+    const matches = await Match.find({ _id: { $in: matchIds }, status: 'cancelled' }).select('_id title');
+
+    for (const match of matches) {
+      const contests = await Contest.find({ matchId: match._id, status: { $in: ['upcoming', 'live'] } });
+      for (const contest of contests) {
+        await this.cancelContest(contest, `Match cancelled: ${match.title}`);
+      }
+    }
+  }
+
+  /**
+   * Hand completed matches to the settlement service
+   */
+  static async settleCompletedMatches() {
+    const matchIds = await Contest.distinct('matchId', {
+      status: { $in: ['upcoming', 'live'] },
+      'settlement.status': { $ne: 'settled' }
+    });
+
+    const matches = await Match.find({ _id: { $in: matchIds }, status: 'completed' }).select('_id');
+    for (const match of matches) {
+      await SettlementService.settleMatch(match._id);
+    }
+  }
+
+  /**
+   * Mark a contest cancelled; refunds follow in processCancelledContests
+   */
+  static async cancelContest(contest, reason) {
+    const { modifiedCount } = await Contest.updateOne(
+      { _id: contest._id, status: { $in: ['upcoming', 'live'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          isActive: false,
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        }
+      }
+    );
+
+    if (!modifiedCount) return false;
+
+    events.contestUpdate(contest._id, { type: 'cancelled', reason });
+    logger.info(`Contest cancelled: ${contest.name} - ${reason}`);
+
+    if (Contest.isListedType(contest.contestType)) {
+      await Match.syncContestTotals(contest.matchId);
+    }
+
+    await this.refundContest(contest._id);
+    return true;
+  }
+
+  /**
+   * Finish refunds for cancelled contests, including runs interrupted part-way
+   */
+  static async processCancelledContests() {
+    const contests = await Contest.find({
+      status: 'cancelled',
+      refundsProcessedAt: null,
+      filledSpots: { $gt: 0 }
+    }).select('_id');
+
+    for (const { _id } of contests) {
+      await this.refundContest(_id);
+    }
+  }
+
+  /**
+   * Refund every entry of a cancelled contest
+   */
+  static async refundContest(contestId) {
+    const contest = await Contest.findById(contestId);
+    if (!contest || contest.status !== 'cancelled' || contest.refundsProcessedAt) return;
+
+    let refunded = 0;
+    const entries = ContestEntry.find({ contestId: contest._id }).cursor();
+    for await (const participant of entries) {
+      try {
+        await this.refundEntry(contest, participant);
+      } catch (error) {
+        // Leave refundsProcessedAt unset so the next run retries
+        logger.error(`Refund for contest ${contest._id} entry ${participant._id} error:`, error);
+        return;
+      }
+      refunded++;
+    }
+
+    await Contest.updateOne({ _id: contest._id }, { $set: { refundsProcessedAt: new Date() } });
+    logger.info(`Refunded ${refunded} entries for cancelled contest: ${contest.name}`);
+  }
+
+  /**
+   * Refund one entry exactly once; returns false when it was already refunded
+   */
+  static async refundEntry(contest, participant) {
+    const reference = `REF-${contest._id}-${participant._id}`;
+
+    if (contest.entryFee <= 0) return false;
+
+    try {
+      const transaction = Transaction.createRefund(
+        participant.userId,
+        contest.entryFee,
+        contest._id,
+        contest.matchId,
+        participant.teamId
+      );
+      transaction.reference = reference;
+      transaction.status = 'pending';
+      transaction.description = `Refund for cancelled contest ${contest.name}`;
+      await transaction.save();
+    } catch (error) {
+      // Already created by an earlier run
+      if (error.code !== 11000) throw error;
+    }
+
+    const transaction = await Transaction.findOne({ reference, status: 'pending' });
+    if (!transaction) return false;
+
+    // As with winnings, the journal keyed by the reference proves the refund was paid,
+    // and the transaction is only completed once it exists
+    let user = null;
+    if (!await LedgerService.isPosted(reference)) {
+      try {
+        user = await LedgerService.moveFunds(transaction, {
+          split: await ContestEntryService.getRefundSplit(participant, contest.entryFee),
+          account: 'platform_contests'
+        });
+      } catch (error) {
+        // Anything but a parallel run posting the same journal first is retried next run
+        if (error.code !== 11000) throw error;
+      }
+
+      if (!user && !await LedgerService.isPosted(reference)) {
+        throw new Error(`Refund ${reference} could not be credited: user not found`);
+      }
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'completed', processedAt: transaction.processedAt || new Date() } }
+    );
+
+    if (!user) return false;
+
+    events.walletUpdate(participant.userId, {
+      type: 'refund',
+      amount: contest.entryFee,
+      newBalance: user.wallet.balance,
+      transactionId: transaction.reference
+    });
+
+    return true;
+  }
+}
+
+module.exports = ContestLifecycleService;
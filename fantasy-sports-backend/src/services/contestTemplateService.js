@@ -0,0 +1,144 @@
+const Contest = require('../models/Contest');
+const ContestTemplate = require('../models/ContestTemplate');
+const Match = require('../models/Match');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Most entries a contest may allow one user, as for contests created by hand
+const getMaxEntriesPerUser = () => parseInt(process.env.MAX_CONTEST_ENTRIES_PER_USER) || 10;
+
+class ContestTemplateService {
+  /**
+   * Templates matching the filters, highest priority first
+   */
+  static async list({ set, sport, isActive, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (set) filter.set = set;
+    if (sport) filter.sport = { $in: [sport, null] };
+    if (isActive !== undefined) filter.isActive = isActive === true || isActive === 'true';
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [templates, total] = await Promise.all([
+      ContestTemplate.find(filter)
+        .sort({ set: 1, priority: -1, createdAt: 1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      ContestTemplate.countDocuments(filter)
+    ]);
+
+    return {
+      templates,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    };
+  }
+
+  static async create(data, user) {
+    this.assertEntryLimit(data);
+
+    const template = new ContestTemplate({
+      ...data,
+      createdBy: user._id
+    });
+    await template.save();
+
+    logger.info(`Contest template created: ${template.name} (${template.set}) by ${user.username}`);
+    return template;
+  }
+
+  /**
+   * Update a template; contests already spawned from it keep their terms
+   */
+  static async update(templateId, data, user) {
+    this.assertEntryLimit(data);
+
+    const template = await ContestTemplate.findById(templateId);
+    if (!template) {
+      throw createError('Contest template not found', 404);
+    }
+
+    Object.assign(template, data, { updatedBy: user._id });
+    await template.save();
+
+    logger.info(`Contest template updated: ${template.name} (${template.set}) by ${user.username}`);
+    return template;
+  }
+
+  static async remove(templateId, user) {
+    const template = await ContestTemplate.findByIdAndDelete(templateId);
+    if (!template) {
+      throw createError('Contest template not found', 404);
+    }
+
+    logger.info(`Contest template deleted: ${template.name} (${template.set}) by ${user.username}`);
+    return template;
+  }
+
+  /**
+   * Open the standard lobby of a match: one contest per active template of the set that
+   * applies to the match's sport, highest priority first. Templates the match already has
+   * a contest from are skipped, so this is safe to re-run, and spawning stops once the
+   * match holds maxContests lobby contests.
+   */
+  static async spawnLobby(match, set = match.contestTemplateSet, now = new Date()) {
+    if (!set) {
+      return { contests: [], skipped: 0 };
+    }
+    if (match.status !== 'upcoming' || !match.isFantasyEnabled || match.fantasyDeadline <= now) {
+      throw createError('Contests can no longer be created for this match');
+    }
+
+    const templates = await ContestTemplate.find({
+      set,
+      isActive: true,
+      sport: { $in: [match.sport, null] }
+    }).sort({ priority: -1, createdAt: 1 });
+
+    const { currentContests } = await Match.syncContestTotals(match._id);
+    let room = match.maxContests - currentContests;
+
+    const contests = [];
+    let skipped = 0;
+    for (const template of templates) {
+      const spawned = await Contest.exists({
+        matchId: match._id,
+        templateId: template._id,
+        status: { $ne: 'cancelled' }
+      });
+      if (spawned) continue;
+
+      if (room <= 0) {
+        skipped++;
+        continue;
+      }
+
+      const contest = template.buildContest(match);
+      await contest.save();
+      contests.push(contest);
+      room--;
+    }
+
+    if (skipped > 0) {
+      logger.warn(`Match ${match._id} reached its limit of ${match.maxContests} contests; ${skipped} template(s) from set '${set}' were not spawned`);
+    }
+
+    const totals = await Match.syncContestTotals(match._id);
+    Object.assign(match, totals);
+
+    logger.info(`Spawned ${contests.length} contest(s) from template set '${set}' for match ${match._id}`);
+    return { contests, skipped };
+  }
+
+  static assertEntryLimit({ maxEntriesPerUser }) {
+    if (maxEntriesPerUser > getMaxEntriesPerUser()) {
+      throw createError(`A contest can allow up to ${getMaxEntriesPerUser()} entries per user`);
+    }
+  }
+}
+
+module.exports = ContestTemplateService;
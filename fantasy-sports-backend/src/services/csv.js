@@ -0,0 +1,82 @@
+// Minimal RFC 4180 CSV writing and reading for payout and statement files
+
+// Cells starting with these run as formulas when the file is opened in a spreadsheet
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+// Quote a cell when needed; text that would run as a formula is prefixed with '
+const escapeCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Write rows as CSV. columns: [{ header, value: row => cellValue }]
+const toCsv = (columns, rows) => [
+  columns.map(column => escapeCell(column.header)).join(','),
+  ...rows.map(row => columns.map(column => escapeCell(column.value(row))).join(','))
+].join('\r\n') + '\r\n';
+
+// Read CSV text into arrays of cells, honouring quoted commas, quotes and line breaks
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+// Read CSV text with a header row into objects keyed by lower-cased, trimmed header
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text.replace(/^﻿/, ''));
+  if (!header) return [];
+
+  const keys = header.map(name => name.trim().toLowerCase());
+  return rows.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] || '').trim()])));
+};
+
+module.exports = {
+  escapeCell,
+  toCsv,
+  parseCsv
+};
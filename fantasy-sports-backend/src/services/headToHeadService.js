@@ -0,0 +1,298 @@
+const Contest = require('../models/Contest');
+const FantasyTeam = require('../models/FantasyTeam');
+const Match = require('../models/Match');
+const User = require('../models/User');
+const ContestEntryService = require('./contestEntryService');
+const ContestLifecycleService = require('./contestLifecycleService');
+const NotificationService = require('./notificationService');
+const { events } = require('./websocket');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Waiting requests looked at per pairing attempt, oldest first
+const CANDIDATE_LIMIT = 50;
+
+// The allowed skill gap widens by this much for every hour a request waits
+const TOLERANCE_GROWTH_PER_HOUR = 0.05;
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const formatAmount = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+// Round down to the paisa so the prize never exceeds what was collected
+const floorToPaisa = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+
+class HeadToHeadService {
+  /**
+   * Entry fees users can play head-to-head for
+   */
+  static getFeeTiers() {
+    const tiers = (process.env.H2H_ENTRY_FEE_TIERS || '10,25,50,100,250,500,1000')
+      .split(',')
+      .map(tier => parseFloat(tier))
+      .filter(tier => tier > 0);
+    return [...new Set(tiers)].sort((a, b) => a - b);
+  }
+
+  /**
+   * The user's smoothed win rate from their contest history; newcomers start at 0.5
+   */
+  static getSkill(user) {
+    const { contestsWon = 0, totalContests = 0 } = user.stats || {};
+    return Math.round((contestsWon + 1) / (totalContests + 2) * 1000) / 1000;
+  }
+
+  /**
+   * Largest skill gap allowed when pairing with a request that has waited since `waitingSince`
+   */
+  static getTolerance(waitingSince, now = new Date()) {
+    const hoursWaited = Math.max(now - waitingSince, 0) / HOUR_MS;
+    return readNumber(process.env.H2H_SKILL_TOLERANCE, 0.1) + hoursWaited * TOLERANCE_GROWTH_PER_HOUR;
+  }
+
+  /**
+   * Put the user in the queue for a match and fee tier. They are paired at once with the
+   * closest waiting opponent in skill, or open a 1v1 contest and wait for one. Either way
+   * the entry fee is collected now; requests nobody takes are refunded at the deadline.
+   */
+  static async queue(user, { matchId, teamId, entryFee }, now = new Date()) {
+    const match = await this.getOpenMatch(matchId, entryFee, now);
+    await this.assertTeam(user, match, teamId);
+
+    const alreadyWaiting = await Contest.exists({
+      matchId: match._id,
+      contestType: 'head-to-head',
+      entryFee,
+      status: 'upcoming',
+      filledSpots: 1,
+      createdBy: user._id,
+      'headToHead.challengedUserId': null
+    });
+    if (alreadyWaiting) {
+      throw createError(`You are already waiting for an opponent at ${formatAmount(entryFee)}`);
+    }
+
+    const paired = await this.pair(user, match, entryFee, teamId, now);
+    if (paired) {
+      return { status: 'matched', ...paired };
+    }
+
+    const contest = this.buildContest(match, entryFee, user, { skill: this.getSkill(user) });
+    return { status: 'waiting', ...await this.open(contest, user, teamId) };
+  }
+
+  /**
+   * Join the waiting request closest in skill, trying the next one when another user takes
+   * it first; resolves to null when none is close enough
+   */
+  static async pair(user, match, entryFee, teamId, now = new Date()) {
+    const skill = this.getSkill(user);
+
+    const waiting = await Contest.find({
+      matchId: match._id,
+      contestType: 'head-to-head',
+      entryFee,
+      status: 'upcoming',
+      isActive: true,
+      filledSpots: 1,
+      registrationDeadline: { $gt: now },
+      createdBy: { $ne: user._id },
+      'headToHead.challengedUserId': null,
+      'headToHead.skill': { $ne: null }
+    })
+      .sort({ createdAt: 1 })
+      .limit(CANDIDATE_LIMIT)
+      .select('_id name createdBy createdAt headToHead');
+
+    const candidates = waiting
+      .map(contest => ({ contest, gap: Math.abs(contest.headToHead.skill - skill) }))
+      .filter(({ contest, gap }) => gap <= this.getTolerance(contest.createdAt, now))
+      .sort((a, b) => a.gap - b.gap);
+
+    for (const { contest } of candidates) {
+      let joined;
+      try {
+        joined = await ContestEntryService.join(contest._id, user, teamId);
+      } catch (error) {
+        // Someone else took or closed the open spot first
+        if (error.code === 'SPOT_GONE') continue;
+        throw error;
+      }
+
+      await this.notify(contest.createdBy, contest._id, 'Opponent Found',
+        `${user.username} took on your ${formatAmount(entryFee)} head-to-head for ${match.title}. Good luck!`);
+
+      logger.info(`Head-to-head paired: ${user.username} joined contest ${contest._id}`);
+      return joined;
+    }
+
+    return null;
+  }
+
+  /**
+   * Challenge a friend to a 1v1 on a match. Only they can take the second spot; the
+   * challenge is refunded if they decline or let the deadline pass.
+   */
+  static async challenge(user, { matchId, teamId, entryFee, opponent }, now = new Date()) {
+    const match = await this.getOpenMatch(matchId, entryFee, now);
+    await this.assertTeam(user, match, teamId);
+
+    const challenged = await User.findOne({ username: opponent, isActive: true }).select('_id username');
+    if (!challenged) {
+      throw createError('Player not found', 404);
+    }
+    if (challenged._id.equals(user._id)) {
+      throw createError('You cannot challenge yourself');
+    }
+
+    const contest = this.buildContest(match, entryFee, user, { challengedUserId: challenged._id });
+    contest.name = `${user.username} vs ${challenged.username}`;
+    const opened = await this.open(contest, user, teamId);
+
+    await this.notify(challenged._id, contest._id, 'New Challenge',
+      `${user.username} challenged you to a ${formatAmount(entryFee)} head-to-head for ${match.title}`);
+
+    return opened;
+  }
+
+  /**
+   * Challenges waiting for the user to accept
+   */
+  static listChallenges(user) {
+    return Contest.find({
+      'headToHead.challengedUserId': user._id,
+      status: 'upcoming',
+      filledSpots: 1
+    })
+      .sort({ registrationDeadline: 1 })
+      .populate('createdBy', 'username')
+      .populate('matchId', 'title sport startTime team1 team2');
+  }
+
+  /**
+   * Withdraw a request still waiting for an opponent, or decline a challenge, and refund
+   * the entry fee. The conditional update loses to a join that took the spot first.
+   */
+  static async withdraw(contestId, user) {
+    const contest = await Contest.findOne({ _id: contestId, contestType: 'head-to-head' });
+    if (!contest) {
+      throw createError('Head-to-head contest not found', 404);
+    }
+
+    const declining = contest.headToHead?.challengedUserId?.equals(user._id);
+    if (!declining && !contest.createdBy?.equals(user._id)) {
+      throw createError('Head-to-head contest not found', 404);
+    }
+
+    const reason = declining ? `Challenge declined by ${user.username}` : 'Withdrawn before an opponent joined';
+    const { modifiedCount } = await Contest.updateOne(
+      { _id: contest._id, status: 'upcoming', filledSpots: 1 },
+      {
+        $set: {
+          status: 'cancelled',
+          isActive: false,
+          cancelledAt: new Date(),
+          cancellationReason: reason
+        }
+      }
+    );
+
+    if (!modifiedCount) {
+      throw createError('Only a request still waiting for an opponent can be withdrawn');
+    }
+
+    events.contestUpdate(contest._id, { type: 'cancelled', reason });
+    logger.info(`Head-to-head contest ${contest._id} cancelled: ${reason}`);
+
+    if (declining) {
+      await this.notify(contest.createdBy, contest._id, 'Challenge Declined',
+        `${user.username} declined your challenge. Your entry fee has been refunded.`);
+    }
+
+    await ContestLifecycleService.refundContest(contest._id);
+    return contest;
+  }
+
+  /**
+   * The match, if head-to-head can still be played on it at this fee
+   */
+  static async getOpenMatch(matchId, entryFee, now = new Date()) {
+    const tiers = this.getFeeTiers();
+    if (!tiers.includes(entryFee)) {
+      throw createError(`Entry fee must be one of ${tiers.map(formatAmount).join(', ')}`);
+    }
+
+    const match = await Match.findById(matchId);
+    if (!match) {
+      throw createError('Match not found', 404);
+    }
+    if (match.status !== 'upcoming' || !match.isFantasyEnabled || match.fantasyDeadline <= now) {
+      throw createError('Head-to-head is closed for this match');
+    }
+
+    return match;
+  }
+
+  // Checked before a contest is opened so a bad team leaves nothing behind
+  static async assertTeam(user, match, teamId) {
+    const team = await FantasyTeam.exists({ _id: teamId, userId: user._id, matchId: match._id });
+    if (!team) {
+      throw createError('Team not found for this match');
+    }
+  }
+
+  /**
+   * An unsaved 1v1 contest on the match; the winner takes what both paid less commission
+   */
+  static buildContest(match, entryFee, user, headToHead) {
+    const commission = readNumber(process.env.H2H_COMMISSION_PERCENT, 10);
+    const prizePool = floorToPaisa(entryFee * 2 * (100 - commission) / 100);
+
+    return new Contest({
+      name: `Head-to-head ${formatAmount(entryFee)}`,
+      matchId: match._id,
+      sport: match.sport,
+      contestType: 'head-to-head',
+      entryFee,
+      totalSpots: 2,
+      prizePool,
+      prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: prizePool }],
+      teamSize: readNumber(process.env.MAX_PLAYERS_PER_TEAM, 11),
+      startTime: match.startTime,
+      registrationDeadline: match.fantasyDeadline,
+      createdBy: user._id,
+      headToHead
+    });
+  }
+
+  /**
+   * Save a new 1v1 contest and enter its creator; the contest is dropped again when the
+   * entry fee can't be collected
+   */
+  static async open(contest, user, teamId) {
+    await contest.save();
+
+    try {
+      return await ContestEntryService.join(contest._id, user, teamId);
+    } catch (error) {
+      await Contest.deleteOne({ _id: contest._id, filledSpots: 0 });
+      throw error;
+    }
+  }
+
+  // A failed notification must not undo a pairing or refund
+  static async notify(userId, contestId, title, message) {
+    try {
+      await NotificationService.sendHeadToHeadNotification(userId, contestId, title, message);
+    } catch (error) {
+      logger.warn(`Head-to-head notification failed for user ${userId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = HeadToHeadService;
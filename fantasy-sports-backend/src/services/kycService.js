@@ -0,0 +1,226 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const KycSubmission = require('../models/KycSubmission');
+const User = require('../models/User');
+const NotificationService = require('./notificationService');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Withdrawal limits for users without approved KYC
+const DEFAULT_WITHDRAWAL_LIMIT = 10000;
+const DEFAULT_TOTAL_WITHDRAWAL_LIMIT = 50000;
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+// Directory uploads are stored in, from UPLOAD_PATH relative to the backend root
+const getUploadRoot = () => path.resolve(__dirname, '../..', process.env.UPLOAD_PATH || 'uploads');
+
+const readLimit = (value, fallback) => {
+  const limit = parseFloat(value);
+  return Number.isNaN(limit) ? fallback : limit;
+};
+
+class KycService {
+  /**
+   * Largest single withdrawal and lifetime withdrawal total allowed without KYC
+   */
+  static getWithdrawalLimits() {
+    return {
+      perWithdrawal: readLimit(process.env.KYC_WITHDRAWAL_LIMIT, DEFAULT_WITHDRAWAL_LIMIT),
+      total: readLimit(process.env.KYC_TOTAL_WITHDRAWAL_LIMIT, DEFAULT_TOTAL_WITHDRAWAL_LIMIT)
+    };
+  }
+
+  /**
+   * Whether a withdrawal needs approved KYC: it is above the single withdrawal limit or
+   * takes the user's withdrawals past the lifetime limit
+   */
+  static requiresKyc(user, amount, limits = this.getWithdrawalLimits()) {
+    if (user.kyc?.status === 'approved') return false;
+
+    const withdrawn = user.wallet?.totalWithdrawn || 0;
+    return amount > limits.perWithdrawal || withdrawn + amount > limits.total;
+  }
+
+  /**
+   * Submit identity and bank proof documents for review. Files come from the kycUpload
+   * middleware and are only written to disk once the submission is accepted.
+   */
+  static async submit(user, { fullName, panNumber, identityType, bankProofType }, files = {}) {
+    if (user.kyc?.status === 'approved') {
+      throw createError('KYC is already approved');
+    }
+
+    if (user.kyc?.status === 'pending') {
+      throw createError('KYC is already under review');
+    }
+
+    const identityFile = files.identityDocument?.[0];
+    const bankProofFile = files.bankProof?.[0];
+    if (!identityFile || !bankProofFile) {
+      throw createError('Both an identity document and a bank proof are required');
+    }
+
+    const submission = new KycSubmission({
+      userId: user._id,
+      fullName,
+      panNumber
+    });
+
+    const written = [];
+    try {
+      const identity = await this.storeFile(user._id, submission._id, 'identity', identityFile);
+      written.push(identity.filePath);
+      const bankProof = await this.storeFile(user._id, submission._id, 'bank_proof', bankProofFile);
+      written.push(bankProof.filePath);
+
+      submission.documents = [
+        { category: 'identity', documentType: identityType, ...identity },
+        { category: 'bank_proof', documentType: bankProofType, ...bankProof }
+      ];
+
+      await submission.save();
+    } catch (error) {
+      await Promise.all(written.map(filePath => fs.rm(path.join(getUploadRoot(), filePath), { force: true })));
+      // Another submission went under review at the same time
+      if (error.code === 11000) throw createError('KYC is already under review');
+      throw error;
+    }
+
+    await User.updateOne({ _id: user._id }, {
+      $set: { 'kyc.status': 'pending', 'kyc.submissionId': submission._id },
+      $unset: { 'kyc.rejectionReason': 1 }
+    });
+
+    logger.info(`KYC submitted by ${user.username}: ${submission._id}`);
+
+    return submission;
+  }
+
+  /**
+   * Write one uploaded document under uploads/kyc/<userId>
+   */
+  static async storeFile(userId, submissionId, category, file) {
+    const directory = path.join('kyc', userId.toString());
+    await fs.mkdir(path.join(getUploadRoot(), directory), { recursive: true });
+
+    const fileName = `${submissionId}-${category}-${crypto.randomBytes(4).toString('hex')}${FILE_EXTENSIONS[file.mimetype] || ''}`;
+    const filePath = path.join(directory, fileName);
+    await fs.writeFile(path.join(getUploadRoot(), filePath), file.buffer, { flag: 'wx' });
+
+    return {
+      filePath,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size
+    };
+  }
+
+  /**
+   * Absolute path of a stored document, for admins reviewing it
+   */
+  static getDocumentPath(document) {
+    const root = getUploadRoot();
+    const absolute = path.resolve(root, document.filePath);
+    if (!absolute.startsWith(root + path.sep)) {
+      throw createError('Document not found', 404);
+    }
+    return absolute;
+  }
+
+  /**
+   * Submissions waiting for review, oldest first
+   */
+  static async getQueue({ status = 'pending', page = 1, limit = 20 } = {}) {
+    const filter = status === 'all' ? {} : { status };
+    const skip = (page - 1) * limit;
+
+    const [submissions, total] = await Promise.all([
+      KycSubmission.find(filter)
+        .populate('userId', 'username email fullName phone wallet.totalWithdrawn')
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip(skip)
+        .limit(limit),
+      KycSubmission.countDocuments(filter)
+    ]);
+
+    return { submissions, total };
+  }
+
+  /**
+   * Approve a pending submission and mark the user verified
+   */
+  static async approve(submissionId, admin) {
+    const submission = await this.review(submissionId, admin, { status: 'approved' });
+
+    await User.updateOne({ _id: submission.userId }, {
+      $set: {
+        'kyc.status': 'approved',
+        'kyc.submissionId': submission._id,
+        'kyc.panNumber': submission.panNumber,
+        'kyc.verifiedAt': submission.reviewedAt
+      },
+      $unset: { 'kyc.rejectionReason': 1 }
+    });
+
+    await this.notify(submission);
+    return submission;
+  }
+
+  /**
+   * Reject a pending submission; the user may submit again
+   */
+  static async reject(submissionId, admin, reason) {
+    const submission = await this.review(submissionId, admin, { status: 'rejected', rejectionReason: reason });
+
+    await User.updateOne({ _id: submission.userId }, {
+      $set: {
+        'kyc.status': 'rejected',
+        'kyc.submissionId': submission._id,
+        'kyc.rejectionReason': reason
+      }
+    });
+
+    await this.notify(submission);
+    return submission;
+  }
+
+  /**
+   * Record a review decision; only a pending submission can be reviewed, once
+   */
+  static async review(submissionId, admin, decision) {
+    const submission = await KycSubmission.findOneAndUpdate(
+      { _id: submissionId, status: 'pending' },
+      { $set: { ...decision, reviewedBy: admin._id, reviewedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!submission) {
+      const exists = await KycSubmission.exists({ _id: submissionId });
+      throw exists ? createError('KYC submission has already been reviewed') : createError('KYC submission not found', 404);
+    }
+
+    logger.info(`Admin ${admin.username} ${decision.status} KYC submission ${submission._id}`);
+    return submission;
+  }
+
+  static async notify(submission) {
+    try {
+      await NotificationService.sendKycStatusNotification(
+        submission.userId,
+        submission.status,
+        submission.rejectionReason
+      );
+    } catch (error) {
+      // The decision stands even if the user could not be told right away
+      logger.warn(`KYC notification failed for user ${submission.userId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = KycService;
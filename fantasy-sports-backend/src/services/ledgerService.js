@@ -0,0 +1,262 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const User = require('../models/User');
+const {
+  BALANCE_TYPES,
+  CREDIT_BALANCE_BY_TYPE,
+  accountFor,
+  splitDebit,
+  creditSplit,
+  splitTotal
+} = require('./walletBalances');
+const logger = require('./logger');
+
+// Money is tracked to the paisa
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// Differences below this are floating point noise, not a mismatch
+const RECONCILIATION_TOLERANCE = 0.01;
+
+// Attempts at a split debit before giving up on a wallet that keeps changing underneath it
+const MAX_DEBIT_ATTEMPTS = 3;
+
+class LedgerService {
+  /**
+   * Write one balanced journal. Postings are { account, userId?, amount, balanceAfter? }
+   * and must sum to zero; a journal can only be posted once.
+   */
+  static async post(journalId, type, description, postings, transactionId = null) {
+    const total = roundToPaisa(postings.reduce((sum, p) => sum + p.amount, 0));
+    if (total !== 0) {
+      throw new Error(`Ledger journal ${journalId} is unbalanced by ${total}`);
+    }
+
+    return LedgerEntry.insertMany(postings.map(posting => ({
+      journalId,
+      transactionId,
+      type,
+      description,
+      ...posting,
+      amount: roundToPaisa(posting.amount)
+    })));
+  }
+
+  /**
+   * Whether a journal has been posted; a transaction's journal is keyed by its reference
+   */
+  static async isPosted(journalId) {
+    return Boolean(await LedgerEntry.exists({ journalId }));
+  }
+
+  /**
+   * Move money between a user's wallet sub-balances and a platform account and record
+   * every side. `split` holds the signed change per sub-balance ({ deposit: 100 } or
+   * { bonus: -5, deposit: -45 }); debits only apply if each sub-balance covers its part.
+   * Also saves the transaction with its split and real balanceBefore and balanceAfter.
+   * `inc` holds extra user counters to move with the balance.
+   * Returns the updated user, or null when a debit is not covered.
+   */
+  static async moveFunds(transaction, { split, account, inc = {} }) {
+    const userId = transaction.userId;
+    const amount = splitTotal(split);
+
+    const filter = { _id: userId };
+    const walletInc = { 'wallet.balance': amount };
+    Object.entries(split).forEach(([balanceType, value]) => {
+      walletInc[`wallet.${balanceType}`] = value;
+      if (value < 0) {
+        filter[`wallet.${balanceType}`] = { $gte: -value };
+      }
+    });
+
+    const user = await User.findOneAndUpdate(filter, {
+      $inc: { ...walletInc, ...inc }
+    }, { new: true });
+
+    if (!user) return null;
+
+    try {
+      await this.post(transaction.reference, transaction.type, transaction.description, [
+        ...Object.entries(split).map(([balanceType, value]) => ({
+          account: accountFor(balanceType),
+          userId,
+          amount: value,
+          balanceAfter: user.wallet[balanceType]
+        })),
+        { account, amount: -amount }
+      ], transaction._id);
+    } catch (error) {
+      // Undo the wallet change so the wallet keeps agreeing with the ledger
+      const undo = Object.fromEntries(Object.entries({ ...walletInc, ...inc }).map(([field, value]) => [field, -value]));
+      await User.updateOne({ _id: userId }, { $inc: undo });
+      throw error;
+    }
+
+    transaction.balanceSplit = split;
+    transaction.balanceAfter = user.wallet.balance;
+    transaction.balanceBefore = roundToPaisa(user.wallet.balance - amount);
+    try {
+      await transaction.save();
+    } catch (error) {
+      // The money has moved and is in the ledger; only the transaction record is stale
+      logger.error(`Save transaction ${transaction.reference} after ledger posting error:`, error);
+    }
+
+    return user;
+  }
+
+  /**
+   * Credit one sub-balance; defaults to the sub-balance the transaction type belongs to
+   */
+  static async credit(transaction, { amount, account, balanceType, inc = {} }) {
+    return this.moveFunds(transaction, {
+      split: creditSplit(amount, balanceType || CREDIT_BALANCE_BY_TYPE[transaction.type] || 'deposit'),
+      account,
+      inc
+    });
+  }
+
+  /**
+   * Debit across sub-balances in spend order (see walletBalances.splitDebit).
+   * Returns the updated user, or null when the wallet cannot cover the amount.
+   */
+  static async debit(transaction, { amount, account, order, bonusShare, inc = {} }) {
+    for (let attempt = 0; attempt < MAX_DEBIT_ATTEMPTS; attempt++) {
+      const user = await User.findById(transaction.userId).select('wallet').lean();
+      const split = splitDebit(user?.wallet, amount, { order, bonusShare });
+      if (!split) return null;
+
+      const updated = await this.moveFunds(transaction, { split, account, inc });
+      if (updated) return updated;
+      // The wallet changed between reading and debiting; split again
+    }
+
+    return null;
+  }
+
+  /**
+   * Ledger balances of a user's wallet, per sub-balance and in total
+   */
+  static async getUserBalances(userId) {
+    const balances = {};
+    for (const balanceType of BALANCE_TYPES) {
+      balances[balanceType] = await LedgerEntry.getBalance(accountFor(balanceType), userId);
+    }
+    balances.balance = roundToPaisa(BALANCE_TYPES.reduce((sum, balanceType) => sum + balances[balanceType], 0));
+    return balances;
+  }
+
+  /**
+   * Record existing wallet sub-balances that predate the ledger
+   */
+  static async postOpeningBalance(user) {
+    const ledger = await this.getUserBalances(user._id);
+    const postings = BALANCE_TYPES
+      .map(balanceType => ({
+        account: accountFor(balanceType),
+        userId: user._id,
+        amount: roundToPaisa((user.wallet[balanceType] || 0) - ledger[balanceType]),
+        balanceAfter: user.wallet[balanceType] || 0
+      }))
+      .filter(posting => posting.amount !== 0);
+
+    if (postings.length === 0) return false;
+
+    const amount = roundToPaisa(postings.reduce((sum, p) => sum + p.amount, 0));
+    await this.post(`OPEN-${user._id}`, 'opening_balance', 'Opening wallet balance', [
+      ...postings,
+      { account: 'platform_adjustments', amount: -amount }
+    ]);
+
+    return true;
+  }
+
+  /**
+   * Compare every wallet with its ledger history and every journal with the transaction
+   * it records, and list the ones that disagree
+   */
+  static async reconcile({ limit = 100 } = {}) {
+    const ledgerBalances = new Map();
+    const sums = await LedgerEntry.aggregate([
+      { $match: { account: { $in: BALANCE_TYPES.map(accountFor) } } },
+      {
+        $group: {
+          _id: { userId: '$userId', account: '$account' },
+          balance: { $sum: '$amount' },
+          postings: { $sum: 1 },
+          lastPostingAt: { $max: '$createdAt' }
+        }
+      }
+    ]);
+    sums.forEach(sum => {
+      const key = sum._id.userId.toString();
+      const ledger = ledgerBalances.get(key) || { postings: 0, lastPostingAt: null };
+      ledger[sum._id.account] = sum.balance;
+      ledger.postings += sum.postings;
+      if (!ledger.lastPostingAt || sum.lastPostingAt > ledger.lastPostingAt) {
+        ledger.lastPostingAt = sum.lastPostingAt;
+      }
+      ledgerBalances.set(key, ledger);
+    });
+
+    const mismatches = [];
+    let checkedUsers = 0;
+    let totalMismatches = 0;
+
+    const users = User.find({}).select('username email wallet').lean().cursor();
+    for await (const user of users) {
+      checkedUsers++;
+
+      const ledger = ledgerBalances.get(user._id.toString()) || { postings: 0, lastPostingAt: null };
+      const differences = {};
+
+      BALANCE_TYPES.forEach(balanceType => {
+        const difference = roundToPaisa((user.wallet?.[balanceType] || 0) - (ledger[accountFor(balanceType)] || 0));
+        if (Math.abs(difference) >= RECONCILIATION_TOLERANCE) {
+          differences[balanceType] = difference;
+        }
+      });
+
+      // The total must also equal the sum of its parts
+      const walletBalance = user.wallet?.balance || 0;
+      const ledgerBalance = roundToPaisa(BALANCE_TYPES.reduce((sum, balanceType) => sum + (ledger[accountFor(balanceType)] || 0), 0));
+      const difference = roundToPaisa(walletBalance - ledgerBalance);
+      if (Math.abs(difference) >= RECONCILIATION_TOLERANCE) {
+        differences.balance = difference;
+      }
+
+      if (Object.keys(differences).length > 0) {
+        totalMismatches++;
+        if (mismatches.length < limit) {
+          mismatches.push({
+            userId: user._id,
+            username: user.username,
+            email: user.email,
+            walletBalance,
+            ledgerBalance,
+            difference,
+            differences,
+            postings: ledger.postings,
+            lastPostingAt: ledger.lastPostingAt
+          });
+        }
+      }
+    }
+
+    const platformBalances = {};
+    for (const account of LedgerEntry.PLATFORM_ACCOUNTS) {
+      platformBalances[account] = await LedgerEntry.getBalance(account);
+    }
+
+    return {
+      checkedUsers,
+      totalMismatches,
+      mismatches,
+      unbalancedJournals: await LedgerEntry.findUnbalancedJournals(limit),
+      unmatchedJournals: await LedgerEntry.findUnmatchedJournals(limit),
+      platformBalances,
+      checkedAt: new Date()
+    };
+  }
+}
+
+module.exports = LedgerService;
@@ -1,7 +1,7 @@
 const winston = require('winston');
 const path = require('path');
 
-const initializeLogger = () => {
+const createLogger = () => {
   // Define log format
   const logFormat = winston.format.combine(
     winston.format.timestamp({
@@ -89,4 +89,9 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
-module.exports = { initializeLogger };
+// One logger shared by every module that requires this one; server.js gets it from initializeLogger
+const logger = createLogger();
+const initializeLogger = () => logger;
+
+module.exports = logger;
+module.exports.initializeLogger = initializeLogger;
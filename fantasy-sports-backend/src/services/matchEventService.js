@@ -0,0 +1,223 @@
+const Match = require('../models/Match');
+const MatchEvent = require('../models/MatchEvent');
+const FantasyTeam = require('../models/FantasyTeam');
+const Contest = require('../models/Contest');
+const { events } = require('./websocket');
+const logger = require('./logger');
+
+// Events worth surfacing in Match.highlights
+const HIGHLIGHT_EVENTS = ['wicket', 'goal', 'red_card'];
+
+// Number of leaderboard rows pushed to contest rooms on every update
+const LEADERBOARD_BROADCAST_SIZE = 50;
+
+class MatchEventService {
+  /**
+   * Persist a batch of events in order and push the resulting score changes live
+   */
+  static async ingestEvents(matchId, eventList, source = 'feed') {
+    try {
+      const match = await Match.findById(matchId);
+      if (!match) {
+        throw new Error('Match not found');
+      }
+
+      if (['completed', 'cancelled'].includes(match.status)) {
+        throw new Error('Match is not accepting events');
+      }
+
+      const persisted = [];
+      for (const eventData of eventList) {
+        const event = await this.persistEvent(match._id, eventData, source);
+        if (event) persisted.push(event);
+      }
+
+      if (persisted.length === 0) {
+        return { ingested: 0, skipped: eventList.length, lastSequence: match.lastEventSequence };
+      }
+
+      await this.applyPerformance(match._id, persisted);
+      const updatedMatch = await this.applyToScore(match._id, persisted);
+
+      const playerIds = [...new Set(persisted.filter(e => e.playerId).map(e => e.playerId.toString()))];
+      await this.refreshLivePoints(match._id, playerIds);
+
+      events.scoreUpdate(match._id, {
+        matchId: match._id,
+        currentScore: updatedMatch.currentScore,
+        lastSequence: updatedMatch.lastEventSequence,
+        events: persisted.map(event => event.getSummary())
+      });
+
+      logger.info(`Ingested ${persisted.length} events for match ${match._id}`);
+
+      return {
+        ingested: persisted.length,
+        skipped: eventList.length - persisted.length,
+        lastSequence: updatedMatch.lastEventSequence
+      };
+    } catch (error) {
+      logger.error(`Ingest events for match ${matchId} error:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a single event under the next sequence number; returns null for duplicates.
+   * The number is only taken by a successful insert, so a duplicate never leaves a gap
+   * for clients polling with `since`. The unique index on the sequence settles races.
+   */
+  static async persistEvent(matchId, eventData, source) {
+    if (eventData.externalId) {
+      const existing = await MatchEvent.exists({ matchId, externalId: eventData.externalId });
+      if (existing) return null;
+    }
+
+    for (;;) {
+      const last = await MatchEvent.findOne({ matchId }).sort({ sequence: -1 }).select('sequence');
+      const sequence = (last ? last.sequence : 0) + 1;
+
+      let event;
+      try {
+        event = await MatchEvent.create({
+          ...eventData,
+          matchId,
+          sequence,
+          source
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        // The same external event delivered twice concurrently
+        if (error.keyPattern?.externalId) return null;
+        // A parallel insert took this sequence number; look again
+        continue;
+      }
+
+      await Match.updateOne({ _id: matchId }, { $max: { lastEventSequence: sequence } });
+      return event;
+    }
+  }
+
+  /**
+   * Add each event's performance counters to every fantasy team holding that player
+   */
+  static async applyPerformance(matchId, persisted) {
+    const deltasByPlayer = new Map();
+
+    persisted.forEach(event => {
+      if (!event.playerId) return;
+
+      const key = event.playerId.toString();
+      const totals = deltasByPlayer.get(key) || {};
+      Object.entries(event.getPerformanceDelta()).forEach(([field, value]) => {
+        totals[field] = (totals[field] || 0) + value;
+      });
+      deltasByPlayer.set(key, totals);
+    });
+
+    for (const [playerId, totals] of deltasByPlayer) {
+      const inc = {};
+      Object.entries(totals).forEach(([field, value]) => {
+        if (value) inc[`players.$[player].performance.${field}`] = value;
+      });
+
+      if (Object.keys(inc).length === 0) continue;
+
+      await FantasyTeam.updateMany(
+        { matchId, 'players.playerId': playerId },
+        { $inc: inc },
+        { arrayFilters: [{ 'player.playerId': playerId }] }
+      );
+    }
+  }
+
+  /**
+   * Move Match.currentScore and highlights forward
+   */
+  static async applyToScore(matchId, persisted) {
+    const inc = {};
+    const max = {};
+    const highlights = [];
+
+    const add = (path, value) => {
+      inc[path] = (inc[path] || 0) + value;
+    };
+
+    persisted.forEach(event => {
+      const side = event.team;
+
+      if (side && event.type === 'delivery') {
+        add(`currentScore.${side}.runs`, (event.data?.runs || 0) + (event.data?.extras || 0));
+        if (event.data?.over !== undefined) {
+          const overs = event.data.over + (event.data.ball || 0) / 10;
+          max[`currentScore.${side}.overs`] = Math.max(max[`currentScore.${side}.overs`] || 0, overs);
+        }
+      } else if (side && event.type === 'wicket') {
+        add(`currentScore.${side}.wickets`, 1);
+      } else if (side && event.type === 'goal') {
+        // Football scorecards read goals from the runs counter
+        add(`currentScore.${side}.runs`, 1);
+      }
+
+      if (HIGHLIGHT_EVENTS.includes(event.type)) {
+        highlights.push({
+          timestamp: event.occurredAt,
+          event: event.type,
+          description: event.data?.description || event.type.replace('_', ' ')
+        });
+      }
+    });
+
+    const update = {};
+    if (Object.keys(inc).length) update.$inc = inc;
+    if (Object.keys(max).length) update.$max = max;
+    if (highlights.length) update.$push = { highlights: { $each: highlights } };
+
+    if (Object.keys(update).length === 0) {
+      return Match.findById(matchId);
+    }
+
+    return Match.findByIdAndUpdate(matchId, update, { new: true });
+  }
+
+  /**
+   * Rescore affected teams and every open contest on the match, then broadcast leaderboards
+   */
+  static async refreshLivePoints(matchId, playerIds) {
+    if (playerIds.length === 0) return;
+
+    const teams = await FantasyTeam.find({ matchId, 'players.playerId': { $in: playerIds } });
+    for (const team of teams) {
+      await team.refreshPoints();
+    }
+
+    const contests = await Contest.find({
+      matchId,
+      status: { $in: ['upcoming', 'live'] },
+      filledSpots: { $gt: 0 }
+    });
+
+    for (const contest of contests) {
+      await contest.scoreParticipants();
+
+      const leaderboard = await contest.getLeaderboard(0, LEADERBOARD_BROADCAST_SIZE);
+
+      events.leaderboardUpdate(contest._id, {
+        contestId: contest._id,
+        leaderboard: leaderboard.map(entry => entry.getLeaderboardRow()),
+        totalEntries: contest.filledSpots
+      });
+    }
+  }
+
+  /**
+   * Get persisted events for a match after a given sequence number
+   */
+  static async getEvents(matchId, since = 0, limit = 100) {
+    return MatchEvent.find({ matchId, sequence: { $gt: since } })
+      .sort({ sequence: 1 })
+      .limit(limit);
+  }
+}
+
+module.exports = MatchEventService;
@@ -124,9 +124,35 @@ class NotificationService {
   }
 
   /**
-   * Send wallet update notification
+   * Send head-to-head matchmaking or challenge notification
    */
-  static async sendWalletUpdateNotification(userId, type, amount, transactionId) {
+  static async sendHeadToHeadNotification(userId, contestId, title, message) {
+    try {
+      const notification = await this.createNotification({
+        userId,
+        type: 'contest',
+        title,
+        message,
+        priority: 'high',
+        metadata: {
+          contestId
+        },
+        source: 'automated',
+        sourceId: contestId
+      });
+
+      logger.info(`Head-to-head notification sent to user ${userId} for contest: ${contestId}`);
+      return notification;
+    } catch (error) {
+      logger.error('Send head-to-head notification error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send wallet update notification; message replaces the default credited/debited text
+   */
+  static async sendWalletUpdateNotification(userId, type, amount, transactionId, message = null) {
     try {
       const action = type === 'deposit' ? 'credited' : type === 'withdrawal' ? 'debited' : 'updated';
       
@@ -134,7 +160,7 @@ class NotificationService {
         userId,
         type: 'wallet_update',
         title: 'Wallet Updated',
-        message: `Your wallet has been ${action} with ₹${amount}`,
+        message: message || `Your wallet has been ${action} with ₹${amount}`,
         priority: 'normal',
         category: 'info',
         metadata: {
@@ -155,6 +181,35 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send KYC review result notification
+   */
+  static async sendKycStatusNotification(userId, status, reason) {
+    try {
+      const approved = status === 'approved';
+
+      const notification = await this.createNotification({
+        userId,
+        type: approved ? 'success' : 'warning',
+        title: approved ? 'KYC Approved' : 'KYC Rejected',
+        message: approved
+          ? 'Your KYC has been verified. You can now withdraw without limits.'
+          : `Your KYC was rejected: ${reason}. Please submit your documents again.`,
+        priority: approved ? 'normal' : 'high',
+        metadata: {
+          kycStatus: status,
+          reason
+        }
+      });
+
+      logger.info(`KYC ${status} notification sent to user ${userId}`);
+      return notification;
+    } catch (error) {
+      logger.error('Send KYC status notification error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Send leaderboard update notification
    */
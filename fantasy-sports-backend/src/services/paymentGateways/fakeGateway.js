@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const PaymentGateway = require('./paymentGateway');
+
+// Offline gateway for development and tests. It is stateless: orders and payments are
+// signed ids, so verification works across restarts. Use pay() to play the customer
+// and webhook() to play the gateway calling back.
+class FakeGateway extends PaymentGateway {
+  constructor({ secret = process.env.FAKE_GATEWAY_SECRET || 'fake-gateway-secret' } = {}) {
+    super('fake');
+    this.secret = secret;
+  }
+
+  sign(value) {
+    return crypto.createHmac('sha256', this.secret).update(value).digest('hex');
+  }
+
+  async createOrder({ amount, currency = 'INR', reference }) {
+    const orderId = `fake_order_${reference}`;
+
+    return {
+      orderId,
+      amount,
+      currency,
+      // Pre-signed results so a client can finish checkout without a real gateway
+      clientData: {
+        orderId,
+        payment: this.pay(orderId),
+        declinedPayment: this.pay(orderId, { succeed: false })
+      }
+    };
+  }
+
+  /**
+   * Simulate the customer completing (or failing) checkout for an order
+   */
+  pay(orderId, { succeed = true } = {}) {
+    const paymentId = `fake_${succeed ? 'pay' : 'fail'}_${crypto.randomBytes(6).toString('hex')}`;
+    return { orderId, paymentId, signature: this.sign(`${orderId}|${paymentId}`) };
+  }
+
+  async verifyPayment({ orderId, paymentId, signature }) {
+    if (!paymentId || signature !== this.sign(`${orderId}|${paymentId}`)) {
+      return { success: false, paymentId, status: 'failed', message: 'Invalid payment signature' };
+    }
+
+    if (paymentId.startsWith('fake_fail_')) {
+      return { success: false, paymentId, status: 'failed', message: 'Payment declined' };
+    }
+
+    return { success: true, paymentId, status: 'captured', message: 'Payment verified' };
+  }
+
+  // Being stateless, the fake gateway only knows payments the client reports
+  async fetchPayment({ orderId }) {
+    return { success: false, status: 'failed', message: 'No captured payment for the order', raw: { orderId } };
+  }
+
+  async refund({ paymentId, reference }) {
+    return {
+      refundId: `fake_refund_${reference}`,
+      status: paymentId.startsWith('fake_fail_') ? 'failed' : 'processed',
+      raw: { paymentId, reference }
+    };
+  }
+
+  /**
+   * Build a signed webhook request, e.g. webhook('payment.succeeded', { orderId, paymentId })
+   */
+  webhook(type, data = {}) {
+    const body = JSON.stringify({
+      id: `fake_evt_${crypto.randomBytes(6).toString('hex')}`,
+      type,
+      ...data
+    });
+    return { body, headers: { 'x-fake-signature': this.sign(body) } };
+  }
+
+  async parseWebhook(rawBody, headers) {
+    if (!PaymentGateway.signatureMatches(headers['x-fake-signature'], this.sign(rawBody))) {
+      throw PaymentGateway.invalidSignature();
+    }
+
+    const event = JSON.parse(rawBody.toString('utf8'));
+
+    return {
+      id: event.id,
+      type: event.type,
+      orderId: event.orderId,
+      paymentId: event.paymentId,
+      refundId: event.refundId,
+      reference: event.reference,
+      message: event.message,
+      raw: event
+    };
+  }
+}
+
+module.exports = FakeGateway;
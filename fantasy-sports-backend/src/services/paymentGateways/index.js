@@ -0,0 +1,45 @@
+const RazorpayGateway = require('./razorpayGateway');
+const StripeGateway = require('./stripeGateway');
+const FakeGateway = require('./fakeGateway');
+
+const factories = {
+  razorpay: () => new RazorpayGateway(),
+  stripe: () => new StripeGateway(),
+  fake: () => new FakeGateway()
+};
+
+const instances = new Map();
+
+// Gateway used for new deposits: PAYMENT_GATEWAY, or the fake gateway outside production
+const getDefaultGatewayName = () => process.env.PAYMENT_GATEWAY ||
+  (process.env.NODE_ENV === 'production' ? 'razorpay' : 'fake');
+
+// Get a gateway adapter by name; adapters are created once and reused
+const getGateway = (name = getDefaultGatewayName()) => {
+  if (!factories[name]) {
+    throw new Error(`Unknown payment gateway: ${name}`);
+  }
+
+  // The fake gateway confirms any payment it signed itself, so never take real deposits with it
+  if (name === 'fake' && process.env.NODE_ENV === 'production') {
+    throw new Error('The fake payment gateway cannot be used in production');
+  }
+
+  if (!instances.has(name)) {
+    instances.set(name, factories[name]());
+  }
+
+  return instances.get(name);
+};
+
+// Register or replace an adapter, e.g. to add a gateway or inject one in tests
+const registerGateway = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+module.exports = {
+  getGateway,
+  getDefaultGatewayName,
+  registerGateway
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+// Interface every payment gateway adapter implements. Amounts are in rupees;
+// adapters convert to the gateway's smallest unit.
+class PaymentGateway {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Create an order the client pays against.
+   * Resolves to { orderId, amount, currency, clientData }.
+   */
+  async createOrder({ amount, currency, reference, userId }) {
+    throw new Error(`${this.name} gateway does not implement createOrder`);
+  }
+
+  /**
+   * Confirm a payment the client reports for an order.
+   * Resolves to { success, paymentId, status, message, raw }.
+   */
+  async verifyPayment({ orderId, paymentId, signature }) {
+    throw new Error(`${this.name} gateway does not implement verifyPayment`);
+  }
+
+  /**
+   * Ask the gateway whether an order has been paid, without a payment from the client,
+   * e.g. to re-check a deposit that failed. Resolves like verifyPayment; status 'pending'
+   * means the gateway has not decided yet.
+   */
+  async fetchPayment({ orderId }) {
+    throw new Error(`${this.name} gateway does not implement fetchPayment`);
+  }
+
+  /**
+   * Refund all or part of a captured payment.
+   * Resolves to { refundId, status, raw } where status is 'processed', 'pending' or 'failed'.
+   */
+  async refund({ paymentId, amount, reference }) {
+    throw new Error(`${this.name} gateway does not implement refund`);
+  }
+
+  /**
+   * Check a webhook's signature against the raw request body and translate the event.
+   * Resolves to { id, type, orderId, paymentId, refundId, reference, message, raw } where
+   * type is 'payment.succeeded', 'payment.failed', 'refund.processed', 'refund.failed'
+   * or null for events we do not act on. Rejects with a 400 error when the signature is bad.
+   */
+  async parseWebhook(rawBody, headers) {
+    throw new Error(`${this.name} gateway does not implement parseWebhook`);
+  }
+
+  // Constant-time comparison of a received signature with the expected one
+  static signatureMatches(signature, expected) {
+    return typeof signature === 'string' &&
+      signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  static invalidSignature(message = 'Invalid webhook signature') {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  // Rupees to the gateway's smallest currency unit
+  static toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  // The gateway's smallest currency unit to rupees
+  static fromMinorUnits(amount) {
+    return amount / 100;
+  }
+}
+
+module.exports = PaymentGateway;
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const PaymentGateway = require('./paymentGateway');
+
+// Razorpay webhook events and what they mean for our transactions
+const WEBHOOK_EVENT_TYPES = {
+  'payment.captured': 'payment.succeeded',
+  'order.paid': 'payment.succeeded',
+  'payment.failed': 'payment.failed',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed'
+};
+
+class RazorpayGateway extends PaymentGateway {
+  constructor({
+    keyId = process.env.RAZORPAY_KEY_ID,
+    keySecret = process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET,
+    client = null
+  } = {}) {
+    super('razorpay');
+    this.keyId = keyId;
+    this.keySecret = keySecret;
+    this.webhookSecret = webhookSecret;
+    this.client = client;
+  }
+
+  // Create the SDK client on first use so a missing key only fails Razorpay calls
+  getClient() {
+    if (!this.client) {
+      this.client = new Razorpay({ key_id: this.keyId, key_secret: this.keySecret });
+    }
+    return this.client;
+  }
+
+  async createOrder({ amount, currency = 'INR', reference, userId }) {
+    const order = await this.getClient().orders.create({
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency,
+      receipt: reference,
+      notes: { reference, userId: userId?.toString() }
+    });
+
+    return {
+      orderId: order.id,
+      amount,
+      currency: order.currency,
+      clientData: { keyId: this.keyId, orderId: order.id }
+    };
+  }
+
+  // Checkout signs `${orderId}|${paymentId}` with the key secret
+  async verifyPayment({ orderId, paymentId, signature }) {
+    const expected = crypto
+      .createHmac('sha256', this.keySecret)
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    if (!PaymentGateway.signatureMatches(signature, expected)) {
+      return { success: false, paymentId, status: 'failed', message: 'Invalid payment signature' };
+    }
+
+    return { success: true, paymentId, status: 'captured', message: 'Payment verified' };
+  }
+
+  // An order can have several payment attempts; any captured one pays it
+  async fetchPayment({ orderId }) {
+    const { items = [] } = await this.getClient().orders.fetchPayments(orderId);
+    const captured = items.find(payment => payment.status === 'captured');
+    const latest = items[items.length - 1];
+
+    if (captured) {
+      return { success: true, paymentId: captured.id, status: 'captured', message: 'Payment captured', raw: captured };
+    }
+
+    // Authorized payments are captured shortly after, or released by Razorpay
+    if (items.some(payment => ['created', 'authorized'].includes(payment.status))) {
+      return { success: false, paymentId: latest.id, status: 'pending', message: 'Payment not captured yet', raw: latest };
+    }
+
+    return {
+      success: false,
+      paymentId: latest?.id,
+      status: 'failed',
+      message: latest?.error_description || 'No captured payment for the order',
+      raw: latest
+    };
+  }
+
+  async refund({ paymentId, amount, reference }) {
+    const refund = await this.getClient().payments.refund(paymentId, {
+      amount: PaymentGateway.toMinorUnits(amount),
+      receipt: reference,
+      notes: { reference }
+    });
+
+    return {
+      refundId: refund.id,
+      status: refund.status === 'processed' ? 'processed' : refund.status === 'failed' ? 'failed' : 'pending',
+      raw: refund
+    };
+  }
+
+  // Razorpay signs the raw body with the webhook secret in X-Razorpay-Signature
+  async parseWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('RAZORPAY_WEBHOOK_SECRET is not configured');
+    }
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody).digest('hex');
+    if (!PaymentGateway.signatureMatches(headers['x-razorpay-signature'], expected)) {
+      throw PaymentGateway.invalidSignature();
+    }
+
+    const body = JSON.parse(rawBody.toString('utf8'));
+    const payment = body.payload?.payment?.entity;
+    const refund = body.payload?.refund?.entity;
+
+    return {
+      id: headers['x-razorpay-event-id'] || `${body.event}:${refund?.id || payment?.id}`,
+      type: WEBHOOK_EVENT_TYPES[body.event] || null,
+      orderId: payment?.order_id || body.payload?.order?.entity?.id,
+      paymentId: refund?.payment_id || payment?.id,
+      refundId: refund?.id,
+      reference: refund?.notes?.reference,
+      message: payment?.error_description || refund?.status || payment?.status,
+      raw: body
+    };
+  }
+}
+
+module.exports = RazorpayGateway;
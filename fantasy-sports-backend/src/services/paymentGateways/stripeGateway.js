@@ -0,0 +1,138 @@
+const Stripe = require('stripe');
+const PaymentGateway = require('./paymentGateway');
+
+// PaymentIntent statuses that mean the money was not taken
+const FAILED_INTENT_STATUSES = ['canceled', 'requires_payment_method'];
+
+// Webhook events about payment intents and what they mean for our transactions
+const INTENT_EVENT_TYPES = {
+  'payment_intent.succeeded': 'payment.succeeded',
+  'payment_intent.payment_failed': 'payment.failed',
+  'payment_intent.canceled': 'payment.failed'
+};
+
+// Refund events carry the refund; its status decides the outcome
+const REFUND_EVENTS = ['refund.created', 'refund.updated', 'refund.failed', 'charge.refund.updated'];
+const REFUND_STATUS_TYPES = {
+  succeeded: 'refund.processed',
+  failed: 'refund.failed',
+  canceled: 'refund.failed'
+};
+
+class StripeGateway extends PaymentGateway {
+  constructor({
+    secretKey = process.env.STRIPE_SECRET_KEY,
+    webhookSecret = process.env.STRIPE_WEBHOOK_SECRET,
+    client = null
+  } = {}) {
+    super('stripe');
+    this.secretKey = secretKey;
+    this.webhookSecret = webhookSecret;
+    this.client = client;
+  }
+
+  // Create the SDK client on first use so a missing key only fails Stripe calls
+  getClient() {
+    if (!this.client) {
+      this.client = Stripe(this.secretKey);
+    }
+    return this.client;
+  }
+
+  async createOrder({ amount, currency = 'INR', reference, userId }) {
+    const intent = await this.getClient().paymentIntents.create({
+      amount: PaymentGateway.toMinorUnits(amount),
+      currency: currency.toLowerCase(),
+      metadata: { reference, userId: userId?.toString() }
+    }, { idempotencyKey: reference });
+
+    return {
+      orderId: intent.id,
+      amount,
+      currency,
+      clientData: { clientSecret: intent.client_secret }
+    };
+  }
+
+  // Stripe confirms on the client; ask Stripe for the intent's real status
+  async verifyPayment({ orderId }) {
+    const intent = await this.getClient().paymentIntents.retrieve(orderId);
+
+    if (intent.status === 'succeeded') {
+      return {
+        success: true,
+        paymentId: intent.latest_charge || intent.id,
+        status: 'captured',
+        message: 'Payment verified',
+        raw: intent
+      };
+    }
+
+    return {
+      success: false,
+      paymentId: intent.latest_charge || intent.id,
+      status: FAILED_INTENT_STATUSES.includes(intent.status) ? 'failed' : 'pending',
+      message: `Payment ${intent.status}`,
+      raw: intent
+    };
+  }
+
+  // The intent itself says whether it was paid
+  async fetchPayment({ orderId }) {
+    return this.verifyPayment({ orderId });
+  }
+
+  async refund({ paymentId, amount, reference }) {
+    const target = paymentId.startsWith('pi_') ? { payment_intent: paymentId } : { charge: paymentId };
+    const refund = await this.getClient().refunds.create({
+      ...target,
+      amount: PaymentGateway.toMinorUnits(amount),
+      metadata: { reference }
+    }, { idempotencyKey: reference });
+
+    return {
+      refundId: refund.id,
+      status: refund.status === 'succeeded' ? 'processed' : ['failed', 'canceled'].includes(refund.status) ? 'failed' : 'pending',
+      raw: refund
+    };
+  }
+
+  // Stripe signs the raw body with the endpoint secret in the Stripe-Signature header
+  async parseWebhook(rawBody, headers) {
+    if (!this.webhookSecret) {
+      throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+    }
+
+    let event;
+    try {
+      event = this.getClient().webhooks.constructEvent(rawBody, headers['stripe-signature'], this.webhookSecret);
+    } catch (error) {
+      throw PaymentGateway.invalidSignature(error.message);
+    }
+
+    const object = event.data.object;
+
+    if (REFUND_EVENTS.includes(event.type)) {
+      return {
+        id: event.id,
+        type: REFUND_STATUS_TYPES[object.status] || null,
+        paymentId: object.payment_intent || object.charge,
+        refundId: object.id,
+        reference: object.metadata?.reference,
+        message: object.failure_reason || object.status,
+        raw: event
+      };
+    }
+
+    return {
+      id: event.id,
+      type: INTENT_EVENT_TYPES[event.type] || null,
+      orderId: object.object === 'payment_intent' ? object.id : object.payment_intent,
+      paymentId: object.latest_charge || object.id,
+      message: object.last_payment_error?.message || object.status,
+      raw: event
+    };
+  }
+}
+
+module.exports = StripeGateway;
@@ -0,0 +1,401 @@
+const Transaction = require('../models/Transaction');
+const LedgerService = require('./ledgerService');
+const { getGateway, getDefaultGatewayName } = require('./paymentGateways');
+const { events } = require('./websocket');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+class PaymentService {
+  /**
+   * Start a deposit: record a pending transaction and create the gateway order the
+   * client pays against. The wallet is only credited once the gateway confirms.
+   */
+  static async createDeposit(user, { amount, paymentMethod, upiId, ipAddress, userAgent }) {
+    const gatewayName = getDefaultGatewayName();
+    const gateway = getGateway(gatewayName);
+
+    const transaction = Transaction.createDeposit(user._id, amount, paymentMethod, gatewayName, {
+      upiId,
+      ipAddress,
+      userAgent
+    });
+
+    const order = await gateway.createOrder({
+      amount,
+      currency: transaction.currency,
+      reference: transaction.reference,
+      userId: user._id
+    });
+
+    transaction.externalReference = order.orderId;
+    await transaction.save();
+
+    logger.info(`Deposit ${transaction.reference} of ₹${amount} started for ${user.username} via ${gatewayName}`);
+
+    return { transaction, order };
+  }
+
+  /**
+   * Check a payment the client reports for a pending deposit with the gateway and
+   * credit the wallet when it is confirmed. Safe to call more than once.
+   */
+  static async confirmDeposit(userId, reference, { paymentId, signature }) {
+    const transaction = await Transaction.findOne({ reference, userId, type: 'deposit' });
+    if (!transaction) {
+      throw createError('Deposit not found', 404);
+    }
+
+    if (transaction.status === 'completed') {
+      return { transaction, credited: false };
+    }
+
+    if (transaction.status !== 'pending') {
+      throw createError('Deposit is not pending');
+    }
+
+    const verification = await getGateway(transaction.paymentGateway).verifyPayment({
+      orderId: transaction.externalReference,
+      paymentId,
+      signature
+    });
+
+    if (verification.success) {
+      return this.completeDeposit(transaction, verification);
+    }
+
+    // The gateway has not decided yet; leave the deposit pending
+    if (verification.status === 'pending') {
+      return { transaction, credited: false };
+    }
+
+    await this.failDeposit(transaction, verification);
+    throw createError(`Payment failed: ${verification.message}`);
+  }
+
+  /**
+   * Credit a deposit the gateway confirmed. Only the caller that moves the transaction
+   * out of pending credits the wallet, so repeated confirmations cannot double-credit.
+   * A failed deposit can still complete: gateways report a capture after a failed attempt.
+   */
+  static async completeDeposit(transaction, verification) {
+    const completed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          status: 'completed',
+          processedAt: new Date(),
+          gatewayResponse: {
+            success: true,
+            message: verification.message,
+            transactionId: verification.paymentId,
+            rawResponse: verification.raw
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) {
+      return { transaction: await Transaction.findById(transaction._id), credited: false };
+    }
+
+    let user;
+    try {
+      user = await LedgerService.credit(completed, {
+        amount: completed.amount,
+        account: 'platform_gateway',
+        inc: { 'wallet.totalDeposited': completed.amount }
+      });
+    } catch (error) {
+      // Put the deposit back so the next confirmation retries the credit
+      await Transaction.updateOne({ _id: completed._id }, { $set: { status: 'pending' } });
+      throw error;
+    }
+
+    events.walletUpdate(completed.userId, {
+      type: 'deposit',
+      amount: completed.amount,
+      newBalance: user.wallet.balance,
+      transactionId: completed.reference
+    });
+
+    logger.info(`Deposit ${completed.reference} of ₹${completed.amount} confirmed by ${completed.paymentGateway}`);
+
+    return { transaction: completed, user, credited: true };
+  }
+
+  /**
+   * Mark a pending deposit failed; nothing was credited, so nothing moves. The retry
+   * worker re-checks it with the gateway later, since a later attempt can still pay the order.
+   */
+  static async failDeposit(transaction, verification) {
+    const failed = await Transaction.failPending(transaction, verification.message, {
+      gatewayResponse: {
+        success: false,
+        message: verification.message,
+        transactionId: verification.paymentId,
+        rawResponse: verification.raw
+      }
+    });
+
+    if (failed) {
+      events.walletUpdate(transaction.userId, {
+        type: 'deposit',
+        status: 'failed',
+        amount: transaction.amount,
+        transactionId: transaction.reference
+      });
+      logger.warn(`Deposit ${transaction.reference} failed: ${verification.message}`);
+    }
+
+    return failed;
+  }
+
+  /**
+   * Ask the gateway again about a failed deposit the retry worker has moved back to
+   * pending. Resolves to { status, reason } where status is 'completed', 'failed' when
+   * the gateway says the order was not paid, or 'retry' when it has not decided yet.
+   */
+  static async retryDeposit(transaction) {
+    const payment = await getGateway(transaction.paymentGateway).fetchPayment({
+      orderId: transaction.externalReference
+    });
+
+    if (payment.success) {
+      await this.completeDeposit(transaction, payment);
+      return { status: 'completed' };
+    }
+
+    return { status: payment.status === 'pending' ? 'retry' : 'failed', reason: payment.message };
+  }
+
+  /**
+   * Refund a completed deposit to its payment source. The amount leaves the deposit
+   * balance first; if the gateway rejects the refund it is returned to the wallet.
+   * Gateways that settle refunds later leave the refund transaction pending.
+   */
+  static async refundDeposit(depositId, { reason, adminId } = {}) {
+    const deposit = await Transaction.findOne({ _id: depositId, type: 'deposit' });
+    if (!deposit) {
+      throw createError('Deposit not found', 404);
+    }
+
+    if (deposit.status !== 'completed') {
+      throw createError('Only completed deposits can be refunded');
+    }
+
+    const refund = Transaction.createRefund(deposit.userId, deposit.amount);
+    refund.reference = `RFD-${deposit.reference}`;
+    refund.status = 'pending';
+    refund.description = `Refund of deposit ${deposit.reference}`;
+    refund.paymentMethod = deposit.paymentMethod;
+    refund.paymentGateway = deposit.paymentGateway;
+    refund.metadata.originalTransactionId = deposit._id;
+    refund.metadata.adminNote = reason;
+
+    try {
+      await refund.save();
+    } catch (error) {
+      // One refund per deposit
+      if (error.code === 11000) throw createError('Deposit has already been refunded');
+      throw error;
+    }
+
+    const user = await LedgerService.debit(refund, {
+      amount: deposit.amount,
+      account: 'platform_gateway',
+      order: ['deposit'],
+      inc: { 'wallet.totalDeposited': -deposit.amount }
+    });
+
+    if (!user) {
+      // Nothing moved, so drop the refund and let it be tried again later
+      await Transaction.deleteOne({ _id: refund._id });
+      throw createError('Deposit balance no longer covers the refund');
+    }
+
+    let result;
+    try {
+      result = await getGateway(deposit.paymentGateway).refund({
+        paymentId: deposit.gatewayResponse?.transactionId,
+        amount: deposit.amount,
+        reference: refund.reference
+      });
+    } catch (error) {
+      logger.error(`Gateway refund for deposit ${deposit.reference} error:`, error);
+      result = { status: 'failed', raw: { message: error.message } };
+    }
+
+    await Transaction.updateOne({ _id: refund._id }, {
+      $set: {
+        externalReference: result.refundId,
+        gatewayResponse: {
+          success: result.status !== 'failed',
+          transactionId: result.refundId,
+          rawResponse: result.raw
+        }
+      }
+    });
+
+    if (result.status === 'failed') {
+      await this.failRefund(refund, 'Gateway rejected the refund');
+      throw createError('Payment gateway rejected the refund');
+    }
+
+    await Transaction.updateOne({ _id: deposit._id }, { $set: { reversedBy: adminId } });
+
+    events.walletUpdate(deposit.userId, {
+      type: 'refund',
+      amount: -deposit.amount,
+      newBalance: user.wallet.balance,
+      transactionId: refund.reference
+    });
+
+    // Gateways that settle refunds later confirm them by webhook
+    if (result.status === 'processed') {
+      await this.completeRefund(refund);
+    }
+
+    const updated = await Transaction.findById(refund._id);
+    logger.info(`Deposit ${deposit.reference} refund ${updated.reference} is ${updated.status}`);
+
+    return { refund: updated, deposit };
+  }
+
+  /**
+   * Mark a pending refund paid out and its deposit refunded
+   */
+  static async completeRefund(refund) {
+    const completed = await Transaction.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { $set: { status: 'completed', processedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!completed) return false;
+
+    await Transaction.updateOne(
+      { _id: completed.metadata.originalTransactionId, status: 'completed' },
+      {
+        $set: {
+          status: 'refunded',
+          reversedAt: new Date(),
+          reversalReason: completed.metadata.adminNote || 'Deposit refunded'
+        }
+      }
+    );
+
+    logger.info(`Refund ${completed.reference} of ₹${completed.amount} processed by ${completed.paymentGateway}`);
+
+    return true;
+  }
+
+  /**
+   * Fail a pending refund and return its amount to the user's deposit balance. Only the
+   * caller that moves the refund out of pending returns the money.
+   */
+  static async failRefund(refund, reason) {
+    const failed = await Transaction.findOneAndUpdate(
+      { _id: refund._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason: reason } },
+      { new: true }
+    );
+
+    if (!failed) return false;
+
+    const reversal = Transaction.createRefund(failed.userId, failed.amount);
+    reversal.reference = `REV-${failed.reference}`;
+    reversal.description = `Reversal of failed refund ${failed.reference}`;
+    reversal.metadata.originalTransactionId = failed._id;
+    reversal.processedAt = new Date();
+
+    let user;
+    try {
+      user = await LedgerService.credit(reversal, {
+        amount: failed.amount,
+        balanceType: 'deposit',
+        account: 'platform_gateway',
+        inc: { 'wallet.totalDeposited': failed.amount }
+      });
+    } catch (error) {
+      // Put the refund back so the next webhook retries the reversal
+      await Transaction.updateOne({ _id: failed._id }, { $set: { status: 'pending' } });
+      throw error;
+    }
+
+    events.walletUpdate(failed.userId, {
+      type: 'refund',
+      status: 'failed',
+      amount: failed.amount,
+      newBalance: user.wallet.balance,
+      transactionId: reversal.reference
+    });
+
+    logger.warn(`Refund ${failed.reference} failed and was returned to the wallet: ${reason}`);
+
+    return true;
+  }
+
+  /**
+   * Apply a gateway webhook. The signature is checked against the raw body, then the
+   * event completes or fails the deposit or refund it refers to. Every outcome is a
+   * conditional move out of pending, so replayed or late events change nothing.
+   */
+  static async handleWebhook(gatewayName, rawBody, headers) {
+    let gateway;
+    try {
+      gateway = getGateway(gatewayName);
+    } catch (error) {
+      throw createError(error.message, 404);
+    }
+
+    const event = await gateway.parseWebhook(rawBody, headers);
+    if (!event.type) {
+      return { handled: false, event };
+    }
+
+    const [kind, outcome] = event.type.split('.');
+    const transaction = kind === 'payment'
+      ? await Transaction.findOne({
+        type: 'deposit',
+        paymentGateway: gateway.name,
+        externalReference: event.orderId
+      })
+      : await Transaction.findOne({
+        type: 'refund',
+        paymentGateway: gateway.name,
+        $or: [
+          { externalReference: event.refundId },
+          ...(event.reference ? [{ reference: event.reference }] : [])
+        ]
+      });
+
+    if (!transaction) {
+      logger.warn(`${gateway.name} webhook ${event.id} (${event.type}) matches no transaction`);
+      return { handled: false, event };
+    }
+
+    const verification = {
+      paymentId: event.paymentId,
+      message: event.message,
+      raw: event.raw
+    };
+
+    let handled;
+    if (event.type === 'payment.succeeded') {
+      handled = (await this.completeDeposit(transaction, { ...verification, message: 'Payment captured' })).credited;
+    } else if (event.type === 'payment.failed') {
+      handled = await this.failDeposit(transaction, verification);
+    } else if (outcome === 'processed') {
+      handled = await this.completeRefund(transaction);
+    } else {
+      handled = await this.failRefund(transaction, event.message || 'Refund failed at the gateway');
+    }
+
+    logger.info(`${gateway.name} webhook ${event.id} (${event.type}) for ${transaction.reference}: ${handled ? 'applied' : 'already applied'}`);
+
+    return { handled, event, transaction };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,360 @@
+const Transaction = require('../models/Transaction');
+const PayoutBatch = require('../models/PayoutBatch');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const TaxService = require('./taxService');
+const { toCsv, parseCsv } = require('./csv');
+const { events } = require('./websocket');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+const MAX_BATCH_SIZE = 500;
+
+// Status values banks use in bulk transfer response files
+const PAID_STATUSES = ['SUCCESS', 'SUCCESSFUL', 'PAID', 'PROCESSED', 'COMPLETED', 'EXECUTED'];
+const FAILED_STATUSES = ['FAILED', 'FAILURE', 'REJECTED', 'RETURNED', 'CANCELLED'];
+
+// Response file headers we understand, lower-cased, with the names banks commonly use
+const RESPONSE_COLUMNS = {
+  reference: ['transaction reference', 'reference', 'customer reference', 'payment reference'],
+  status: ['status', 'transaction status', 'payment status'],
+  utr: ['utr', 'utr number', 'bank reference'],
+  reason: ['reason', 'failure reason', 'remarks'],
+  amount: ['amount']
+};
+
+// Columns of the NEFT bulk transfer file, one row per withdrawal
+const PAYOUT_FILE_COLUMNS = [
+  { header: 'Payment Type', value: () => 'NEFT' },
+  { header: 'Debit Account Number', value: () => process.env.PAYOUT_DEBIT_ACCOUNT || '' },
+  { header: 'Beneficiary Name', value: row => row.beneficiary.accountHolderName },
+  { header: 'Beneficiary Account Number', value: row => row.beneficiary.accountNumber },
+  { header: 'IFSC Code', value: row => row.beneficiary.ifscCode },
+  { header: 'Amount', value: row => Math.abs(row.transaction.amount).toFixed(2) },
+  { header: 'Currency', value: row => row.transaction.currency },
+  { header: 'Transaction Reference', value: row => row.transaction.reference },
+  { header: 'Remarks', value: row => `Withdrawal ${row.transaction.reference}` }
+];
+
+const readColumn = (row, column) => {
+  const key = RESPONSE_COLUMNS[column].find(name => row[name] !== undefined);
+  return key ? row[key] : undefined;
+};
+
+class PayoutService {
+  /**
+   * Read a bank response file into { reference, outcome, utr, reason, amount } rows.
+   * outcome is 'completed', 'failed' or null when the bank has not settled the payment.
+   */
+  static parseResponse(csvText) {
+    const rows = parseCsv(csvText);
+
+    if (rows.length > 0 && readColumn(rows[0], 'reference') === undefined) {
+      throw createError('Response file needs a Transaction Reference column');
+    }
+    if (rows.length > 0 && readColumn(rows[0], 'status') === undefined) {
+      throw createError('Response file needs a Status column');
+    }
+
+    return rows.map(row => {
+      const status = readColumn(row, 'status').toUpperCase();
+      const amount = parseFloat(readColumn(row, 'amount'));
+
+      return {
+        reference: readColumn(row, 'reference'),
+        outcome: PAID_STATUSES.includes(status) ? 'completed' : FAILED_STATUSES.includes(status) ? 'failed' : null,
+        status,
+        utr: readColumn(row, 'utr') || undefined,
+        reason: readColumn(row, 'reason') || undefined,
+        amount: Number.isNaN(amount) ? undefined : amount
+      };
+    });
+  }
+
+  /**
+   * Batches, newest first
+   */
+  static async list({ status, page = 1, limit = 20 } = {}) {
+    const filter = status ? { status } : {};
+    const skip = (page - 1) * limit;
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .select('-imports')
+        .populate('createdBy', 'username')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      PayoutBatch.countDocuments(filter)
+    ]);
+
+    return { batches, total };
+  }
+
+  static async getBatch(batchId) {
+    const batch = await PayoutBatch.findById(batchId);
+    if (!batch) {
+      throw createError('Payout batch not found', 404);
+    }
+    return batch;
+  }
+
+  /**
+   * Put pending withdrawals into a new batch, oldest first. Pass transactionIds to pick
+   * specific withdrawals. Withdrawals are claimed with a conditional update, so two
+   * admins building batches at once never pay the same withdrawal twice.
+   */
+  static async createBatch(admin, { transactionIds, limit = MAX_BATCH_SIZE } = {}) {
+    const filter = {
+      type: 'withdrawal',
+      status: 'pending',
+      payoutBatchId: null,
+      'metadata.beneficiaryId': { $exists: true }
+    };
+    if (transactionIds) {
+      filter._id = { $in: transactionIds };
+    }
+
+    const candidates = await Transaction.find(filter)
+      .select('_id')
+      .sort({ createdAt: 1 })
+      .limit(Math.min(limit, MAX_BATCH_SIZE))
+      .lean();
+
+    if (candidates.length === 0) {
+      throw createError('No pending withdrawals to pay out');
+    }
+
+    const batch = await PayoutBatch.create({
+      reference: Transaction.generateReference('PAYOUT'),
+      createdBy: admin._id
+    });
+
+    await Transaction.updateMany(
+      { ...filter, _id: { $in: candidates.map(candidate => candidate._id) } },
+      { $set: { payoutBatchId: batch._id } }
+    );
+
+    const claimed = await Transaction.find({ payoutBatchId: batch._id }).select('amount').lean();
+
+    if (claimed.length === 0) {
+      // Every candidate went into another batch in the meantime
+      await PayoutBatch.deleteOne({ _id: batch._id });
+      throw createError('No pending withdrawals to pay out');
+    }
+
+    batch.transactionIds = claimed.map(transaction => transaction._id);
+    batch.count = claimed.length;
+    batch.totalAmount = Math.round(claimed.reduce((sum, t) => sum + Math.abs(t.amount), 0) * 100) / 100;
+    await batch.save();
+
+    logger.info(`Admin ${admin.username} created payout batch ${batch.reference} of ${batch.count} withdrawals (₹${batch.totalAmount})`);
+
+    return batch;
+  }
+
+  /**
+   * The NEFT bulk transfer file for the withdrawals in a batch the bank has not settled yet
+   */
+  static async generateFile(batchId) {
+    const batch = await this.getBatch(batchId);
+
+    const transactions = await Transaction.find({ payoutBatchId: batch._id, status: 'pending' })
+      .populate('metadata.beneficiaryId')
+      .sort({ createdAt: 1 });
+
+    const rows = transactions.map(transaction => {
+      if (!transaction.metadata.beneficiaryId) {
+        throw createError(`Bank account for withdrawal ${transaction.reference} no longer exists`, 500);
+      }
+      return { transaction, beneficiary: transaction.metadata.beneficiaryId };
+    });
+
+    if (!batch.downloadedAt) {
+      await PayoutBatch.updateOne({ _id: batch._id }, { $set: { downloadedAt: new Date() } });
+    }
+
+    return {
+      batch,
+      fileName: `${batch.reference}.csv`,
+      content: toCsv(PAYOUT_FILE_COLUMNS, rows)
+    };
+  }
+
+  /**
+   * Apply the bank's response file to a batch: paid withdrawals are completed and failed
+   * ones are returned to the user's winnings. Rows the bank still reports as pending,
+   * and withdrawals already settled by an earlier import, are skipped, so a file can be
+   * imported again safely.
+   */
+  static async importResponse(batchId, csvText, admin, fileName) {
+    const batch = await this.getBatch(batchId);
+    const rows = this.parseResponse(csvText);
+
+    if (rows.length === 0) {
+      throw createError('Response file has no rows');
+    }
+
+    const result = { fileName, importedBy: admin._id, completed: 0, failed: 0, skipped: [] };
+    const skip = (reference, reason) => result.skipped.push({ reference, reason });
+
+    for (const row of rows) {
+      const transaction = await Transaction.findOne({
+        reference: row.reference,
+        type: 'withdrawal',
+        payoutBatchId: batch._id
+      });
+
+      if (!transaction) {
+        skip(row.reference, 'Not a withdrawal in this batch');
+      } else if (transaction.status !== 'pending') {
+        skip(row.reference, `Already ${transaction.status}`);
+      } else if (!row.outcome) {
+        skip(row.reference, `Bank status ${row.status || 'missing'}`);
+      } else if (row.amount !== undefined && Math.round(row.amount * 100) !== Math.round(Math.abs(transaction.amount) * 100)) {
+        skip(row.reference, `Bank amount ${row.amount} does not match ${Math.abs(transaction.amount)}`);
+      } else if (row.outcome === 'completed') {
+        if (await this.completeWithdrawal(transaction, { utr: row.utr })) {
+          result.completed++;
+        } else {
+          skip(row.reference, 'Settled by another import');
+        }
+      } else if (await this.failWithdrawal(transaction, row.reason || 'Bank transfer failed')) {
+        result.failed++;
+      } else {
+        skip(row.reference, 'Settled by another import');
+      }
+    }
+
+    const updated = await this.refreshCounts(batch, result);
+
+    logger.info(`Admin ${admin.username} imported payout response for ${batch.reference}: ${result.completed} paid, ${result.failed} failed, ${result.skipped.length} skipped`);
+
+    return { batch: updated, result };
+  }
+
+  /**
+   * Recount a batch's settled withdrawals and record the import
+   */
+  static async refreshCounts(batch, importResult) {
+    const counts = await Transaction.aggregate([
+      { $match: { payoutBatchId: batch._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const countOf = (status) => counts.find(c => c._id === status)?.count || 0;
+
+    const completedCount = countOf('completed');
+    const failedCount = countOf('failed');
+    const reconciled = completedCount + failedCount >= batch.count;
+
+    return PayoutBatch.findByIdAndUpdate(batch._id, {
+      $set: {
+        completedCount,
+        failedCount,
+        status: reconciled ? 'reconciled' : 'open',
+        ...(reconciled && !batch.reconciledAt && { reconciledAt: new Date() })
+      },
+      $push: { imports: importResult }
+    }, { new: true });
+  }
+
+  /**
+   * Mark a pending withdrawal paid. The money already left the wallet when it was
+   * requested. Returns the transaction, or null if it was no longer pending.
+   */
+  static async completeWithdrawal(transaction, { utr } = {}) {
+    const now = new Date();
+    const completed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      {
+        $set: {
+          status: 'completed',
+          processedAt: now,
+          externalReference: utr,
+          isSettled: true,
+          settledAt: now,
+          settlementReference: utr
+        }
+      },
+      { new: true }
+    );
+
+    if (!completed) return null;
+
+    const amount = Math.abs(completed.amount);
+    events.walletUpdate(completed.userId, {
+      type: 'withdrawal',
+      status: 'completed',
+      amount,
+      transactionId: completed.reference
+    });
+
+    try {
+      await NotificationService.sendWalletUpdateNotification(completed.userId, 'withdrawal', amount, completed._id);
+    } catch (error) {
+      // The payout stands even if the user could not be told right away
+      logger.warn(`Withdrawal notification failed for ${completed.reference}: ${error.message}`);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Fail a pending withdrawal and return its amount, and any tax withheld from it, to
+   * the user's winnings with reversal transactions. Returns the transaction, or null if it was no longer pending.
+   */
+  static async failWithdrawal(transaction, reason) {
+    const failed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'failed', failureReason: reason } },
+      { new: true }
+    );
+
+    if (!failed) return null;
+
+    const amount = Math.abs(failed.amount);
+
+    try {
+      // Tax withheld from the withdrawal goes back with it
+      await TaxService.reverseWithdrawalTds(failed);
+    } catch (error) {
+      await Transaction.updateOne({ _id: failed._id }, { $set: { status: 'pending' } });
+      throw error;
+    }
+
+    const reversal = Transaction.createRefund(failed.userId, amount);
+    reversal.reference = `REV-${failed.reference}`;
+    reversal.description = `Reversal of failed withdrawal ${failed.reference}`;
+    reversal.metadata.originalTransactionId = failed._id;
+    reversal.processedAt = new Date();
+
+    let user;
+    try {
+      // Withdrawals only ever come out of winnings
+      user = await LedgerService.credit(reversal, {
+        amount,
+        balanceType: 'winnings',
+        account: 'platform_gateway',
+        inc: { 'wallet.totalWithdrawn': -amount }
+      });
+    } catch (error) {
+      // Put the withdrawal back so the reversal is retried with the next import
+      await Transaction.updateOne({ _id: failed._id }, { $set: { status: 'pending' } });
+      throw error;
+    }
+
+    events.walletUpdate(failed.userId, {
+      type: 'withdrawal',
+      status: 'failed',
+      amount,
+      newBalance: user.wallet.balance,
+      transactionId: reversal.reference
+    });
+
+    logger.warn(`Withdrawal ${failed.reference} failed and was returned to the wallet: ${reason}`);
+
+    return failed;
+  }
+}
+
+module.exports = PayoutService;
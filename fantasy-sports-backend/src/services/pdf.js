@@ -0,0 +1,109 @@
+// Minimal PDF 1.4 writer for text reports such as account statements. Uses the
+// standard Helvetica fonts every PDF reader has, so nothing is embedded or fetched.
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+const FONTS = {
+  regular: { id: 'F1', name: 'Helvetica' },
+  bold: { id: 'F2', name: 'Helvetica-Bold' }
+};
+
+// Helvetica glyph widths (per 1000 units) for the characters used in amounts and dates
+const GLYPH_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, ':': 278, '/': 278,
+  0: 556, 1: 556, 2: 556, 3: 556, 4: 556, 5: 556, 6: 556, 7: 556, 8: 556, 9: 556
+};
+const AVERAGE_GLYPH_WIDTH = 556;
+
+// The standard fonts only cover Latin-1; anything else is replaced
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, char => `\\${char}`);
+
+const format = (number) => Number(number.toFixed(2)).toString();
+
+// Approximate width of text in points
+const textWidth = (text, size) => [...String(text)]
+  .reduce((width, char) => width + (GLYPH_WIDTHS[char] || AVERAGE_GLYPH_WIDTH), 0) * size / 1000;
+
+class PdfDocument {
+  constructor({ width = PAGE_WIDTH, height = PAGE_HEIGHT } = {}) {
+    this.width = width;
+    this.height = height;
+    this.pages = [];
+    this.addPage();
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  // Draw on an earlier page, e.g. to add page numbers once the page count is known
+  goToPage(index) {
+    this.page = this.pages[index];
+    return this;
+  }
+
+  /**
+   * Draw text with its baseline at (x, y) from the top-left corner. align 'right'
+   * puts the end of the text at x.
+   */
+  text(x, y, value, { size = 9, bold = false, align = 'left' } = {}) {
+    const font = bold ? FONTS.bold : FONTS.regular;
+    const left = align === 'right' ? x - textWidth(value, size) : x;
+    this.page.push(`BT /${font.id} ${size} Tf ${format(left)} ${format(this.height - y)} Td (${escapeText(value)}) Tj ET`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5 } = {}) {
+    this.page.push(`${width} w ${format(x1)} ${format(this.height - y1)} m ${format(x2)} ${format(this.height - y2)} l S`);
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    // Object ids start at 1
+    const add = (body) => objects.push(body);
+
+    const pagesId = add(null); // Filled in once the page ids are known
+    const catalogId = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+    const fontIds = Object.values(FONTS).map(font => ({
+      font,
+      id: add(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.name} /Encoding /WinAnsiEncoding >>`)
+    }));
+    const fontResources = fontIds.map(({ font, id }) => `/${font.id} ${id} 0 R`).join(' ');
+
+    const pageIds = this.pages.map(operations => {
+      const content = operations.join('\n');
+      const contentId = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+module.exports = {
+  PdfDocument,
+  textWidth,
+  PAGE_WIDTH,
+  PAGE_HEIGHT
+};
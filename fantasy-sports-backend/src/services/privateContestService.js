@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const Contest = require('../models/Contest');
+const ContestEntry = require('../models/ContestEntry');
+const Match = require('../models/Match');
+const { validateDistribution } = require('./prizeDistribution');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Winner takes all unless the creator splits the pool
+const DEFAULT_PRIZE_SPLIT = [{ rankFrom: 1, rankTo: 1, percentage: 100 }];
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// Limits on the contests users create for their friends
+const getPlatformLimits = () => ({
+  minEntryFee: readNumber(process.env.MIN_CONTEST_ENTRY_FEE, 1),
+  maxEntryFee: readNumber(process.env.PRIVATE_CONTEST_MAX_ENTRY_FEE, 10000),
+  maxSpots: readNumber(process.env.PRIVATE_CONTEST_MAX_SPOTS, 100),
+  maxPrizePool: readNumber(process.env.MAX_CONTEST_PRIZE_POOL, 1000000),
+  // Share of the collected entry fees the platform keeps
+  commissionPercent: readNumber(process.env.PRIVATE_CONTEST_COMMISSION_PERCENT, 10)
+});
+
+const formatAmount = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+// Round down to the paisa so the prizes never add up to more than the pool
+const floorToPaisa = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Share links are signed with their own secret when one is configured
+const getShareSecret = () => process.env.CONTEST_INVITE_SECRET || process.env.JWT_SECRET;
+
+// Constant-time comparison so codes and tokens can't be guessed a character at a time
+const safeEqual = (received, expected) => typeof received === 'string' &&
+  typeof expected === 'string' &&
+  received.length === expected.length &&
+  crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+
+class PrivateContestService {
+  static getPlatformLimits() {
+    return getPlatformLimits();
+  }
+
+  /**
+   * Prize tiers for a split given as the percentage of the pool each rank wins,
+   * e.g. [{ rankFrom: 1, rankTo: 1, percentage: 50 }, { rankFrom: 2, rankTo: 3, percentage: 25 }]
+   */
+  static buildPrizeDistribution(split, prizePool, totalSpots) {
+    const tiers = split.map(({ rankFrom, rankTo = rankFrom, percentage }) => ({
+      rankFrom,
+      rankTo,
+      percentage,
+      prize: floorToPaisa(prizePool * percentage / 100)
+    }));
+
+    const totalPercentage = tiers.reduce((sum, tier) => sum + (tier.rankTo - tier.rankFrom + 1) * tier.percentage, 0);
+    if (Math.abs(totalPercentage - 100) > 1e-6) {
+      throw createError(`The prize split must pay out 100% of the pool, not ${Math.round(totalPercentage * 100) / 100}%`);
+    }
+
+    const [error] = validateDistribution(tiers, prizePool, totalSpots);
+    if (error) {
+      throw createError(error);
+    }
+
+    return tiers;
+  }
+
+  /**
+   * Create a private contest for the user's friends. The entry fee and spots must be
+   * within the platform limits; the prize pool is what the full contest collects less
+   * the platform commission, and registration follows the match's fantasy deadline.
+   * As the pool assumes every spot is taken, a contest that is not full at the deadline
+   * is cancelled and refunded.
+   */
+  static async create(user, { name, matchId, entryFee, totalSpots, prizeSplit = DEFAULT_PRIZE_SPLIT }, now = new Date()) {
+    const limits = getPlatformLimits();
+
+    if (entryFee < limits.minEntryFee || entryFee > limits.maxEntryFee) {
+      throw createError(`Entry fee must be between ${formatAmount(limits.minEntryFee)} and ${formatAmount(limits.maxEntryFee)}`);
+    }
+    if (!Number.isInteger(totalSpots) || totalSpots < 2 || totalSpots > limits.maxSpots) {
+      throw createError(`A private contest has between 2 and ${limits.maxSpots} spots`);
+    }
+
+    const prizePool = floorToPaisa(entryFee * totalSpots * (100 - limits.commissionPercent) / 100);
+    if (prizePool > limits.maxPrizePool) {
+      throw createError(`Prize pool cannot exceed ${formatAmount(limits.maxPrizePool)}`);
+    }
+
+    const match = await Match.findById(matchId);
+    if (!match) {
+      throw createError('Match not found', 404);
+    }
+    if (match.status !== 'upcoming' || !match.isFantasyEnabled || match.fantasyDeadline <= now) {
+      throw createError('Contests can no longer be created for this match');
+    }
+
+    const contest = new Contest({
+      name,
+      matchId: match._id,
+      sport: match.sport,
+      contestType: 'private',
+      entryFee,
+      totalSpots,
+      prizePool,
+      prizeDistribution: this.buildPrizeDistribution(prizeSplit, prizePool, totalSpots),
+      minEntries: totalSpots,
+      teamSize: readNumber(process.env.MAX_PLAYERS_PER_TEAM, 11),
+      startTime: match.startTime,
+      registrationDeadline: match.fantasyDeadline,
+      createdBy: user._id
+    });
+    await contest.save();
+
+    logger.info(`Private contest created: ${contest.name} by ${user.username}`);
+    return { contest, invite: this.getInvite(contest) };
+  }
+
+  /**
+   * Signature for a contest's share link. It covers the invite code, so a new code
+   * also retires the old links.
+   */
+  static getShareToken(contest) {
+    return crypto
+      .createHmac('sha256', getShareSecret())
+      .update(`${contest._id}:${contest.inviteCode}`)
+      .digest('base64url');
+  }
+
+  /**
+   * Invite code and share link for a private contest loaded with its inviteCode
+   */
+  static getInvite(contest) {
+    const token = this.getShareToken(contest);
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    return {
+      inviteCode: contest.inviteCode,
+      token,
+      shareLink: `${frontendUrl}/contests/${contest._id}/join?token=${token}`
+    };
+  }
+
+  static hasValidInvite(contest, { inviteCode, token } = {}) {
+    if (!contest.inviteCode) return false;
+    return safeEqual(normalizeCode(inviteCode), contest.inviteCode) ||
+      safeEqual(token, this.getShareToken(contest));
+  }
+
+  /**
+   * Reject a user who may not see or join a private contest. Its creator, staff, its
+   * participants and holders of a valid invite code or share link may. `contest` must
+   * be loaded with its inviteCode.
+   */
+  static async assertAccess(contest, user, invite = {}) {
+    if (contest.contestType !== 'private' || this.hasValidInvite(contest, invite)) return;
+
+    if (user) {
+      if (user.role === 'admin' || user.role === 'moderator') return;
+      if (contest.createdBy && contest.createdBy.toString() === user._id.toString()) return;
+      if (await ContestEntry.exists({ contestId: contest._id, userId: user._id })) return;
+    }
+
+    throw createError('This private contest can only be joined with an invite code or share link', 403);
+  }
+
+  /**
+   * assertAccess for a contest loaded without its inviteCode, e.g. from the cache
+   */
+  static async assertCanView(contest, user, invite = {}) {
+    if (contest.contestType !== 'private') return;
+
+    const withCode = await Contest.findById(contest._id).select('+inviteCode contestType createdBy');
+    if (!withCode) {
+      throw createError('Contest not found', 404);
+    }
+    await this.assertAccess(withCode, user, invite);
+  }
+
+  /**
+   * The private contest an invite code belongs to
+   */
+  static async findByInviteCode(inviteCode) {
+    const contest = await Contest.findOne({ inviteCode: normalizeCode(inviteCode), contestType: 'private' })
+      .populate('matchId', 'title sport startTime team1 team2');
+    if (!contest) {
+      throw createError('Invalid invite code', 404);
+    }
+    return contest;
+  }
+
+  /**
+   * Invite code and share link of a private contest, for its creator or staff
+   */
+  static async getInviteFor(contestId, user) {
+    const contest = await Contest.findOne({ _id: contestId, contestType: 'private' }).select('+inviteCode');
+    if (!contest) {
+      throw createError('Private contest not found', 404);
+    }
+
+    const isCreator = contest.createdBy && contest.createdBy.toString() === user._id.toString();
+    if (!isCreator && user.role !== 'admin' && user.role !== 'moderator') {
+      throw createError('Only the contest creator can share its invite', 403);
+    }
+
+    return this.getInvite(contest);
+  }
+}
+
+module.exports = PrivateContestService;
@@ -0,0 +1,100 @@
+// Round down to the paisa so split prizes never add up to more than the pool
+const floorToPaisa = (amount) => Math.floor(amount * 100 + 1e-6) / 100;
+
+// Normalize prize tiers to sorted { rankFrom, rankTo, prize } ranges.
+// Legacy single-rank entries ({ rank, prize }) become one-rank ranges.
+const normalizeTiers = (distribution = []) => distribution
+  .map(tier => ({
+    rankFrom: tier.rankFrom ?? tier.rank,
+    rankTo: tier.rankTo ?? tier.rankFrom ?? tier.rank,
+    prize: tier.prize
+  }))
+  .sort((a, b) => a.rankFrom - b.rankFrom);
+
+// Total amount a distribution pays out when every rank is occupied
+const getTotalPayout = (distribution) => normalizeTiers(distribution)
+  .reduce((sum, tier) => sum + (tier.rankTo - tier.rankFrom + 1) * tier.prize, 0);
+
+// Validate tiers against the contest's pool and size; returns a list of error messages
+const validateDistribution = (distribution, prizePool, totalSpots) => {
+  const errors = [];
+  const tiers = normalizeTiers(distribution);
+
+  tiers.forEach((tier, index) => {
+    const label = `Prize tier ${tier.rankFrom}-${tier.rankTo}`;
+
+    if (!Number.isInteger(tier.rankFrom) || !Number.isInteger(tier.rankTo) || tier.rankFrom < 1) {
+      errors.push(`${label} must use whole ranks starting from 1`);
+    } else if (tier.rankTo < tier.rankFrom) {
+      errors.push(`${label} ends before it starts`);
+    }
+
+    if (totalSpots && tier.rankTo > totalSpots) {
+      errors.push(`${label} exceeds the ${totalSpots} available spots`);
+    }
+
+    if (!(tier.prize >= 0)) {
+      errors.push(`${label} must have a non-negative prize`);
+    }
+
+    const previous = tiers[index - 1];
+    if (previous && tier.rankFrom <= previous.rankTo) {
+      errors.push(`${label} overlaps prize tier ${previous.rankFrom}-${previous.rankTo}`);
+    }
+  });
+
+  const totalPayout = getTotalPayout(distribution);
+  if (totalPayout > prizePool) {
+    errors.push(`Prize distribution pays ₹${totalPayout}, which exceeds the ₹${prizePool} prize pool`);
+  }
+
+  return errors;
+};
+
+// Prize for a single rank
+const getPrizeForRank = (tiers, rank) => {
+  const tier = tiers.find(t => rank >= t.rankFrom && rank <= t.rankTo);
+  return tier ? tier.prize : 0;
+};
+
+// Rank entries by points with shared ranks (1, 2, 2, 4) and split the prizes of tied ranks.
+// Returns new objects carrying the original entry plus its rank and prize, best first.
+const rankAndAward = (entries, distribution, getPoints = (entry) => entry.points) => {
+  const tiers = normalizeTiers(distribution);
+  const sorted = [...entries].sort((a, b) => (getPoints(b) || 0) - (getPoints(a) || 0));
+  const results = [];
+
+  let index = 0;
+  while (index < sorted.length) {
+    const points = getPoints(sorted[index]) || 0;
+    let groupEnd = index;
+    while (groupEnd + 1 < sorted.length && (getPoints(sorted[groupEnd + 1]) || 0) === points) {
+      groupEnd++;
+    }
+
+    // The group occupies ranks index+1 .. groupEnd+1 and shares their combined prize
+    const rank = index + 1;
+    const groupSize = groupEnd - index + 1;
+    let pooled = 0;
+    for (let occupied = rank; occupied <= groupEnd + 1; occupied++) {
+      pooled += getPrizeForRank(tiers, occupied);
+    }
+    const prize = floorToPaisa(pooled / groupSize);
+
+    for (let i = index; i <= groupEnd; i++) {
+      results.push({ entry: sorted[i], rank, prize });
+    }
+
+    index = groupEnd + 1;
+  }
+
+  return results;
+};
+
+module.exports = {
+  normalizeTiers,
+  getTotalPayout,
+  validateDistribution,
+  getPrizeForRank,
+  rankAndAward
+};
@@ -143,6 +143,23 @@ const cache = {
     }
   },
 
+  // Set only if the key does not exist yet; null when Redis is unavailable
+  setNX: async (key, value, ttl = 3600) => {
+    try {
+      if (!redisClient) {
+        logger.warn('Redis client not initialized');
+        return null;
+      }
+      
+      const serializedValue = typeof value === 'object' ? JSON.stringify(value) : value;
+      const result = await redisClient.set(key, serializedValue, { NX: true, EX: ttl });
+      return result === 'OK';
+    } catch (error) {
+      logger.error('Redis setNX error:', error);
+      return null;
+    }
+  },
+
   // Increment counter
   incr: async (key) => {
     try {
@@ -0,0 +1,340 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Limits are over rolling windows ending now
+const PERIOD_DAYS = { daily: 1, weekly: 7, monthly: 30 };
+const PERIODS = Object.keys(PERIOD_DAYS);
+const LIMIT_FIELDS = { deposit: 'depositLimits', spend: 'spendLimits' };
+const KINDS = Object.keys(LIMIT_FIELDS);
+
+const MAX_COOL_OFF_DAYS = 42;
+const MIN_SELF_EXCLUSION_MONTHS = 6;
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+// Raising or removing a limit waits this long, so it can't be undone in the heat of the moment
+const getIncreaseDelayMs = () => readNumber(process.env.RESPONSIBLE_GAMING_INCREASE_DELAY_HOURS, 24) * HOUR_MS;
+
+const formatAmount = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+const formatDate = (date) => date.toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+// Money is tracked to the paisa
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// A limit that is not set allows anything
+const isLooser = (value, current) => current !== undefined && current !== null &&
+  (value === null || value === undefined || value > current);
+
+class ResponsibleGamingService {
+  /**
+   * The user's deposit and spend limits as of `now`, counting pending changes that are due
+   */
+  static getEffectiveLimits(user, now = new Date()) {
+    const settings = user.responsibleGaming || {};
+    const limits = {};
+
+    for (const kind of KINDS) {
+      limits[kind] = {};
+      for (const period of PERIODS) {
+        limits[kind][period] = settings[LIMIT_FIELDS[kind]]?.[period] ?? null;
+      }
+    }
+
+    for (const change of settings.pendingChanges || []) {
+      if (change.effectiveAt <= now) limits[change.kind][change.period] = change.value ?? null;
+    }
+
+    return limits;
+  }
+
+  /**
+   * Why the user may not deposit or play right now, or null
+   */
+  static getRestriction(user, now = new Date()) {
+    const { coolOffUntil, selfExclusion } = user.responsibleGaming || {};
+
+    if (selfExclusion?.permanent || selfExclusion?.until > now) {
+      return { type: 'self_exclusion', until: selfExclusion.permanent ? null : selfExclusion.until };
+    }
+    if (coolOffUntil > now) {
+      return { type: 'cool_off', until: coolOffUntil };
+    }
+    return null;
+  }
+
+  /**
+   * Reject deposits, transfers and contest entries during a cool-off or self-exclusion.
+   * Withdrawals stay open so the user can always take their money out.
+   */
+  static assertCanPlay(user, now = new Date()) {
+    const restriction = this.getRestriction(user, now);
+    if (!restriction) return;
+
+    if (restriction.type === 'self_exclusion') {
+      throw createError(restriction.until
+        ? `You have excluded yourself until ${formatDate(restriction.until)}. You can still withdraw your winnings.`
+        : 'You have permanently excluded yourself. You can still withdraw your winnings.', 403);
+    }
+
+    throw createError(`You are taking a break until ${formatDate(restriction.until)}. You can still withdraw your winnings.`, 403);
+  }
+
+  /**
+   * Amounts deposited, or spent on contest entries net of refunds, in each rolling period
+   */
+  static async getUsage(userId, kind, now = new Date()) {
+    const since = (period) => new Date(now.getTime() - PERIOD_DAYS[period] * DAY_MS);
+
+    const match = kind === 'deposit'
+      ? { type: 'deposit', status: { $in: ['pending', 'completed'] } }
+      : {
+        status: 'completed',
+        $or: [
+          { type: 'contest_entry' },
+          { type: 'refund', 'metadata.contestId': { $ne: null } }
+        ]
+      };
+
+    const [totals] = await Transaction.aggregate([
+      {
+        $match: {
+          ...match,
+          userId: new mongoose.Types.ObjectId(userId),
+          createdAt: { $gt: since('monthly') }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          ...Object.fromEntries(PERIODS.map(period => [
+            period,
+            { $sum: { $cond: [{ $gt: ['$createdAt', since(period)] }, '$amount', 0] } }
+          ]))
+        }
+      }
+    ]);
+
+    // Entry fees are debits, so spend is the negated total
+    const sign = kind === 'deposit' ? 1 : -1;
+    return Object.fromEntries(PERIODS.map(period => [
+      period,
+      Math.max(roundToPaisa(sign * (totals?.[period] || 0)), 0)
+    ]));
+  }
+
+  /**
+   * Reject a deposit or contest entry that would break a break or one of the user's own limits
+   */
+  static async assertWithinLimits(user, kind, amount, now = new Date()) {
+    this.assertCanPlay(user, now);
+
+    const limits = this.getEffectiveLimits(user, now)[kind];
+    if (PERIODS.every(period => limits[period] === null)) return;
+
+    const usage = await this.getUsage(user._id, kind, now);
+    for (const period of PERIODS) {
+      if (limits[period] === null) continue;
+
+      const remaining = Math.max(roundToPaisa(limits[period] - usage[period]), 0);
+      if (amount > remaining) {
+        throw createError(
+          `This would take you past your ${period} ${kind} limit of ${formatAmount(limits[period])}. ` +
+          `You can ${kind} up to ${formatAmount(remaining)} more right now.`,
+          403
+        );
+      }
+    }
+  }
+
+  /**
+   * Move pending changes that are due into the limits; resolves to whether any were
+   */
+  static async applyDueChanges(user, now = new Date()) {
+    const settings = user.responsibleGaming;
+    const due = (settings?.pendingChanges || []).filter(change => change.effectiveAt <= now);
+    if (due.length === 0) return false;
+
+    for (const change of due) {
+      settings[LIMIT_FIELDS[change.kind]][change.period] = change.value ?? undefined;
+    }
+    settings.pendingChanges = settings.pendingChanges.filter(change => change.effectiveAt > now);
+
+    await user.save();
+    return true;
+  }
+
+  /**
+   * The user's limits, pending changes, breaks and how much of each limit is used
+   */
+  static async getSettings(user, now = new Date()) {
+    await this.applyDueChanges(user, now);
+
+    const settings = user.responsibleGaming || {};
+    const [depositUsage, spendUsage] = await Promise.all([
+      this.getUsage(user._id, 'deposit', now),
+      this.getUsage(user._id, 'spend', now)
+    ]);
+
+    return {
+      limits: this.getEffectiveLimits(user, now),
+      usage: { deposit: depositUsage, spend: spendUsage },
+      pendingChanges: (settings.pendingChanges || []).map(({ kind, period, value, requestedAt, effectiveAt }) => ({
+        kind,
+        period,
+        value: value ?? null,
+        requestedAt,
+        effectiveAt
+      })),
+      restriction: this.getRestriction(user, now),
+      coolOffUntil: settings.coolOffUntil || null,
+      selfExclusion: settings.selfExclusion?.startedAt ? settings.selfExclusion : null
+    };
+  }
+
+  /**
+   * Set deposit and spend limits, e.g. { deposit: { daily: 500, monthly: null } }.
+   * Lower or new limits apply at once; higher or removed ones only after the delay.
+   */
+  static async setLimits(user, changes, now = new Date()) {
+    await this.applyDueChanges(user, now);
+
+    const settings = user.responsibleGaming;
+    const effectiveAt = new Date(now.getTime() + getIncreaseDelayMs());
+
+    for (const kind of KINDS) {
+      for (const period of PERIODS) {
+        if (changes[kind]?.[period] === undefined) continue;
+
+        const value = changes[kind][period];
+        const current = settings[LIMIT_FIELDS[kind]]?.[period] ?? null;
+
+        // A new request replaces any pending one for the same limit
+        settings.pendingChanges = settings.pendingChanges.filter(change =>
+          change.kind !== kind || change.period !== period);
+
+        if (isLooser(value, current)) {
+          settings.pendingChanges.push({ kind, period, value, requestedAt: now, effectiveAt });
+        } else {
+          settings[LIMIT_FIELDS[kind]][period] = value ?? undefined;
+        }
+      }
+    }
+
+    await user.save();
+    logger.info(`User ${user.username} updated responsible gaming limits`);
+
+    return this.getSettings(user, now);
+  }
+
+  /**
+   * Pause deposits, transfers and contest entries for a number of days. A break can be
+   * extended but not cut short.
+   */
+  static async startCoolOff(user, days, now = new Date()) {
+    if (!(days >= 1 && days <= MAX_COOL_OFF_DAYS)) {
+      throw createError(`A break lasts between 1 and ${MAX_COOL_OFF_DAYS} days`);
+    }
+
+    const settings = user.responsibleGaming;
+    const until = new Date(now.getTime() + days * DAY_MS);
+    if (settings.coolOffUntil > until) {
+      throw createError(`You are already taking a break until ${formatDate(settings.coolOffUntil)}`);
+    }
+
+    settings.coolOffUntil = until;
+    await user.save();
+
+    logger.info(`User ${user.username} started a ${days}-day break`);
+    return this.getSettings(user, now);
+  }
+
+  /**
+   * Exclude the user for a number of months, or permanently. Only an admin can end an
+   * exclusion early, and a permanent one can't be shortened.
+   */
+  static async selfExclude(user, { months, permanent = false }, now = new Date()) {
+    if (!permanent && !(months >= MIN_SELF_EXCLUSION_MONTHS)) {
+      throw createError(`Self-exclusion lasts at least ${MIN_SELF_EXCLUSION_MONTHS} months`);
+    }
+
+    const settings = user.responsibleGaming;
+    const current = settings.selfExclusion;
+    let until = null;
+
+    if (!permanent) {
+      until = new Date(now);
+      until.setMonth(until.getMonth() + months);
+
+      if (current?.permanent || current?.until > until) {
+        throw createError('You are already excluded for longer than that');
+      }
+    }
+
+    settings.selfExclusion = {
+      startedAt: this.getRestriction(user, now)?.type === 'self_exclusion' ? current.startedAt : now,
+      until: until || undefined,
+      permanent
+    };
+    await user.save();
+
+    logger.warn(`User ${user.username} excluded themselves ${permanent ? 'permanently' : `until ${until.toISOString()}`}`);
+    return this.getSettings(user, now);
+  }
+
+  /**
+   * Users on a break, self-excluded or with their own limits, for admin review
+   */
+  static async listUsers({ status = 'restricted', page = 1, limit = 20 } = {}, now = new Date()) {
+    const selfExcluded = {
+      $or: [
+        { 'responsibleGaming.selfExclusion.permanent': true },
+        { 'responsibleGaming.selfExclusion.until': { $gt: now } }
+      ]
+    };
+    const coolingOff = { 'responsibleGaming.coolOffUntil': { $gt: now } };
+    const withLimits = {
+      $or: KINDS.flatMap(kind => PERIODS.map(period => ({
+        [`responsibleGaming.${LIMIT_FIELDS[kind]}.${period}`]: { $ne: null }
+      })))
+    };
+
+    const filters = {
+      self_excluded: selfExcluded,
+      cooling_off: coolingOff,
+      limits: withLimits,
+      restricted: { $or: [selfExcluded, coolingOff] }
+    };
+
+    const filter = filters[status];
+    if (!filter) {
+      throw createError(`status must be one of ${Object.keys(filters).join(', ')}`);
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('username email fullName responsibleGaming')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    return { users, total };
+  }
+}
+
+module.exports = ResponsibleGamingService;
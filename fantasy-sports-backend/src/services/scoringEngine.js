@@ -0,0 +1,123 @@
+// Default scoring rules, mirroring the defaults on Contest.scoringRules
+const DEFAULT_SCORING_RULES = {
+  cricket: {
+    run: 1,
+    four: 1,
+    six: 2,
+    fifty: 10,
+    hundred: 20,
+    wicket: 10,
+    maiden: 10,
+    catch: 10,
+    stumping: 10,
+    runOut: 6
+  },
+  football: {
+    goal: 10,
+    assist: 6,
+    cleanSheet: 4,
+    yellowCard: -1,
+    redCard: -3
+  }
+};
+
+// How many times each rule applies for a given performance
+const ruleCounters = {
+  cricket: {
+    run: (perf) => perf.runs || 0,
+    four: (perf) => perf.fours || 0,
+    six: (perf) => perf.sixes || 0,
+    // A hundred replaces the fifty bonus rather than stacking on top of it
+    fifty: (perf) => ((perf.runs || 0) >= 50 && (perf.runs || 0) < 100 ? 1 : 0),
+    hundred: (perf) => ((perf.runs || 0) >= 100 ? 1 : 0),
+    wicket: (perf) => perf.wickets || 0,
+    maiden: (perf) => perf.maidens || 0,
+    catch: (perf) => perf.catches || 0,
+    stumping: (perf) => perf.stumping || 0,
+    runOut: (perf) => perf.runOut || 0
+  },
+  football: {
+    goal: (perf) => perf.goals || 0,
+    assist: (perf) => perf.assists || 0,
+    cleanSheet: (perf) => perf.cleanSheets || 0,
+    yellowCard: (perf) => perf.yellowCards || 0,
+    redCard: (perf) => perf.redCards || 0
+  }
+};
+
+const DEFAULT_CAPTAIN_MULTIPLIER = parseFloat(process.env.CAPTAIN_MULTIPLIER) || 2;
+const DEFAULT_VICE_CAPTAIN_MULTIPLIER = parseFloat(process.env.VICE_CAPTAIN_MULTIPLIER) || 1.5;
+
+// Resolve the effective ruleset for a sport, falling back to defaults per rule.
+// Accepts either a plain object or a Contest.scoringRules subdocument.
+const resolveRules = (sport, scoringRules) => {
+  const defaults = DEFAULT_SCORING_RULES[sport] || {};
+  const overrides = (scoringRules && scoringRules[sport]) || {};
+  const rules = {};
+
+  Object.keys(defaults).forEach(rule => {
+    rules[rule] = typeof overrides[rule] === 'number' ? overrides[rule] : defaults[rule];
+  });
+
+  return rules;
+};
+
+// Score a single performance against a ruleset
+const scorePerformance = (sport, performance = {}, scoringRules) => {
+  const rules = resolveRules(sport, scoringRules);
+  const counters = ruleCounters[sport] || {};
+  const breakdown = [];
+  let points = 0;
+
+  Object.keys(rules).forEach(rule => {
+    const count = counters[rule] ? counters[rule](performance) : 0;
+    if (!count) return;
+
+    const rulePoints = count * rules[rule];
+    breakdown.push({ rule, count, value: rules[rule], points: rulePoints });
+    points += rulePoints;
+  });
+
+  return { points, breakdown };
+};
+
+// Score a team player, applying captain/vice-captain multipliers
+const scorePlayer = (sport, player, scoringRules, bonus = {}) => {
+  const { points, breakdown } = scorePerformance(sport, player.performance || {}, scoringRules);
+
+  let multiplier = 1;
+  if (player.isCaptain) {
+    multiplier = bonus.captainBonus || DEFAULT_CAPTAIN_MULTIPLIER;
+  } else if (player.isViceCaptain) {
+    multiplier = bonus.viceCaptainBonus || DEFAULT_VICE_CAPTAIN_MULTIPLIER;
+  }
+
+  return {
+    playerId: player.playerId,
+    basePoints: points,
+    multiplier,
+    points: points * multiplier,
+    breakdown
+  };
+};
+
+// Score a whole fantasy team. `bonuses` maps playerId -> { captainBonus, viceCaptainBonus }
+const scoreTeam = (team, scoringRules, bonuses = new Map()) => {
+  const players = team.players.map(player => {
+    const bonus = bonuses.get(player.playerId.toString()) || {};
+    return scorePlayer(team.sport, player, scoringRules, bonus);
+  });
+
+  return {
+    totalPoints: players.reduce((sum, p) => sum + p.points, 0),
+    players
+  };
+};
+
+module.exports = {
+  DEFAULT_SCORING_RULES,
+  resolveRules,
+  scorePerformance,
+  scorePlayer,
+  scoreTeam
+};
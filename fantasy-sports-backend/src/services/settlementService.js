@@ -0,0 +1,284 @@
+const Contest = require('../models/Contest');
+const ContestEntry = require('../models/ContestEntry');
+const FantasyTeam = require('../models/FantasyTeam');
+const Transaction = require('../models/Transaction');
+const User = require('../models/User');
+const LedgerService = require('./ledgerService');
+const NotificationService = require('./notificationService');
+const TaxService = require('./taxService');
+const { events } = require('./websocket');
+const logger = require('./logger');
+
+// A settlement left in 'processing' for this long is assumed to have crashed and may be resumed
+const STALE_SETTLEMENT_MS = 10 * 60 * 1000;
+
+// A running settlement renews its claim this often, well inside the stale window
+const SETTLEMENT_RENEW_MS = 60 * 1000;
+
+// Number of leaderboard rows included in the contest result broadcast
+const RESULT_BROADCAST_SIZE = 50;
+
+class SettlementService {
+  /**
+   * Settle every unsettled contest on a completed match
+   */
+  static async settleMatch(matchId) {
+    const contests = await Contest.find({
+      matchId,
+      status: { $ne: 'cancelled' },
+      'settlement.status': { $ne: 'settled' }
+    }).select('_id');
+
+    const results = [];
+    for (const { _id } of contests) {
+      try {
+        results.push(await this.settleContest(_id));
+      } catch (error) {
+        logger.error(`Settle contest ${_id} error:`, error);
+        results.push({ contestId: _id, settled: false, reason: error.message });
+      }
+    }
+
+    logger.info(`Settled ${results.filter(r => r.settled).length}/${results.length} contests for match ${matchId}`);
+    return results;
+  }
+
+  /**
+   * Finalize ranks, pay winners and publish results. Safe to run more than once.
+   */
+  static async settleContest(contestId) {
+    const claim = await this.claimContest(contestId);
+    if (!claim) {
+      return { contestId, settled: false, reason: 'Contest is already settled or being settled' };
+    }
+
+    const { contest, resumed } = claim;
+    let { claimedAt } = claim;
+
+    // A resumed run keeps the ranks the first run already saved
+    if (!resumed) {
+      await this.finalizeRanks(contest);
+    }
+
+    // Stream entries so contests of any size settle without loading them all at once
+    const entries = ContestEntry.find({ contestId: contest._id }).cursor();
+    for await (const participant of entries) {
+      if (Date.now() - claimedAt >= SETTLEMENT_RENEW_MS) {
+        claimedAt = await this.renewClaim(contest._id, claimedAt);
+      }
+      if (participant.prize > 0) {
+        await this.payWinner(contest, participant);
+        await TaxService.withholdOnWinnings(contest, participant);
+      }
+      await this.recordResult(contest, participant);
+    }
+
+    const [paid] = await Transaction.aggregate([
+      { $match: { 'metadata.contestId': contest._id, type: 'contest_winnings', status: 'completed' } },
+      { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    const settlement = {
+      winnersPaid: paid?.count || 0,
+      totalPaid: paid?.total || 0
+    };
+
+    await Contest.updateOne({ _id: contest._id }, {
+      $set: {
+        status: 'completed',
+        endTime: contest.endTime || new Date(),
+        'settlement.status': 'settled',
+        'settlement.settledAt': new Date(),
+        'settlement.winnersPaid': settlement.winnersPaid,
+        'settlement.totalPaid': settlement.totalPaid
+      }
+    });
+
+    const leaderboard = await contest.getLeaderboard(0, RESULT_BROADCAST_SIZE);
+
+    events.contestResult(contest._id, {
+      contestId: contest._id,
+      contestName: contest.name,
+      leaderboard: leaderboard.map(entry => entry.getLeaderboardRow()),
+      ...settlement
+    });
+
+    logger.info(`Contest settled: ${contest.name} - paid ₹${settlement.totalPaid} to ${settlement.winnersPaid} winners`);
+
+    return { contestId: contest._id, settled: true, ...settlement };
+  }
+
+  /**
+   * Move a contest into 'processing'; returns null when another run owns it or it is settled
+   */
+  static async claimContest(contestId) {
+    const now = new Date();
+    const previous = await Contest.findOneAndUpdate(
+      {
+        _id: contestId,
+        status: { $ne: 'cancelled' },
+        $or: [
+          { 'settlement.status': { $exists: false } },
+          { 'settlement.status': 'pending' },
+          { 'settlement.status': 'processing', 'settlement.startedAt': { $lt: new Date(now - STALE_SETTLEMENT_MS) } }
+        ]
+      },
+      { $set: { 'settlement.status': 'processing', 'settlement.startedAt': now } },
+      { new: false }
+    );
+
+    if (!previous) return null;
+
+    return {
+      contest: await Contest.findById(contestId),
+      resumed: previous.settlement?.status === 'processing',
+      claimedAt: now
+    };
+  }
+
+  /**
+   * Push back the stale deadline of a claim this run still holds; throws when another
+   * run has taken the contest over, so the two never pay out side by side
+   */
+  static async renewClaim(contestId, claimedAt) {
+    const now = new Date();
+    const result = await Contest.updateOne(
+      { _id: contestId, 'settlement.status': 'processing', 'settlement.startedAt': claimedAt },
+      { $set: { 'settlement.startedAt': now } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw new Error(`Settlement of contest ${contestId} was taken over by another run`);
+    }
+
+    return now;
+  }
+
+  /**
+   * Score every entered team with final performance and rank the contest
+   */
+  static async finalizeRanks(contest) {
+    const teamIds = await ContestEntry.distinct('teamId', { contestId: contest._id });
+    const teams = await FantasyTeam.find({ _id: { $in: teamIds } });
+
+    for (const team of teams) {
+      if (team.status !== 'scored') {
+        await team.calculatePoints();
+      }
+    }
+
+    await contest.scoreParticipants();
+  }
+
+  /**
+   * Credit a winner exactly once; returns false when the prize was already paid.
+   * The ledger journal keyed by the transaction reference is the proof of payment, and
+   * the transaction is only marked completed once it exists. A run that dies in between
+   * leaves the transaction pending, and the next run completes it without paying again.
+   */
+  static async payWinner(contest, participant) {
+    const reference = `WIN-${contest._id}-${participant._id}`;
+
+    try {
+      const transaction = Transaction.createContestWinnings(
+        participant.userId,
+        participant.prize,
+        contest._id,
+        contest.matchId,
+        participant.teamId
+      );
+      transaction.reference = reference;
+      transaction.status = 'pending';
+      transaction.description = `Winnings for ${contest.name} (rank ${participant.rank}${participant.teamName ? `, ${participant.teamName}` : ''})`;
+      await transaction.save();
+    } catch (error) {
+      // Already created by an earlier run
+      if (error.code !== 11000) throw error;
+    }
+
+    const transaction = await Transaction.findOne({ reference, status: 'pending' });
+    if (!transaction) return false;
+
+    let user = null;
+    if (!await LedgerService.isPosted(reference)) {
+      try {
+        user = await LedgerService.credit(transaction, {
+          amount: participant.prize,
+          account: 'platform_contests',
+          inc: {
+            'wallet.totalWon': participant.prize,
+            'stats.totalEarnings': participant.prize,
+            'stats.contestsWon': 1
+          }
+        });
+      } catch (error) {
+        // Anything but a parallel run posting the same journal first leaves the
+        // transaction pending for the next run to retry
+        if (error.code !== 11000) throw error;
+      }
+
+      if (!user && !await LedgerService.isPosted(reference)) {
+        throw new Error(`Winnings ${reference} could not be credited: user not found`);
+      }
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'completed', processedAt: transaction.processedAt || new Date() } }
+    );
+
+    if (!user) return false;
+
+    events.walletUpdate(participant.userId, {
+      type: 'contest_winnings',
+      amount: participant.prize,
+      newBalance: user.wallet.balance,
+      transactionId: transaction.reference
+    });
+
+    return true;
+  }
+
+  /**
+   * Update the participant's profile stats and notify them, once per entry
+   */
+  static async recordResult(contest, participant) {
+    const { modifiedCount } = await ContestEntry.updateOne(
+      { _id: participant._id, settledAt: null },
+      { $set: { settledAt: new Date() } }
+    );
+
+    if (!modifiedCount) return;
+
+    const user = await User.findById(participant.userId);
+    if (user) {
+      const { stats } = user;
+      const played = stats.totalContests + 1;
+
+      stats.averageRank = stats.averageRank === null
+        ? participant.rank
+        : (stats.averageRank * stats.totalContests + participant.rank) / played;
+      stats.totalContests = played;
+      if (stats.bestRank === null || participant.rank < stats.bestRank) {
+        stats.bestRank = participant.rank;
+      }
+
+      await user.save();
+    }
+
+    try {
+      await NotificationService.sendContestResultNotification(
+        contest._id,
+        contest.name,
+        participant.userId,
+        participant.rank,
+        participant.prize
+      );
+    } catch (error) {
+      // A failed notification must not block the rest of the settlement
+      logger.warn(`Contest result notification failed for user ${participant.userId}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = SettlementService;
@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const { toCsv } = require('./csv');
+const { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT } = require('./pdf');
+const { createError } = require('../middleware/errorHandler');
+
+const DEFAULT_PERIOD_DAYS = 30;
+const MAX_PERIOD_DAYS = 366;
+const MAX_STATEMENT_ROWS = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// PDF layout, in points
+const MARGIN = 36;
+const ROW_HEIGHT = 14;
+const TABLE_COLUMNS = [
+  { header: 'Date', x: MARGIN, value: row => formatDate(row.date) },
+  { header: 'Description', x: 96, value: row => truncate(row.description, 44) },
+  { header: 'Reference', x: 300, value: row => truncate(row.reference, 20) },
+  { header: 'Credit', x: 455, align: 'right', value: row => (row.credit ? formatAmount(row.credit) : '') },
+  { header: 'Debit', x: 505, align: 'right', value: row => (row.debit ? formatAmount(row.debit) : '') },
+  { header: 'Balance', x: PAGE_WIDTH - MARGIN, align: 'right', value: row => formatAmount(row.balance) }
+];
+
+// Money is tracked to the paisa
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+const formatAmount = (amount) => amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date) => date.toLocaleDateString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  day: '2-digit',
+  month: '2-digit',
+  year: 'numeric'
+});
+
+// Dates without a time are whole days in Indian time; endOfDay gives the start of the next day
+const parseDate = (value, { endOfDay = false } = {}) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return new Date(value);
+  const date = new Date(`${value}T00:00:00+05:30`);
+  return endOfDay ? new Date(date.getTime() + DAY_MS) : date;
+};
+
+const truncate = (text = '', length) => (text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+class StatementService {
+  /**
+   * The statement period from query values. A date without a time covers that whole
+   * day; the default is the last 30 days.
+   */
+  static parsePeriod(from, to, now = new Date()) {
+    const end = to ? parseDate(to, { endOfDay: true }) : now;
+    const start = from ? parseDate(from) : new Date(end.getTime() - DEFAULT_PERIOD_DAYS * DAY_MS);
+
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      throw createError('from and to must be dates');
+    }
+    if (start >= end) {
+      throw createError('from must be before to');
+    }
+    if (end - start > MAX_PERIOD_DAYS * DAY_MS) {
+      throw createError(`Statements cover at most ${MAX_PERIOD_DAYS} days`);
+    }
+
+    return { from: start, to: end < now ? end : now };
+  }
+
+  /**
+   * A user's statement for a period: every transaction that moved money in the wallet,
+   * in the order the money moved, with the running balance after each one. Balances
+   * come from the ledger, so the closing balance matches the wallet.
+   */
+  static async getStatement(user, { from, to }) {
+    const period = this.parsePeriod(from, to);
+
+    const [openingBalance, journals] = await Promise.all([
+      LedgerEntry.getBalance(LedgerEntry.USER_ACCOUNTS, user._id, period.from),
+      LedgerEntry.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(user._id),
+            account: { $in: LedgerEntry.USER_ACCOUNTS },
+            createdAt: { $gte: period.from, $lt: period.to }
+          }
+        },
+        {
+          $group: {
+            _id: '$journalId',
+            transactionId: { $first: '$transactionId' },
+            type: { $first: '$type' },
+            description: { $first: '$description' },
+            amount: { $sum: '$amount' },
+            postedAt: { $min: '$createdAt' }
+          }
+        },
+        { $sort: { postedAt: 1, _id: 1 } },
+        { $limit: MAX_STATEMENT_ROWS + 1 }
+      ])
+    ]);
+
+    if (journals.length > MAX_STATEMENT_ROWS) {
+      throw createError(`More than ${MAX_STATEMENT_ROWS} transactions in this period; choose a shorter one`);
+    }
+
+    const transactions = await Transaction.find({ _id: { $in: journals.map(j => j.transactionId).filter(Boolean) } })
+      .select('reference type status description');
+    const byId = new Map(transactions.map(transaction => [transaction._id.toString(), transaction]));
+
+    let balance = openingBalance;
+    let totalCredits = 0;
+    let totalDebits = 0;
+
+    const rows = journals.map(journal => {
+      const transaction = journal.transactionId && byId.get(journal.transactionId.toString());
+      const amount = roundToPaisa(journal.amount);
+
+      balance = roundToPaisa(balance + amount);
+      totalCredits = roundToPaisa(totalCredits + Math.max(amount, 0));
+      totalDebits = roundToPaisa(totalDebits + Math.max(-amount, 0));
+
+      return {
+        date: journal.postedAt,
+        reference: transaction?.reference || journal._id,
+        type: transaction?.type || journal.type,
+        description: transaction?.description || journal.description,
+        status: transaction?.status,
+        credit: Math.max(amount, 0),
+        debit: Math.max(-amount, 0),
+        balance
+      };
+    });
+
+    return {
+      user: {
+        fullName: user.fullName,
+        username: user.username,
+        email: user.email
+      },
+      period,
+      currency: 'INR',
+      openingBalance,
+      totalCredits,
+      totalDebits,
+      closingBalance: balance,
+      rows
+    };
+  }
+
+  /**
+   * Download name covering the statement's days in Indian time
+   */
+  static getFileName(statement, format) {
+    const day = (date) => date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    return `statement-${day(statement.period.from)}-to-${day(new Date(statement.period.to - 1))}.${format}`;
+  }
+
+  /**
+   * A statement as CSV, with opening and closing balance rows around the transactions
+   */
+  static toCsv(statement) {
+    return toCsv([
+      { header: 'Date', value: row => row.date },
+      { header: 'Reference', value: row => row.reference },
+      { header: 'Type', value: row => row.type },
+      { header: 'Description', value: row => row.description },
+      { header: 'Status', value: row => row.status },
+      { header: 'Credit', value: row => row.credit },
+      { header: 'Debit', value: row => row.debit },
+      { header: 'Balance', value: row => row.balance }
+    ], [
+      { date: statement.period.from, description: 'Opening balance', balance: statement.openingBalance },
+      ...statement.rows,
+      {
+        date: statement.period.to,
+        description: 'Closing balance',
+        credit: statement.totalCredits,
+        debit: statement.totalDebits,
+        balance: statement.closingBalance
+      }
+    ]);
+  }
+
+  /**
+   * A statement as an A4 PDF: account details and totals, then the transactions with
+   * the table header repeated on every page
+   */
+  static toPdf(statement, generatedAt = new Date()) {
+    const pdf = new PdfDocument();
+    const bottom = PAGE_HEIGHT - MARGIN - ROW_HEIGHT;
+
+    const tableHeader = (y) => {
+      TABLE_COLUMNS.forEach(column => pdf.text(column.x, y, column.header, { bold: true, size: 8, align: column.align }));
+      pdf.line(MARGIN, y + 4, PAGE_WIDTH - MARGIN, y + 4);
+      return y + ROW_HEIGHT + 2;
+    };
+
+    pdf.text(MARGIN, 56, 'Tactics Turf - Account Statement', { bold: true, size: 16 });
+    pdf.text(MARGIN, 80, `${statement.user.fullName} (@${statement.user.username})`, { size: 10 });
+    pdf.text(MARGIN, 94, `Period: ${formatDate(statement.period.from)} to ${formatDate(new Date(statement.period.to - 1))}`, { size: 10 });
+    pdf.text(MARGIN, 108, `Generated: ${formatDate(generatedAt)}`, { size: 10 });
+
+    const summary = [
+      ['Opening balance', statement.openingBalance],
+      ['Total credits', statement.totalCredits],
+      ['Total debits', statement.totalDebits],
+      ['Closing balance', statement.closingBalance]
+    ];
+    summary.forEach(([label, amount], index) => {
+      const x = MARGIN + index * 132;
+      pdf.text(x, 136, label, { size: 8 });
+      pdf.text(x, 150, `${statement.currency} ${formatAmount(amount)}`, { bold: true, size: 10 });
+    });
+
+    let y = tableHeader(182);
+
+    if (statement.rows.length === 0) {
+      pdf.text(MARGIN, y, 'No transactions in this period', { size: 9 });
+    }
+
+    statement.rows.forEach(row => {
+      if (y > bottom) {
+        pdf.addPage();
+        y = tableHeader(MARGIN + 12);
+      }
+      TABLE_COLUMNS.forEach(column => pdf.text(column.x, y, column.value(row), { size: 8, align: column.align }));
+      y += ROW_HEIGHT;
+    });
+
+    pdf.pages.forEach((page, index) => {
+      pdf.goToPage(index).text(PAGE_WIDTH - MARGIN, PAGE_HEIGHT - 20, `Page ${index + 1} of ${pdf.pages.length}`, { size: 7, align: 'right' });
+    });
+
+    return pdf.toBuffer();
+  }
+}
+
+module.exports = StatementService;
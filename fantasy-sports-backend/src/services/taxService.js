@@ -0,0 +1,388 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const LedgerEntry = require('../models/LedgerEntry');
+const LedgerService = require('./ledgerService');
+const { WITHDRAWABLE_BALANCES } = require('./walletBalances');
+const { toCsv } = require('./csv');
+const { events } = require('./websocket');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Financial years run April to March in Indian time
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Net winnings count the cash in the wallet; bonus credit is neither deposited nor withdrawable
+const CASH_ACCOUNTS = ['user_deposit', 'user_winnings'];
+
+// When tax is withheld: on withdrawals (net winnings), per prize at settlement, or not at all
+const DEDUCTION_STAGES = ['withdrawal', 'settlement', 'none'];
+
+const DEFAULT_RATE = 30;
+const DEFAULT_SETTLEMENT_THRESHOLD = 10000;
+
+// Money is tracked to the paisa
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+const readNumber = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? fallback : number;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id.toString());
+
+class TaxService {
+  /**
+   * Withholding rules from TDS_DEDUCT_AT, TDS_RATE (percent) and TDS_SETTLEMENT_THRESHOLD
+   */
+  static getConfig() {
+    const deductAt = process.env.TDS_DEDUCT_AT || 'withdrawal';
+    if (!DEDUCTION_STAGES.includes(deductAt)) {
+      throw new Error(`TDS_DEDUCT_AT must be one of: ${DEDUCTION_STAGES.join(', ')}`);
+    }
+
+    return {
+      deductAt,
+      rate: readNumber(process.env.TDS_RATE, DEFAULT_RATE),
+      settlementThreshold: readNumber(process.env.TDS_SETTLEMENT_THRESHOLD, DEFAULT_SETTLEMENT_THRESHOLD)
+    };
+  }
+
+  /**
+   * The financial year starting in April of startYear, e.g. 2026 for FY 2026-27
+   */
+  static getFinancialYear(startYear) {
+    return {
+      startYear,
+      label: `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`,
+      start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+      end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS)
+    };
+  }
+
+  /**
+   * The financial year a moment falls in
+   */
+  static getFinancialYearOf(date = new Date()) {
+    const local = new Date(date.getTime() + IST_OFFSET_MS);
+    const year = local.getUTCFullYear();
+    return this.getFinancialYear(local.getUTCMonth() >= 3 ? year : year - 1);
+  }
+
+  /**
+   * Cash in a user's wallet at a moment, from the ledger
+   */
+  static async getCashBalance(userId, at) {
+    return LedgerEntry.getBalance(CASH_ACCOUNTS, userId, at);
+  }
+
+  /**
+   * Deposits, withdrawals, winnings and tax for a user from the start of a financial year
+   * until a moment. Withdrawals are what was paid out, without the tax withheld from them.
+   */
+  static async getYearTotals(userId, financialYear, until = financialYear.end) {
+    const rows = await Transaction.aggregate([
+      {
+        $match: {
+          userId: toObjectId(userId),
+          createdAt: { $gte: financialYear.start, $lt: until },
+          $or: [
+            { type: 'deposit', status: 'completed' },
+            { type: 'withdrawal', status: { $in: ['pending', 'completed'] } },
+            { type: 'contest_winnings', status: 'completed' },
+            { type: 'tds', status: 'completed' }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { type: '$type', stage: '$tax.stage' },
+          amount: { $sum: { $abs: '$amount' } },
+          taxableAmount: { $sum: '$tax.taxableAmount' }
+        }
+      }
+    ]);
+
+    const sum = (type, stage, field = 'amount') => roundToPaisa(rows
+      .filter(row => row._id.type === type && (!stage || row._id.stage === stage))
+      .reduce((total, row) => total + (row[field] || 0), 0));
+
+    return {
+      deposits: sum('deposit'),
+      withdrawals: sum('withdrawal'),
+      grossWinnings: sum('contest_winnings'),
+      tdsOnWithdrawals: sum('tds', 'withdrawal'),
+      tdsOnSettlement: sum('tds', 'settlement'),
+      // Net winnings already taxed at withdrawal this year
+      taxedNetWinnings: sum('tds', 'withdrawal', 'taxableAmount')
+    };
+  }
+
+  /**
+   * Tax to withhold from a withdrawal of `amount`. Net winnings are this year's
+   * withdrawals (including this one) less deposits, the opening balance and the net
+   * winnings already taxed. Returns null when nothing is due.
+   */
+  static async computeWithdrawalTds(userId, amount, at = new Date()) {
+    const config = this.getConfig();
+    if (config.deductAt !== 'withdrawal' || config.rate <= 0) return null;
+
+    const financialYear = this.getFinancialYearOf(at);
+    const [totals, openingBalance] = await Promise.all([
+      this.getYearTotals(userId, financialYear, at),
+      this.getCashBalance(userId, financialYear.start)
+    ]);
+
+    const netWinnings = roundToPaisa(
+      totals.withdrawals + totals.tdsOnWithdrawals + amount - totals.deposits - openingBalance - totals.taxedNetWinnings
+    );
+    const taxableAmount = Math.min(netWinnings, amount);
+    const tds = roundToPaisa(taxableAmount * config.rate / 100);
+    if (tds <= 0) return null;
+
+    return {
+      amount: tds,
+      tax: {
+        financialYear: financialYear.label,
+        stage: 'withdrawal',
+        rate: config.rate,
+        taxableAmount
+      }
+    };
+  }
+
+  /**
+   * Debit the tax computed for a withdrawal from the user's winnings. Returns the
+   * updated user, or null when the winnings no longer cover it.
+   */
+  static async withholdOnWithdrawal(withdrawal, tds) {
+    const transaction = Transaction.createTds(withdrawal.userId, tds.amount, tds.tax, {
+      originalTransactionId: withdrawal._id
+    });
+    transaction.reference = `TDS-${withdrawal.reference}`;
+    transaction.processedAt = new Date();
+
+    const user = await LedgerService.debit(transaction, {
+      amount: tds.amount,
+      account: 'platform_tax',
+      order: WITHDRAWABLE_BALANCES
+    });
+
+    if (user) {
+      logger.info(`Withheld TDS of ₹${tds.amount} from withdrawal ${withdrawal.reference}`);
+    }
+
+    return user;
+  }
+
+  /**
+   * Return the tax withheld from a withdrawal that failed. Returns the reversal
+   * transaction, or null when there was no tax to return.
+   */
+  static async reverseWithdrawalTds(withdrawal) {
+    const tds = await Transaction.findOneAndUpdate(
+      { type: 'tds', 'metadata.originalTransactionId': withdrawal._id, status: 'completed' },
+      { $set: { status: 'refunded', reversedAt: new Date(), reversalReason: 'Withdrawal failed' } },
+      { new: true }
+    );
+
+    if (!tds) return null;
+
+    const amount = Math.abs(tds.amount);
+    const reversal = Transaction.createRefund(tds.userId, amount);
+    reversal.reference = `REV-${tds.reference}`;
+    reversal.description = `Reversal of TDS on failed withdrawal ${withdrawal.reference}`;
+    reversal.metadata.originalTransactionId = tds._id;
+    reversal.processedAt = new Date();
+
+    try {
+      await LedgerService.credit(reversal, {
+        amount,
+        balanceType: 'winnings',
+        account: 'platform_tax'
+      });
+    } catch (error) {
+      // Put the deduction back so the withdrawal's reversal retries it
+      await Transaction.updateOne({ _id: tds._id }, { $set: { status: 'completed' }, $unset: { reversedAt: 1, reversalReason: 1 } });
+      throw error;
+    }
+
+    return reversal;
+  }
+
+  /**
+   * Withhold tax from a prize above the settlement threshold, once per prize. Only
+   * applies when TDS_DEDUCT_AT is settlement; safe to run again on a resumed settlement.
+   * Returns true when this run debited the tax.
+   */
+  static async withholdOnWinnings(contest, participant) {
+    const config = this.getConfig();
+    if (config.deductAt !== 'settlement' || config.rate <= 0 || participant.prize <= config.settlementThreshold) {
+      return false;
+    }
+
+    const winningsReference = `WIN-${contest._id}-${participant._id}`;
+    const winnings = await Transaction.findOne({ reference: winningsReference, status: 'completed' });
+    if (!winnings) return false;
+
+    const reference = `TDS-${winningsReference}`;
+    const amount = roundToPaisa(participant.prize * config.rate / 100);
+
+    try {
+      const transaction = Transaction.createTds(participant.userId, amount, {
+        financialYear: this.getFinancialYearOf(winnings.processedAt || winnings.createdAt).label,
+        stage: 'settlement',
+        rate: config.rate,
+        taxableAmount: participant.prize
+      }, {
+        contestId: contest._id,
+        matchId: contest.matchId,
+        teamId: participant.teamId,
+        originalTransactionId: winnings._id
+      });
+      transaction.reference = reference;
+      transaction.status = 'pending';
+      await transaction.save();
+    } catch (error) {
+      // Already created by an earlier run
+      if (error.code !== 11000) throw error;
+    }
+
+    const transaction = await Transaction.findOne({ reference, status: 'pending' });
+    if (!transaction) return false;
+
+    // The ledger journal keyed by the reference is the proof of the deduction; the
+    // transaction is only completed once it exists, so a run that dies in between
+    // leaves it pending for the next run to complete without debiting again
+    let user = null;
+    if (!await LedgerService.isPosted(reference)) {
+      try {
+        // The prize was just credited to winnings; fall back to deposit if it was already spent
+        user = await LedgerService.debit(transaction, {
+          amount,
+          account: 'platform_tax',
+          order: ['winnings', 'deposit']
+        });
+      } catch (error) {
+        // A parallel run posting the same journal first is the only error that is not a failure
+        if (error.code !== 11000) throw error;
+      }
+
+      if (!user && !await LedgerService.isPosted(reference)) {
+        // Left pending for an admin to collect
+        logger.error(`TDS ${reference} of ₹${amount} could not be withheld: wallet does not cover it`);
+        return false;
+      }
+    }
+
+    await Transaction.updateOne(
+      { _id: transaction._id, status: 'pending' },
+      { $set: { status: 'completed', processedAt: transaction.processedAt || new Date() } }
+    );
+
+    if (!user) return false;
+
+    events.walletUpdate(participant.userId, {
+      type: 'tds',
+      amount: -amount,
+      newBalance: user.wallet.balance,
+      transactionId: reference
+    });
+
+    return true;
+  }
+
+  /**
+   * A user's tax statement for the financial year starting in April of startYear:
+   * opening and closing cash, deposits, withdrawals, gross and net winnings, and every
+   * deduction. A year still running is reported up to now.
+   */
+  static async getStatement(user, startYear) {
+    const financialYear = this.getFinancialYear(startYear);
+    const now = new Date();
+
+    if (financialYear.start > now) {
+      throw createError(`Financial year ${financialYear.label} has not started yet`);
+    }
+
+    const until = financialYear.end < now ? financialYear.end : now;
+
+    const [totals, openingBalance, closingBalance, deductions] = await Promise.all([
+      this.getYearTotals(user._id, financialYear, until),
+      this.getCashBalance(user._id, financialYear.start),
+      this.getCashBalance(user._id, until),
+      Transaction.find({
+        userId: user._id,
+        type: 'tds',
+        status: 'completed',
+        createdAt: { $gte: financialYear.start, $lt: until }
+      }).sort({ createdAt: 1 })
+    ]);
+
+    const withdrawals = roundToPaisa(totals.withdrawals + totals.tdsOnWithdrawals);
+
+    return {
+      financialYear: financialYear.label,
+      period: { from: financialYear.start, to: until },
+      user: {
+        fullName: user.fullName,
+        username: user.username,
+        panNumber: user.kyc?.panNumber || null
+      },
+      summary: {
+        openingBalance,
+        deposits: totals.deposits,
+        withdrawals,
+        closingBalance,
+        grossWinnings: totals.grossWinnings,
+        netWinnings: roundToPaisa(withdrawals + closingBalance - totals.deposits - openingBalance),
+        tdsDeducted: roundToPaisa(totals.tdsOnWithdrawals + totals.tdsOnSettlement)
+      },
+      deductions: deductions.map(transaction => ({
+        date: transaction.createdAt,
+        reference: transaction.reference,
+        stage: transaction.tax?.stage,
+        rate: transaction.tax?.rate,
+        taxableAmount: transaction.tax?.taxableAmount,
+        amount: Math.abs(transaction.amount)
+      }))
+    };
+  }
+
+  /**
+   * A tax statement as CSV: the summary, then one row per deduction
+   */
+  static statementToCsv(statement) {
+    const { summary } = statement;
+    const details = [
+      ['Financial Year', statement.financialYear],
+      ['Name', statement.user.fullName],
+      ['PAN', statement.user.panNumber || 'Not provided'],
+      ['Period From', statement.period.from],
+      ['Period To', statement.period.to],
+      ['Opening Balance', summary.openingBalance],
+      ['Deposits', summary.deposits],
+      ['Withdrawals', summary.withdrawals],
+      ['Closing Balance', summary.closingBalance],
+      ['Gross Winnings', summary.grossWinnings],
+      ['Net Winnings', summary.netWinnings],
+      ['TDS Deducted', summary.tdsDeducted]
+    ];
+
+    return [
+      toCsv([
+        { header: 'Item', value: row => row[0] },
+        { header: 'Value', value: row => row[1] }
+      ], details),
+      toCsv([
+        { header: 'Date', value: row => row.date },
+        { header: 'Reference', value: row => row.reference },
+        { header: 'Deducted On', value: row => row.stage },
+        { header: 'Rate (%)', value: row => row.rate },
+        { header: 'Taxable Amount', value: row => row.taxableAmount },
+        { header: 'TDS', value: row => row.amount }
+      ], statement.deductions)
+    ].join('\r\n');
+  }
+}
+
+module.exports = TaxService;
@@ -0,0 +1,249 @@
+const cron = require('node-cron');
+const Transaction = require('../models/Transaction');
+const PaymentService = require('./paymentService');
+const NotificationService = require('./notificationService');
+const { events } = require('./websocket');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+// Failed transactions looked at per run; the rest wait for the next one
+const RETRY_BATCH_SIZE = 100;
+
+// How each transaction type is retried. A handler gets the transaction back in pending
+// and resolves to { status, reason } where status is 'completed', 'failed' for good or
+// 'retry' to try again later. Types without a handler go straight to an admin.
+const RETRY_HANDLERS = {
+  deposit: (transaction) => PaymentService.retryDeposit(transaction)
+};
+
+let task = null;
+let isRunning = false;
+
+class TransactionRetryService {
+  /**
+   * Start the background retry worker
+   */
+  static start(schedule = process.env.TRANSACTION_RETRY_CRON || '* * * * *') {
+    if (task) return task;
+
+    task = cron.schedule(schedule, () => {
+      this.runOnce().catch(error => logger.error('Transaction retry run error:', error));
+    });
+
+    logger.info(`Transaction retry worker started (${schedule})`);
+    return task;
+  }
+
+  /**
+   * Stop the background retry worker
+   */
+  static stop() {
+    if (task) {
+      task.stop();
+      task = null;
+      logger.info('Transaction retry worker stopped');
+    }
+  }
+
+  /**
+   * Retry or escalate every failed transaction that is due; overlapping runs are skipped
+   */
+  static async runOnce(now = new Date()) {
+    if (isRunning) return;
+    isRunning = true;
+
+    try {
+      const due = await Transaction.find({
+        status: 'failed',
+        nextRetryAt: { $lte: now },
+        'escalation.at': null
+      })
+        .sort({ nextRetryAt: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .select('_id');
+
+      for (const { _id } of due) {
+        try {
+          await this.processTransaction(_id, now);
+        } catch (error) {
+          logger.error(`Retry of transaction ${_id} error:`, error);
+        }
+      }
+    } finally {
+      isRunning = false;
+    }
+  }
+
+  /**
+   * Retry one due transaction, or escalate it once its retries are used up. Resolves to
+   * the outcome, or null when another run got to it first.
+   */
+  static async processTransaction(transactionId, now = new Date()) {
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction || transaction.status !== 'failed' || !transaction.nextRetryAt ||
+      transaction.nextRetryAt > now || transaction.escalation?.at) {
+      return null;
+    }
+
+    const handler = RETRY_HANDLERS[transaction.type];
+    if (!handler) {
+      await this.escalate(transaction, `${transaction.type} transactions are not retried automatically`);
+      return 'escalated';
+    }
+
+    if (transaction.retryCount >= transaction.maxRetries) {
+      await this.escalate(transaction, `Still failing after ${transaction.retryCount} attempts: ${transaction.failureReason}`);
+      return 'escalated';
+    }
+
+    // Only the run that moves the transaction back to pending may retry it
+    const claimed = await Transaction.findOneAndUpdate(
+      { _id: transaction._id, status: 'failed', nextRetryAt: transaction.nextRetryAt },
+      { $set: { status: 'pending' }, $unset: { nextRetryAt: 1 } },
+      { new: true }
+    );
+
+    if (!claimed) return null;
+
+    let result;
+    try {
+      result = await handler(claimed);
+    } catch (error) {
+      logger.error(`Retry handler for ${claimed.reference} error:`, error);
+      result = { status: 'retry', reason: error.message };
+    }
+
+    if (result.status === 'completed') {
+      logger.info(`Transaction ${claimed.reference} completed on retry ${claimed.retryCount}`);
+      await this.notify(claimed);
+      return 'completed';
+    }
+
+    if (result.status === 'failed') {
+      // A definite answer; nothing left to retry or escalate
+      const { modifiedCount } = await Transaction.updateOne(
+        { _id: claimed._id, status: 'pending' },
+        { $set: { status: 'failed', failureReason: result.reason } }
+      );
+      if (modifiedCount === 0) return null;
+
+      events.walletUpdate(claimed.userId, {
+        type: claimed.type,
+        status: 'failed',
+        amount: claimed.amount,
+        transactionId: claimed.reference
+      });
+      logger.info(`Transaction ${claimed.reference} failed for good: ${result.reason}`);
+      return 'failed';
+    }
+
+    if (!await Transaction.failPending(claimed, result.reason)) return null;
+    logger.warn(`Retry ${claimed.retryCount + 1} of ${claimed.reference} failed: ${result.reason}`);
+
+    if (claimed.retryCount + 1 >= claimed.maxRetries) {
+      await this.escalate(claimed, `Still failing after ${claimed.retryCount + 1} attempts: ${result.reason}`);
+      return 'escalated';
+    }
+
+    return 'retry';
+  }
+
+  /**
+   * Hand a failed transaction to the admin queue and tell the user it is being looked at
+   */
+  static async escalate(transaction, reason) {
+    const result = await Transaction.updateOne(
+      { _id: transaction._id, status: 'failed', 'escalation.at': null },
+      { $set: { escalation: { at: new Date(), reason } }, $unset: { nextRetryAt: 1 } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    logger.warn(`Transaction ${transaction.reference} escalated to admin: ${reason}`);
+
+    const amount = Math.abs(transaction.amount);
+    await this.notify(transaction,
+      `Your ${transaction.type.replace(/_/g, ' ')} of ₹${amount} (${transaction.reference}) could not be completed automatically. Our team is looking into it.`);
+
+    return true;
+  }
+
+  /**
+   * Notify the user about a retried transaction; the outcome stands even if they could not be told
+   */
+  static async notify(transaction, message = null) {
+    try {
+      await NotificationService.sendWalletUpdateNotification(
+        transaction.userId,
+        transaction.type,
+        Math.abs(transaction.amount),
+        transaction._id,
+        message
+      );
+    } catch (error) {
+      logger.warn(`Retry notification failed for ${transaction.reference}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Escalated transactions an admin has not dealt with yet, oldest first
+   */
+  static async listEscalated({ page = 1, limit = 20 } = {}) {
+    const filter = { 'escalation.at': { $ne: null }, 'escalation.resolvedAt': null };
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ 'escalation.at': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'username email'),
+      Transaction.countDocuments(filter)
+    ]);
+
+    return { transactions, total };
+  }
+
+  /**
+   * Put an escalated transaction back in the retry queue with a fresh set of retries
+   */
+  static async requeue(transactionId, admin) {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, status: 'failed', 'escalation.at': { $ne: null }, 'escalation.resolvedAt': null },
+      { $set: { retryCount: 0, nextRetryAt: new Date() }, $unset: { escalation: 1 } },
+      { new: true }
+    );
+
+    if (!transaction) {
+      throw createError('Transaction is not awaiting admin review');
+    }
+
+    logger.info(`Admin ${admin.username} requeued transaction ${transaction.reference} for retry`);
+    return transaction;
+  }
+
+  /**
+   * Close an escalation an admin has dealt with outside the retry worker
+   */
+  static async resolve(transactionId, admin, note) {
+    const transaction = await Transaction.findOneAndUpdate(
+      { _id: transactionId, 'escalation.at': { $ne: null }, 'escalation.resolvedAt': null },
+      {
+        $set: {
+          'escalation.resolvedAt': new Date(),
+          'escalation.resolvedBy': admin._id,
+          'escalation.note': note
+        }
+      },
+      { new: true }
+    );
+
+    if (!transaction) {
+      throw createError('Transaction is not awaiting admin review');
+    }
+
+    logger.info(`Admin ${admin.username} resolved escalated transaction ${transaction.reference}`);
+    return transaction;
+  }
+}
+
+module.exports = TransactionRetryService;
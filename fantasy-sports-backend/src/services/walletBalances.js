@@ -0,0 +1,91 @@
+// Rules for the wallet's sub-balances:
+// - deposit: cash the user added; playable, not withdrawable
+// - winnings: prizes; playable and the only withdrawable money
+// - bonus: referral and promotional credit; covers at most a share of each entry fee
+const BALANCE_TYPES = ['deposit', 'winnings', 'bonus'];
+const WITHDRAWABLE_BALANCES = ['winnings'];
+
+// Contest entry fees draw bonus first (up to the bonus share), then deposit, then winnings
+const ENTRY_SPEND_ORDER = ['bonus', 'deposit', 'winnings'];
+
+// Transfers move cash only; bonus stays with the user it was given to
+const TRANSFER_SPEND_ORDER = ['deposit', 'winnings'];
+
+// Sub-balance that receives each kind of credit
+const CREDIT_BALANCE_BY_TYPE = {
+  deposit: 'deposit',
+  contest_winnings: 'winnings',
+  bonus: 'bonus',
+  referral_bonus: 'bonus',
+  transfer: 'deposit',
+  admin_adjustment: 'deposit'
+};
+
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// Ledger account holding one of a user's sub-balances
+const accountFor = (balanceType) => `user_${balanceType}`;
+
+// Largest share of an entry fee that bonus may cover, from CONTEST_BONUS_MAX_PERCENT
+const getEntryBonusShare = () => {
+  const percent = parseFloat(process.env.CONTEST_BONUS_MAX_PERCENT);
+  if (Number.isNaN(percent)) return 0.1;
+  return Math.min(Math.max(percent, 0), 100) / 100;
+};
+
+// Split a debit across sub-balances in spend order. Returns negative amounts per
+// sub-balance, e.g. { bonus: -5, deposit: -45 }, or null when the wallet cannot cover it.
+const splitDebit = (wallet, amount, { order = ENTRY_SPEND_ORDER, bonusShare = getEntryBonusShare() } = {}) => {
+  const split = {};
+  let remaining = roundToPaisa(amount);
+
+  for (const balanceType of order) {
+    if (remaining <= 0) break;
+
+    let available = Math.max(wallet?.[balanceType] || 0, 0);
+    if (balanceType === 'bonus') {
+      available = Math.min(available, Math.floor(amount * bonusShare * 100) / 100);
+    }
+
+    const take = roundToPaisa(Math.min(available, remaining));
+    if (take > 0) {
+      split[balanceType] = -take;
+      remaining = roundToPaisa(remaining - take);
+    }
+  }
+
+  return remaining > 0 ? null : split;
+};
+
+// Credit a single sub-balance
+const creditSplit = (amount, balanceType = 'deposit') => ({ [balanceType]: roundToPaisa(amount) });
+
+// Reverse a split, e.g. to refund an entry fee to the sub-balances it came from
+const invertSplit = (split = {}) => Object.fromEntries(
+  Object.entries(split)
+    .filter(([balanceType, amount]) => BALANCE_TYPES.includes(balanceType) && amount)
+    .map(([balanceType, amount]) => [balanceType, -amount])
+);
+
+// Total amount moved by a split
+const splitTotal = (split) => roundToPaisa(Object.values(split).reduce((sum, amount) => sum + amount, 0));
+
+// Amount the user can withdraw
+const getWithdrawableBalance = (wallet) => roundToPaisa(
+  WITHDRAWABLE_BALANCES.reduce((sum, balanceType) => sum + (wallet?.[balanceType] || 0), 0)
+);
+
+module.exports = {
+  BALANCE_TYPES,
+  WITHDRAWABLE_BALANCES,
+  ENTRY_SPEND_ORDER,
+  TRANSFER_SPEND_ORDER,
+  CREDIT_BALANCE_BY_TYPE,
+  accountFor,
+  getEntryBonusShare,
+  splitDebit,
+  creditSplit,
+  invertSplit,
+  splitTotal,
+  getWithdrawableBalance
+};
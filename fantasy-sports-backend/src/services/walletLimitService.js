@@ -0,0 +1,227 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const WalletLimit = require('../models/WalletLimit');
+const logger = require('./logger');
+const { createError } = require('../middleware/errorHandler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIMIT_FIELDS = ['min', 'max', 'daily'];
+
+const readLimit = (value, fallback) => {
+  const limit = parseFloat(value);
+  return Number.isNaN(limit) ? fallback : limit;
+};
+
+const formatAmount = (amount) => `₹${amount.toLocaleString('en-IN')}`;
+
+// Money is tracked to the paisa
+const roundToPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// Limits used when nothing is stored
+const getDefaultLimits = () => ({
+  deposit: {
+    min: readLimit(process.env.MIN_DEPOSIT_AMOUNT, 10),
+    max: 100000,
+    daily: 500000
+  },
+  withdrawal: {
+    min: readLimit(process.env.MIN_WITHDRAWAL_AMOUNT, 100),
+    max: readLimit(process.env.MAX_WITHDRAWAL_AMOUNT, 50000),
+    daily: 100000
+  },
+  transfer: {
+    min: 10,
+    max: 10000,
+    daily: 50000
+  }
+});
+
+// Layer stored limits over the ones below them, field by field
+const mergeLimits = (base, ...layers) => {
+  const merged = {};
+  for (const type of WalletLimit.LIMIT_TYPES) {
+    merged[type] = { ...base[type] };
+    for (const layer of layers) {
+      for (const field of LIMIT_FIELDS) {
+        const value = layer?.[type]?.[field];
+        if (value !== undefined && value !== null) merged[type][field] = value;
+      }
+    }
+  }
+  return merged;
+};
+
+// Only the limit fields of a request body, ready to store
+const pickLimits = (values) => {
+  const limits = {};
+  for (const type of WalletLimit.LIMIT_TYPES) {
+    if (values[type]) limits[type] = values[type];
+  }
+  return limits;
+};
+
+class WalletLimitService {
+  /**
+   * Effective limits for a user: the defaults, then the stored platform configuration,
+   * then the user's own override
+   */
+  static async getLimits(userId) {
+    const stored = await WalletLimit.find({ userId: { $in: [null, userId] } }).lean();
+    const platform = stored.find(doc => !doc.userId);
+    const override = stored.find(doc => doc.userId);
+
+    return mergeLimits(getDefaultLimits(), platform, override);
+  }
+
+  /**
+   * Amounts the user moved in the 24 hours before `now`, by limit type. Deposits still
+   * awaiting payment count so several can't be opened at once; withdrawals include the
+   * tax withheld from them, since that left the wallet too.
+   */
+  static async getUsage(userId, now = new Date()) {
+    const totals = await Transaction.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(userId),
+          createdAt: { $gt: new Date(now.getTime() - DAY_MS) },
+          $or: [
+            { type: { $in: ['deposit', 'withdrawal'] }, status: { $in: ['pending', 'completed'] } },
+            { type: 'tds', 'tax.stage': 'withdrawal', status: 'completed' },
+            { type: 'transfer', amount: { $lt: 0 }, status: 'completed' }
+          ]
+        }
+      },
+      {
+        $group: {
+          _id: { $cond: [{ $eq: ['$type', 'tds'] }, 'withdrawal', '$type'] },
+          total: { $sum: { $abs: '$amount' } }
+        }
+      }
+    ]);
+
+    const usage = { deposit: 0, withdrawal: 0, transfer: 0 };
+    totals.forEach(({ _id, total }) => { usage[_id] = roundToPaisa(total); });
+    return usage;
+  }
+
+  /**
+   * Effective limits with what was used in the last 24 hours and what is left
+   */
+  static async getHeadroom(userId, now = new Date()) {
+    const [limits, usage] = await Promise.all([this.getLimits(userId), this.getUsage(userId, now)]);
+
+    const headroom = {};
+    for (const type of WalletLimit.LIMIT_TYPES) {
+      headroom[type] = {
+        ...limits[type],
+        used: usage[type],
+        remaining: Math.max(roundToPaisa(limits[type].daily - usage[type]), 0)
+      };
+    }
+    return headroom;
+  }
+
+  /**
+   * Reject an amount outside the per-transaction limits or past the rolling 24-hour cap.
+   * Call before moving any money.
+   */
+  static async assertWithinLimits(userId, type, amount, now = new Date()) {
+    const headroom = (await this.getHeadroom(userId, now))[type];
+
+    if (amount < headroom.min) {
+      throw createError(`Minimum ${type} amount is ${formatAmount(headroom.min)}`);
+    }
+    if (amount > headroom.max) {
+      throw createError(`Maximum ${type} amount is ${formatAmount(headroom.max)}`);
+    }
+    if (amount > headroom.remaining) {
+      throw createError(
+        `This ${type} would exceed your 24-hour limit of ${formatAmount(headroom.daily)}. ` +
+        `You can ${type === 'withdrawal' ? 'withdraw' : type} up to ${formatAmount(headroom.remaining)} more right now.`
+      );
+    }
+
+    return headroom;
+  }
+
+  /**
+   * The default, stored platform and effective platform limits
+   */
+  static async getPlatformConfig() {
+    const platform = await WalletLimit.findOne({ userId: null });
+    return {
+      defaults: getDefaultLimits(),
+      stored: platform,
+      effective: mergeLimits(getDefaultLimits(), platform)
+    };
+  }
+
+  /**
+   * Replace the stored platform limits; types left out fall back to the defaults
+   */
+  static async setPlatformLimits(values, admin) {
+    const limits = pickLimits(values);
+    this.assertConsistent(mergeLimits(getDefaultLimits(), limits));
+
+    const platform = await WalletLimit.findOneAndReplace(
+      { userId: null },
+      { userId: null, ...limits, reason: values.reason, updatedBy: admin._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    logger.info(`Admin ${admin.username} updated platform wallet limits`);
+    return platform;
+  }
+
+  /**
+   * A user's override and the limits that apply to them
+   */
+  static async getUserLimits(userId) {
+    const [override, effective] = await Promise.all([
+      WalletLimit.findOne({ userId }),
+      this.getLimits(userId)
+    ]);
+    return { override, effective };
+  }
+
+  /**
+   * Replace a user's override; types and fields left out follow the platform limits
+   */
+  static async setUserLimits(userId, values, admin) {
+    const limits = pickLimits(values);
+    const platform = await WalletLimit.findOne({ userId: null }).lean();
+    this.assertConsistent(mergeLimits(getDefaultLimits(), platform, limits));
+
+    const override = await WalletLimit.findOneAndReplace(
+      { userId },
+      { userId, ...limits, reason: values.reason, updatedBy: admin._id },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    logger.info(`Admin ${admin.username} set wallet limits for user ${userId}: ${values.reason}`);
+    return override;
+  }
+
+  /**
+   * Drop a user's override so the platform limits apply again
+   */
+  static async removeUserLimits(userId, admin) {
+    const result = await WalletLimit.deleteOne({ userId });
+    if (result.deletedCount === 0) {
+      throw createError('User has no wallet limit override', 404);
+    }
+
+    logger.info(`Admin ${admin.username} removed wallet limits for user ${userId}`);
+  }
+
+  // A minimum above the maximum would make a movement type unusable
+  static assertConsistent(limits) {
+    for (const type of WalletLimit.LIMIT_TYPES) {
+      if (limits[type].min > limits[type].max) {
+        throw createError(`${type} minimum cannot be above its maximum`);
+      }
+    }
+  }
+}
+
+module.exports = WalletLimitService;
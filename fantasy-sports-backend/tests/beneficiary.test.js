@@ -0,0 +1,171 @@
+const request = require('supertest');
+const app = require('../server');
+const Beneficiary = require('../src/models/Beneficiary');
+const BeneficiaryService = require('../src/services/beneficiaryService');
+const { registerVerifier } = require('../src/services/bankVerifiers');
+const StubVerifier = require('../src/services/bankVerifiers/stubVerifier');
+
+describe('Beneficiaries', () => {
+  const account = {
+    accountHolderName: 'Rahul Sharma',
+    accountNumber: '123456789012',
+    ifscCode: 'hdfc0001234'
+  };
+
+  let user;
+  let token;
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser({ fullName: 'Rahul Kumar Sharma', kyc: { status: 'approved' } });
+    token = testUtils.generateTestToken(user);
+  });
+
+  afterEach(() => {
+    registerVerifier('stub', () => new StubVerifier());
+    delete process.env.BANK_VERIFIER;
+  });
+
+  const addBeneficiary = (overrides = {}, as = token) => request(app)
+    .post('/api/wallet/beneficiaries')
+    .set('Authorization', `Bearer ${as}`)
+    .send({ ...account, ...overrides });
+
+  const retryVerification = (id) => request(app)
+    .post(`/api/wallet/beneficiaries/${id}/verify`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const withdraw = (beneficiaryId) => request(app)
+    .post('/api/wallet/withdraw')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount: 100, beneficiaryId });
+
+  describe('IFSC validation', () => {
+    const buildBeneficiary = (overrides = {}) => new Beneficiary({ userId: user._id, ...account, ...overrides });
+
+    it('should accept a well-formed IFSC and store it uppercase', () => {
+      const beneficiary = buildBeneficiary();
+      expect(beneficiary.validateSync()).toBeUndefined();
+      expect(beneficiary.ifscCode).toBe('HDFC0001234');
+    });
+
+    it.each(['HDFC1001234', 'HDF00001234', 'HDFC000123', 'HDFC0001234X', 'HDFC-001234'])('should reject %s', (ifscCode) => {
+      const error = buildBeneficiary({ ifscCode }).validateSync();
+      expect(error.errors.ifscCode).toBeDefined();
+    });
+
+    it('should mask all but the last 4 digits of the account number', () => {
+      expect(buildBeneficiary().getSummary().accountNumber).toBe('XXXXXXXX9012');
+    });
+  });
+
+  describe('namesMatch', () => {
+    it('should match names whose shorter form is contained in the longer one', () => {
+      expect(BeneficiaryService.namesMatch('RAHUL SHARMA', 'Rahul Kumar Sharma')).toBe(true);
+      expect(BeneficiaryService.namesMatch('Mr. Rahul K. Sharma', 'rahul sharma')).toBe(true);
+    });
+
+    it('should not match a different person', () => {
+      expect(BeneficiaryService.namesMatch('ROHIT SHARMA', 'Rahul Kumar Sharma')).toBe(false);
+      expect(BeneficiaryService.namesMatch('', 'Rahul Kumar Sharma')).toBe(false);
+    });
+  });
+
+  describe('verification', () => {
+    it('should verify an account the bank confirms in the user\'s name', async () => {
+      const response = await addBeneficiary().expect(201);
+
+      expect(response.body.message).toBe('Bank account verified');
+      expect(response.body.data).toMatchObject({ accountNumber: 'XXXXXXXX9012', ifscCode: 'HDFC0001234', status: 'verified' });
+
+      const beneficiary = await Beneficiary.findById(response.body.data.id);
+      expect(beneficiary.verification).toMatchObject({ verifier: 'stub', nameAtBank: 'RAHUL SHARMA', nameMatches: true, attempts: 1 });
+    });
+
+    it('should fail an account the bank rejects', async () => {
+      const response = await addBeneficiary({ accountNumber: '123456780000' }).expect(201);
+
+      expect(response.body.message).toBe('Bank account could not be verified');
+      expect((await Beneficiary.findById(response.body.data.id)).verification.failureReason).toBe('Account does not exist');
+    });
+
+    it('should fail an account held in someone else\'s name', async () => {
+      const response = await addBeneficiary({ accountHolderName: 'Anita Desai' }).expect(201);
+
+      const beneficiary = await Beneficiary.findById(response.body.data.id);
+      expect(beneficiary.status).toBe('failed');
+      expect(beneficiary.verification.nameMatches).toBe(false);
+    });
+
+    it('should not save the same account twice', async () => {
+      await addBeneficiary().expect(201);
+
+      const response = await addBeneficiary().expect(400);
+
+      expect(response.body.message).toBe('This bank account is already saved');
+      expect(await Beneficiary.countDocuments({ userId: user._id })).toBe(1);
+    });
+
+    it('should use a registered verifier and stop after the attempt limit', async () => {
+      const verify = jest.fn().mockRejectedValue(new Error('provider down'));
+      registerVerifier('stub', () => ({ name: 'stub', verify }));
+
+      const { id } = (await addBeneficiary().expect(201)).body.data;
+      await retryVerification(id).expect(200);
+      const third = await retryVerification(id).expect(200);
+      expect(third.body.data.status).toBe('failed');
+
+      const exhausted = await retryVerification(id).expect(400);
+
+      expect(exhausted.body.message).toMatch(/^Verification attempts exhausted/);
+      expect(verify).toHaveBeenCalledTimes(3);
+      expect((await Beneficiary.findById(id)).verification.attempts).toBe(3);
+    });
+
+    it('should leave accounts for an admin to review with the manual verifier', async () => {
+      process.env.BANK_VERIFIER = 'manual';
+      const adminToken = testUtils.generateTestToken(await testUtils.createTestUser({ role: 'admin' }));
+      const approve = (id) => request(app)
+        .post(`/api/admin/beneficiaries/${id}/approve`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      const added = await addBeneficiary().expect(201);
+      expect(added.body.message).toBe('Bank account saved and awaiting verification');
+
+      await approve(added.body.data.id).expect(200);
+
+      expect((await Beneficiary.findById(added.body.data.id)).status).toBe('verified');
+      expect((await approve(added.body.data.id).expect(404)).body.message).toBe('Beneficiary not found or not awaiting review');
+    });
+  });
+
+  describe('withdrawals', () => {
+    it('should only pay out to verified accounts', async () => {
+      const { id } = (await addBeneficiary({ accountNumber: '123456780000' }).expect(201)).body.data;
+
+      const response = await withdraw(id).expect(400);
+
+      expect(response.body.message).toBe('Withdrawals can only be made to a verified bank account');
+    });
+
+    it('should not pay out to another user\'s account', async () => {
+      const other = await testUtils.createTestUser({ fullName: 'Rahul Sharma' });
+      const { id } = (await addBeneficiary({}, testUtils.generateTestToken(other)).expect(201)).body.data;
+
+      const response = await withdraw(id).expect(404);
+
+      expect(response.body.message).toBe('Beneficiary not found');
+    });
+
+    it('should keep a removed account for past withdrawals but not pay out to it', async () => {
+      const { id } = (await addBeneficiary().expect(201)).body.data;
+
+      await request(app)
+        .delete(`/api/wallet/beneficiaries/${id}`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(await Beneficiary.findById(id)).toMatchObject({ isActive: false, deletedAt: expect.any(Date) });
+      await withdraw(id).expect(404);
+    });
+  });
+});
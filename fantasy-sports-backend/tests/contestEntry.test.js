@@ -0,0 +1,308 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Contest = require('../src/models/Contest');
+const ContestEntry = require('../src/models/ContestEntry');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Match = require('../src/models/Match');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const ContestEntryService = require('../src/services/contestEntryService');
+const LedgerService = require('../src/services/ledgerService');
+const { accountFor } = require('../src/services/walletBalances');
+
+describe('Contest entries', () => {
+  let match;
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch();
+  });
+
+  const createContest = (overrides = {}) => testUtils.createTestContest({
+    name: 'Mega Contest',
+    matchId: match._id,
+    totalSpots: 5000,
+    prizePool: 1000,
+    prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 600 }, { rankFrom: 2, rankTo: 3, prize: 200 }],
+    ...overrides
+  });
+
+  // A user with `balance` in deposit and `teamCount` teams for the match
+  const createPlayer = async (balance = 100, teamCount = 1) => {
+    const user = await testUtils.createTestUser({ wallet: { balance, deposit: balance } });
+    const teams = [];
+    for (let i = 0; i < teamCount; i++) {
+      teams.push(await testUtils.createTestTeam(user, match._id, { name: `Team ${i + 1}` }));
+    }
+    return { user, teams, token: testUtils.generateTestToken(user) };
+  };
+
+  const join = (player, contest, team = player.teams[0]) => request(app)
+    .post(`/api/contests/${contest._id}/join`)
+    .set('Authorization', `Bearer ${player.token}`)
+    .send({ teamId: team._id.toString() });
+
+  const leave = (player, contest, entryId) => request(app)
+    .post(`/api/contests/${contest._id}/leave`)
+    .set('Authorization', `Bearer ${player.token}`)
+    .send(entryId ? { entryId } : {});
+
+  const balanceOf = async ({ user }) => (await User.findById(user._id)).wallet.balance;
+
+  it('should no longer embed participants or a leaderboard in the contest document', () => {
+    const contest = new Contest({ name: 'Mega Contest', matchId: new mongoose.Types.ObjectId() });
+
+    expect(contest.participants).toBeUndefined();
+    expect(contest.leaderboard).toBeUndefined();
+  });
+
+  it('should write ranks and prizes to entries in batches', async () => {
+    const contest = await createContest();
+    const entries = Array.from({ length: 2500 }, (_, i) => ({
+      contestId: contest._id,
+      matchId: match._id,
+      userId: new mongoose.Types.ObjectId(),
+      teamId: new mongoose.Types.ObjectId(),
+      entryNumber: 1,
+      points: i === 0 ? 100 : 10
+    }));
+    await ContestEntry.collection.insertMany(entries);
+    const bulkWrite = jest.spyOn(ContestEntry, 'bulkWrite');
+
+    await contest.updateLeaderboard();
+
+    expect(bulkWrite).toHaveBeenCalledTimes(3);
+    expect(await ContestEntry.findById(entries[0]._id)).toMatchObject({ rank: 1, prize: 600, isWinner: true });
+
+    // 2499 entries tie for rank 2 and split the 400 paid to ranks 2-3
+    expect(await ContestEntry.findById(entries[1]._id)).toMatchObject({ rank: 2, prize: 0.16 });
+    expect(await ContestEntry.countDocuments({ contestId: contest._id, rank: 2 })).toBe(2499);
+
+    const { statistics } = await Contest.findById(contest._id);
+    expect(statistics.highestPoints).toBe(100);
+    expect(statistics.lowestPoints).toBe(10);
+  });
+
+  describe('multiple entries', () => {
+    it('should give each entry the lowest free entry number up to maxEntriesPerUser', async () => {
+      const contest = await createContest({ entryType: 'multiple', maxEntriesPerUser: 3 });
+      const player = await createPlayer(100, 4);
+      const [first, second, third, fourth] = player.teams;
+
+      const numbers = [];
+      for (const team of [first, second, third]) {
+        numbers.push((await join(player, contest, team).expect(200)).body.data.entryNumber);
+      }
+      expect(numbers).toEqual([1, 2, 3]);
+
+      const secondEntry = await ContestEntry.findOne({ contestId: contest._id, teamId: second._id });
+      await leave(player, contest, secondEntry._id.toString()).expect(200);
+
+      const rejoined = await join(player, contest, fourth).expect(200);
+      expect(rejoined.body.data.entryNumber).toBe(2);
+
+      const over = await join(player, contest, second).expect(400);
+      expect(over.body.message).toBe('You can join this contest with up to 3 teams');
+
+      expect(await balanceOf(player)).toBe(70);
+      const updated = await Contest.findById(contest._id);
+      expect(updated.filledSpots).toBe(3);
+      expect(updated.statistics.uniqueParticipants).toBe(1);
+    });
+
+    it('should allow one entry unless the contest takes multiple', async () => {
+      const contest = await createContest({ maxEntriesPerUser: 3 });
+      const player = await createPlayer(100, 2);
+
+      expect(contest.entryLimit).toBe(1);
+      await join(player, contest, player.teams[0]).expect(200);
+      const second = await join(player, contest, player.teams[1]).expect(400);
+
+      expect(second.body.message).toBe('You have already joined this contest');
+      expect(await balanceOf(player)).toBe(90);
+      expect((await Contest.findById(contest._id)).filledSpots).toBe(1);
+    });
+
+    it('should always take multiple entries in a multi-entry contest', async () => {
+      const contest = await createContest({ contestType: 'multi-entry', maxEntriesPerUser: 5 });
+
+      expect(contest.entryType).toBe('multiple');
+      expect(contest.entryLimit).toBe(5);
+    });
+  });
+
+  describe('leaving', () => {
+    let contest;
+    let player;
+    let entryId;
+
+    beforeEach(async () => {
+      contest = await createContest();
+      player = await createPlayer(100);
+      entryId = (await join(player, contest).expect(200)).body.data.entryId;
+    });
+
+    it('should refund the entry fee once the entry is removed', async () => {
+      const response = await leave(player, contest).expect(200);
+
+      expect(response.body.data).toMatchObject({ entryId, refundAmount: 10, totalParticipants: 0 });
+      expect(await balanceOf(player)).toBe(100);
+      expect(await ContestEntry.exists({ _id: entryId })).toBeNull();
+      expect((await Contest.findById(contest._id)).filledSpots).toBe(0);
+
+      const refund = await Transaction.findOne({ reference: `LEAVE-${entryId}` });
+      expect(refund).toMatchObject({ type: 'refund', amount: 10, status: 'completed', balanceAfter: 100 });
+      expect(refund.balanceSplit).toMatchObject({ deposit: 10 });
+      expect(await LedgerService.isPosted(`LEAVE-${entryId}`)).toBe(true);
+    });
+
+    it('should put the entry back when the refund fails', async () => {
+      // A journal already holds the refund's wallet posting, so posting the refund fails
+      await LedgerEntry.create({
+        journalId: `LEAVE-${entryId}`,
+        type: 'refund',
+        account: accountFor('deposit'),
+        userId: player.user._id,
+        amount: 0
+      });
+
+      await expect(ContestEntryService.leave(contest._id, player.user._id)).rejects.toMatchObject({ code: 11000 });
+
+      const restored = await ContestEntry.findById(entryId);
+      expect(restored).toMatchObject({ userId: player.user._id, entryNumber: 1 });
+      expect(await balanceOf(player)).toBe(90);
+
+      const updated = await Contest.findById(contest._id);
+      expect(updated.filledSpots).toBe(1);
+      expect(updated.statistics.uniqueParticipants).toBe(1);
+    });
+
+    it('should put the entry back when the user to refund is missing', async () => {
+      await User.deleteOne({ _id: player.user._id });
+
+      await expect(ContestEntryService.leave(contest._id, player.user._id)).rejects.toMatchObject({ statusCode: 404 });
+
+      expect(await ContestEntry.exists({ _id: entryId })).toBeTruthy();
+      expect((await Contest.findById(contest._id)).filledSpots).toBe(1);
+    });
+  });
+
+  describe('auto-replication', () => {
+    const createReplicating = (overrides = {}) => createContest({
+      totalSpots: 2,
+      filledSpots: 2,
+      prizePool: 18,
+      prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 18 }],
+      autoReplicate: true,
+      maxReplicas: 3,
+      templateId: new mongoose.Types.ObjectId(),
+      tags: ['mega'],
+      ...overrides
+    });
+
+    const copiesOf = (contest) => Contest.find({ replicaOf: contest._id });
+
+    it('should open an identical copy of a full contest', async () => {
+      const contest = await createReplicating();
+
+      await contest.replicate();
+
+      const [copy, ...others] = await copiesOf(contest);
+      expect(others).toHaveLength(0);
+      expect(copy).toMatchObject({
+        name: contest.name,
+        matchId: contest.matchId,
+        entryFee: 10,
+        totalSpots: 2,
+        filledSpots: 0,
+        prizePool: 18,
+        templateId: contest.templateId,
+        replicaNumber: 1
+      });
+      expect(copy.tags).toEqual(['mega']);
+      expect((await Contest.findById(contest._id)).nextContestId).toEqual(copy._id);
+      expect((await Match.findById(match._id)).currentContests).toBe(2);
+    });
+
+    it('should stop at maxReplicas and at the match contest limit', async () => {
+      const last = await createReplicating({ replicaOf: new mongoose.Types.ObjectId(), replicaNumber: 3 });
+      expect(await last.replicate()).toBeNull();
+
+      await Match.updateOne({ _id: match._id }, { $set: { maxContests: 2, currentContests: 2 } });
+      const contest = await createReplicating();
+      expect(await contest.replicate()).toBeNull();
+
+      expect(await Contest.countDocuments()).toBe(2);
+    });
+
+    it('should release the claim when the copy cannot be saved', async () => {
+      const contest = await createReplicating();
+      // The copy takes the fee from the source, which makes it invalid
+      contest.entryFee = -1;
+
+      await expect(contest.replicate()).rejects.toThrow(/entryFee/);
+
+      expect(contest.nextContestId).toBeUndefined();
+      expect((await Contest.findById(contest._id)).nextContestId).toBeUndefined();
+      expect(await copiesOf(contest)).toHaveLength(0);
+    });
+
+    describe('on join', () => {
+      let contest;
+
+      beforeEach(async () => {
+        contest = await createReplicating({ filledSpots: 1 });
+      });
+
+      it('should open the copy once the join taking the last spot has paid', async () => {
+        const player = await createPlayer(100);
+
+        await join(player, contest).expect(200);
+
+        const [copy] = await copiesOf(contest);
+        expect(copy).toBeDefined();
+        expect((await Contest.findById(contest._id)).nextContestId).toEqual(copy._id);
+        expect(await balanceOf(player)).toBe(90);
+      });
+
+      it('should not open a copy when the entry fee cannot be collected', async () => {
+        const player = await createPlayer(5);
+
+        const response = await join(player, contest).expect(400);
+
+        expect(response.body.message).toBe('Insufficient wallet balance');
+        expect(await copiesOf(contest)).toHaveLength(0);
+        expect((await Contest.findById(contest._id)).filledSpots).toBe(1);
+        expect(await balanceOf(player)).toBe(5);
+      });
+
+      it('should keep the entry when the copy cannot be opened', async () => {
+        // A legacy contest whose prizes exceed its pool cannot be copied
+        await Contest.collection.updateOne({ _id: contest._id }, { $set: { prizePool: 10 } });
+        const player = await createPlayer(100);
+
+        const response = await join(player, contest).expect(200);
+
+        expect(response.body.data.entryNumber).toBe(1);
+        expect(await ContestEntry.countDocuments({ contestId: contest._id })).toBe(1);
+        expect(await copiesOf(contest)).toHaveLength(0);
+        expect(await balanceOf(player)).toBe(90);
+      });
+    });
+
+    it('should point late joiners to the copy', async () => {
+      const nextContestId = new mongoose.Types.ObjectId();
+      const contest = await createReplicating({ nextContestId });
+      const player = await createPlayer(100);
+
+      const response = await join(player, contest).expect(400);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: 'Contest is full',
+        data: { nextContestId: nextContestId.toString() }
+      });
+      expect(await balanceOf(player)).toBe(100);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Contest = require('../src/models/Contest');
+const ContestEntry = require('../src/models/ContestEntry');
+const FantasyTeam = require('../src/models/FantasyTeam');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const ContestEntryService = require('../src/services/contestEntryService');
+
+describe('Contest joining under contention', () => {
+  const matchId = new mongoose.Types.ObjectId();
+
+  const createContest = (overrides = {}) => Contest.create({
+    name: 'Last Spot Contest',
+    matchId,
+    sport: 'cricket',
+    contestType: 'public',
+    entryFee: 50,
+    totalSpots: 10,
+    prizePool: 400,
+    teamSize: 11,
+    startTime: new Date(Date.now() + 60 * 60 * 1000),
+    registrationDeadline: new Date(Date.now() + 30 * 60 * 1000),
+    ...overrides
+  });
+
+  // Insert directly to skip password hashing for hundreds of users
+  const createUsers = async (count, balance) => {
+    const users = Array.from({ length: count }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      username: `player${i}`,
+      email: `player${i}@example.com`,
+      password: 'hashed-password',
+      phone: `+9100000${String(i).padStart(5, '0')}`,
+      fullName: `Player ${i}`,
+      dateOfBirth: new Date('1995-01-01'),
+      referralCode: `PLAYER${i}`,
+      wallet: { balance, deposit: balance, winnings: 0, bonus: 0 }
+    }));
+    await User.collection.insertMany(users);
+
+    const teams = users.map(user => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: `${user.username} XI`,
+      userId: user._id,
+      matchId,
+      sport: 'cricket'
+    }));
+    await FantasyTeam.collection.insertMany(teams);
+
+    return users.map((user, i) => ({ user, team: teams[i] }));
+  };
+
+  beforeAll(async () => {
+    await ContestEntry.syncIndexes();
+    await Transaction.syncIndexes();
+  });
+
+  it('should let exactly one of hundreds of parallel joins take the last spot', async () => {
+    const contest = await createContest({ filledSpots: 9 });
+    const players = await createUsers(300, 100);
+
+    const results = await Promise.allSettled(
+      players.map(({ user, team }) => ContestEntryService.join(contest._id, user, team._id))
+    );
+
+    const joined = results.filter(r => r.status === 'fulfilled');
+    const rejected = results.filter(r => r.status === 'rejected');
+
+    expect(joined).toHaveLength(1);
+    rejected.forEach(r => {
+      expect(r.reason.statusCode).toBe(400);
+      expect(r.reason.message).toBe('Contest is full');
+    });
+
+    const updated = await Contest.findById(contest._id);
+    expect(updated.filledSpots).toBe(10);
+    expect(await ContestEntry.countDocuments({ contestId: contest._id })).toBe(1);
+    expect(await Transaction.countDocuments({ type: 'contest_entry' })).toBe(1);
+
+    // Only the winner paid the entry fee
+    const debited = await User.countDocuments({ 'wallet.balance': 50 });
+    const untouched = await User.countDocuments({ 'wallet.balance': 100 });
+    expect(debited).toBe(1);
+    expect(untouched).toBe(299);
+  });
+
+  it('should never overdraw a wallet when one user joins many contests at once', async () => {
+    const [{ user, team }] = await createUsers(1, 120);
+    const contests = await Promise.all(
+      Array.from({ length: 20 }, (_, i) => createContest({ name: `Contest ${i}` }))
+    );
+
+    const results = await Promise.allSettled(
+      contests.map(contest => ContestEntryService.join(contest._id, user, team._id))
+    );
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(2);
+    results
+      .filter(r => r.status === 'rejected')
+      .forEach(r => expect(r.reason.message).toBe('Insufficient wallet balance'));
+
+    const wallet = (await User.findById(user._id)).wallet;
+    expect(wallet.balance).toBe(20);
+
+    // Spots taken by rejected joins are given back
+    const filled = await Contest.find({ _id: { $in: contests.map(c => c._id) } }).select('filledSpots');
+    expect(filled.reduce((sum, c) => sum + c.filledSpots, 0)).toBe(2);
+    expect(await ContestEntry.countDocuments({ userId: user._id })).toBe(2);
+
+    const transactions = await Transaction.find({ userId: user._id, type: 'contest_entry' });
+    expect(transactions).toHaveLength(2);
+    transactions.forEach(t => expect(t.balanceBefore - t.balanceAfter).toBe(50));
+  });
+
+  it('should reject a second parallel entry from the same user in a single-entry contest', async () => {
+    const contest = await createContest();
+    const [{ user, team }] = await createUsers(1, 500);
+    const secondTeam = { _id: new mongoose.Types.ObjectId(), name: 'Second XI', userId: user._id, matchId, sport: 'cricket' };
+    await FantasyTeam.collection.insertOne(secondTeam);
+
+    const results = await Promise.allSettled([
+      ContestEntryService.join(contest._id, user, team._id),
+      ContestEntryService.join(contest._id, user, secondTeam._id)
+    ]);
+
+    expect(results.filter(r => r.status === 'fulfilled')).toHaveLength(1);
+    expect((await User.findById(user._id)).wallet.balance).toBe(450);
+    expect((await Contest.findById(contest._id)).filledSpots).toBe(1);
+  });
+
+  it('should cap parallel entries from one user at maxEntriesPerUser and leave them one by one', async () => {
+    const contest = await createContest({ entryType: 'multiple', maxEntriesPerUser: 3 });
+    const [{ user, team }] = await createUsers(1, 500);
+    const moreTeams = Array.from({ length: 4 }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      name: `Team ${i + 2}`,
+      userId: user._id,
+      matchId,
+      sport: 'cricket'
+    }));
+    await FantasyTeam.collection.insertMany(moreTeams);
+
+    const results = await Promise.allSettled(
+      [team, ...moreTeams].map(t => ContestEntryService.join(contest._id, user, t._id))
+    );
+
+    const joined = results.filter(r => r.status === 'fulfilled').map(r => r.value.entry);
+    expect(joined).toHaveLength(3);
+    expect(joined.map(entry => entry.entryNumber).sort()).toEqual([1, 2, 3]);
+    results
+      .filter(r => r.status === 'rejected')
+      .forEach(r => expect(r.reason.message).toBe('You can join this contest with up to 3 teams'));
+
+    const { entry } = await ContestEntryService.leave(contest._id, user._id, joined[0]._id);
+    expect(entry._id).toEqual(joined[0]._id);
+    expect(await ContestEntry.countDocuments({ contestId: contest._id, userId: user._id })).toBe(2);
+
+    const updated = await Contest.findById(contest._id);
+    expect(updated.filledSpots).toBe(2);
+    expect(updated.statistics.uniqueParticipants).toBe(1);
+    expect((await User.findById(user._id)).wallet.balance).toBe(400);
+  });
+});
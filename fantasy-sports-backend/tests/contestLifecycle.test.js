@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Contest = require('../src/models/Contest');
+const FantasyTeam = require('../src/models/FantasyTeam');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Match = require('../src/models/Match');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const ContestEntryService = require('../src/services/contestEntryService');
+const ContestLifecycleService = require('../src/services/contestLifecycleService');
+const { events } = require('../src/services/websocket');
+
+describe('Contest lifecycle', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let match;
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch({ title: 'IND vs AUS' });
+  });
+
+  const createContest = (overrides = {}) => testUtils.createTestContest({
+    name: 'Mega Contest',
+    matchId: match._id,
+    entryFee: 50,
+    prizePool: 1000,
+    prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 1000 }],
+    ...overrides
+  });
+
+  // A player who paid the entry fee of `contest` out of a wallet of 100
+  const joinContest = async (contest) => {
+    const user = await testUtils.createTestUser({ wallet: { balance: 100, deposit: 100 } });
+    const team = await testUtils.createTestTeam(user, contest.matchId);
+    const { entry } = await ContestEntryService.join(contest._id, user, team._id);
+    return { user, team, entry };
+  };
+
+  const balanceOf = async ({ user }) => (await User.findById(user._id)).wallet.balance;
+  const refundReference = (contest, { entry }) => `REF-${contest._id}-${entry._id}`;
+
+  describe('isUnderFilled', () => {
+    const buildContest = (overrides = {}) => new Contest({
+      name: 'Mega Contest',
+      matchId: new mongoose.Types.ObjectId(),
+      sport: 'cricket',
+      contestType: 'public',
+      entryFee: 50,
+      totalSpots: 100,
+      prizePool: 1000,
+      teamSize: 11,
+      startTime: new Date(Date.now() + DAY_MS),
+      registrationDeadline: new Date(Date.now() + DAY_MS),
+      ...overrides
+    });
+
+    it('should need two entries unless the contest sets its own minimum', () => {
+      expect(buildContest({ filledSpots: 1 }).isUnderFilled).toBe(true);
+      expect(buildContest({ filledSpots: 2 }).isUnderFilled).toBe(false);
+      expect(buildContest({ filledSpots: 20, minEntries: 50 }).isUnderFilled).toBe(true);
+      expect(buildContest({ filledSpots: 0, guaranteedPrize: true }).isUnderFilled).toBe(false);
+    });
+
+    it('should not accept a minimum above the contest spots', async () => {
+      await expect(buildContest({ minEntries: 101 }).validate()).rejects.toThrow('Minimum entries cannot exceed the contest spots');
+    });
+  });
+
+  describe('at the fantasy deadline', () => {
+    // Past the default fantasy deadline of the test match
+    const afterDeadline = () => new Date(Date.now() + 2 * DAY_MS);
+
+    it('should lock every team of a match whose deadline has passed', async () => {
+      const user = await testUtils.createTestUser();
+      const draft = await testUtils.createTestTeam(user, match._id, { status: 'draft' });
+      const submitted = await testUtils.createTestTeam(user, match._id, { name: 'Second XI', status: 'submitted' });
+      const later = await testUtils.createTestMatch();
+      const notDue = await testUtils.createTestTeam(user, later._id);
+      await Match.updateOne({ _id: later._id }, { $set: { fantasyDeadline: new Date(Date.now() + 3 * DAY_MS) } });
+
+      const now = afterDeadline();
+      await ContestLifecycleService.lockDueMatches(now);
+
+      const locked = await FantasyTeam.find({ _id: { $in: [draft._id, submitted._id] } });
+      expect(locked.map(team => team.status)).toEqual(['locked', 'locked']);
+      expect((await FantasyTeam.findById(notDue._id)).status).toBe('draft');
+      expect((await Match.findById(match._id)).teamsLockedAt).toEqual(now);
+      expect((await Match.findById(later._id)).teamsLockedAt).toBeUndefined();
+    });
+
+    it('should cancel and refund under-filled contests and leave guaranteed and filled ones alone', async () => {
+      const underFilled = await createContest();
+      const player = await joinContest(underFilled);
+      const guaranteed = await createContest({ filledSpots: 1, guaranteedPrize: true });
+      const running = await createContest({ filledSpots: 3 });
+
+      await ContestLifecycleService.lockDueMatches(afterDeadline());
+
+      const cancelled = await Contest.findById(underFilled._id);
+      expect(cancelled).toMatchObject({
+        status: 'cancelled',
+        isActive: false,
+        cancellationReason: 'Contest did not reach its minimum entries (1/2)'
+      });
+      expect(cancelled.refundsProcessedAt).toBeInstanceOf(Date);
+      expect(await balanceOf(player)).toBe(100);
+
+      expect((await Contest.findById(guaranteed._id)).status).toBe('upcoming');
+      expect((await Contest.findById(running._id)).status).toBe('upcoming');
+    });
+  });
+
+  describe('status', () => {
+    it('should move upcoming contests live once the match is underway', async () => {
+      const contest = await createContest();
+      const waiting = await createContest({ matchId: (await testUtils.createTestMatch())._id });
+      await Match.updateOne({ _id: match._id }, { $set: { status: 'live', teamsLockedAt: new Date() } });
+      const contestUpdate = jest.spyOn(events, 'contestUpdate');
+
+      await ContestLifecycleService.startLiveContests(new Date());
+
+      expect((await Contest.findById(contest._id)).status).toBe('live');
+      expect((await Contest.findById(waiting._id)).status).toBe('upcoming');
+      expect(contestUpdate).toHaveBeenCalledWith(contest._id, { type: 'status', status: 'live' });
+    });
+
+    it('should settle the contests of completed matches', async () => {
+      const contest = await createContest({ status: 'live' });
+      const open = await createContest({ matchId: (await testUtils.createTestMatch())._id, status: 'live' });
+      await Match.updateOne({ _id: match._id }, { $set: { status: 'completed' } });
+
+      await ContestLifecycleService.settleCompletedMatches();
+
+      expect(await Contest.findById(contest._id)).toMatchObject({ status: 'completed', settlement: { status: 'settled' } });
+      expect((await Contest.findById(open._id)).status).toBe('live');
+    });
+
+    it('should cancel and refund the open contests of cancelled matches', async () => {
+      const contest = await createContest();
+      const player = await joinContest(contest);
+      const elsewhere = await createContest({ matchId: (await testUtils.createTestMatch())._id });
+      await Match.updateOne({ _id: match._id }, { $set: { status: 'cancelled' } });
+
+      await ContestLifecycleService.closeCancelledMatches();
+
+      expect(await Contest.findById(contest._id)).toMatchObject({
+        status: 'cancelled',
+        cancellationReason: 'Match cancelled: IND vs AUS'
+      });
+      expect(await balanceOf(player)).toBe(100);
+      expect((await Contest.findById(elsewhere._id)).status).toBe('upcoming');
+    });
+  });
+
+  describe('refunds', () => {
+    let contest;
+    let players;
+
+    beforeEach(async () => {
+      contest = await createContest();
+      players = [await joinContest(contest), await joinContest(contest)];
+      await Contest.updateOne({ _id: contest._id }, { $set: { status: 'cancelled' } });
+    });
+
+    const journalCount = () => LedgerEntry.distinct('journalId', { type: 'refund' }).then(ids => ids.length);
+
+    it('should refund every entry of a cancelled contest exactly once', async () => {
+      await ContestLifecycleService.refundContest(contest._id);
+
+      expect(await Promise.all(players.map(balanceOf))).toEqual([100, 100]);
+      const refunds = await Transaction.find({ type: 'refund' });
+      expect(refunds.map(t => t.status)).toEqual(['completed', 'completed']);
+      expect((await Contest.findById(contest._id)).refundsProcessedAt).toBeInstanceOf(Date);
+
+      // A later run, even one that ignores refundsProcessedAt, pays nothing more
+      await Contest.updateOne({ _id: contest._id }, { $unset: { refundsProcessedAt: 1 } });
+      await ContestLifecycleService.refundContest(contest._id);
+
+      expect(await Promise.all(players.map(balanceOf))).toEqual([100, 100]);
+      expect(await journalCount()).toBe(2);
+    });
+
+    it('should stop on a failed refund and finish it on the next run', async () => {
+      const [first] = players;
+      const stored = await User.collection.findOne({ _id: first.user._id });
+      await User.collection.deleteOne({ _id: first.user._id });
+
+      await ContestLifecycleService.refundContest(contest._id);
+
+      expect((await Contest.findById(contest._id)).refundsProcessedAt).toBeUndefined();
+      expect((await Transaction.findOne({ reference: refundReference(contest, first) })).status).toBe('pending');
+
+      await User.collection.insertOne(stored);
+      await ContestLifecycleService.processCancelledContests();
+
+      expect(await Promise.all(players.map(balanceOf))).toEqual([100, 100]);
+      expect(await journalCount()).toBe(2);
+      const refunds = await Transaction.find({ type: 'refund' });
+      expect(refunds.every(t => t.status === 'completed')).toBe(true);
+      expect((await Contest.findById(contest._id)).refundsProcessedAt).toBeInstanceOf(Date);
+    });
+  });
+});
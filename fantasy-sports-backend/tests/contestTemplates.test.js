@@ -0,0 +1,186 @@
+const request = require('supertest');
+const app = require('../server');
+const Contest = require('../src/models/Contest');
+const ContestTemplate = require('../src/models/ContestTemplate');
+const Match = require('../src/models/Match');
+const ContestTemplateService = require('../src/services/contestTemplateService');
+
+describe('Contest templates', () => {
+  const buildMatch = (overrides = {}) => new Match({
+    externalId: 'ext-1',
+    title: 'IND vs AUS',
+    sport: 'cricket',
+    tournament: 'Test Series',
+    team1: { name: 'India', shortName: 'IND' },
+    team2: { name: 'Australia', shortName: 'AUS' },
+    venue: { name: 'Wankhede', city: 'Mumbai', country: 'India' },
+    startTime: new Date('2026-10-20T14:00:00Z'),
+    fantasyDeadline: new Date('2026-10-20T13:30:00Z'),
+    matchFormat: 't20',
+    ...overrides
+  });
+
+  const buildTemplate = (overrides = {}) => new ContestTemplate({
+    name: 'Mega Contest',
+    entryFee: 49,
+    totalSpots: 100,
+    prizePool: 4000,
+    prizeDistribution: [
+      { rankFrom: 1, rankTo: 1, prize: 1000 },
+      { rankFrom: 2, rankTo: 31, prize: 100 }
+    ],
+    tags: ['mega'],
+    ...overrides
+  });
+
+  const createTemplate = (overrides = {}) => buildTemplate(overrides).save();
+
+  let adminToken;
+
+  beforeEach(async () => {
+    adminToken = testUtils.generateTestToken(await testUtils.createTestUser({ role: 'admin' }));
+  });
+
+  const spawnLobby = (match) => request(app)
+    .post(`/api/admin/matches/${match._id}/lobby`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({});
+
+  const contestNames = async (match) => (await Contest.find({ matchId: match._id }).sort({ createdAt: 1, _id: 1 }))
+    .map(contest => contest.name);
+
+  it('should keep prize tiers within the prize pool', async () => {
+    const template = buildTemplate({ prizePool: 1000 });
+
+    await expect(template.validate()).rejects.toThrow(/prize/i);
+    await expect(buildTemplate().validate()).resolves.toBeUndefined();
+  });
+
+  it('should build a contest with the template terms and the match timings', () => {
+    const match = buildMatch();
+    const template = buildTemplate({ contestType: 'multi-entry', maxEntriesPerUser: 6, autoReplicate: true });
+
+    const contest = template.buildContest(match);
+
+    expect(contest).toMatchObject({
+      name: 'Mega Contest',
+      matchId: match._id,
+      sport: 'cricket',
+      contestType: 'multi-entry',
+      entryFee: 49,
+      totalSpots: 100,
+      prizePool: 4000,
+      maxEntriesPerUser: 6,
+      autoReplicate: true,
+      maxReplicas: 5,
+      startTime: match.startTime,
+      registrationDeadline: match.fantasyDeadline,
+      templateId: template._id
+    });
+    expect(contest.tags).toEqual(['mega']);
+    expect(contest.prizeDistribution.map(({ rankFrom, rankTo, prize }) => ({ rankFrom, rankTo, prize })))
+      .toEqual([{ rankFrom: 1, rankTo: 1, prize: 1000 }, { rankFrom: 2, rankTo: 31, prize: 100 }]);
+  });
+
+  it('should spawn one contest per template of the match set and sync the totals', async () => {
+    const match = await testUtils.createTestMatch();
+    await createTemplate({ name: 'Head Start', entryFee: 10, prizePool: 800, prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 800 }] });
+    await createTemplate({ priority: 10 });
+    await createTemplate({ name: 'Goal Rush', sport: 'football' });
+    await createTemplate({ name: 'Retired', isActive: false });
+    await createTemplate({ name: 'Weekend Special', set: 'weekend' });
+
+    const response = await spawnLobby(match).expect(201);
+
+    expect(response.body.message).toBe('2 contest(s) created');
+    expect(response.body.data).toMatchObject({ skipped: 0, currentContests: 2, totalPrizePool: 4800 });
+    expect(await contestNames(match)).toEqual(['Mega Contest', 'Head Start']);
+    expect(await Match.findById(match._id)).toMatchObject({ currentContests: 2, totalPrizePool: 4800 });
+  });
+
+  it('should open the lobby of a new match from its template set', async () => {
+    await createTemplate();
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    const response = await request(app)
+      .post('/api/admin/matches')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        externalId: 'ext-1',
+        title: 'IND vs AUS',
+        sport: 'cricket',
+        tournament: 'Test Series',
+        team1: { name: 'India', shortName: 'IND' },
+        team2: { name: 'Australia', shortName: 'AUS' },
+        startTime,
+        fantasyDeadline: new Date(startTime.getTime() - 30 * 60 * 1000),
+        matchFormat: 't20'
+      })
+      .expect(201);
+
+    expect(await contestNames({ _id: response.body.data._id })).toEqual(['Mega Contest']);
+  });
+
+  it('should skip templates the match already has a live contest from', async () => {
+    const match = await testUtils.createTestMatch();
+    await createTemplate();
+    await spawnLobby(match).expect(201);
+    await createTemplate({ name: 'Practice', entryFee: 0, prizePool: 0, prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 0 }] });
+
+    const rerun = await spawnLobby(match).expect(201);
+
+    expect(rerun.body.message).toBe('1 contest(s) created');
+    expect(await contestNames(match)).toEqual(['Mega Contest', 'Practice']);
+
+    // A cancelled contest no longer stands for its template
+    await Contest.updateOne({ matchId: match._id, name: 'Mega Contest' }, { $set: { status: 'cancelled' } });
+    await spawnLobby(match).expect(201);
+
+    expect(await Contest.countDocuments({ matchId: match._id, name: 'Mega Contest' })).toBe(2);
+  });
+
+  it('should stop spawning at the match contest limit', async () => {
+    const match = await testUtils.createTestMatch({ maxContests: 2 });
+    await testUtils.createTestContest({ matchId: match._id });
+    await createTemplate();
+    await createTemplate({ name: 'Second' });
+    await createTemplate({ name: 'Third' });
+
+    const response = await spawnLobby(match).expect(201);
+
+    expect(response.body.data).toMatchObject({ skipped: 2, currentContests: 2, maxContests: 2 });
+    expect(await Contest.countDocuments({ matchId: match._id })).toBe(2);
+  });
+
+  it('should leave matches without a template set alone and refuse closed matches', async () => {
+    await createTemplate();
+    const unlisted = await testUtils.createTestMatch();
+
+    await expect(ContestTemplateService.spawnLobby(unlisted))
+      .resolves.toEqual({ contests: [], skipped: 0 });
+
+    const live = await testUtils.createTestMatch({ status: 'live' });
+    const response = await spawnLobby(live).expect(400);
+
+    expect(response.body.message).toBe('Contests can no longer be created for this match');
+    expect(await Contest.countDocuments()).toBe(0);
+  });
+
+  it('should reject templates allowing more entries than the platform maximum', async () => {
+    const response = await request(app)
+      .post('/api/admin/contest-templates')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        name: 'Too many',
+        entryFee: 49,
+        totalSpots: 100,
+        prizePool: 4000,
+        prizeDistribution: [{ rankFrom: 1, rankTo: 1, prize: 4000 }],
+        maxEntriesPerUser: 101
+      })
+      .expect(400);
+
+    expect(response.body.message).toBe('A contest can allow up to 100 entries per user');
+    expect(await ContestTemplate.countDocuments()).toBe(0);
+  });
+});
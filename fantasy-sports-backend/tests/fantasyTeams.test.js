@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+const FantasyTeam = require('../src/models/FantasyTeam');
+
+describe('Fantasy teams', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const matchId = new mongoose.Types.ObjectId();
+
+  const fields = (name) => ({ name, userId, matchId, sport: 'cricket' });
+
+  const teamNumbers = async () => (await FantasyTeam.find({ userId, matchId }).sort({ teamNumber: 1 }))
+    .map(team => team.teamNumber);
+
+  it('should number teams from the lowest free number and stop at the limit', async () => {
+    const first = await FantasyTeam.createWithinLimit(fields('Team 1'), 2);
+    const second = await FantasyTeam.createWithinLimit(fields('Team 2'), 2);
+
+    expect([first.teamNumber, second.teamNumber]).toEqual([1, 2]);
+    await expect(FantasyTeam.createWithinLimit(fields('Team 3'), 2))
+      .rejects.toThrow('Maximum teams reached for this match');
+    expect(await teamNumbers()).toEqual([1, 2]);
+  });
+
+  it('should hold the limit when teams are created in parallel', async () => {
+    const results = await Promise.allSettled([1, 2, 3].map(n => FantasyTeam.createWithinLimit(fields(`Team ${n}`), 2)));
+
+    expect(await teamNumbers()).toEqual([1, 2]);
+    expect(results.filter(result => result.status === 'rejected').map(result => result.reason.message))
+      .toEqual(['Maximum teams reached for this match']);
+  });
+
+  it('should reuse the number of a deleted team', async () => {
+    for (const n of [1, 2, 3]) {
+      await FantasyTeam.createWithinLimit(fields(`Team ${n}`), 3);
+    }
+    await FantasyTeam.deleteOne({ userId, matchId, teamNumber: 2 });
+
+    const team = await FantasyTeam.createWithinLimit(fields('Team 2'), 3);
+
+    expect(team.teamNumber).toBe(2);
+  });
+
+  it('should number each user\'s teams for a match separately', async () => {
+    await FantasyTeam.createWithinLimit(fields('Team 1'), 1);
+
+    const other = await FantasyTeam.createWithinLimit({ ...fields('Team 1'), userId: new mongoose.Types.ObjectId() }, 1);
+
+    expect(other.teamNumber).toBe(1);
+  });
+});
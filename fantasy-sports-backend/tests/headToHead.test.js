@@ -0,0 +1,193 @@
+const request = require('supertest');
+const app = require('../server');
+const Contest = require('../src/models/Contest');
+const User = require('../src/models/User');
+const HeadToHeadService = require('../src/services/headToHeadService');
+const NotificationService = require('../src/services/notificationService');
+
+describe('Head-to-head matchmaking', () => {
+  const HOUR_MS = 60 * 60 * 1000;
+
+  let match;
+  let notify;
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch({ title: 'IND vs AUS' });
+    // Notifications leave the system; only what is sent is checked
+    notify = jest.spyOn(NotificationService, 'sendHeadToHeadNotification').mockResolvedValue({});
+  });
+
+  // A player with a team for the match; `stats` set their skill (newcomers are 0.5)
+  const createPlayer = async ({ balance = 500, stats } = {}) => {
+    const user = await testUtils.createTestUser({ wallet: { balance, deposit: balance }, ...(stats && { stats }) });
+    const team = await testUtils.createTestTeam(user, match._id);
+    return { user, team, token: testUtils.generateTestToken(user) };
+  };
+
+  const queue = (player, entryFee = 50) => request(app)
+    .post('/api/h2h/queue')
+    .set('Authorization', `Bearer ${player.token}`)
+    .send({ matchId: match._id.toString(), teamId: player.team._id.toString(), entryFee });
+
+  // Queue a player who finds nobody and waits in a contest of their own
+  const waitInQueue = async (player, entryFee = 50) => {
+    const response = await queue(player, entryFee).expect(202);
+    return Contest.findById(response.body.data.contestId);
+  };
+
+  const challenge = (player, opponent) => request(app)
+    .post('/api/h2h/challenges')
+    .set('Authorization', `Bearer ${player.token}`)
+    .send({ matchId: match._id.toString(), teamId: player.team._id.toString(), entryFee: 50, opponent: opponent.user.username });
+
+  const accept = (player, contestId) => request(app)
+    .post(`/api/h2h/challenges/${contestId}/accept`)
+    .set('Authorization', `Bearer ${player.token}`)
+    .send({ teamId: player.team._id.toString() });
+
+  const withdraw = (player, contestId) => request(app)
+    .delete(`/api/h2h/${contestId}`)
+    .set('Authorization', `Bearer ${player.token}`);
+
+  const balanceOf = async ({ user }) => (await User.findById(user._id)).wallet.balance;
+  const filledSpotsOf = async (contest) => (await Contest.findById(contest._id)).filledSpots;
+
+  it('should rate players by their smoothed win rate', () => {
+    expect(HeadToHeadService.getSkill({ stats: { contestsWon: 0, totalContests: 0 } })).toBe(0.5);
+    expect(HeadToHeadService.getSkill({ stats: { contestsWon: 3, totalContests: 4 } })).toBe(0.667);
+  });
+
+  it('should pair with the waiting opponent closest in skill', async () => {
+    const far = await waitInQueue(await createPlayer({ stats: { contestsWon: 8, totalContests: 8 } }));
+    const closePlayer = await createPlayer({ stats: { contestsWon: 10, totalContests: 18 } });
+    const close = await waitInQueue(closePlayer);
+    const newcomer = await createPlayer();
+
+    const response = await queue(newcomer).expect(200);
+
+    expect(response.body.data).toMatchObject({ status: 'matched', contestId: close._id.toString() });
+    expect(await filledSpotsOf(close)).toBe(2);
+    expect(await filledSpotsOf(far)).toBe(1);
+    expect(await balanceOf(newcomer)).toBe(450);
+
+    expect(notify).toHaveBeenCalledWith(closePlayer.user._id, close._id, 'Opponent Found',
+      expect.stringContaining(newcomer.user.username));
+  });
+
+  it('should widen the skill gap it accepts the longer a request waits', async () => {
+    const patient = await waitInQueue(await createPlayer({ stats: { contestsWon: 7, totalContests: 8 } }));
+    await Contest.collection.updateOne({ _id: patient._id }, { $set: { createdAt: new Date(Date.now() - 5 * HOUR_MS) } });
+
+    const response = await queue(await createPlayer()).expect(200);
+
+    expect(response.body.data.contestId).toBe(patient._id.toString());
+  });
+
+  it('should try the next opponent when the closest spot cannot be taken', async () => {
+    const hidden = await waitInQueue(await createPlayer());
+    await Contest.updateOne({ _id: hidden._id }, { $set: { isVisible: false } });
+    const next = await waitInQueue(await createPlayer({ stats: { contestsWon: 10, totalContests: 18 } }));
+
+    const response = await queue(await createPlayer()).expect(200);
+
+    expect(response.body.data.contestId).toBe(next._id.toString());
+    expect(await filledSpotsOf(hidden)).toBe(1);
+  });
+
+  it('should not try the next opponent when the join failed for another reason', async () => {
+    // Both are close enough to a newcomer, but too far apart to pair with each other
+    const first = await waitInQueue(await createPlayer({ stats: { contestsWon: 13, totalContests: 23 } }));
+    const second = await waitInQueue(await createPlayer({ stats: { contestsWon: 10, totalContests: 23 } }));
+
+    const response = await queue(await createPlayer({ balance: 0 })).expect(400);
+
+    expect(response.body.message).toBe('Insufficient wallet balance');
+    expect(await filledSpotsOf(first)).toBe(1);
+    expect(await filledSpotsOf(second)).toBe(1);
+    expect(await Contest.countDocuments({ contestType: 'head-to-head' })).toBe(2);
+  });
+
+  it('should open a 1v1 contest and wait when nobody is close enough', async () => {
+    await waitInQueue(await createPlayer({ stats: { contestsWon: 8, totalContests: 8 } }), 100);
+    const newcomer = await createPlayer();
+
+    const response = await queue(newcomer, 100).expect(202);
+
+    expect(response.body.data).toMatchObject({ status: 'waiting', entryFee: 100, prizePool: 180 });
+    const contest = await Contest.findById(response.body.data.contestId);
+    expect(contest).toMatchObject({
+      contestType: 'head-to-head',
+      totalSpots: 2,
+      filledSpots: 1,
+      createdBy: newcomer.user._id,
+      registrationDeadline: match.fantasyDeadline
+    });
+    expect(contest.headToHead.skill).toBe(0.5);
+    expect(await balanceOf(newcomer)).toBe(400);
+  });
+
+  it('should drop the new contest when the entry fee cannot be collected', async () => {
+    const response = await queue(await createPlayer({ balance: 0 })).expect(400);
+
+    expect(response.body.message).toBe('Insufficient wallet balance');
+    expect(await Contest.countDocuments({ contestType: 'head-to-head' })).toBe(0);
+  });
+
+  it('should only take fees from the configured tiers', async () => {
+    const response = await queue(await createPlayer(), 75).expect(400);
+
+    expect(response.body.message).toMatch(/^Entry fee must be one of ₹10, ₹25/);
+  });
+
+  describe('challenges', () => {
+    let challenger;
+    let friend;
+    let contestId;
+
+    beforeEach(async () => {
+      challenger = await createPlayer();
+      friend = await createPlayer();
+      contestId = (await challenge(challenger, friend).expect(201)).body.data.contestId;
+    });
+
+    it('should keep a challenge for the challenged friend', async () => {
+      const stranger = await createPlayer();
+
+      const refused = await accept(stranger, contestId).expect(403);
+      expect(refused.body.message).toBe('This challenge is for another player');
+      expect(await balanceOf(stranger)).toBe(500);
+
+      await accept(friend, contestId).expect(200);
+      expect(await filledSpotsOf({ _id: contestId })).toBe(2);
+    });
+
+    it('should cancel and refund a challenge the friend declines', async () => {
+      await withdraw(friend, contestId).expect(200);
+
+      const contest = await Contest.findById(contestId);
+      expect(contest).toMatchObject({
+        status: 'cancelled',
+        cancellationReason: `Challenge declined by ${friend.user.username}`
+      });
+      expect(contest.refundsProcessedAt).toBeInstanceOf(Date);
+      expect(await balanceOf(challenger)).toBe(500);
+      expect(notify).toHaveBeenCalledWith(challenger.user._id, contest._id, 'Challenge Declined', expect.any(String));
+    });
+
+    it('should refuse once an opponent has joined', async () => {
+      await accept(friend, contestId).expect(200);
+
+      const response = await withdraw(challenger, contestId).expect(400);
+
+      expect(response.body.message).toBe('Only a request still waiting for an opponent can be withdrawn');
+      expect((await Contest.findById(contestId)).status).toBe('upcoming');
+      expect(await balanceOf(challenger)).toBe(450);
+    });
+
+    it('should hide other players\' contests', async () => {
+      await withdraw(await createPlayer(), contestId).expect(404);
+
+      expect((await Contest.findById(contestId)).status).toBe('upcoming');
+    });
+  });
+});
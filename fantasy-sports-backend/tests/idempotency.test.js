@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/services/redis', () => {
+  const store = new Map();
+  return {
+    store,
+    cache: {
+      setNX: jest.fn(async (key, value) => {
+        if (store.has(key)) return false;
+        store.set(key, JSON.stringify(value));
+        return true;
+      }),
+      get: jest.fn(async (key) => (store.has(key) ? JSON.parse(store.get(key)) : null)),
+      set: jest.fn(async (key, value) => {
+        store.set(key, JSON.stringify(value));
+        return true;
+      }),
+      del: jest.fn(async (key) => store.delete(key))
+    }
+  };
+});
+
+const { cache, store } = require('../src/services/redis');
+const { idempotency } = require('../src/middleware/idempotency');
+
+describe('Idempotency-Key middleware', () => {
+  let handler;
+
+  const buildApp = () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { _id: req.get('X-Test-User') || 'user-1' };
+      next();
+    });
+    app.post('/wallet/withdraw', idempotency, (req, res) => handler(req, res));
+    return app;
+  };
+
+  beforeEach(() => {
+    store.clear();
+    let calls = 0;
+    handler = jest.fn((req, res) => {
+      calls++;
+      res.status(201).json({ success: true, data: { transactionId: `WIT${calls}`, amount: req.body.amount } });
+    });
+  });
+
+  it('should run requests without a key every time', async () => {
+    const app = buildApp();
+
+    await request(app).post('/wallet/withdraw').send({ amount: 100 }).expect(201);
+    await request(app).post('/wallet/withdraw').send({ amount: 100 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should replay the first response for a repeated key', async () => {
+    const app = buildApp();
+
+    const first = await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 100 });
+    const repeat = await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 100 });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(repeat.status).toBe(201);
+    expect(repeat.body).toEqual(first.body);
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+  });
+
+  it('should reject a key reused with a different body', async () => {
+    const app = buildApp();
+
+    await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 100 }).expect(201);
+    const reused = await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 500 });
+
+    expect(reused.status).toBe(422);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep keys separate per user', async () => {
+    const app = buildApp();
+
+    await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 100 }).expect(201);
+    await request(app).post('/wallet/withdraw').set('X-Test-User', 'user-2').set('Idempotency-Key', 'abc')
+      .send({ amount: 100 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should answer 409 while the first request with the key is still running', async () => {
+    const app = buildApp();
+    let finish;
+    handler = jest.fn((req, res) => {
+      finish = () => res.status(201).json({ success: true });
+    });
+
+    const first = request(app).post('/wallet/withdraw').set('Idempotency-Key', 'slow').send({ amount: 100 }).then(r => r);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const concurrent = await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'slow').send({ amount: 100 });
+    expect(concurrent.status).toBe(409);
+
+    finish();
+    expect((await first).status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('should free the key after a server error so the client can retry', async () => {
+    const app = buildApp();
+    handler = jest.fn()
+      .mockImplementationOnce((req, res) => res.status(500).json({ success: false }))
+      .mockImplementationOnce((req, res) => res.status(201).json({ success: true }));
+
+    await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'retry').send({ amount: 100 }).expect(500);
+    await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'retry').send({ amount: 100 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('should let requests through when Redis is unavailable', async () => {
+    const app = buildApp();
+    cache.setNX.mockResolvedValueOnce(null);
+
+    await request(app).post('/wallet/withdraw').set('Idempotency-Key', 'abc').send({ amount: 100 }).expect(201);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,184 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const KycSubmission = require('../src/models/KycSubmission');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const KycService = require('../src/services/kycService');
+const NotificationService = require('../src/services/notificationService');
+
+describe('KYC Service', () => {
+  const limits = { perWithdrawal: 10000, total: 50000 };
+
+  describe('requiresKyc', () => {
+    it('should let small withdrawals through without KYC', () => {
+      const user = { kyc: { status: 'not_submitted' }, wallet: { totalWithdrawn: 2000 } };
+      expect(KycService.requiresKyc(user, 5000, limits)).toBe(false);
+    });
+
+    it('should require KYC above the single withdrawal limit', () => {
+      const user = { kyc: { status: 'pending' }, wallet: { totalWithdrawn: 0 } };
+      expect(KycService.requiresKyc(user, 10001, limits)).toBe(true);
+    });
+
+    it('should require KYC once lifetime withdrawals pass the total limit', () => {
+      const user = { kyc: { status: 'rejected' }, wallet: { totalWithdrawn: 45000 } };
+      expect(KycService.requiresKyc(user, 5000, limits)).toBe(false);
+      expect(KycService.requiresKyc(user, 5001, limits)).toBe(true);
+    });
+
+    it('should not limit users with approved KYC', () => {
+      const user = { kyc: { status: 'approved' }, wallet: { totalWithdrawn: 500000 } };
+      expect(KycService.requiresKyc(user, 50000, limits)).toBe(false);
+    });
+
+    it('should read the limits from the environment', () => {
+      process.env.KYC_WITHDRAWAL_LIMIT = '0';
+      try {
+        expect(KycService.getWithdrawalLimits().perWithdrawal).toBe(0);
+        expect(KycService.requiresKyc({ wallet: {} }, 100)).toBe(true);
+      } finally {
+        delete process.env.KYC_WITHDRAWAL_LIMIT;
+      }
+    });
+  });
+
+  describe('submit', () => {
+    let uploadRoot;
+    let uploadPath;
+    let user;
+
+    const submit = ({ identity = true, bankProof = true } = {}) => {
+      const req = request(app)
+        .post('/api/kyc/submit')
+        .set('Authorization', `Bearer ${testUtils.generateTestToken(user)}`)
+        .field('fullName', 'Kyc User')
+        .field('panNumber', 'abcde1234f')
+        .field('identityType', 'pan')
+        .field('bankProofType', 'cancelled_cheque');
+      if (identity) req.attach('identityDocument', Buffer.from('pan'), { filename: 'pan.png', contentType: 'image/png' });
+      if (bankProof) req.attach('bankProof', Buffer.from('cheque'), { filename: 'cheque.pdf', contentType: 'application/pdf' });
+      return req;
+    };
+
+    const listStored = () => {
+      const directory = path.join(uploadRoot, 'kyc', user._id.toString());
+      return fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+    };
+
+    beforeEach(async () => {
+      uploadRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-'));
+      uploadPath = process.env.UPLOAD_PATH;
+      process.env.UPLOAD_PATH = uploadRoot;
+      user = await testUtils.createTestUser();
+    });
+
+    afterEach(() => {
+      fs.rmSync(uploadRoot, { recursive: true, force: true });
+      process.env.UPLOAD_PATH = uploadPath;
+    });
+
+    it('should store both documents under uploads/kyc and mark the user pending', async () => {
+      const response = await submit().expect(201);
+
+      expect(response.body.data.documents).toEqual([
+        { category: 'identity', documentType: 'pan' },
+        { category: 'bank_proof', documentType: 'cancelled_cheque' }
+      ]);
+
+      const submission = await KycSubmission.findById(response.body.data.submissionId);
+      expect(submission).toMatchObject({ status: 'pending', panNumber: 'ABCDE1234F' });
+      submission.documents.forEach(document => {
+        expect(document.filePath.startsWith(path.join('kyc', user._id.toString()))).toBe(true);
+      });
+      expect(listStored()).toHaveLength(2);
+      expect((await User.findById(user._id)).kyc).toMatchObject({ status: 'pending', submissionId: submission._id });
+    });
+
+    it('should remove stored documents when the submission cannot be saved', async () => {
+      // Another submission went under review after this request read the user
+      await KycSubmission.create({ userId: user._id, fullName: 'Kyc User', panNumber: 'ABCDE1234F' });
+
+      const response = await submit().expect(400);
+
+      expect(response.body.message).toBe('KYC is already under review');
+      expect(listStored()).toHaveLength(0);
+      expect((await User.findById(user._id)).kyc.status).toBe('not_submitted');
+    });
+
+    it('should refuse a new submission while one is under review', async () => {
+      await submit().expect(201);
+
+      const response = await submit().expect(400);
+
+      expect(response.body.message).toBe('KYC is already under review');
+      expect(listStored()).toHaveLength(2);
+      expect(await KycSubmission.countDocuments({ userId: user._id })).toBe(1);
+    });
+
+    it('should require both documents', async () => {
+      const response = await submit({ bankProof: false }).expect(400);
+
+      expect(response.body.message).toBe('Both an identity document and a bank proof are required');
+      expect(listStored()).toHaveLength(0);
+    });
+
+    it('should not resolve document paths outside the upload directory', () => {
+      expect(() => KycService.getDocumentPath({ filePath: '../config.env' })).toThrow('Document not found');
+    });
+  });
+
+  describe('review', () => {
+    let user;
+    let submission;
+    let adminToken;
+
+    beforeEach(async () => {
+      jest.spyOn(NotificationService, 'sendKycStatusNotification').mockResolvedValue({});
+      user = await testUtils.createTestUser({ kyc: { status: 'pending' } });
+      submission = await KycSubmission.create({ userId: user._id, fullName: 'Kyc User', panNumber: 'ABCDE1234F' });
+      adminToken = testUtils.generateTestToken(await testUtils.createTestUser({ role: 'admin' }));
+    });
+
+    const review = (decision, body = {}) => request(app)
+      .post(`/api/admin/kyc/${submission._id}/${decision}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send(body);
+
+    it('should approve a pending submission once and verify the user', async () => {
+      await review('approve').expect(200);
+
+      expect((await User.findById(user._id)).kyc).toMatchObject({ status: 'approved', panNumber: 'ABCDE1234F', verifiedAt: expect.any(Date) });
+      expect(NotificationService.sendKycStatusNotification).toHaveBeenCalledWith(user._id, 'approved', undefined);
+
+      const again = await review('reject', { reason: 'Blurred document' }).expect(400);
+
+      expect(again.body.message).toBe('KYC submission has already been reviewed');
+      expect((await KycSubmission.findById(submission._id)).status).toBe('approved');
+    });
+
+    it('should reject a submission with a reason the user can act on', async () => {
+      await review('reject', { reason: 'Blurred document' }).expect(200);
+
+      expect((await User.findById(user._id)).kyc).toMatchObject({ status: 'rejected', rejectionReason: 'Blurred document' });
+    });
+  });
+
+  describe('withdrawals', () => {
+    it('should hold back a large withdrawal until KYC is approved', async () => {
+      const user = await testUtils.createTestUser({ wallet: { balance: 20000, winnings: 20000 } });
+
+      const response = await request(app)
+        .post('/api/wallet/withdraw')
+        .set('Authorization', `Bearer ${testUtils.generateTestToken(user)}`)
+        .send({ amount: 15000, beneficiaryId: new mongoose.Types.ObjectId().toString() })
+        .expect(403);
+
+      expect(response.body.data).toMatchObject({ kycStatus: 'not_submitted', withdrawalLimits: { perWithdrawal: 10000, total: 50000 } });
+      expect(await Transaction.exists({ userId: user._id })).toBeNull();
+    });
+  });
+});
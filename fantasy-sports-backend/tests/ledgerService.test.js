@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const LedgerService = require('../src/services/ledgerService');
+
+describe('Ledger Service', () => {
+  const buildEntryFee = (user) => Transaction.createContestEntry(
+    user._id,
+    50,
+    new mongoose.Types.ObjectId(),
+    new mongoose.Types.ObjectId(),
+    new mongoose.Types.ObjectId()
+  );
+
+  const walletOf = async (user) => (await User.findById(user._id)).wallet;
+
+  it('should refuse to post a journal that does not balance', async () => {
+    const user = await testUtils.createTestUser();
+
+    await expect(LedgerService.post('J1', 'deposit', 'Deposit', [
+      { account: 'user_deposit', userId: user._id, amount: 100 },
+      { account: 'platform_gateway', amount: -90 }
+    ])).rejects.toThrow('unbalanced');
+
+    expect(await LedgerEntry.countDocuments()).toBe(0);
+  });
+
+  it('should debit only a covering balance and post both sides', async () => {
+    const user = await testUtils.createTestUser({ wallet: { balance: 120, deposit: 100, bonus: 20 } });
+    const transaction = buildEntryFee(user);
+
+    const updated = await LedgerService.moveFunds(transaction, {
+      split: { bonus: -5, deposit: -45 },
+      account: 'platform_contests'
+    });
+
+    expect(updated.wallet.balance).toBe(70);
+    expect(await walletOf(user)).toMatchObject({ balance: 70, deposit: 55, bonus: 15 });
+
+    const postings = await LedgerEntry.find({ journalId: transaction.reference }).sort({ amount: 1 });
+    expect(postings.map(({ account, amount }) => ({ account, amount }))).toEqual([
+      { account: 'user_deposit', amount: -45 },
+      { account: 'user_bonus', amount: -5 },
+      { account: 'platform_contests', amount: 50 }
+    ]);
+
+    const saved = await Transaction.findOne({ reference: transaction.reference });
+    expect(saved).toMatchObject({ balanceBefore: 120, balanceAfter: 70 });
+    expect(saved.balanceSplit).toMatchObject({ bonus: -5, deposit: -45 });
+  });
+
+  it('should return null without posting when the balance does not cover a debit', async () => {
+    const user = await testUtils.createTestUser({ wallet: { balance: 100, deposit: 30, winnings: 70 } });
+    const transaction = buildEntryFee(user);
+
+    expect(await LedgerService.moveFunds(transaction, {
+      split: { deposit: -50 },
+      account: 'platform_contests'
+    })).toBeNull();
+
+    expect(await walletOf(user)).toMatchObject({ balance: 100, deposit: 30, winnings: 70 });
+    expect(await LedgerService.isPosted(transaction.reference)).toBe(false);
+    expect(await Transaction.exists({ reference: transaction.reference })).toBeNull();
+  });
+
+  it('should undo the wallet change when the ledger cannot be written', async () => {
+    const user = await testUtils.createTestUser({ wallet: { balance: 100, winnings: 100 } });
+    const transaction = Transaction.createContestWinnings(user._id, 50);
+    // A journal already holds the wallet posting, so this one cannot be written
+    await LedgerEntry.create({
+      journalId: transaction.reference,
+      type: 'contest_winnings',
+      account: 'user_winnings',
+      userId: user._id,
+      amount: 0
+    });
+
+    await expect(LedgerService.moveFunds(transaction, {
+      split: { winnings: 50 },
+      account: 'platform_contests',
+      inc: { 'wallet.totalWon': 50 }
+    })).rejects.toMatchObject({ code: 11000 });
+
+    expect(await walletOf(user)).toMatchObject({ balance: 100, winnings: 100, totalWon: 0 });
+    expect(await Transaction.exists({ reference: transaction.reference })).toBeNull();
+  });
+
+  it('should report wallets off their ledger and journals off their transaction', async () => {
+    const drifted = await testUtils.createTestUser({ wallet: { balance: 150, deposit: 150 } });
+    const winner = await testUtils.createTestUser({ wallet: { balance: 40, winnings: 40 } });
+
+    // The drifted wallet shows 50 more than its deposits
+    const deposit = Transaction.createDeposit(drifted._id, 100, 'upi', 'fake');
+    deposit.status = 'completed';
+    await deposit.save();
+    await LedgerService.post(deposit.reference, 'deposit', 'Deposit', [
+      { account: 'user_deposit', userId: drifted._id, amount: 100 },
+      { account: 'platform_gateway', amount: -100 }
+    ]);
+
+    // The winner's journal paid 40 against winnings recorded as 30
+    const winnings = Transaction.createContestWinnings(winner._id, 30);
+    await winnings.save();
+    await LedgerService.post(winnings.reference, 'contest_winnings', 'Winnings', [
+      { account: 'user_winnings', userId: winner._id, amount: 40 },
+      { account: 'platform_contests', amount: -40 }
+    ]);
+
+    const report = await LedgerService.reconcile({ limit: 10 });
+
+    expect(report.checkedUsers).toBe(2);
+    expect(report.totalMismatches).toBe(1);
+    expect(report.mismatches[0]).toMatchObject({ userId: drifted._id, difference: 50, differences: { deposit: 50, balance: 50 } });
+    expect(report.unbalancedJournals).toEqual([]);
+    expect(report.unmatchedJournals).toEqual([expect.objectContaining({
+      journalId: winnings.reference,
+      ledgerAmount: 40,
+      transactionAmount: 30,
+      transactionStatus: 'completed'
+    })]);
+    expect(report.platformBalances).toMatchObject({ platform_gateway: -100, platform_contests: -40 });
+  });
+});
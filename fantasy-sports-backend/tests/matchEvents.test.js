@@ -0,0 +1,150 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const ContestEntry = require('../src/models/ContestEntry');
+const FantasyTeam = require('../src/models/FantasyTeam');
+const Match = require('../src/models/Match');
+const MatchEvent = require('../src/models/MatchEvent');
+const MatchEventService = require('../src/services/matchEventService');
+const { events } = require('../src/services/websocket');
+
+describe('Match event ingestion', () => {
+  const batsmanId = new mongoose.Types.ObjectId();
+  const bowlerId = new mongoose.Types.ObjectId();
+
+  let match;
+  let team;
+  let contest;
+  let adminToken;
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch({ status: 'live' });
+    adminToken = testUtils.generateTestToken(await testUtils.createTestUser({ role: 'admin' }));
+
+    const user = await testUtils.createTestUser();
+    team = await testUtils.createTestTeam(user, match._id, {
+      players: [
+        { playerId: batsmanId, name: 'Batsman', role: 'batsman' },
+        { playerId: bowlerId, name: 'Bowler', role: 'bowler' }
+      ]
+    });
+    contest = await testUtils.createTestContest({ matchId: match._id, filledSpots: 1 });
+    await ContestEntry.create({
+      contestId: contest._id,
+      matchId: match._id,
+      userId: user._id,
+      teamId: team._id,
+      username: user.username,
+      teamName: team.name
+    });
+
+    jest.spyOn(events, 'scoreUpdate');
+    jest.spyOn(events, 'leaderboardUpdate');
+  });
+
+  const delivery = (externalId, runs = 4) => ({
+    externalId,
+    type: 'delivery',
+    playerId: batsmanId.toString(),
+    team: 'team1',
+    data: { runs, isBoundary: runs >= 4, over: 3, ball: 2 }
+  });
+
+  const ingest = (eventList, matchId = match._id) => request(app)
+    .post(`/api/matches/${matchId}/events`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send({ events: eventList });
+
+  const storedSequences = async () => (await MatchEvent.find({ matchId: match._id }).sort({ sequence: 1 }))
+    .map(event => [event.externalId, event.sequence]);
+
+  it('should store a batch in order and move the score and player performance', async () => {
+    const response = await ingest([
+      delivery('ball-1', 4),
+      delivery('ball-2', 1),
+      { externalId: 'ball-3', type: 'wicket', playerId: bowlerId.toString(), team: 'team1' }
+    ]).expect(201);
+
+    expect(response.body.data).toEqual({ ingested: 3, skipped: 0, lastSequence: 3 });
+    expect(await storedSequences()).toEqual([['ball-1', 1], ['ball-2', 2], ['ball-3', 3]]);
+
+    const updated = await Match.findById(match._id);
+    expect(updated.lastEventSequence).toBe(3);
+    expect(updated.currentScore.team1).toMatchObject({ runs: 5, wickets: 1, overs: 3.2 });
+    expect(updated.highlights).toHaveLength(1);
+
+    const [batsman, bowler] = (await FantasyTeam.findById(team._id)).players;
+    expect(batsman.performance).toMatchObject({ runs: 5, fours: 1 });
+    expect(bowler.performance.wickets).toBe(1);
+
+    expect(events.scoreUpdate).toHaveBeenCalledWith(match._id, expect.objectContaining({
+      lastSequence: 3,
+      events: [expect.objectContaining({ sequence: 1 }), expect.objectContaining({ sequence: 2 }), expect.objectContaining({ sequence: 3 })]
+    }));
+  });
+
+  it('should skip events already stored under the same externalId', async () => {
+    await ingest([delivery('ball-1')]).expect(201);
+
+    const response = await ingest([delivery('ball-1'), delivery('ball-2', 1)]).expect(201);
+
+    expect(response.body.data).toMatchObject({ ingested: 1, skipped: 1 });
+    expect(await storedSequences()).toEqual([['ball-1', 1], ['ball-2', 2]]);
+    expect((await Match.findById(match._id)).currentScore.team1.runs).toBe(5);
+  });
+
+  it('should store an event delivered twice at once only once and leave no sequence gap', async () => {
+    // Both copies pass the exists check; the unique indexes decide which one is kept
+    const stored = await Promise.all([
+      MatchEventService.persistEvent(match._id, delivery('ball-1'), 'feed'),
+      MatchEventService.persistEvent(match._id, delivery('ball-1'), 'feed')
+    ]);
+
+    expect(stored.filter(Boolean)).toHaveLength(1);
+
+    const next = await MatchEventService.persistEvent(match._id, delivery('ball-2'), 'feed');
+
+    expect(next.sequence).toBe(2);
+    expect(await storedSequences()).toEqual([['ball-1', 1], ['ball-2', 2]]);
+  });
+
+  it('should give events stored in parallel consecutive sequence numbers', async () => {
+    await Promise.all(['ball-1', 'ball-2', 'ball-3'].map(externalId =>
+      MatchEventService.persistEvent(match._id, delivery(externalId), 'feed')
+    ));
+
+    expect((await storedSequences()).map(([, sequence]) => sequence)).toEqual([1, 2, 3]);
+    expect((await Match.findById(match._id)).lastEventSequence).toBe(3);
+  });
+
+  it('should rescore affected teams and contests and broadcast their leaderboards', async () => {
+    await ingest([delivery('ball-1')]).expect(201);
+
+    // 4 runs and a four
+    expect((await FantasyTeam.findById(team._id)).totalPoints).toBe(5);
+    expect(await ContestEntry.findOne({ contestId: contest._id })).toMatchObject({ points: 5, rank: 1 });
+    expect(events.leaderboardUpdate).toHaveBeenCalledWith(contest._id, {
+      contestId: contest._id,
+      leaderboard: [expect.objectContaining({ rank: 1, points: 5, teamId: team._id })],
+      totalEntries: 1
+    });
+  });
+
+  it('should not rescore anything when every event was a duplicate', async () => {
+    await ingest([delivery('ball-1')]).expect(201);
+
+    const response = await ingest([delivery('ball-1')]).expect(201);
+
+    expect(response.body.data).toEqual({ ingested: 0, skipped: 1, lastSequence: 1 });
+    expect(events.scoreUpdate).toHaveBeenCalledTimes(1);
+    expect(events.leaderboardUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse events for a finished or unknown match', async () => {
+    await Match.updateOne({ _id: match._id }, { $set: { status: 'completed' } });
+
+    expect((await ingest([delivery('ball-1')]).expect(400)).body.message).toBe('Match is not accepting events');
+    await ingest([delivery('ball-1')], new mongoose.Types.ObjectId()).expect(404);
+    expect(await MatchEvent.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,315 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const app = require('../server');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const PaymentService = require('../src/services/paymentService');
+const FakeGateway = require('../src/services/paymentGateways/fakeGateway');
+const RazorpayGateway = require('../src/services/paymentGateways/razorpayGateway');
+const StripeGateway = require('../src/services/paymentGateways/stripeGateway');
+const { getGateway } = require('../src/services/paymentGateways');
+const { accountFor } = require('../src/services/walletBalances');
+
+describe('Payment Gateways', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Fake gateway', () => {
+    const gateway = new FakeGateway({ secret: 'test-secret' });
+
+    it('should confirm a payment it signed for the order', async () => {
+      const order = await gateway.createOrder({ amount: 250, reference: 'DEPTEST1' });
+      const payment = gateway.pay(order.orderId);
+
+      const result = await gateway.verifyPayment(payment);
+
+      expect(result.success).toBe(true);
+      expect(result.paymentId).toBe(payment.paymentId);
+    });
+
+    it('should reject declined payments and payments signed for another order', async () => {
+      const declined = gateway.pay('fake_order_DEPTEST1', { succeed: false });
+      expect((await gateway.verifyPayment(declined)).status).toBe('failed');
+
+      const other = gateway.pay('fake_order_DEPTEST2');
+      const result = await gateway.verifyPayment({ ...other, orderId: 'fake_order_DEPTEST1' });
+      expect(result.success).toBe(false);
+      expect(result.message).toBe('Invalid payment signature');
+    });
+
+    it('should not be available in production', () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      try {
+        expect(() => getGateway('fake')).toThrow('cannot be used in production');
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+    });
+  });
+
+  describe('Razorpay gateway', () => {
+    const gateway = new RazorpayGateway({ keyId: 'rzp_test', keySecret: 'razorpay-secret', client: {} });
+
+    it('should verify the checkout signature with the key secret', async () => {
+      const signature = crypto.createHmac('sha256', 'razorpay-secret').update('order_1|pay_1').digest('hex');
+
+      expect((await gateway.verifyPayment({ orderId: 'order_1', paymentId: 'pay_1', signature })).success).toBe(true);
+      expect((await gateway.verifyPayment({ orderId: 'order_2', paymentId: 'pay_1', signature })).success).toBe(false);
+      expect((await gateway.verifyPayment({ orderId: 'order_1', paymentId: 'pay_1' })).success).toBe(false);
+    });
+
+    it('should create orders in paise', async () => {
+      const create = jest.fn().mockResolvedValue({ id: 'order_9', currency: 'INR' });
+      const withClient = new RazorpayGateway({ keyId: 'rzp_test', keySecret: 'secret', client: { orders: { create } } });
+
+      const order = await withClient.createOrder({ amount: 99.5, reference: 'DEPTEST9' });
+
+      expect(create.mock.calls[0][0]).toMatchObject({ amount: 9950, receipt: 'DEPTEST9' });
+      expect(order).toMatchObject({ orderId: 'order_9', amount: 99.5 });
+    });
+
+    it('should find a captured payment among an order\'s attempts', async () => {
+      const fetchPayments = jest.fn()
+        .mockResolvedValueOnce({ items: [{ id: 'pay_1', status: 'failed' }, { id: 'pay_2', status: 'captured' }] })
+        .mockResolvedValueOnce({ items: [{ id: 'pay_3', status: 'authorized' }] })
+        .mockResolvedValueOnce({ items: [{ id: 'pay_4', status: 'failed', error_description: 'Card declined' }] });
+      const withClient = new RazorpayGateway({ keyId: 'rzp_test', keySecret: 'secret', client: { orders: { fetchPayments } } });
+
+      expect(await withClient.fetchPayment({ orderId: 'order_1' })).toMatchObject({ success: true, paymentId: 'pay_2' });
+      expect(await withClient.fetchPayment({ orderId: 'order_1' })).toMatchObject({ success: false, status: 'pending' });
+      expect(await withClient.fetchPayment({ orderId: 'order_1' })).toMatchObject({ status: 'failed', message: 'Card declined' });
+    });
+  });
+
+  describe('Deposit confirmation', () => {
+    let user;
+    let token;
+
+    beforeEach(async () => {
+      user = await testUtils.createTestUser();
+      token = testUtils.generateTestToken(user);
+    });
+
+    // Start a deposit through the wallet route; the fake gateway's order carries signed payments
+    const startDeposit = async (amount = 500) => {
+      const response = await request(app)
+        .post('/api/wallet/deposit')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ amount, paymentMethod: 'card' })
+        .expect(201);
+      return response.body.data;
+    };
+
+    const verify = (reference, { paymentId, signature }) => request(app)
+      .post(`/api/wallet/deposit/${reference}/verify`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ paymentId, signature });
+
+    const walletOf = async () => (await User.findById(user._id)).wallet;
+    const postingsOf = (reference) => LedgerEntry.countDocuments({ journalId: reference });
+
+    it('should credit the wallet only for the confirmation that completes the deposit', async () => {
+      const { transactionId, order } = await startDeposit();
+
+      const responses = await Promise.all([
+        verify(transactionId, order.clientData.payment),
+        verify(transactionId, order.clientData.payment)
+      ]);
+
+      expect(responses.map(response => response.status)).toEqual([200, 200]);
+      expect(responses.map(response => response.body.data.status)).toEqual(['completed', 'completed']);
+      expect(await walletOf()).toMatchObject({ balance: 500, deposit: 500, totalDeposited: 500 });
+      expect(await postingsOf(transactionId)).toBe(2);
+
+      const replay = await verify(transactionId, order.clientData.payment).expect(200);
+      expect(replay.body.message).toBe('Deposit successful');
+      expect((await walletOf()).balance).toBe(500);
+    });
+
+    it('should fail the deposit without crediting when the gateway declines', async () => {
+      const { transactionId, order } = await startDeposit();
+
+      const response = await verify(transactionId, order.clientData.declinedPayment).expect(400);
+
+      expect(response.body.message).toBe('Payment failed: Payment declined');
+      const failed = await Transaction.findOne({ reference: transactionId });
+      expect(failed).toMatchObject({ status: 'failed', retryCount: 1, failureReason: 'Payment declined' });
+      expect(failed.nextRetryAt.getTime()).toBeGreaterThan(Date.now());
+      expect((await walletOf()).balance).toBe(0);
+    });
+
+    it('should leave the deposit pending for the next confirmation when the credit fails', async () => {
+      const { transactionId, order } = await startDeposit();
+      // A journal already holds the deposit's wallet posting, so posting the credit fails
+      const collision = await LedgerEntry.create({
+        journalId: transactionId,
+        type: 'deposit',
+        account: accountFor('deposit'),
+        userId: user._id,
+        amount: 0
+      });
+
+      await expect(PaymentService.confirmDeposit(user._id, transactionId, order.clientData.payment))
+        .rejects.toMatchObject({ code: 11000 });
+
+      expect((await Transaction.findOne({ reference: transactionId })).status).toBe('pending');
+      expect((await walletOf()).balance).toBe(0);
+
+      await LedgerEntry.deleteOne({ _id: collision._id });
+      await verify(transactionId, order.clientData.payment).expect(200);
+
+      expect((await walletOf()).balance).toBe(500);
+    });
+
+    it('should not confirm another user\'s deposit', async () => {
+      const { transactionId, order } = await startDeposit();
+      token = testUtils.generateTestToken(await testUtils.createTestUser());
+
+      const response = await verify(transactionId, order.clientData.payment).expect(404);
+
+      expect(response.body.message).toBe('Deposit not found');
+      expect((await walletOf()).balance).toBe(0);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const fake = getGateway('fake');
+
+    let user;
+
+    beforeEach(async () => {
+      user = await testUtils.createTestUser();
+    });
+
+    const sendWebhook = (type, data, gateway = 'fake') => {
+      const { body, headers } = fake.webhook(type, data);
+      return request(app)
+        .post(`/api/payments/webhook/${gateway}`)
+        .set(headers)
+        .set('Content-Type', 'application/json')
+        .send(body);
+    };
+
+    const startDeposit = async (amount = 300) => {
+      const { transaction } = await PaymentService.createDeposit(user, { amount, paymentMethod: 'card' });
+      return transaction;
+    };
+
+    const walletOf = async () => (await User.findById(user._id)).wallet;
+    const reload = (transaction) => Transaction.findById(transaction._id);
+
+    it('should reject a webhook whose body does not match its signature', async () => {
+      const { body, headers } = fake.webhook('payment.succeeded', { orderId: 'fake_order_X' });
+
+      const response = await request(app)
+        .post('/api/payments/webhook/fake')
+        .set(headers)
+        .set('Content-Type', 'application/json')
+        .send(body.replace('fake_order_X', 'fake_order_Y'))
+        .expect(400);
+
+      expect(response.body.message).toBe('Invalid webhook signature');
+    });
+
+    it('should reject webhooks for unknown gateways', async () => {
+      await sendWebhook('payment.succeeded', {}, 'paypal').expect(404);
+    });
+
+    it('should credit a replayed capture webhook only once', async () => {
+      const deposit = await startDeposit();
+      const event = { orderId: deposit.externalReference, paymentId: 'fake_pay_1' };
+
+      const first = await sendWebhook('payment.succeeded', event).expect(200);
+      const replay = await sendWebhook('payment.succeeded', event).expect(200);
+
+      expect(first.body.message).toBe('Webhook processed');
+      expect(replay.body.message).toBe('Webhook ignored');
+      expect(await reload(deposit)).toMatchObject({ status: 'completed', gatewayResponse: { transactionId: 'fake_pay_1' } });
+      expect(await walletOf()).toMatchObject({ balance: 300, deposit: 300 });
+    });
+
+    it('should ignore a failure webhook that arrives after the capture', async () => {
+      const deposit = await startDeposit();
+      await sendWebhook('payment.succeeded', { orderId: deposit.externalReference, paymentId: 'fake_pay_1' }).expect(200);
+
+      const response = await sendWebhook('payment.failed', {
+        orderId: deposit.externalReference,
+        message: 'Card declined'
+      }).expect(200);
+
+      expect(response.body.message).toBe('Webhook ignored');
+      expect((await reload(deposit)).status).toBe('completed');
+      expect((await walletOf()).balance).toBe(300);
+    });
+
+    describe('refunds', () => {
+      let deposit;
+
+      beforeEach(async () => {
+        deposit = await startDeposit();
+        await sendWebhook('payment.succeeded', { orderId: deposit.externalReference, paymentId: 'fake_pay_1' }).expect(200);
+        // The gateway accepts the refund and settles it later by webhook
+        jest.spyOn(fake, 'refund').mockResolvedValue({ refundId: 'fake_refund_1', status: 'pending' });
+        await PaymentService.refundDeposit(deposit._id, { reason: 'Requested by user' });
+      });
+
+      const refundOf = () => Transaction.findOne({ reference: `RFD-${deposit.reference}` });
+
+      it('should hold the refunded amount until the gateway settles the refund', async () => {
+        expect(await refundOf()).toMatchObject({ status: 'pending', externalReference: 'fake_refund_1' });
+        expect(await walletOf()).toMatchObject({ balance: 0, deposit: 0, totalDeposited: 0 });
+
+        await sendWebhook('refund.processed', { refundId: 'fake_refund_1' }).expect(200);
+
+        expect((await refundOf()).status).toBe('completed');
+        expect(await reload(deposit)).toMatchObject({ status: 'refunded', reversalReason: 'Requested by user' });
+      });
+
+      it('should return a failed refund to the wallet once', async () => {
+        const first = await sendWebhook('refund.failed', { refundId: 'fake_refund_1', message: 'Account closed' }).expect(200);
+        const replay = await sendWebhook('refund.failed', { refundId: 'fake_refund_1', message: 'Account closed' }).expect(200);
+
+        expect(first.body.message).toBe('Webhook processed');
+        expect(replay.body.message).toBe('Webhook ignored');
+        expect(await refundOf()).toMatchObject({ status: 'failed', failureReason: 'Account closed' });
+        expect(await Transaction.findOne({ reference: `REV-RFD-${deposit.reference}` })).toMatchObject({ status: 'completed', amount: 300 });
+        expect(await walletOf()).toMatchObject({ balance: 300, deposit: 300, totalDeposited: 300 });
+        expect((await reload(deposit)).status).toBe('completed');
+      });
+    });
+
+    it('should verify Razorpay webhooks with the webhook secret', async () => {
+      const gateway = new RazorpayGateway({ keyId: 'rzp_test', keySecret: 'key', webhookSecret: 'hook-secret', client: {} });
+      const body = JSON.stringify({
+        event: 'payment.captured',
+        payload: { payment: { entity: { id: 'pay_7', order_id: 'order_7', status: 'captured' } } }
+      });
+      const signature = crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex');
+
+      const event = await gateway.parseWebhook(Buffer.from(body), { 'x-razorpay-signature': signature });
+
+      expect(event).toMatchObject({ type: 'payment.succeeded', orderId: 'order_7', paymentId: 'pay_7' });
+      await expect(gateway.parseWebhook(Buffer.from(body), { 'x-razorpay-signature': 'bad' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('should verify Stripe webhooks with the endpoint secret', async () => {
+      const gateway = new StripeGateway({ secretKey: 'sk_test_key', webhookSecret: 'whsec_test' });
+      const body = JSON.stringify({
+        id: 'evt_1',
+        type: 'payment_intent.payment_failed',
+        data: { object: { id: 'pi_1', object: 'payment_intent', last_payment_error: { message: 'Card declined' } } }
+      });
+      const header = gateway.getClient().webhooks.generateTestHeaderString({ payload: body, secret: 'whsec_test' });
+
+      const event = await gateway.parseWebhook(Buffer.from(body), { 'stripe-signature': header });
+
+      expect(event).toMatchObject({ id: 'evt_1', type: 'payment.failed', orderId: 'pi_1', message: 'Card declined' });
+      await expect(gateway.parseWebhook(Buffer.from(body), { 'stripe-signature': 't=1,v1=bad' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+});
@@ -0,0 +1,294 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Beneficiary = require('../src/models/Beneficiary');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const PayoutBatch = require('../src/models/PayoutBatch');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const LedgerService = require('../src/services/ledgerService');
+const NotificationService = require('../src/services/notificationService');
+const PayoutService = require('../src/services/payoutService');
+const { toCsv, parseCsv } = require('../src/services/csv');
+const { accountFor, WITHDRAWABLE_BALANCES } = require('../src/services/walletBalances');
+
+describe('Withdrawal payouts', () => {
+  let admin;
+  let token;
+
+  beforeEach(async () => {
+    admin = await testUtils.createTestUser({ role: 'admin' });
+    token = testUtils.generateTestToken(admin);
+    // Notifications leave the system; only what is sent is checked
+    jest.spyOn(NotificationService, 'sendWalletUpdateNotification').mockResolvedValue({});
+  });
+
+  // A user with `winnings` to withdraw and a verified bank account
+  const createPayee = async (winnings = 1500) => {
+    const user = await testUtils.createTestUser({ wallet: { balance: winnings, winnings } });
+    const beneficiary = await Beneficiary.create({
+      userId: user._id,
+      accountHolderName: 'Rahul Sharma',
+      accountNumber: '123456789012',
+      ifscCode: 'HDFC0001234',
+      status: 'verified'
+    });
+    return { user, beneficiary };
+  };
+
+  // A pending withdrawal whose amount has left the payee's winnings, as POST /api/wallet/withdraw leaves it
+  const createWithdrawal = async (payee, amount = 500, overrides = {}) => {
+    const transaction = new Transaction({
+      userId: payee.user._id,
+      type: 'withdrawal',
+      amount: -amount,
+      status: 'pending',
+      description: 'Withdrawal',
+      reference: Transaction.generateReference(),
+      paymentMethod: 'bank_transfer',
+      paymentGateway: 'internal',
+      metadata: { beneficiaryId: payee.beneficiary._id },
+      netAmount: -amount,
+      balanceBefore: 0,
+      balanceAfter: 0,
+      ...overrides
+    });
+    await LedgerService.debit(transaction, {
+      amount,
+      account: 'platform_gateway',
+      order: WITHDRAWABLE_BALANCES,
+      inc: { 'wallet.totalWithdrawn': amount }
+    });
+    return transaction;
+  };
+
+  const createBatch = (body = {}) => request(app)
+    .post('/api/admin/payouts/batches')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const importResponse = (batchId, csv) => request(app)
+    .post(`/api/admin/payouts/batches/${batchId}/response`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(csv), 'response.csv');
+
+  const reload = (transaction) => Transaction.findById(transaction._id);
+  const walletOf = async ({ user }) => (await User.findById(user._id)).wallet;
+
+  describe('CSV', () => {
+    it('should quote cells with commas, quotes and line breaks and read them back', () => {
+      const columns = [
+        { header: 'Name', value: row => row.name },
+        { header: 'Amount', value: row => row.amount }
+      ];
+      const csv = toCsv(columns, [{ name: 'Sharma, "Rahul"\nKumar', amount: 500 }]);
+
+      expect(csv).toBe('Name,Amount\r\n"Sharma, ""Rahul""\nKumar",500\r\n');
+      expect(parseCsv(csv)).toEqual([{ name: 'Sharma, "Rahul"\nKumar', amount: '500' }]);
+    });
+
+    it('should stop text cells from running as spreadsheet formulas', () => {
+      const csv = toCsv([{ header: 'Name', value: row => row }], ['=HYPERLINK("x")', -5]);
+      expect(csv.split('\r\n').slice(1, 3)).toEqual(['"\'=HYPERLINK(""x"")"', '-5']);
+    });
+  });
+
+  describe('parseResponse', () => {
+    it('should map bank statuses to outcomes', () => {
+      const rows = PayoutService.parseResponse([
+        'Transaction Reference,Amount,Status,UTR Number,Remarks',
+        'WIT1,500.00,Success,N123,',
+        'WIT2,250.00,REJECTED,,Invalid account',
+        'WIT3,100.00,In Progress,,'
+      ].join('\n'));
+
+      expect(rows.map(row => row.outcome)).toEqual(['completed', 'failed', null]);
+      expect(rows[0]).toMatchObject({ reference: 'WIT1', utr: 'N123', amount: 500 });
+      expect(rows[1].reason).toBe('Invalid account');
+    });
+
+    it('should refuse a file without a reference column', () => {
+      expect(() => PayoutService.parseResponse('Status\nSUCCESS\n')).toThrow('Response file needs a Transaction Reference column');
+    });
+  });
+
+  describe('batches', () => {
+    let payee;
+
+    beforeEach(async () => {
+      payee = await createPayee();
+    });
+
+    it('should batch pending withdrawals to a bank account, oldest first', async () => {
+      const oldest = await createWithdrawal(payee, 250.5);
+      const newer = await createWithdrawal(payee, 500);
+      const batched = await createWithdrawal(payee, 100, { payoutBatchId: new mongoose.Types.ObjectId() });
+      const settled = await createWithdrawal(payee, 100, { status: 'completed' });
+      const noAccount = await createWithdrawal(payee, 100, { metadata: {} });
+      await Transaction.collection.updateOne({ _id: oldest._id }, { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } });
+
+      const first = await createBatch({ limit: 1 }).expect(201);
+      expect(first.body.data).toMatchObject({ count: 1, totalAmount: 250.5, status: 'open' });
+      expect((await reload(oldest)).payoutBatchId.toString()).toBe(first.body.data.id);
+
+      const second = await createBatch().expect(201);
+      expect(second.body.data).toMatchObject({ count: 1, totalAmount: 500 });
+      expect((await reload(newer)).payoutBatchId.toString()).toBe(second.body.data.id);
+
+      const none = await createBatch().expect(400);
+      expect(none.body.message).toBe('No pending withdrawals to pay out');
+
+      expect((await reload(batched)).payoutBatchId).toEqual(batched.payoutBatchId);
+      expect((await reload(settled)).payoutBatchId).toBeUndefined();
+      expect((await reload(noAccount)).payoutBatchId).toBeUndefined();
+    });
+
+    it('should put each withdrawal in only one batch when admins batch at once', async () => {
+      const withdrawals = [await createWithdrawal(payee), await createWithdrawal(payee)];
+
+      const responses = await Promise.all([createBatch(), createBatch()]);
+
+      expect(responses.some(response => response.status === 201)).toBe(true);
+      const batches = await PayoutBatch.find();
+      expect(batches.reduce((sum, batch) => sum + batch.count, 0)).toBe(2);
+      for (const withdrawal of withdrawals) {
+        const { payoutBatchId } = await reload(withdrawal);
+        const batch = batches.find(b => b._id.equals(payoutBatchId));
+        expect(batch.transactionIds).toContainEqual(withdrawal._id);
+      }
+    });
+
+    it('should write the bank transfer file for the unsettled withdrawals', async () => {
+      const withdrawal = await createWithdrawal(payee, 500);
+      const { id } = (await createBatch().expect(201)).body.data;
+
+      const response = await request(app)
+        .get(`/api/admin/payouts/batches/${id}/file`)
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(parseCsv(response.text)).toEqual([expect.objectContaining({
+        'beneficiary name': 'Rahul Sharma',
+        'beneficiary account number': '123456789012',
+        'ifsc code': 'HDFC0001234',
+        amount: '500.00',
+        'transaction reference': withdrawal.reference
+      })]);
+      expect((await PayoutBatch.findById(id)).downloadedAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('bank response', () => {
+    let payee;
+    let paid;
+    let bounced;
+    let waiting;
+    let batchId;
+
+    beforeEach(async () => {
+      payee = await createPayee(1500);
+      paid = await createWithdrawal(payee);
+      bounced = await createWithdrawal(payee);
+      waiting = await createWithdrawal(payee);
+      batchId = (await createBatch().expect(201)).body.data.id;
+    });
+
+    const responseFile = (waitingStatus) => [
+      'Transaction Reference,Status,UTR,Reason,Amount',
+      `${paid.reference},SUCCESS,N0001,,500`,
+      `${bounced.reference},RETURNED,,Account closed,500`,
+      `${waiting.reference},${waitingStatus},,,500`,
+      'WITUNKNOWN,SUCCESS,N0003,,500'
+    ].join('\r\n');
+
+    it('should complete paid withdrawals and return failed ones to winnings', async () => {
+      const response = await importResponse(batchId, responseFile('In Progress')).expect(200);
+
+      expect(response.body.data).toMatchObject({ completed: 1, failed: 1 });
+      expect(response.body.data.skipped).toEqual([
+        { reference: waiting.reference, reason: 'Bank status IN PROGRESS' },
+        { reference: 'WITUNKNOWN', reason: 'Not a withdrawal in this batch' }
+      ]);
+      expect(response.body.data.batch).toMatchObject({ status: 'open', completedCount: 1, failedCount: 1, pendingCount: 1 });
+
+      expect(await reload(paid)).toMatchObject({ status: 'completed', externalReference: 'N0001', isSettled: true });
+      expect(await reload(bounced)).toMatchObject({ status: 'failed', failureReason: 'Account closed' });
+      expect((await reload(waiting)).status).toBe('pending');
+
+      const reversal = await Transaction.findOne({ reference: `REV-${bounced.reference}` });
+      expect(reversal).toMatchObject({ type: 'refund', amount: 500, status: 'completed' });
+      expect(reversal.metadata.originalTransactionId).toEqual(bounced._id);
+      expect(await LedgerService.isPosted(reversal.reference)).toBe(true);
+      expect(await walletOf(payee)).toMatchObject({ balance: 500, winnings: 500, totalWithdrawn: 1000 });
+    });
+
+    it('should apply each row only once when a file is imported again', async () => {
+      await importResponse(batchId, responseFile('In Progress')).expect(200);
+
+      const response = await importResponse(batchId, responseFile('SUCCESS')).expect(200);
+
+      expect(response.body.data).toMatchObject({ completed: 1, failed: 0 });
+      expect(response.body.data.skipped.slice(0, 2)).toEqual([
+        { reference: paid.reference, reason: 'Already completed' },
+        { reference: bounced.reference, reason: 'Already failed' }
+      ]);
+      expect(await walletOf(payee)).toMatchObject({ balance: 500, winnings: 500 });
+
+      const batch = await PayoutBatch.findById(batchId);
+      expect(batch).toMatchObject({ status: 'reconciled', completedCount: 2, failedCount: 1 });
+      expect(batch.reconciledAt).toBeInstanceOf(Date);
+      expect(batch.imports).toHaveLength(2);
+    });
+
+    it('should skip rows whose amount does not match the withdrawal', async () => {
+      const response = await importResponse(batchId,
+        `Transaction Reference,Status,Amount\n${paid.reference},SUCCESS,5000\n`).expect(200);
+
+      expect(response.body.data.completed).toBe(0);
+      expect(response.body.data.skipped[0].reason).toBe('Bank amount 5000 does not match 500');
+      expect((await reload(paid)).status).toBe('pending');
+    });
+
+    it('should refuse a file without a reference column', async () => {
+      const response = await importResponse(batchId, 'Status\nSUCCESS\n').expect(400);
+
+      expect(response.body.message).toBe('Response file needs a Transaction Reference column');
+    });
+  });
+
+  describe('failWithdrawal', () => {
+    let payee;
+    let withdrawal;
+
+    beforeEach(async () => {
+      payee = await createPayee(500);
+      withdrawal = await createWithdrawal(payee);
+    });
+
+    it('should put the withdrawal back to pending when the reversal fails', async () => {
+      // A journal already holds the reversal's wallet posting, so posting the reversal fails
+      await LedgerEntry.create({
+        journalId: `REV-${withdrawal.reference}`,
+        type: 'refund',
+        account: accountFor('winnings'),
+        userId: payee.user._id,
+        amount: 0
+      });
+
+      await expect(PayoutService.failWithdrawal(withdrawal, 'Account closed')).rejects.toMatchObject({ code: 11000 });
+
+      expect((await reload(withdrawal)).status).toBe('pending');
+      expect(await walletOf(payee)).toMatchObject({ balance: 0, winnings: 0, totalWithdrawn: 500 });
+    });
+
+    it('should do nothing for a withdrawal that is no longer pending', async () => {
+      await Transaction.updateOne({ _id: withdrawal._id }, { $set: { status: 'completed' } });
+
+      expect(await PayoutService.failWithdrawal(withdrawal, 'Account closed')).toBeNull();
+
+      expect(await Transaction.exists({ reference: `REV-${withdrawal.reference}` })).toBeNull();
+      expect((await walletOf(payee)).winnings).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Contest = require('../src/models/Contest');
+const ContestEntry = require('../src/models/ContestEntry');
+const User = require('../src/models/User');
+
+describe('Private contests', () => {
+  let match;
+  let host;
+
+  // A user with 100 in deposit and a team for the match
+  const createPlayer = async (userData = {}) => {
+    const user = await testUtils.createTestUser({ wallet: { balance: 100, deposit: 100 }, ...userData });
+    const team = await testUtils.createTestTeam(user, match._id);
+    return { user, team, token: testUtils.generateTestToken(user) };
+  };
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch();
+    host = await createPlayer({ username: 'host' });
+  });
+
+  const createContest = (values = {}) => request(app)
+    .post('/api/contests/private')
+    .set('Authorization', `Bearer ${host.token}`)
+    .send({
+      name: 'Office league',
+      matchId: match._id.toString(),
+      entryFee: 50,
+      totalSpots: 10,
+      ...values
+    });
+
+  const join = (player, contest, invite = {}) => request(app)
+    .post(`/api/contests/${contest._id}/join`)
+    .set('Authorization', `Bearer ${player.token}`)
+    .send({ teamId: player.team._id.toString(), ...invite });
+
+  const view = (player, contest) => request(app)
+    .get(`/api/contests/${contest._id}`)
+    .set('Authorization', `Bearer ${player.token}`);
+
+  describe('create', () => {
+    it('should pay out the collected fees less commission and follow the match deadline', async () => {
+      const response = await createContest({
+        entryFee: 100,
+        prizeSplit: [
+          { rankFrom: 1, rankTo: 1, percentage: 50 },
+          { rankFrom: 2, rankTo: 3, percentage: 25 }
+        ]
+      }).expect(201);
+
+      const { invite } = response.body.data;
+      const contest = await Contest.findById(response.body.data.contest._id).select('+inviteCode');
+      expect(contest.contestType).toBe('private');
+      expect(contest.prizePool).toBe(900);
+      expect(contest.prizeDistribution.map(({ rankFrom, rankTo, prize }) => ({ rankFrom, rankTo, prize }))).toEqual([
+        { rankFrom: 1, rankTo: 1, prize: 450 },
+        { rankFrom: 2, rankTo: 3, prize: 225 }
+      ]);
+      expect(contest.registrationDeadline).toEqual(match.fantasyDeadline);
+      expect(contest.createdBy).toEqual(host.user._id);
+      expect(invite.inviteCode).toBe(contest.inviteCode);
+      expect(invite.inviteCode).toMatch(/^[A-HJ-KM-NP-Z2-9]{8}$/);
+      expect(invite.shareLink).toContain(`/contests/${contest._id}/join?token=${invite.token}`);
+    });
+
+    it('should only run once every spot is taken, as the pool counts on a full contest', async () => {
+      const response = await createContest().expect(201);
+      const contest = await Contest.findById(response.body.data.contest._id);
+
+      expect(contest.minEntries).toBe(10);
+      contest.filledSpots = 2;
+      expect(contest.isUnderFilled).toBe(true);
+      contest.filledSpots = 10;
+      expect(contest.isUnderFilled).toBe(false);
+    });
+
+    it('should reject entry fees and sizes outside the platform limits', async () => {
+      expect((await createContest({ entryFee: 20000 }).expect(400)).body.message).toBe('Entry fee must be between ₹1 and ₹10,000');
+      expect((await createContest({ totalSpots: 500 }).expect(400)).body.message).toBe('A private contest has between 2 and 100 spots');
+      expect(await Contest.countDocuments()).toBe(0);
+    });
+
+    it('should reject a prize split that does not pay out the whole pool', async () => {
+      const response = await createContest({ prizeSplit: [{ rankFrom: 1, rankTo: 2, percentage: 40 }] }).expect(400);
+
+      expect(response.body.message).toBe('The prize split must pay out 100% of the pool, not 80%');
+    });
+
+    it('should refuse unknown matches and matches past their fantasy deadline', async () => {
+      await createContest({ matchId: new mongoose.Types.ObjectId().toString() }).expect(404);
+
+      match = await testUtils.createTestMatch({
+        startTime: new Date(Date.now() + 60 * 60 * 1000),
+        fantasyDeadline: new Date(Date.now() - 60 * 1000)
+      });
+      const response = await createContest().expect(400);
+
+      expect(response.body.message).toBe('Contests can no longer be created for this match');
+    });
+  });
+
+  describe('access', () => {
+    let contest;
+    let invite;
+    let friend;
+
+    beforeEach(async () => {
+      const response = await createContest().expect(201);
+      ({ contest, invite } = response.body.data);
+      friend = await createPlayer();
+    });
+
+    it('should let in holders of the invite code or a share link', async () => {
+      await join(friend, contest, { inviteCode: invite.inviteCode.toLowerCase() }).expect(200);
+      await join(await createPlayer(), contest, { token: invite.token }).expect(200);
+
+      expect(await ContestEntry.countDocuments({ contestId: contest._id })).toBe(2);
+    });
+
+    it('should turn away strangers and tampered links', async () => {
+      const tampered = `${invite.token.slice(0, -1)}${invite.token.endsWith('A') ? 'B' : 'A'}`;
+
+      const response = await join(friend, contest, { token: tampered }).expect(403);
+
+      expect(response.body.message).toBe('This private contest can only be joined with an invite code or share link');
+      await join(friend, contest, { inviteCode: 'WRONGONE' }).expect(403);
+      await join(friend, contest).expect(403);
+      await view(friend, contest).expect(403);
+      expect((await User.findById(friend.user._id)).wallet.balance).toBe(100);
+    });
+
+    it('should let in the creator and existing participants without an invite', async () => {
+      await view(host, contest).expect(200);
+
+      await join(friend, contest, { inviteCode: invite.inviteCode }).expect(200);
+
+      await view(friend, contest).expect(200);
+    });
+
+    it('should find the contest by its invite code and share the invite only with its creator', async () => {
+      const found = await request(app)
+        .get(`/api/contests/invite/${invite.inviteCode.toLowerCase()}`)
+        .set('Authorization', `Bearer ${friend.token}`)
+        .expect(200);
+      expect(found.body.data._id).toBe(contest._id);
+
+      const getInvite = (player) => request(app)
+        .get(`/api/contests/${contest._id}/invite`)
+        .set('Authorization', `Bearer ${player.token}`);
+
+      expect((await getInvite(host).expect(200)).body.data).toEqual(invite);
+      expect((await getInvite(friend).expect(403)).body.message).toBe('Only the contest creator can share its invite');
+    });
+  });
+
+  describe('lobbyFilter', () => {
+    it('should keep private contests out of the lobby even when asked for', () => {
+      expect(Contest.lobbyFilter({ sport: 'cricket' })).toEqual({
+        sport: 'cricket',
+        isActive: true,
+        isVisible: true,
+        contestType: { $nin: ['private', 'head-to-head'] }
+      });
+      expect(Contest.lobbyFilter({ contestType: 'private' }).contestType).toEqual({ $eq: 'private', $nin: ['private', 'head-to-head'] });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const {
+  getTotalPayout,
+  validateDistribution,
+  rankAndAward
+} = require('../src/services/prizeDistribution');
+const Contest = require('../src/models/Contest');
+
+describe('Prize Distribution', () => {
+  const distribution = [
+    { rankFrom: 1, rankTo: 1, prize: 500 },
+    { rankFrom: 2, rankTo: 3, prize: 200 },
+    { rankFrom: 4, rankTo: 10, prize: 50 }
+  ];
+
+  describe('validateDistribution', () => {
+    it('should accept rank-range tiers within the prize pool', () => {
+      expect(getTotalPayout(distribution)).toBe(500 + 400 + 350);
+      expect(validateDistribution(distribution, 1250, 100)).toEqual([]);
+    });
+
+    it('should reject a distribution that exceeds the prize pool', () => {
+      const errors = validateDistribution(distribution, 1000, 100);
+
+      expect(errors).toHaveLength(1);
+      expect(errors[0]).toContain('exceeds');
+    });
+
+    it('should reject overlapping tiers and tiers beyond the spots', () => {
+      const errors = validateDistribution([
+        { rankFrom: 1, rankTo: 5, prize: 10 },
+        { rankFrom: 5, rankTo: 20, prize: 5 }
+      ], 10000, 10);
+
+      expect(errors.some(e => e.includes('overlaps'))).toBe(true);
+      expect(errors.some(e => e.includes('available spots'))).toBe(true);
+    });
+
+    it('should accept legacy single-rank entries', () => {
+      expect(validateDistribution([{ rank: 1, prize: 100 }], 100, 2)).toEqual([]);
+    });
+  });
+
+  describe('rankAndAward', () => {
+    it('should give tied entries a shared rank and split their prizes', () => {
+      const entries = [
+        { id: 'a', points: 90 },
+        { id: 'b', points: 120 },
+        { id: 'c', points: 90 },
+        { id: 'd', points: 40 }
+      ];
+
+      const ranked = rankAndAward(entries, distribution);
+      const byId = Object.fromEntries(ranked.map(r => [r.entry.id, r]));
+
+      expect(byId.b).toMatchObject({ rank: 1, prize: 500 });
+      // a and c occupy ranks 2 and 3 and split 200 + 200
+      expect(byId.a).toMatchObject({ rank: 2, prize: 200 });
+      expect(byId.c).toMatchObject({ rank: 2, prize: 200 });
+      expect(byId.d).toMatchObject({ rank: 4, prize: 50 });
+    });
+
+    it('should split across tier boundaries without exceeding the combined prize', () => {
+      const entries = [{ points: 10 }, { points: 10 }, { points: 10 }];
+
+      const ranked = rankAndAward(entries, [
+        { rankFrom: 1, rankTo: 1, prize: 100 },
+        { rankFrom: 2, rankTo: 2, prize: 50 }
+      ]);
+
+      // Ranks 1-3 pay 150 in total, split three ways
+      ranked.forEach(r => {
+        expect(r.rank).toBe(1);
+        expect(r.prize).toBe(50);
+      });
+    });
+
+    it('should round split prizes down to the paisa', () => {
+      const ranked = rankAndAward(
+        [{ points: 1 }, { points: 1 }, { points: 1 }],
+        [{ rankFrom: 1, rankTo: 1, prize: 100 }]
+      );
+
+      expect(ranked[0].prize).toBe(33.33);
+    });
+  });
+
+  describe('Contest model', () => {
+    const baseContest = {
+      name: 'Mega Contest',
+      matchId: '507f1f77bcf86cd799439011',
+      sport: 'cricket',
+      contestType: 'public',
+      entryFee: 10,
+      totalSpots: 100,
+      prizePool: 1000,
+      teamSize: 11,
+      startTime: new Date(Date.now() + 60 * 60 * 1000),
+      registrationDeadline: new Date(Date.now() + 30 * 60 * 1000)
+    };
+
+    it('should reject a distribution larger than the prize pool on save', async () => {
+      const contest = new Contest({
+        ...baseContest,
+        prizeDistribution: [{ rankFrom: 1, rankTo: 50, prize: 100 }]
+      });
+
+      await expect(contest.validate()).rejects.toThrow('exceeds');
+    });
+
+    it('should convert legacy rank entries and derive maxWinners', async () => {
+      const contest = new Contest({
+        ...baseContest,
+        prizeDistribution: [{ rank: 1, prize: 500 }, { rankFrom: 2, rankTo: 11, prize: 50 }]
+      });
+
+      await contest.validate();
+
+      expect(contest.prizeDistribution[0].rankFrom).toBe(1);
+      expect(contest.prizeDistribution[0].rankTo).toBe(1);
+      expect(contest.maxWinners).toBe(11);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const User = require('../src/models/User');
+const Transaction = require('../src/models/Transaction');
+const ResponsibleGamingService = require('../src/services/responsibleGamingService');
+
+describe('Responsible gaming', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+  const HOUR_MS = 60 * 60 * 1000;
+
+  let user;
+  let token;
+
+  const createPlayer = async (responsibleGaming = {}) => {
+    user = await testUtils.createTestUser({ responsibleGaming });
+    token = testUtils.generateTestToken(user);
+  };
+
+  // A transaction of the user's made `hoursAgo` hours ago
+  const record = async (type, amount, { hoursAgo = 0, ...overrides } = {}) => {
+    const transaction = await new Transaction({
+      userId: user._id,
+      type,
+      amount,
+      status: 'completed',
+      description: type,
+      reference: Transaction.generateReference(type),
+      netAmount: amount,
+      balanceBefore: 0,
+      balanceAfter: 0,
+      ...overrides
+    }).save();
+    if (hoursAgo) {
+      await Transaction.collection.updateOne({ _id: transaction._id }, { $set: { createdAt: new Date(Date.now() - hoursAgo * HOUR_MS) } });
+    }
+    return transaction;
+  };
+
+  const setLimits = (body) => request(app)
+    .put('/api/wallet/responsible-gaming/limits')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const post = (path, body) => request(app)
+    .post(`/api/wallet/responsible-gaming/${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  const deposit = (amount) => request(app)
+    .post('/api/wallet/deposit')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ amount, paymentMethod: 'card' });
+
+  const settingsOf = async () => (await User.findById(user._id)).responsibleGaming;
+
+  describe('setLimits', () => {
+    it('should apply a new or lower limit at once', async () => {
+      await createPlayer({ depositLimits: { weekly: 5000 } });
+
+      const response = await setLimits({ deposit: { daily: 1000, weekly: 2000 } }).expect(200);
+
+      expect(response.body.message).toBe('Limits updated');
+      expect(response.body.data.limits.deposit).toEqual({ daily: 1000, weekly: 2000, monthly: null });
+      expect(response.body.data.pendingChanges).toEqual([]);
+      expect((await settingsOf()).depositLimits).toMatchObject({ daily: 1000, weekly: 2000 });
+    });
+
+    it('should hold back a raised or removed limit until the delay has passed', async () => {
+      await createPlayer({ spendLimits: { daily: 500, monthly: 5000 } });
+
+      const response = await setLimits({ spend: { daily: 2000, monthly: null } }).expect(200);
+
+      expect(response.body.message).toBe('Limits updated. Increases and removals take effect after the waiting period.');
+      expect(response.body.data.limits.spend).toEqual({ daily: 500, weekly: null, monthly: 5000 });
+      const [daily, monthly] = response.body.data.pendingChanges;
+      expect(daily).toMatchObject({ kind: 'spend', period: 'daily', value: 2000 });
+      expect(new Date(daily.effectiveAt) - new Date(daily.requestedAt)).toBe(24 * HOUR_MS);
+      expect(monthly).toMatchObject({ kind: 'spend', period: 'monthly', value: null });
+
+      // Once due, the changes move into the limits the next time they are read
+      await User.updateOne({ _id: user._id }, { $set: { 'responsibleGaming.pendingChanges.$[].effectiveAt': new Date(Date.now() - 1000) } });
+      const later = await request(app)
+        .get('/api/wallet/responsible-gaming')
+        .set('Authorization', `Bearer ${token}`)
+        .expect(200);
+
+      expect(later.body.data.limits.spend).toEqual({ daily: 2000, weekly: null, monthly: null });
+      expect(later.body.data.pendingChanges).toEqual([]);
+      expect((await settingsOf()).spendLimits.daily).toBe(2000);
+    });
+
+    it('should drop a pending increase when the limit is lowered again', async () => {
+      await createPlayer({ depositLimits: { daily: 500 } });
+
+      await setLimits({ deposit: { daily: 5000 } }).expect(200);
+      const response = await setLimits({ deposit: { daily: 300 } }).expect(200);
+
+      expect(response.body.data.limits.deposit.daily).toBe(300);
+      expect(response.body.data.pendingChanges).toEqual([]);
+      expect((await settingsOf()).pendingChanges).toHaveLength(0);
+    });
+  });
+
+  describe('assertWithinLimits', () => {
+    it('should reject a deposit past the tightest limit', async () => {
+      await createPlayer({ depositLimits: { daily: 2000, weekly: 3000 } });
+      await record('deposit', 500, { status: 'pending' });
+      await record('deposit', 2000, { hoursAgo: 72 });
+      await record('deposit', 1000, { status: 'failed' });
+      await record('deposit', 5000, { hoursAgo: 24 * 8 });
+
+      const response = await deposit(1000).expect(403);
+
+      expect(response.body.message).toBe('This would take you past your weekly deposit limit of ₹3,000. You can deposit up to ₹500 more right now.');
+      await deposit(500).expect(201);
+    });
+
+    it('should count contest spend net of contest refunds', async () => {
+      await createPlayer({ spendLimits: { daily: 100 } });
+      const contestId = new mongoose.Types.ObjectId();
+      await record('contest_entry', -60, { metadata: { contestId } });
+      await record('refund', 20, { metadata: { contestId } });
+      await record('refund', 30);
+
+      await expect(ResponsibleGamingService.assertWithinLimits(user, 'spend', 60)).resolves.toBeUndefined();
+      await expect(ResponsibleGamingService.assertWithinLimits(user, 'spend', 61)).rejects.toMatchObject({
+        statusCode: 403,
+        message: 'This would take you past your daily spend limit of ₹100. You can spend up to ₹60 more right now.'
+      });
+    });
+
+    it('should not limit a user who has set no limits', async () => {
+      await createPlayer();
+      await record('deposit', 100000);
+
+      await expect(ResponsibleGamingService.assertWithinLimits(user, 'deposit', 100000)).resolves.toBeUndefined();
+    });
+
+    it('should block play during a break or self-exclusion', async () => {
+      const onBreak = new User({ responsibleGaming: { coolOffUntil: new Date(now.getTime() + HOUR_MS) } });
+      const excluded = new User({ responsibleGaming: { selfExclusion: { startedAt: now, permanent: true } } });
+
+      await expect(ResponsibleGamingService.assertWithinLimits(onBreak, 'deposit', 10, now))
+        .rejects.toThrow(/You are taking a break until/);
+      expect(() => ResponsibleGamingService.assertCanPlay(excluded, now)).toThrow('You have permanently excluded yourself');
+      expect(() => ResponsibleGamingService.assertCanPlay(onBreak, new Date(now.getTime() + 2 * HOUR_MS))).not.toThrow();
+    });
+  });
+
+  describe('breaks', () => {
+    beforeEach(async () => {
+      await createPlayer();
+    });
+
+    it('should stop deposits during a break and not let it be cut short', async () => {
+      await post('cool-off', { days: 7 }).expect(200);
+      const { coolOffUntil } = await settingsOf();
+
+      expect((await deposit(100).expect(403)).body.message).toMatch(/^You are taking a break until/);
+      expect((await post('cool-off', { days: 1 }).expect(400)).body.message).toMatch(/^You are already taking a break until/);
+      expect((await settingsOf()).coolOffUntil).toEqual(coolOffUntil);
+      expect(await Transaction.exists({ userId: user._id })).toBeNull();
+    });
+
+    it('should exclude for whole months and refuse a shorter exclusion later', async () => {
+      const settings = await ResponsibleGamingService.selfExclude(user, { months: 12 }, now);
+
+      expect(settings.restriction).toEqual({ type: 'self_exclusion', until: new Date('2027-10-19T10:00:00Z') });
+      expect((await settingsOf()).selfExclusion).toMatchObject({ startedAt: now, until: new Date('2027-10-19T10:00:00Z') });
+
+      const response = await post('self-exclusion', { months: 6 }).expect(400);
+
+      expect(response.body.message).toBe('You are already excluded for longer than that');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const {
+  DEFAULT_SCORING_RULES,
+  resolveRules,
+  scorePerformance,
+  scorePlayer,
+  scoreTeam
+} = require('../src/services/scoringEngine');
+
+describe('Scoring Engine', () => {
+  describe('resolveRules', () => {
+    it('should fall back to defaults when no rules are given', () => {
+      expect(resolveRules('cricket')).toEqual(DEFAULT_SCORING_RULES.cricket);
+    });
+
+    it('should override only the rules a contest sets', () => {
+      const rules = resolveRules('cricket', { cricket: { six: 4 } });
+
+      expect(rules.six).toBe(4);
+      expect(rules.run).toBe(DEFAULT_SCORING_RULES.cricket.run);
+    });
+  });
+
+  describe('scorePerformance', () => {
+    it('should apply fifty, six and maiden bonuses', () => {
+      const { points, breakdown } = scorePerformance('cricket', {
+        runs: 62,
+        fours: 5,
+        sixes: 3,
+        maidens: 1
+      });
+
+      // 62 runs + 5 fours + 3 sixes * 2 + fifty 10 + maiden 10
+      expect(points).toBe(62 + 5 + 6 + 10 + 10);
+      expect(breakdown.map(b => b.rule)).toEqual(['run', 'four', 'six', 'fifty', 'maiden']);
+    });
+
+    it('should award a hundred instead of a fifty', () => {
+      const { breakdown } = scorePerformance('cricket', { runs: 104 });
+
+      expect(breakdown.find(b => b.rule === 'hundred')).toBeDefined();
+      expect(breakdown.find(b => b.rule === 'fifty')).toBeUndefined();
+    });
+
+    it('should apply negative football rules', () => {
+      const { points } = scorePerformance('football', { goals: 1, yellowCards: 1, redCards: 1 });
+
+      expect(points).toBe(10 - 1 - 3);
+    });
+  });
+
+  describe('scorePlayer', () => {
+    it('should apply the player captain bonus', () => {
+      const result = scorePlayer('football', {
+        playerId: 'p1',
+        isCaptain: true,
+        performance: { goals: 1 }
+      }, undefined, { captainBonus: 3 });
+
+      expect(result.multiplier).toBe(3);
+      expect(result.points).toBe(30);
+    });
+
+    it('should fall back to the configured vice-captain multiplier', () => {
+      const result = scorePlayer('football', {
+        playerId: 'p1',
+        isViceCaptain: true,
+        performance: { goals: 2 }
+      });
+
+      expect(result.points).toBe(30);
+    });
+  });
+
+  describe('scoreTeam', () => {
+    it('should score the same team differently under different contest rules', () => {
+      const team = {
+        sport: 'cricket',
+        players: [
+          { playerId: 'p1', performance: { runs: 20, sixes: 2 } },
+          { playerId: 'p2', performance: { wickets: 2 } }
+        ]
+      };
+
+      const standard = scoreTeam(team, DEFAULT_SCORING_RULES);
+      const sixHitters = scoreTeam(team, { cricket: { six: 10 } });
+
+      expect(standard.totalPoints).toBe(20 + 4 + 20);
+      expect(sixHitters.totalPoints).toBe(20 + 20 + 20);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const Contest = require('../src/models/Contest');
+const ContestEntry = require('../src/models/ContestEntry');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+require('../src/models/Player');
+const LedgerService = require('../src/services/ledgerService');
+const SettlementService = require('../src/services/settlementService');
+
+describe('Contest settlement', () => {
+  let match;
+  let contest;
+  let players;
+
+  // A scored team whose only player took `wickets` wickets, 10 points each
+  const createScoredTeam = (user, wickets) => testUtils.createTestTeam(user, match._id, {
+    status: 'scored',
+    players: [{ playerId: new mongoose.Types.ObjectId(), name: 'Bowler', role: 'bowler', performance: { wickets } }]
+  });
+
+  beforeEach(async () => {
+    match = await testUtils.createTestMatch({ status: 'completed' });
+    contest = await testUtils.createTestContest({
+      name: 'Mega Contest',
+      matchId: match._id,
+      entryFee: 0,
+      totalSpots: 3,
+      filledSpots: 3,
+      prizePool: 1000,
+      prizeDistribution: [
+        { rankFrom: 1, rankTo: 1, prize: 600 },
+        { rankFrom: 2, rankTo: 2, prize: 400 }
+      ],
+      status: 'live'
+    });
+
+    players = [];
+    for (const wickets of [3, 2, 1]) {
+      const user = await testUtils.createTestUser();
+      const team = await createScoredTeam(user, wickets);
+      const entry = await ContestEntry.create({
+        contestId: contest._id,
+        matchId: match._id,
+        userId: user._id,
+        teamId: team._id,
+        username: user.username,
+        teamName: team.name
+      });
+      players.push({ user, team, entry });
+    }
+  });
+
+  const reference = ({ entry }) => `WIN-${contest._id}-${entry._id}`;
+  const winnings = async ({ user }) => (await User.findById(user._id)).wallet.winnings;
+  const journalCount = () => LedgerEntry.distinct('journalId', { type: 'contest_winnings' }).then(ids => ids.length);
+
+  // Leave the claim of the last run old enough to be resumed
+  const expireClaim = () => Contest.updateOne(
+    { _id: contest._id },
+    { $set: { 'settlement.status': 'processing', 'settlement.startedAt': new Date(Date.now() - 11 * 60 * 1000) } }
+  );
+
+  it('should pay each winner exactly once however often the match is settled', async () => {
+    const [first] = await SettlementService.settleMatch(match._id);
+    const again = await SettlementService.settleContest(contest._id);
+
+    expect(first).toMatchObject({ settled: true, winnersPaid: 2, totalPaid: 1000 });
+    expect(again).toMatchObject({ settled: false });
+    expect(await Promise.all(players.map(winnings))).toEqual([600, 400, 0]);
+    expect(await journalCount()).toBe(2);
+
+    const paid = await Transaction.find({ type: 'contest_winnings' });
+    expect(paid.map(t => t.status)).toEqual(['completed', 'completed']);
+
+    const settled = await Contest.findById(contest._id);
+    expect(settled.status).toBe('completed');
+    expect(settled.settlement.status).toBe('settled');
+    expect(await ContestEntry.countDocuments({ contestId: contest._id, settledAt: null })).toBe(0);
+    expect((await User.findById(players[0].user._id)).stats).toMatchObject({ totalContests: 1, bestRank: 1 });
+  });
+
+  it('should not pay again when a resumed run finds winners already paid', async () => {
+    await SettlementService.settleContest(contest._id);
+    await expireClaim();
+
+    const resumed = await SettlementService.settleContest(contest._id);
+
+    expect(resumed).toMatchObject({ settled: true, winnersPaid: 2, totalPaid: 1000 });
+    expect(await Promise.all(players.map(winnings))).toEqual([600, 400, 0]);
+    expect(await journalCount()).toBe(2);
+  });
+
+  it('should complete without paying again when a run died after the credit', async () => {
+    // The earlier run ranked the contest and posted the winner's journal, then died
+    await contest.scoreParticipants();
+    const [winner] = players;
+    const transaction = Transaction.createContestWinnings(winner.user._id, 600, contest._id, match._id, winner.team._id);
+    transaction.reference = reference(winner);
+    transaction.status = 'pending';
+    await LedgerService.credit(transaction, { amount: 600, account: 'platform_contests' });
+    await expireClaim();
+
+    await SettlementService.settleContest(contest._id);
+
+    expect(await winnings(winner)).toBe(600);
+    expect((await Transaction.findOne({ reference: reference(winner) })).status).toBe('completed');
+    expect(await Transaction.countDocuments({ reference: reference(winner) })).toBe(1);
+  });
+
+  it('should leave winnings pending when they cannot be credited and pay them on the next run', async () => {
+    const [winner] = players;
+    const stored = await User.collection.findOne({ _id: winner.user._id });
+    await User.collection.deleteOne({ _id: winner.user._id });
+
+    const [failed] = await SettlementService.settleMatch(match._id);
+
+    expect(failed).toMatchObject({ settled: false, reason: expect.stringMatching(/could not be credited/) });
+    expect((await Transaction.findOne({ reference: reference(winner) })).status).toBe('pending');
+    expect(await LedgerService.isPosted(reference(winner))).toBe(false);
+
+    await User.collection.insertOne(stored);
+    await expireClaim();
+    const [retried] = await SettlementService.settleMatch(match._id);
+
+    expect(retried).toMatchObject({ settled: true, winnersPaid: 2 });
+    expect(await Promise.all(players.map(winnings))).toEqual([600, 400, 0]);
+    expect((await Transaction.findOne({ reference: reference(winner) })).status).toBe('completed');
+  });
+
+  describe('claim', () => {
+    it('should renew a claim it still holds and refuse one another run has taken over', async () => {
+      const { claimedAt } = await SettlementService.claimContest(contest._id);
+      const renewedAt = await SettlementService.renewClaim(contest._id, claimedAt);
+
+      expect((await Contest.findById(contest._id)).settlement.startedAt).toEqual(renewedAt);
+
+      // The run stalled past the stale window and a second run resumed the contest
+      await expireClaim();
+      const takeover = await SettlementService.claimContest(contest._id);
+      expect(takeover.resumed).toBe(true);
+
+      await expect(SettlementService.renewClaim(contest._id, renewedAt)).rejects.toThrow(/taken over by another run/);
+    });
+
+    it('should keep renewing its claim while paying out', async () => {
+      const renew = jest.spyOn(SettlementService, 'renewClaim');
+      // Every entry appears to take longer than the renewal interval
+      const start = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(start + 2 * 60 * 1000);
+
+      const result = await SettlementService.settleContest(contest._id);
+
+      expect(result).toMatchObject({ settled: true });
+      expect(renew).toHaveBeenCalledTimes(players.length);
+    });
+  });
+});
@@ -2,7 +2,15 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 
+// Keep service and route logging out of the test output
+jest.mock('../src/services/logger', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(), log: jest.fn() };
+  logger.initializeLogger = () => logger;
+  return logger;
+});
+
 let mongoServer;
+let userCount = 0;
 
 // Setup before all tests
 beforeAll(async () => {
@@ -15,6 +23,9 @@ beforeAll(async () => {
     useNewUrlParser: true,
     useUnifiedTopology: true,
   });
+
+  // Unique indexes back the idempotency and race guarantees under test
+  await Promise.all(Object.values(mongoose.models).map(model => model.createIndexes()));
 });
 
 // Cleanup after each test
@@ -40,15 +51,17 @@ afterAll(async () => {
 
 // Global test utilities
 global.testUtils = {
-  // Create test user
+  // Create test user; each call gets its own username, email and phone
   createTestUser: async (userData = {}) => {
     const User = require('../src/models/User');
+    userCount++;
     const defaultUser = {
-      username: 'testuser',
-      email: 'test@example.com',
+      username: `testuser${userCount}`,
+      email: `test${userCount}@example.com`,
       password: 'password123',
       fullName: 'Test User',
-      phone: '+1234567890',
+      phone: `+91900000${String(userCount).padStart(4, '0')}`,
+      dateOfBirth: new Date('1995-01-01'),
       role: 'user'
     };
     
@@ -59,15 +72,19 @@ global.testUtils = {
   // Create test match
   createTestMatch: async (matchData = {}) => {
     const Match = require('../src/models/Match');
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000); // Tomorrow
     const defaultMatch = {
-      externalId: 'match123',
+      externalId: `match${new mongoose.Types.ObjectId()}`,
       title: 'Test Match',
       sport: 'cricket',
-      team1: 'Team A',
-      team2: 'Team B',
-      startTime: new Date(Date.now() + 24 * 60 * 60 * 1000), // Tomorrow
+      tournament: 'Test Series',
+      team1: { name: 'Team A', shortName: 'TA' },
+      team2: { name: 'Team B', shortName: 'TB' },
+      startTime,
+      fantasyDeadline: startTime,
+      matchFormat: 't20',
       status: 'upcoming',
-      fantasyEnabled: true
+      contestTemplateSet: null
     };
     
     const match = new Match({ ...defaultMatch, ...matchData });
@@ -77,27 +94,43 @@ global.testUtils = {
   // Create test contest
   createTestContest: async (contestData = {}) => {
     const Contest = require('../src/models/Contest');
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
     const defaultContest = {
       name: 'Test Contest',
-      matchId: 'match123',
+      matchId: new mongoose.Types.ObjectId(),
       sport: 'cricket',
-      type: 'public',
+      contestType: 'public',
       entryFee: 10,
-      spots: 100,
-      prizePool: 1000,
+      totalSpots: 100,
+      prizePool: 900,
       teamSize: 11,
+      startTime,
+      registrationDeadline: startTime,
       status: 'upcoming'
     };
     
     const contest = new Contest({ ...defaultContest, ...contestData });
     return await contest.save();
   },
+
+  // Create a fantasy team for a user and match
+  createTestTeam: async (user, matchId, teamData = {}) => {
+    const FantasyTeam = require('../src/models/FantasyTeam');
+    const team = new FantasyTeam({
+      name: `${user.username} XI`,
+      userId: user._id,
+      matchId,
+      sport: 'cricket',
+      ...teamData
+    });
+    return await team.save();
+  },
   
   // Generate JWT token for testing
   generateTestToken: (user) => {
     const jwt = require('jsonwebtoken');
     return jwt.sign(
-      { id: user._id, username: user.username, role: user.role },
+      { userId: user._id },
       process.env.JWT_SECRET || 'test-secret',
       { expiresIn: '1h' }
     );
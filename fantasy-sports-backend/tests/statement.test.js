@@ -0,0 +1,127 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const LedgerService = require('../src/services/ledgerService');
+const StatementService = require('../src/services/statementService');
+const { parseCsv } = require('../src/services/csv');
+
+describe('Account statements', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), username: 'saver', fullName: 'Asha Saver' };
+
+  describe('parsePeriod', () => {
+    const now = new Date('2026-10-19T12:00:00Z');
+
+    it('should cover whole days in Indian time', () => {
+      const period = StatementService.parsePeriod('2026-04-01', '2026-04-30', now);
+      expect(period.from.toISOString()).toBe('2026-03-31T18:30:00.000Z');
+      expect(period.to.toISOString()).toBe('2026-04-30T18:30:00.000Z');
+    });
+
+    it('should default to the last 30 days and stop at now', () => {
+      const period = StatementService.parsePeriod(undefined, '2026-12-31', now);
+      expect(period.to).toEqual(now);
+      expect(StatementService.parsePeriod(undefined, undefined, now).from.toISOString()).toBe('2026-09-19T12:00:00.000Z');
+    });
+
+    it.each([
+      ['not-a-date', '2026-04-30', 'from and to must be dates'],
+      ['2026-05-01', '2026-04-30', 'from must be before to'],
+      ['2024-01-01', '2026-01-01', 'Statements cover at most 366 days']
+    ])('should refuse from=%s to=%s', (from, to, message) => {
+      expect(() => StatementService.parsePeriod(from, to, now)).toThrow(message);
+    });
+  });
+
+  describe('getStatement', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    const backdate = (journalId, days) => LedgerEntry.collection.updateMany(
+      { journalId },
+      { $set: { createdAt: new Date(Date.now() - days * DAY_MS) } }
+    );
+
+    const getStatement = (account, query = {}) => request(app)
+      .get('/api/wallet/statement')
+      .set('Authorization', `Bearer ${testUtils.generateTestToken(account)}`)
+      .query(query);
+
+    it('should run the balance from the opening balance through each journal', async () => {
+      const account = await testUtils.createTestUser({ wallet: { balance: 100, deposit: 100 } });
+      await LedgerService.postOpeningBalance(account);
+      await backdate(`OPEN-${account._id}`, 40);
+
+      const deposit = Transaction.createDeposit(account._id, 500, 'upi', 'fake');
+      deposit.status = 'completed';
+      await LedgerService.credit(deposit, { amount: 500, account: 'platform_gateway' });
+      await backdate(deposit.reference, 3);
+
+      const entry = Transaction.createContestEntry(account._id, 49.5, new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId());
+      await LedgerService.debit(entry, { amount: 49.5, account: 'platform_contests' });
+      await backdate(entry.reference, 2);
+
+      // A correction posted straight to the ledger, with no transaction behind it
+      await LedgerService.post('ADJ1', 'admin_adjustment', 'Goodwill credit', [
+        { account: 'user_bonus', userId: account._id, amount: 20 },
+        { account: 'platform_adjustments', amount: -20 }
+      ]);
+      await backdate('ADJ1', 1);
+
+      const response = await getStatement(account).expect(200);
+
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(parseCsv(response.text)).toEqual([
+        expect.objectContaining({ description: 'Opening balance', balance: '100' }),
+        expect.objectContaining({ reference: deposit.reference, type: 'deposit', status: 'completed', credit: '500', debit: '0', balance: '600' }),
+        expect.objectContaining({ reference: entry.reference, type: 'contest_entry', credit: '0', debit: '49.5', balance: '550.5' }),
+        expect.objectContaining({ reference: 'ADJ1', description: 'Goodwill credit', credit: '20', balance: '570.5' }),
+        expect.objectContaining({ description: 'Closing balance', credit: '520', debit: '49.5', balance: '570.5' })
+      ]);
+    });
+
+    it('should refuse a period that ends before it starts', async () => {
+      const response = await getStatement(await testUtils.createTestUser(), { from: '2026-05-01', to: '2026-04-30' }).expect(400);
+
+      expect(response.body.message).toBe('from must be before to');
+    });
+  });
+
+  describe('formats', () => {
+    const statement = {
+      user,
+      period: { from: new Date('2026-09-30T18:30:00Z'), to: new Date('2026-10-31T18:30:00Z') },
+      currency: 'INR',
+      openingBalance: 100,
+      totalCredits: 500,
+      totalDebits: 0,
+      closingBalance: 600,
+      rows: [{ date: new Date('2026-10-01T10:00:00Z'), reference: 'DEP1', type: 'deposit', description: 'Deposit (UPI)', status: 'completed', credit: 500, debit: 0, balance: 600 }]
+    };
+
+    it('should write CSV with opening and closing balance rows', () => {
+      const lines = StatementService.toCsv(statement).trim().split('\r\n');
+      expect(lines).toHaveLength(4);
+      expect(lines[1]).toBe('2026-09-30T18:30:00.000Z,,,Opening balance,,,,100');
+      expect(lines[3]).toBe('2026-10-31T18:30:00.000Z,,,Closing balance,,500,0,600');
+    });
+
+    it('should render a PDF with a valid cross-reference table', () => {
+      const pdf = StatementService.toPdf(statement).toString('latin1');
+
+      expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+      expect(pdf).toContain('(Deposit \\(UPI\\)) Tj');
+      expect(pdf).toContain('(INR 600.00) Tj');
+
+      const xref = parseInt(pdf.match(/startxref\n(\d+)/)[1]);
+      const offsets = pdf.slice(xref).match(/^\d{10} 00000 n/gm).map(line => parseInt(line));
+      offsets.forEach((offset, index) => {
+        expect(pdf.slice(offset, offset + 10)).toMatch(new RegExp(`^${index + 1} 0 obj`));
+      });
+    });
+
+    it('should name the file after the statement days', () => {
+      expect(StatementService.getFileName(statement, 'pdf')).toBe('statement-2026-10-01-to-2026-10-31.pdf');
+    });
+  });
+});
@@ -0,0 +1,273 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+const app = require('../server');
+const Beneficiary = require('../src/models/Beneficiary');
+const LedgerEntry = require('../src/models/LedgerEntry');
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const LedgerService = require('../src/services/ledgerService');
+const PayoutService = require('../src/services/payoutService');
+const TaxService = require('../src/services/taxService');
+
+describe('Tax Service', () => {
+  const thisYear = TaxService.getFinancialYearOf();
+
+  afterEach(() => {
+    delete process.env.TDS_DEDUCT_AT;
+    delete process.env.TDS_RATE;
+  });
+
+  // A KYC-approved user with a verified bank account and `openingBalance` in deposit
+  // from before this financial year
+  const createTaxpayer = async (openingBalance = 0) => {
+    const user = await testUtils.createTestUser({
+      kyc: { status: 'approved', panNumber: 'ABCDE1234F' },
+      wallet: { balance: openingBalance, deposit: openingBalance }
+    });
+    if (openingBalance) {
+      await LedgerService.postOpeningBalance(user);
+      await LedgerEntry.collection.updateMany(
+        { journalId: `OPEN-${user._id}` },
+        { $set: { createdAt: new Date(thisYear.start.getTime() - 1000) } }
+      );
+    }
+    const beneficiary = await Beneficiary.create({
+      userId: user._id,
+      accountHolderName: user.fullName,
+      accountNumber: '123456789012',
+      ifscCode: 'HDFC0001234',
+      status: 'verified'
+    });
+    return { user, beneficiary, token: testUtils.generateTestToken(user) };
+  };
+
+  const credit = async ({ user }, transaction, balanceType, account) => {
+    transaction.status = 'completed';
+    transaction.processedAt = new Date();
+    await LedgerService.credit(transaction, { amount: transaction.amount, balanceType, account });
+    return transaction;
+  };
+
+  const deposit = (taxpayer, amount) =>
+    credit(taxpayer, Transaction.createDeposit(taxpayer.user._id, amount, 'upi', 'fake'), 'deposit', 'platform_gateway');
+
+  const win = (taxpayer, amount, reference) => {
+    const transaction = Transaction.createContestWinnings(taxpayer.user._id, amount);
+    if (reference) transaction.reference = reference;
+    return credit(taxpayer, transaction, 'winnings', 'platform_contests');
+  };
+
+  const withdraw = (taxpayer, amount) => request(app)
+    .post('/api/wallet/withdraw')
+    .set('Authorization', `Bearer ${taxpayer.token}`)
+    .send({ amount, beneficiaryId: taxpayer.beneficiary._id.toString() });
+
+  const walletOf = async ({ user }) => (await User.findById(user._id)).wallet;
+
+  describe('financial years', () => {
+    it('should run from 1 April to 31 March in Indian time', () => {
+      const year = TaxService.getFinancialYear(2026);
+      expect(year.label).toBe('2026-27');
+      expect(year.start.toISOString()).toBe('2026-03-31T18:30:00.000Z');
+      expect(year.end.toISOString()).toBe('2027-03-31T18:30:00.000Z');
+    });
+
+    it('should put 1 April IST in the new year and 31 March IST in the old one', () => {
+      expect(TaxService.getFinancialYearOf(new Date('2026-03-31T18:30:00Z')).label).toBe('2026-27');
+      expect(TaxService.getFinancialYearOf(new Date('2026-03-31T18:29:59Z')).label).toBe('2025-26');
+    });
+
+    it('should refuse an unknown deduction stage', () => {
+      process.env.TDS_DEDUCT_AT = 'payday';
+      expect(() => TaxService.getConfig()).toThrow('TDS_DEDUCT_AT must be one of');
+    });
+  });
+
+  describe('computeWithdrawalTds', () => {
+    it('should tax only the net winnings in a withdrawal', async () => {
+      const taxpayer = await createTaxpayer(200);
+      await deposit(taxpayer, 1000);
+
+      const tds = await TaxService.computeWithdrawalTds(taxpayer.user._id, 2000);
+
+      expect(tds.amount).toBe(240);
+      expect(tds.tax).toMatchObject({ financialYear: thisYear.label, stage: 'withdrawal', rate: 30, taxableAmount: 800 });
+    });
+
+    it('should not tax a withdrawal covered by deposits', async () => {
+      const taxpayer = await createTaxpayer();
+      await deposit(taxpayer, 5000);
+
+      expect(await TaxService.computeWithdrawalTds(taxpayer.user._id, 2000)).toBeNull();
+    });
+
+    it('should use the configured rate and stage', async () => {
+      const taxpayer = await createTaxpayer();
+
+      process.env.TDS_RATE = '10';
+      expect((await TaxService.computeWithdrawalTds(taxpayer.user._id, 1000)).amount).toBe(100);
+
+      process.env.TDS_DEDUCT_AT = 'settlement';
+      expect(await TaxService.computeWithdrawalTds(taxpayer.user._id, 1000)).toBeNull();
+    });
+  });
+
+  describe('on withdrawal', () => {
+    let taxpayer;
+
+    beforeEach(async () => {
+      taxpayer = await createTaxpayer();
+      await win(taxpayer, 1500);
+    });
+
+    it('should withhold tax from the amount paid out and not tax net winnings twice', async () => {
+      const first = await withdraw(taxpayer, 1000).expect(200);
+
+      expect(first.body.data).toMatchObject({ amount: 1000, payoutAmount: 700, tds: { amount: 300, taxableAmount: 1000 } });
+      const tds = await Transaction.findOne({ reference: `TDS-${first.body.data.transactionId}` });
+      expect(tds).toMatchObject({ type: 'tds', amount: -300, status: 'completed' });
+      expect(await LedgerService.isPosted(tds.reference)).toBe(true);
+
+      const second = await withdraw(taxpayer, 500).expect(200);
+
+      expect(second.body.data).toMatchObject({ payoutAmount: 350, tds: { amount: 150, taxableAmount: 500 } });
+      expect(await walletOf(taxpayer)).toMatchObject({ balance: 0, winnings: 0 });
+    });
+
+    it('should return the tax withheld from a failed withdrawal to winnings', async () => {
+      const { transactionId } = (await withdraw(taxpayer, 1000).expect(200)).body.data;
+      const withdrawal = await Transaction.findOne({ reference: transactionId });
+
+      await PayoutService.failWithdrawal(withdrawal, 'Account closed');
+
+      expect((await Transaction.findOne({ reference: `TDS-${transactionId}` })).status).toBe('refunded');
+      const reversal = await Transaction.findOne({ reference: `REV-TDS-${transactionId}` });
+      expect(reversal).toMatchObject({ type: 'refund', amount: 300, status: 'completed' });
+      expect(await walletOf(taxpayer)).toMatchObject({ balance: 1500, winnings: 1500 });
+    });
+  });
+
+  describe('withholdOnWinnings', () => {
+    const contest = { _id: new mongoose.Types.ObjectId(), matchId: new mongoose.Types.ObjectId() };
+
+    let taxpayer;
+
+    // A prize settled to the taxpayer's winnings, as SettlementService pays it
+    const payPrize = async (prize = 20000) => {
+      const participant = { _id: new mongoose.Types.ObjectId(), userId: taxpayer.user._id, teamId: new mongoose.Types.ObjectId(), prize };
+      await win(taxpayer, prize, `WIN-${contest._id}-${participant._id}`);
+      return participant;
+    };
+
+    const deductionOf = (participant) => Transaction.findOne({ reference: `TDS-WIN-${contest._id}-${participant._id}` });
+
+    beforeEach(async () => {
+      taxpayer = await createTaxpayer();
+    });
+
+    it('should do nothing unless tax is deducted at settlement', async () => {
+      const participant = await payPrize();
+
+      expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(false);
+      expect(await deductionOf(participant)).toBeNull();
+    });
+
+    it('should leave prizes at or below the threshold alone', async () => {
+      process.env.TDS_DEDUCT_AT = 'settlement';
+      const participant = await payPrize(10000);
+
+      expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(false);
+      expect(await deductionOf(participant)).toBeNull();
+    });
+
+    describe('at settlement', () => {
+      beforeEach(() => {
+        process.env.TDS_DEDUCT_AT = 'settlement';
+      });
+
+      it('should withhold from a prize once', async () => {
+        const participant = await payPrize();
+
+        expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(true);
+        expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(false);
+
+        const deduction = await deductionOf(participant);
+        expect(deduction).toMatchObject({ amount: -6000, status: 'completed', tax: { stage: 'settlement', taxableAmount: 20000 } });
+        expect(await LedgerEntry.countDocuments({ journalId: deduction.reference })).toBe(2);
+        expect(await walletOf(taxpayer)).toMatchObject({ balance: 14000, winnings: 14000 });
+      });
+
+      it('should leave the deduction pending until the wallet covers it', async () => {
+        const participant = await payPrize();
+        // The prize was spent before the tax was collected
+        await User.updateOne({ _id: taxpayer.user._id }, { $set: { 'wallet.balance': 0, 'wallet.winnings': 0 } });
+
+        expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(false);
+        expect((await deductionOf(participant)).status).toBe('pending');
+
+        await User.updateOne({ _id: taxpayer.user._id }, { $set: { 'wallet.balance': 20000, 'wallet.winnings': 20000 } });
+
+        expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(true);
+        expect((await deductionOf(participant)).status).toBe('completed');
+        expect((await walletOf(taxpayer)).winnings).toBe(14000);
+      });
+
+      it('should complete without debiting again when a run died after the debit', async () => {
+        const participant = await payPrize();
+        const reference = `TDS-WIN-${contest._id}-${participant._id}`;
+        // The earlier run created the deduction and posted its journal, then died
+        const deduction = Transaction.createTds(taxpayer.user._id, 6000, { stage: 'settlement', rate: 30, taxableAmount: 20000 });
+        deduction.reference = reference;
+        deduction.status = 'pending';
+        await LedgerService.debit(deduction, { amount: 6000, account: 'platform_tax', order: ['winnings'] });
+
+        expect(await TaxService.withholdOnWinnings(contest, participant)).toBe(false);
+
+        expect((await deductionOf(participant)).status).toBe('completed');
+        expect(await LedgerEntry.countDocuments({ journalId: reference })).toBe(2);
+        expect((await walletOf(taxpayer)).winnings).toBe(14000);
+      });
+    });
+  });
+
+  describe('statements', () => {
+    const getStatement = (taxpayer, query) => request(app)
+      .get('/api/wallet/tax-statement')
+      .set('Authorization', `Bearer ${taxpayer.token}`)
+      .query(query);
+
+    it('should report net winnings and tax for the year', async () => {
+      const taxpayer = await createTaxpayer(500);
+      await deposit(taxpayer, 1000);
+      await win(taxpayer, 2500);
+      // 500 of the 2000 is net winnings: 150 withheld, 1850 paid out
+      await withdraw(taxpayer, 2000).expect(200);
+
+      const response = await getStatement(taxpayer, { year: thisYear.startYear }).expect(200);
+
+      const statement = response.body.data;
+      expect(statement.financialYear).toBe(thisYear.label);
+      expect(statement.user.panNumber).toBe('ABCDE1234F');
+      expect(statement.summary).toEqual({
+        openingBalance: 500,
+        deposits: 1000,
+        withdrawals: 2000,
+        closingBalance: 2000,
+        grossWinnings: 2500,
+        netWinnings: 2500,
+        tdsDeducted: 150
+      });
+      expect(statement.deductions).toEqual([expect.objectContaining({ stage: 'withdrawal', rate: 30, taxableAmount: 500, amount: 150 })]);
+
+      const csv = await getStatement(taxpayer, { year: thisYear.startYear, format: 'csv' }).expect(200);
+      expect(csv.text).toContain('Net Winnings,2500\r\n');
+      expect(csv.text).toContain('Date,Reference,Deducted On,Rate (%),Taxable Amount,TDS\r\n');
+    });
+
+    it('should refuse a year that has not started', async () => {
+      const response = await getStatement(await createTaxpayer(), { year: thisYear.startYear + 2 }).expect(400);
+
+      expect(response.body.message).toBe(`Financial year ${TaxService.getFinancialYear(thisYear.startYear + 2).label} has not started yet`);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+const Transaction = require('../src/models/Transaction');
+const User = require('../src/models/User');
+const LedgerService = require('../src/services/ledgerService');
+const NotificationService = require('../src/services/notificationService');
+const TransactionRetryService = require('../src/services/transactionRetryService');
+const { getGateway } = require('../src/services/paymentGateways');
+
+describe('Transaction retries', () => {
+  const now = new Date();
+
+  let user;
+  let notify;
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    // Notifications leave the system; only what is sent is checked
+    notify = jest.spyOn(NotificationService, 'sendWalletUpdateNotification').mockResolvedValue({});
+  });
+
+  // A deposit whose payment failed and whose retry is due
+  const createFailed = async (overrides = {}) => {
+    const transaction = Transaction.createDeposit(user._id, 500, 'upi', 'fake');
+    transaction.set({
+      externalReference: `fake_order_${transaction.reference}`,
+      status: 'failed',
+      failureReason: 'Payment declined',
+      retryCount: 1,
+      nextRetryAt: new Date(now.getTime() - 1000),
+      ...overrides
+    });
+    return transaction.save();
+  };
+
+  // The fake gateway only knows payments the client reports, so tell it what it finds
+  const mockFetchPayment = () => jest.spyOn(getGateway('fake'), 'fetchPayment');
+
+  const reload = (transaction) => Transaction.findById(transaction._id);
+
+  describe('backoff', () => {
+    it('should double the wait after each failure and look again at once when retries are used up', () => {
+      expect(Transaction.getNextRetryAt(1, 3, now) - now).toBe(5 * 60 * 1000);
+      expect(Transaction.getNextRetryAt(2, 3, now) - now).toBe(10 * 60 * 1000);
+      expect(Transaction.getNextRetryAt(3, 3, now)).toEqual(now);
+    });
+  });
+
+  describe('processTransaction', () => {
+    it('should complete a deposit the gateway now reports as paid and notify the user', async () => {
+      const transaction = await createFailed();
+      mockFetchPayment().mockResolvedValue({ success: true, paymentId: 'fake_pay_1', status: 'captured', message: 'Payment captured' });
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBe('completed');
+
+      expect((await reload(transaction)).status).toBe('completed');
+      expect((await User.findById(user._id)).wallet).toMatchObject({ balance: 500, deposit: 500, totalDeposited: 500 });
+      expect(await LedgerService.isPosted(transaction.reference)).toBe(true);
+      expect(notify).toHaveBeenCalledWith(user._id, 'deposit', 500, transaction._id, null);
+    });
+
+    it('should schedule another retry while the gateway is undecided', async () => {
+      const transaction = await createFailed();
+      mockFetchPayment().mockResolvedValue({ success: false, status: 'pending', message: 'Payment not captured yet' });
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBe('retry');
+
+      const retried = await reload(transaction);
+      expect(retried).toMatchObject({ status: 'failed', retryCount: 2, failureReason: 'Payment not captured yet' });
+      expect(retried.nextRetryAt.getTime()).toBeGreaterThan(now.getTime());
+      expect((await User.findById(user._id)).wallet.balance).toBe(0);
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    it('should count a gateway error as a failed attempt and escalate on the last one', async () => {
+      const transaction = await createFailed({ retryCount: 2 });
+      mockFetchPayment().mockRejectedValue(new Error('Gateway timeout'));
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBe('escalated');
+
+      const escalated = await reload(transaction);
+      expect(escalated).toMatchObject({ status: 'failed', retryCount: 3 });
+      expect(escalated.escalation.reason).toBe('Still failing after 3 attempts: Gateway timeout');
+      expect(notify.mock.calls[0][4]).toMatch(/could not be completed automatically/);
+    });
+
+    it('should leave a deposit failed for good when the gateway says it was not paid', async () => {
+      const transaction = await createFailed();
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBe('failed');
+
+      const failed = await reload(transaction);
+      expect(failed).toMatchObject({ status: 'failed', retryCount: 1, failureReason: 'No captured payment for the order' });
+      expect(failed.nextRetryAt).toBeUndefined();
+      expect(failed.escalation?.at).toBeFalsy();
+    });
+
+    it('should escalate types it cannot retry without touching them', async () => {
+      const transaction = await createFailed({ type: 'withdrawal', amount: -500 });
+      const fetchPayment = mockFetchPayment();
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBe('escalated');
+
+      const escalated = await reload(transaction);
+      expect(escalated).toMatchObject({ status: 'failed', retryCount: 1 });
+      expect(escalated.escalation.reason).toBe('withdrawal transactions are not retried automatically');
+      expect(fetchPayment).not.toHaveBeenCalled();
+    });
+
+    it('should let only one of two parallel runs retry a transaction', async () => {
+      const transaction = await createFailed();
+      const fetchPayment = mockFetchPayment();
+
+      const outcomes = await Promise.all([
+        TransactionRetryService.processTransaction(transaction._id, now),
+        TransactionRetryService.processTransaction(transaction._id, now)
+      ]);
+
+      expect(outcomes.sort()).toEqual(['failed', null]);
+      expect(fetchPayment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not retry before nextRetryAt', async () => {
+      const transaction = await createFailed({ nextRetryAt: new Date(now.getTime() + 1000) });
+      const fetchPayment = mockFetchPayment();
+
+      expect(await TransactionRetryService.processTransaction(transaction._id, now)).toBeNull();
+
+      expect((await reload(transaction)).status).toBe('failed');
+      expect(fetchPayment).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const {
+  WITHDRAWABLE_BALANCES,
+  splitDebit,
+  invertSplit,
+  splitTotal,
+  getWithdrawableBalance
+} = require('../src/services/walletBalances');
+
+describe('Wallet Balances', () => {
+  const wallet = { deposit: 40, winnings: 100, bonus: 30 };
+
+  describe('splitDebit', () => {
+    it('should draw bonus up to its share, then deposit, then winnings', () => {
+      expect(splitDebit(wallet, 100, { bonusShare: 0.1 })).toEqual({ bonus: -10, deposit: -40, winnings: -50 });
+    });
+
+    it('should read the bonus share from CONTEST_BONUS_MAX_PERCENT', () => {
+      process.env.CONTEST_BONUS_MAX_PERCENT = '20';
+      try {
+        expect(splitDebit(wallet, 50)).toEqual({ bonus: -10, deposit: -40 });
+      } finally {
+        delete process.env.CONTEST_BONUS_MAX_PERCENT;
+      }
+    });
+
+    it('should return null when the balances cannot cover the amount', () => {
+      expect(splitDebit(wallet, 200, { bonusShare: 0.1 })).toBeNull();
+      // Bonus beyond its share does not count towards the entry fee
+      expect(splitDebit({ bonus: 100 }, 50, { bonusShare: 0.1 })).toBeNull();
+    });
+
+    it('should only touch winnings for withdrawals', () => {
+      expect(splitDebit(wallet, 80, { order: WITHDRAWABLE_BALANCES })).toEqual({ winnings: -80 });
+      expect(splitDebit(wallet, 120, { order: WITHDRAWABLE_BALANCES })).toBeNull();
+      expect(getWithdrawableBalance(wallet)).toBe(100);
+    });
+  });
+
+  it('should invert a split for refunds', () => {
+    const split = splitDebit(wallet, 55.5, { bonusShare: 0.1 });
+
+    expect(split).toEqual({ bonus: -5.55, deposit: -40, winnings: -9.95 });
+    expect(invertSplit(split)).toEqual({ bonus: 5.55, deposit: 40, winnings: 9.95 });
+    expect(splitTotal(invertSplit(split))).toBe(55.5);
+  });
+});
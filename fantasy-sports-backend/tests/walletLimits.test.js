@@ -0,0 +1,156 @@
+const request = require('supertest');
+const app = require('../server');
+const Transaction = require('../src/models/Transaction');
+const WalletLimit = require('../src/models/WalletLimit');
+const WalletLimitService = require('../src/services/walletLimitService');
+
+describe('Wallet limits', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  let user;
+  let adminToken;
+
+  beforeEach(async () => {
+    user = await testUtils.createTestUser();
+    adminToken = testUtils.generateTestToken(await testUtils.createTestUser({ role: 'admin' }));
+  });
+
+  // A transaction of the user's that moved `amount` (negative for money leaving the wallet)
+  const record = (type, amount, overrides = {}) => new Transaction({
+    userId: user._id,
+    type,
+    amount,
+    status: 'completed',
+    description: type,
+    reference: Transaction.generateReference(type),
+    netAmount: amount,
+    balanceBefore: 0,
+    balanceAfter: 0,
+    ...overrides
+  }).save();
+
+  const setPlatformLimits = (body) => request(app)
+    .put('/api/admin/wallet-limits')
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const setUserLimits = (body) => request(app)
+    .put(`/api/admin/users/${user._id}/limits`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(body);
+
+  const deposit = (amount) => request(app)
+    .post('/api/wallet/deposit')
+    .set('Authorization', `Bearer ${testUtils.generateTestToken(user)}`)
+    .send({ amount, paymentMethod: 'card' });
+
+  describe('getLimits', () => {
+    it('should use the defaults when nothing is stored', async () => {
+      const limits = await WalletLimitService.getLimits(user._id);
+
+      // Minimums and the withdrawal maximum come from tests/env.js
+      expect(limits.deposit).toEqual({ min: 1, max: 100000, daily: 500000 });
+      expect(limits.withdrawal).toEqual({ min: 1, max: 1000000, daily: 100000 });
+    });
+
+    it('should layer a user override over the platform configuration field by field', async () => {
+      await setPlatformLimits({ deposit: { daily: 200000 }, transfer: { max: 5000 } }).expect(200);
+      await setUserLimits({ deposit: { max: 250000, daily: 1000000 }, reason: 'VIP' }).expect(200);
+
+      const response = await request(app)
+        .get(`/api/admin/users/${user._id}/limits`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .expect(200);
+
+      const { effective } = response.body.data;
+      expect(effective.deposit).toEqual({ min: 1, max: 250000, daily: 1000000 });
+      expect(effective.transfer).toEqual({ min: 10, max: 5000, daily: 50000 });
+    });
+  });
+
+  describe('getUsage', () => {
+    it('should total the last 24 hours by limit type, counting withdrawal TDS as withdrawn', async () => {
+      await record('deposit', 1000, { status: 'pending' });
+      await record('deposit', 500.25);
+      await record('deposit', 300, { status: 'failed' });
+      await record('withdrawal', -700, { status: 'pending' });
+      await record('tds', -300, { tax: { stage: 'withdrawal', rate: 30, taxableAmount: 1000 } });
+      await record('tds', -6000, { tax: { stage: 'settlement', rate: 30, taxableAmount: 20000 } });
+      await record('transfer', -200);
+      await record('transfer', 100);
+      const old = await record('deposit', 5000);
+      await Transaction.collection.updateOne({ _id: old._id }, { $set: { createdAt: new Date(Date.now() - DAY_MS - 1000) } });
+
+      expect(await WalletLimitService.getUsage(user._id)).toEqual({ deposit: 1500.25, withdrawal: 1000, transfer: 200 });
+    });
+  });
+
+  describe('assertWithinLimits', () => {
+    it('should return the remaining headroom when the amount fits', async () => {
+      await record('transfer', -45000);
+
+      const headroom = await WalletLimitService.assertWithinLimits(user._id, 'transfer', 5000);
+
+      expect(headroom).toMatchObject({ daily: 50000, used: 45000, remaining: 5000 });
+    });
+
+    it('should reject deposits outside the per-transaction limits', async () => {
+      await setUserLimits({ deposit: { min: 100, max: 2000 }, reason: 'Restricted' }).expect(200);
+
+      expect((await deposit(50).expect(400)).body.message).toBe('Minimum deposit amount is ₹100');
+      expect((await deposit(2500).expect(400)).body.message).toBe('Maximum deposit amount is ₹2,000');
+      expect(await Transaction.countDocuments({ userId: user._id })).toBe(0);
+    });
+
+    it('should count deposits awaiting payment against the rolling 24-hour cap', async () => {
+      await setUserLimits({ deposit: { daily: 3000 }, reason: 'Restricted' }).expect(200);
+      await deposit(2000).expect(201);
+
+      const response = await deposit(1500).expect(400);
+
+      expect(response.body.message).toBe('This deposit would exceed your 24-hour limit of ₹3,000. You can deposit up to ₹1,000 more right now.');
+      await deposit(1000).expect(201);
+    });
+
+    it('should reject a withdrawal past the rolling 24-hour cap', async () => {
+      await record('withdrawal', -90000, { status: 'pending' });
+
+      await expect(WalletLimitService.assertWithinLimits(user._id, 'withdrawal', 10001))
+        .rejects.toThrow('You can withdraw up to ₹10,000 more right now');
+    });
+  });
+
+  describe('admin configuration', () => {
+    it('should refuse an override whose minimum is above the effective maximum', async () => {
+      await setPlatformLimits({ deposit: { max: 5000 } }).expect(200);
+
+      const response = await setUserLimits({ deposit: { min: 6000 }, reason: 'VIP' }).expect(400);
+
+      expect(response.body.message).toBe('deposit minimum cannot be above its maximum');
+      expect(await WalletLimit.exists({ userId: user._id })).toBeNull();
+    });
+
+    it('should replace a user override with only the given types', async () => {
+      await setUserLimits({ withdrawal: { max: 1000 }, reason: 'Restricted' }).expect(200);
+
+      await setUserLimits({ deposit: { daily: 1000000 }, reason: 'VIP' }).expect(200);
+
+      const override = await WalletLimit.findOne({ userId: user._id }).lean();
+      expect(override).toMatchObject({ deposit: { daily: 1000000 }, reason: 'VIP' });
+      expect(override.withdrawal).toBeUndefined();
+      expect((await WalletLimitService.getLimits(user._id)).withdrawal.max).toBe(1000000);
+    });
+
+    it('should let the platform limits apply again once an override is removed', async () => {
+      await setUserLimits({ deposit: { daily: 1000000 }, reason: 'VIP' }).expect(200);
+      const remove = () => request(app)
+        .delete(`/api/admin/users/${user._id}/limits`)
+        .set('Authorization', `Bearer ${adminToken}`);
+
+      await remove().expect(200);
+
+      expect((await WalletLimitService.getLimits(user._id)).deposit.daily).toBe(500000);
+      expect((await remove().expect(404)).body.message).toBe('User has no wallet limit override');
+    });
+  });
+});